@@ -4,8 +4,9 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
-const rateLimit = require('express-rate-limit');
 const { errorHandler } = require('./middleware/errorHandler');
+const { rateLimit, rateLimitRedisClient } = require('./middleware/rateLimiter');
+const { getRateLimitMetrics, formatPrometheusMetrics } = require('./services/rateLimitService');
 const logger = require('./utils/logger');
 
 // Import routes
@@ -45,27 +46,15 @@ app.use(cors({
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
-// Apply rate limiting
-const apiLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
-  legacyHeaders: false, // Disable the `X-RateLimit-*` headers
-  message: 'Too many requests from this IP, please try again after 15 minutes',
-  // Redis store can be used for distributed rate limiting
-  // store: new RedisStore({
-  //   client: redisClient,
-  //   prefix: 'rate-limit:'
-  // })
+// Apply rate limiting (Redis-backed so limits are shared by every instance; budgets per tier)
+const apiLimiter = rateLimit('api', {
+  message: 'Too many requests, please try again after 15 minutes'
 });
 
 // Apply stricter rate limits to authentication routes
-const authLimiter = rateLimit({
-  windowMs: 60 * 60 * 1000, // 1 hour
-  max: 10, // limit each IP to 10 login attempts per hour
-  message: 'Too many login attempts from this IP, please try again after an hour',
-  standardHeaders: true,
-  legacyHeaders: false,
+const authLimiter = rateLimit('auth', {
+  perIp: true, // limit each IP to 10 login attempts per hour
+  message: 'Too many login attempts from this IP, please try again after an hour'
 });
 
 // Apply rate limiters to specific route groups
@@ -78,6 +67,22 @@ app.get('/health', (req, res) => {
   res.status(200).json({ status: 'ok' });
 });
 
+// Metrics endpoint (Prometheus format); protected by METRICS_TOKEN when set
+app.get('/metrics', async (req, res) => {
+  if (process.env.METRICS_TOKEN && req.headers.authorization !== `Bearer ${process.env.METRICS_TOKEN}`) {
+    return res.status(401).json({ message: 'Unauthorized' });
+  }
+
+  try {
+    const metrics = await getRateLimitMetrics(rateLimitRedisClient);
+    res.set('Content-Type', 'text/plain; version=0.0.4');
+    res.status(200).send(formatPrometheusMetrics(metrics));
+  } catch (error) {
+    logger.error('Error collecting metrics:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
@@ -124,6 +129,7 @@ const startServer = async () => {
         try {
           await mongoose.connection.close();
           logger.info('MongoDB connection closed');
+          rateLimitRedisClient.disconnect();
           process.exit(0);
         } catch (err) {
           logger.error('Error during shutdown:', err);
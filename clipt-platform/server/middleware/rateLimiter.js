@@ -0,0 +1,171 @@
+const jwt = require('jsonwebtoken');
+const Redis = require('ioredis');
+const { AppError } = require('./errorHandler');
+const User = require('../models/user.model');
+const Channel = require('../models/Channel');
+const logger = require('../utils/logger');
+const { createTieredLimiter } = require('../services/rateLimitService');
+
+// Shared Redis client so limits apply across every API instance
+const redisClient = new Redis(process.env.REDIS_URL || 'redis://localhost:6379', {
+  enableOfflineQueue: false
+});
+
+redisClient.on('error', (error) => logger.error('Rate limiter Redis error:', error));
+
+// Roles that are never rate limited
+const EXEMPT_ROLES = ['moderator', 'admin'];
+
+// Channel-scoped routes (relative to /api); broadcasters are never rate limited on their own channel
+const CHANNEL_PATH_REGEX = /^\/(?:chat\/[^/]+|emotes\/(?:channel|sets))\/([0-9a-f]{24})(?:\/|$)/i;
+
+// Short-lived cache of user tiers so limiting doesn't query MongoDB on every request
+const tierCache = new Map();
+const TIER_CACHE_MS = 60 * 1000;
+
+// Short-lived cache of channel owners, for the same reason
+const ownerCache = new Map();
+
+// Cap on each cache; channel IDs come from request paths, so without one the cache grows with every ID tried
+const CACHE_MAX_ENTRIES = 10000;
+
+/**
+ * Read a cache entry, dropping it if it has expired
+ * @param {Map} cache - Cache
+ * @param {String} key - Cache key
+ * @returns {*} Cached value, or undefined if missing or expired
+ */
+const readCache = (cache, key) => {
+  const entry = cache.get(key);
+  if (!entry) {
+    return undefined;
+  }
+
+  if (entry.expiresAt <= Date.now()) {
+    cache.delete(key);
+    return undefined;
+  }
+
+  return entry.value;
+};
+
+/**
+ * Write a cache entry, evicting the oldest one when the cache is full
+ * @param {Map} cache - Cache
+ * @param {String} key - Cache key
+ * @param {*} value - Value to cache
+ */
+const writeCache = (cache, key, value) => {
+  // Re-inserting moves the key to the end, so Map order stays oldest first
+  cache.delete(key);
+
+  if (cache.size >= CACHE_MAX_ENTRIES) {
+    cache.delete(cache.keys().next().value);
+  }
+
+  cache.set(key, { value, expiresAt: Date.now() + TIER_CACHE_MS });
+};
+
+/**
+ * Check if a user owns the channel a request is for
+ * @param {Object} req - Express request
+ * @param {String} userId - User ID from the token
+ * @returns {Promise<Boolean>} True on the broadcaster's own channel routes
+ */
+const isChannelOwnerRequest = async (req, userId) => {
+  const match = CHANNEL_PATH_REGEX.exec(req.path);
+  if (!match) {
+    return false;
+  }
+
+  const channelId = match[1];
+  const cached = readCache(ownerCache, channelId);
+  if (cached !== undefined) {
+    return cached === userId;
+  }
+
+  const channel = await Channel.findById(channelId).select('ownerId').lean();
+  const ownerId = channel ? channel.ownerId.toString() : null;
+  writeCache(ownerCache, channelId, ownerId);
+
+  return ownerId === userId;
+};
+
+/**
+ * Resolve who is making a request from its bearer token, without failing the request
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} Identity ({ key, tier, exempt })
+ */
+const resolveIdentity = async (req) => {
+  const guest = { key: `ip:${req.ip}`, tier: 'guest', exempt: false };
+  const header = req.headers.authorization;
+
+  if (!header || !header.startsWith('Bearer')) {
+    return guest;
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(header.split(' ')[1], process.env.JWT_SECRET || 'clipt_jwt_secret_key_change_this');
+  } catch (err) {
+    // Invalid tokens are rejected later by the auth middleware
+    return guest;
+  }
+
+  if (EXEMPT_ROLES.includes(decoded.role) || await isChannelOwnerRequest(req, decoded.id)) {
+    return { key: `user:${decoded.id}`, tier: 'premium', exempt: true };
+  }
+
+  const cached = readCache(tierCache, decoded.id);
+  if (cached !== undefined) {
+    return { key: `user:${decoded.id}`, tier: cached, exempt: false };
+  }
+
+  const user = await User.findById(decoded.id).select('tier').lean();
+  const tier = user ? user.tier : 'guest';
+  writeCache(tierCache, decoded.id, tier);
+
+  return { key: `user:${decoded.id}`, tier, exempt: false };
+};
+
+/**
+ * Create an Express rate limiting middleware backed by Redis
+ * @param {String} name - Limiter name from RATE_LIMIT_BUDGETS (e.g. 'api', 'auth')
+ * @param {Object} options - Limiter options
+ * @param {Boolean} options.perIp - Always key by IP with the guest budget (login/register)
+ * @param {String} options.message - Message returned when the limit is hit
+ */
+exports.rateLimit = (name, { perIp = false, message = 'Too many requests, please try again later' } = {}) => {
+  const limiter = createTieredLimiter(redisClient, name);
+
+  return async (req, res, next) => {
+    try {
+      const identity = perIp
+        ? { key: `ip:${req.ip}`, tier: 'guest', exempt: false }
+        : await resolveIdentity(req);
+
+      if (identity.exempt) {
+        return next();
+      }
+
+      const result = await limiter.consume(identity.key, identity.tier);
+
+      // Return rate limit info in the `RateLimit-*` headers
+      res.set('RateLimit-Limit', String(result.limit));
+      res.set('RateLimit-Remaining', String(result.remaining));
+
+      if (!result.allowed) {
+        res.set('Retry-After', String(result.retryAfter));
+        return next(AppError.tooManyRequests(message));
+      }
+
+      next();
+    } catch (err) {
+      // Never fail a request because the limiter itself broke
+      logger.error(`Rate limiter ${name} failed:`, err);
+      next();
+    }
+  };
+};
+
+exports.rateLimitRedisClient = redisClient;
@@ -0,0 +1,363 @@
+/**
+ * Channel Chat Settings Model
+ * Stores the active chat mode for each channel (slow, followers-only, subscribers-only, emote-only)
+ * and how strictly AutoMod screens its messages and links, plus the message pinned above chat
+ * and the channel's donation effect overrides
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const CHAT_MODES = ['normal', 'slow', 'subscribers', 'emote-only', 'followers'];
+const AUTOMOD_LEVELS = ['off', 'low', 'medium', 'high'];
+
+// Limits for mode options
+const SLOW_MODE_LIMITS = {
+  default: 3,     // seconds
+  min: 1,
+  max: 120
+};
+const FOLLOWERS_MIN_AGE_MAX = 90 * 24 * 60; // 90 days, in minutes
+const LINK_MIN_FOLLOW_AGE_DEFAULT = 10; // minutes
+
+// Copy of a pinned message, so later edits and deletes don't change the pin
+const pinnedMessageSchema = new Schema({
+  messageId: {
+    type: Schema.Types.ObjectId,
+    ref: 'ChatMessage',
+    required: true
+  },
+  messageType: {
+    type: String,
+    default: 'text'
+  },
+  // Tokens donated (donation pins only)
+  amount: {
+    type: Number,
+    default: null
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  parsedContent: {
+    type: String,
+    default: ''
+  },
+  emotes: [{
+    _id: false,
+    id: String,
+    code: String,
+    url: String,
+    width: Number,
+    height: Number
+  }],
+  user: {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    username: String,
+    color: String
+  },
+  pinnedBy: {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    username: String
+  },
+  pinnedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Null if the pin stays until a moderator removes it
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// A channel's changes to one donation effect tier (omitted fields use the server default)
+const donationEffectOverrideSchema = new Schema({
+  enabled: Boolean,
+  minAmount: Number,
+  // Seconds the donation stays pinned above chat (0 doesn't pin)
+  pinSeconds: Number,
+  // Whether the donation is sent to text-to-speech overlays
+  tts: Boolean
+}, { _id: false });
+
+const channelChatSettingsSchema = new Schema({
+  channelId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Channel',
+    required: true,
+    unique: true
+  },
+  mode: {
+    type: String,
+    enum: CHAT_MODES,
+    default: 'normal'
+  },
+  // Seconds between messages per user in slow mode
+  slowModeDelay: {
+    type: Number,
+    default: SLOW_MODE_LIMITS.default,
+    min: SLOW_MODE_LIMITS.min,
+    max: SLOW_MODE_LIMITS.max
+  },
+  // Minutes a user must have followed the channel to chat in followers-only mode
+  followersMinAge: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: FOLLOWERS_MIN_AGE_MAX
+  },
+  // AutoMod strictness (see services/autoModService)
+  automodLevel: {
+    type: String,
+    enum: AUTOMOD_LEVELS,
+    default: 'medium'
+  },
+  // Domains anyone may link to, including guests and new followers
+  linkAllowList: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  // Domains nobody but moderators may link to
+  linkDenyList: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  // Minutes a user must have followed the channel before posting other links
+  linkMinFollowAge: {
+    type: Number,
+    default: LINK_MIN_FOLLOW_AGE_DEFAULT,
+    min: 0,
+    max: FOLLOWERS_MIN_AGE_MAX
+  },
+  // One pinned message per channel
+  pinnedMessage: {
+    type: pinnedMessageSchema,
+    default: null
+  },
+  // Donation effect type => override (see services/donationService)
+  donationEffects: {
+    type: Map,
+    of: donationEffectOverrideSchema,
+    default: {}
+  },
+  updatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Get chat settings for a channel (defaults if none are stored)
+ * @param {ObjectId} channelId - Channel ID
+ * @returns {Promise<Object>} Chat settings
+ */
+channelChatSettingsSchema.statics.getSettings = async function(channelId) {
+  const settings = await this.findOne({ channelId }).lean();
+
+  return settings || {
+    channelId,
+    mode: 'normal',
+    slowModeDelay: SLOW_MODE_LIMITS.default,
+    followersMinAge: 0,
+    automodLevel: 'medium',
+    linkAllowList: [],
+    linkDenyList: [],
+    linkMinFollowAge: LINK_MIN_FOLLOW_AGE_DEFAULT,
+    pinnedMessage: null,
+    donationEffects: {}
+  };
+};
+
+/**
+ * Change a channel's chat mode
+ * @param {ObjectId} channelId - Channel ID
+ * @param {Object} modeData - Mode data
+ * @param {String} modeData.mode - New chat mode
+ * @param {Number} modeData.slowModeDelay - Slow mode delay in seconds (slow mode only)
+ * @param {Number} modeData.followersMinAge - Minimum follow age in minutes (followers mode only)
+ * @param {ObjectId} updatedBy - Moderator making the change
+ * @returns {Promise<Object>} Updated settings
+ */
+channelChatSettingsSchema.statics.setMode = async function(channelId, { mode, slowModeDelay, followersMinAge }, updatedBy) {
+  const update = { mode, updatedBy };
+
+  if (mode === 'slow' && slowModeDelay) {
+    update.slowModeDelay = Math.min(
+      Math.max(Math.round(slowModeDelay), SLOW_MODE_LIMITS.min),
+      SLOW_MODE_LIMITS.max
+    );
+  }
+
+  if (mode === 'followers' && followersMinAge !== undefined) {
+    update.followersMinAge = Math.min(Math.max(Math.round(followersMinAge) || 0, 0), FOLLOWERS_MIN_AGE_MAX);
+  }
+
+  return this.findOneAndUpdate(
+    { channelId },
+    { $set: update },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  ).lean();
+};
+
+/**
+ * Change a channel's AutoMod strictness level
+ * @param {ObjectId} channelId - Channel ID
+ * @param {String} automodLevel - New level (off, low, medium, high)
+ * @param {ObjectId} updatedBy - Moderator making the change
+ * @returns {Promise<Object>} Updated settings
+ */
+channelChatSettingsSchema.statics.setAutoModLevel = async function(channelId, automodLevel, updatedBy) {
+  return this.findOneAndUpdate(
+    { channelId },
+    { $set: { automodLevel, updatedBy } },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  ).lean();
+};
+
+/**
+ * Change a channel's link settings
+ * @param {ObjectId} channelId - Channel ID
+ * @param {Object} linkData - Link settings (omitted fields are unchanged)
+ * @param {Array<String>} linkData.allowList - Allowed domains
+ * @param {Array<String>} linkData.denyList - Blocked domains
+ * @param {Number} linkData.minFollowAge - Minimum follow age in minutes to post other links
+ * @param {ObjectId} updatedBy - User making the change
+ * @returns {Promise<Object>} Updated settings
+ */
+channelChatSettingsSchema.statics.setLinkSettings = async function(channelId, { allowList, denyList, minFollowAge }, updatedBy) {
+  const update = { updatedBy };
+
+  if (allowList !== undefined) {
+    update.linkAllowList = allowList;
+  }
+
+  if (denyList !== undefined) {
+    update.linkDenyList = denyList;
+  }
+
+  if (minFollowAge !== undefined) {
+    update.linkMinFollowAge = Math.min(Math.max(Math.round(minFollowAge) || 0, 0), FOLLOWERS_MIN_AGE_MAX);
+  }
+
+  return this.findOneAndUpdate(
+    { channelId },
+    { $set: update },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  ).lean();
+};
+
+/**
+ * Pin a message, replacing any message already pinned
+ * @param {ObjectId} channelId - Channel ID
+ * @param {Object} pin - Pinned message (see pinnedMessageSchema)
+ * @param {ObjectId} updatedBy - Moderator pinning the message
+ * @returns {Promise<Object>} Updated settings
+ */
+channelChatSettingsSchema.statics.pinMessage = async function(channelId, pin, updatedBy) {
+  return this.findOneAndUpdate(
+    { channelId },
+    { $set: { pinnedMessage: pin, updatedBy } },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  ).lean();
+};
+
+/**
+ * Pin a donation unless a moderator's pin is showing (donation pins replace each other)
+ * @param {ObjectId} channelId - Channel ID
+ * @param {Object} pin - Pinned donation (see pinnedMessageSchema)
+ * @returns {Promise<Object|null>} Updated settings, or null if a moderator's pin is active
+ */
+channelChatSettingsSchema.statics.pinDonation = async function(channelId, pin) {
+  const now = new Date();
+
+  try {
+    return await this.findOneAndUpdate(
+      {
+        channelId,
+        $or: [
+          { pinnedMessage: null },
+          { 'pinnedMessage.messageType': 'donation' },
+          { 'pinnedMessage.expiresAt': { $lte: now } }
+        ]
+      },
+      { $set: { pinnedMessage: pin } },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    ).lean();
+  } catch (error) {
+    // The upsert clashes with the existing settings when a moderator's pin is active
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Change a channel's donation effect overrides
+ * @param {ObjectId} channelId - Channel ID
+ * @param {Object} overrides - Effect type => override ({ enabled, minAmount, pinSeconds, tts }); replaces all overrides
+ * @param {ObjectId} updatedBy - User making the change
+ * @returns {Promise<Object>} Updated settings
+ */
+channelChatSettingsSchema.statics.setDonationEffects = async function(channelId, overrides, updatedBy) {
+  return this.findOneAndUpdate(
+    { channelId },
+    { $set: { donationEffects: overrides, updatedBy } },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  ).lean();
+};
+
+/**
+ * Remove a channel's pinned message
+ * @param {ObjectId} channelId - Channel ID
+ * @param {ObjectId} updatedBy - User removing the pin
+ * @param {ObjectId} messageId - Only unpin if this message is the one pinned (omit for any)
+ * @returns {Promise<Object|null>} Updated settings, or null if nothing was unpinned
+ */
+channelChatSettingsSchema.statics.unpinMessage = async function(channelId, updatedBy, messageId = null) {
+  const query = { channelId, pinnedMessage: { $ne: null } };
+
+  if (messageId) {
+    query['pinnedMessage.messageId'] = messageId;
+  }
+
+  return this.findOneAndUpdate(
+    query,
+    { $set: { pinnedMessage: null, updatedBy } },
+    { new: true }
+  ).lean();
+};
+
+/**
+ * Remove a channel's pinned message if it has expired
+ * @param {ObjectId} channelId - Channel ID
+ * @returns {Promise<Object|null>} Updated settings, or null if the pin hasn't expired
+ */
+channelChatSettingsSchema.statics.clearExpiredPin = async function(channelId) {
+  return this.findOneAndUpdate(
+    { channelId, 'pinnedMessage.expiresAt': { $lte: new Date() } },
+    { $set: { pinnedMessage: null } },
+    { new: true }
+  ).lean();
+};
+
+// Create model
+const ChannelChatSettings = mongoose.model('ChannelChatSettings', channelChatSettingsSchema);
+
+module.exports = ChannelChatSettings;
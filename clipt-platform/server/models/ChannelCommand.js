@@ -0,0 +1,150 @@
+/**
+ * Channel Command Model
+ * Stores custom text-response chat commands defined by channel owners (e.g. !discord)
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const COMMAND_NAME_PATTERN = /^[a-z0-9_]{1,25}$/;
+
+const channelCommandSchema = new Schema({
+  channelId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Channel',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    match: [COMMAND_NAME_PATTERN, 'Command names can only contain letters, numbers, and underscores']
+  },
+  aliases: [{
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [COMMAND_NAME_PATTERN, 'Command aliases can only contain letters, numbers, and underscores']
+  }],
+  response: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  },
+  permission: {
+    type: String,
+    enum: ['viewer', 'subscriber', 'moderator', 'owner'],
+    default: 'viewer'
+  },
+  cooldown: {
+    type: Number,
+    default: 10,
+    min: 0,
+    max: 3600
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Create compound indexes for efficient trigger lookups and enforcing uniqueness
+channelCommandSchema.index({ channelId: 1, name: 1 }, { unique: true });
+channelCommandSchema.index({ channelId: 1, aliases: 1 });
+
+/**
+ * Find an enabled command by name or alias
+ * @param {ObjectId} channelId - Channel ID
+ * @param {String} trigger - Command name or alias (without prefix)
+ * @returns {Promise<Object|null>} Command or null
+ */
+channelCommandSchema.statics.findByTrigger = async function(channelId, trigger) {
+  const name = trigger.toLowerCase();
+
+  return this.findOne({
+    channelId,
+    enabled: true,
+    $or: [{ name }, { aliases: name }]
+  }).lean();
+};
+
+/**
+ * Check whether a name or alias is already used in a channel
+ * @param {ObjectId} channelId - Channel ID
+ * @param {Array<String>} triggers - Names/aliases to check
+ * @param {ObjectId} excludeId - Command to ignore (when updating)
+ * @returns {Promise<Boolean>} True if any trigger is taken
+ */
+channelCommandSchema.statics.isTriggerTaken = async function(channelId, triggers, excludeId = null) {
+  const names = triggers.map(trigger => trigger.toLowerCase());
+  const query = {
+    channelId,
+    $or: [{ name: { $in: names } }, { aliases: { $in: names } }]
+  };
+
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+
+  const existing = await this.exists(query);
+  return !!existing;
+};
+
+/**
+ * Get all commands for a channel
+ * @param {ObjectId} channelId - Channel ID
+ * @param {Boolean} includeDisabled - Whether to include disabled commands
+ * @returns {Promise<Array>} Commands
+ */
+channelCommandSchema.statics.getChannelCommands = async function(channelId, includeDisabled = false) {
+  const query = { channelId };
+
+  if (!includeDisabled) {
+    query.enabled = true;
+  }
+
+  return this.find(query)
+    .sort({ name: 1 })
+    .lean();
+};
+
+/**
+ * Increment command usage count
+ * @param {ObjectId} commandId - Command ID
+ * @returns {Promise<Number>} New usage count
+ */
+channelCommandSchema.statics.incrementUsage = async function(commandId) {
+  const command = await this.findByIdAndUpdate(
+    commandId,
+    { $inc: { usageCount: 1 } },
+    { new: true, projection: { usageCount: 1 } }
+  ).lean();
+
+  return command ? command.usageCount : 0;
+};
+
+// Create model
+const ChannelCommand = mongoose.model('ChannelCommand', channelCommandSchema);
+
+module.exports = ChannelCommand;
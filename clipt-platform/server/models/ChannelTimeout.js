@@ -0,0 +1,138 @@
+/**
+ * Channel Timeout Model
+ * Tracks temporary chat timeouts for each channel; entries expire automatically
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const channelTimeoutSchema = new Schema({
+  channelId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Channel',
+    required: true,
+    index: true
+  },
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  username: {
+    type: String,
+    required: true
+  },
+  timedOutBy: {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    username: {
+      type: String
+    }
+  },
+  reason: {
+    type: String,
+    default: ''
+  },
+  // Duration in seconds
+  duration: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  expireAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Create compound index for efficient lookups (one timeout per user per channel)
+channelTimeoutSchema.index({ channelId: 1, userId: 1 }, { unique: true });
+
+// TTL index removes expired timeouts; queries still check expireAt since TTL cleanup runs periodically
+channelTimeoutSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Time out a user in a channel (replaces any existing timeout)
+ * @param {Object} timeoutData - Timeout data
+ * @param {ObjectId} timeoutData.channelId - Channel ID
+ * @param {ObjectId} timeoutData.userId - User ID
+ * @param {String} timeoutData.username - Username
+ * @param {Object} timeoutData.timedOutBy - Moderator ({ userId, username })
+ * @param {String} timeoutData.reason - Timeout reason
+ * @param {Number} timeoutData.duration - Duration in seconds
+ * @returns {Promise<Object>} Timeout document
+ */
+channelTimeoutSchema.statics.timeoutUser = async function({ channelId, userId, username, timedOutBy, reason = '', duration }) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    { channelId, userId },
+    {
+      username,
+      timedOutBy,
+      reason,
+      duration,
+      expireAt: new Date(now.getTime() + duration * 1000),
+      createdAt: now
+    },
+    { new: true, upsert: true, runValidators: true }
+  ).lean();
+};
+
+/**
+ * Get a user's active timeout in a channel
+ * @param {ObjectId} channelId - Channel ID
+ * @param {ObjectId} userId - User ID
+ * @returns {Promise<Object|null>} Active timeout or null
+ */
+channelTimeoutSchema.statics.getActiveTimeout = async function(channelId, userId) {
+  return this.findOne({
+    channelId,
+    userId,
+    expireAt: { $gt: new Date() }
+  }).lean();
+};
+
+/**
+ * Remove a user's timeout in a channel
+ * @param {ObjectId} channelId - Channel ID
+ * @param {ObjectId} userId - User ID
+ * @returns {Promise<Boolean>} True if an active timeout was removed
+ */
+channelTimeoutSchema.statics.removeTimeout = async function(channelId, userId) {
+  const result = await this.deleteOne({
+    channelId,
+    userId,
+    expireAt: { $gt: new Date() }
+  });
+
+  return result.deletedCount > 0;
+};
+
+/**
+ * Get all active timeouts for a channel
+ * @param {ObjectId} channelId - Channel ID
+ * @returns {Promise<Array>} Active timeouts, soonest to expire first
+ */
+channelTimeoutSchema.statics.getChannelTimeouts = async function(channelId) {
+  return this.find({
+    channelId,
+    expireAt: { $gt: new Date() }
+  })
+  .populate('userId', 'username profileImage')
+  .sort({ expireAt: 1 })
+  .lean();
+};
+
+// Create model
+const ChannelTimeout = mongoose.model('ChannelTimeout', channelTimeoutSchema);
+
+module.exports = ChannelTimeout;
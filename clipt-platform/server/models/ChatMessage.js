@@ -4,8 +4,23 @@
  */
 
 const mongoose = require('mongoose');
+const ModerationLog = require('./ModerationLog');
 const Schema = mongoose.Schema;
 
+const MESSAGE_TYPES = ['text', 'donation', 'action', 'system', 'moderation', 'announcement'];
+
+// Accent colors for announcements
+const ANNOUNCEMENT_COLORS = ['primary', 'blue', 'green', 'orange', 'purple'];
+
+// Prior versions kept per message; older edits are dropped
+const MAX_EDIT_HISTORY = 20;
+
+// Different emotes a single message can be reacted with
+const MAX_REACTIONS_PER_MESSAGE = 20;
+
+// Message types viewers can react to
+const REACTABLE_TYPES = ['text', 'action', 'donation', 'announcement'];
+
 const chatMessageSchema = new Schema({
   roomId: {
     type: Schema.Types.ObjectId,
@@ -40,9 +55,12 @@ const chatMessageSchema = new Schema({
       default: false
     }
   },
+  // Donations can be sent without a message
   content: {
     type: String,
-    required: true
+    required: function() {
+      return this.type !== 'donation';
+    }
   },
   parsedContent: {
     type: String,
@@ -55,15 +73,90 @@ const chatMessageSchema = new Schema({
     width: Number,
     height: Number
   }],
+  // Structured parts of the content (links, @mentions), positioned by character index
+  entities: [{
+    _id: false,
+    type: {
+      type: String,
+      enum: ['link', 'mention'],
+      required: true
+    },
+    text: String,
+    url: String,
+    domain: String,
+    username: String,
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    startIndex: Number,
+    endIndex: Number
+  }],
+  // Message being replied to, with a quoted preview
+  replyTo: {
+    messageId: {
+      type: Schema.Types.ObjectId,
+      ref: 'ChatMessage'
+    },
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    username: String,
+    content: String
+  },
   type: {
     type: String,
-    enum: ['text', 'donation', 'action', 'system', 'moderation'],
+    enum: MESSAGE_TYPES,
     default: 'text'
   },
+  // Position in the room's message stream, increasing by one per stored message
+  seq: {
+    type: Number
+  },
+  // Idempotency key sent by the client, so it can match the message to its pending copy
+  clientMessageId: {
+    type: String
+  },
   amount: {
     type: Number,
     default: 0
   },
+  // Accent color of an announcement
+  announcementColor: {
+    type: String,
+    enum: ANNOUNCEMENT_COLORS
+  },
+  // Emote reactions, one entry per emote code
+  reactions: [{
+    _id: false,
+    code: {
+      type: String,
+      required: true
+    },
+    url: String,
+    count: {
+      type: Number,
+      default: 0
+    },
+    // Users who reacted with this emote (never sent to clients)
+    userIds: [{
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    }]
+  }],
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // Prior versions of an edited message, oldest first (visible to moderators only)
+  editHistory: [{
+    _id: false,
+    content: String,
+    parsedContent: String,
+    // When this version was posted
+    createdAt: Date
+  }],
   isDeleted: {
     type: Boolean,
     default: false
@@ -72,6 +165,9 @@ const chatMessageSchema = new Schema({
     type: Schema.Types.ObjectId,
     ref: 'User'
   },
+  deletedAt: {
+    type: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -84,6 +180,11 @@ const chatMessageSchema = new Schema({
 // Index for efficient querying
 chatMessageSchema.index({ roomId: 1, createdAt: -1 });
 chatMessageSchema.index({ 'user.userId': 1, roomId: 1 });
+chatMessageSchema.index({ roomId: 1, type: 1, createdAt: -1 });
+chatMessageSchema.index({ roomId: 1, seq: 1 });
+
+// Keyword search within a room (queries must match roomId)
+chatMessageSchema.index({ roomId: 1, content: 'text' });
 
 // TTL index for auto-deletion after 30 days
 chatMessageSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
@@ -106,11 +207,199 @@ chatMessageSchema.statics.getRoomMessages = async function(roomId, limit = 50, b
   }
   
   return this.find(query)
+    .select('-editHistory -reactions.userIds')
     .sort({ createdAt: -1 })
     .limit(limit)
     .lean();
 };
 
+/**
+ * Get the highest sequence number stored for a room
+ * @param {ObjectId} roomId - Room ID
+ * @returns {Promise<Number>} Sequence number (0 if the room has no sequenced messages)
+ */
+chatMessageSchema.statics.getLatestSequence = async function(roomId) {
+  const latest = await this.findOne({ roomId, seq: { $exists: true } })
+    .sort({ seq: -1 })
+    .select('seq')
+    .lean();
+
+  return latest ? latest.seq : 0;
+};
+
+/**
+ * Get the messages sent in a room after a sequence number
+ * @param {ObjectId} roomId - Room ID
+ * @param {Number} sinceSeq - Last sequence number the client has
+ * @param {Number} limit - Maximum number of messages to return
+ * @returns {Promise<Object>} Page ({ messages (oldest first, deleted ones as tombstones), hasMore })
+ */
+chatMessageSchema.statics.getMessagesSince = async function(roomId, sinceSeq, limit = 200) {
+  const messages = await this.find({
+    roomId,
+    seq: { $gt: sinceSeq }
+  })
+    .select('-editHistory')
+    .sort({ seq: 1 })
+    .limit(limit + 1)
+    .lean();
+
+  return {
+    // Deleted messages keep their place, so the client doesn't see a gap in the sequence
+    messages: messages.slice(0, limit).map(message => (message.isDeleted ? toTombstone(message) : message)),
+    hasMore: messages.length > limit
+  };
+};
+
+/**
+ * Strip a deleted message down to what is needed to show it as deleted
+ * @param {Object} message - Deleted message
+ * @returns {Object} Tombstone (no content, emotes, entities, reply or reactions)
+ */
+const toTombstone = (message) => ({
+  _id: message._id,
+  roomId: message.roomId,
+  user: message.user,
+  type: message.type,
+  seq: message.seq,
+  clientMessageId: message.clientMessageId,
+  content: '',
+  parsedContent: '',
+  emotes: [],
+  entities: [],
+  isDeleted: true,
+  deletedAt: message.deletedAt,
+  createdAt: message.createdAt
+});
+
+/**
+ * Encode a pagination cursor for a message
+ * @param {Object} message - Message with createdAt and _id
+ * @returns {String} Opaque cursor
+ */
+const encodeCursor = (message) => {
+  return Buffer.from(`${new Date(message.createdAt).getTime()}:${message._id}`).toString('base64url');
+};
+
+/**
+ * Decode a pagination cursor
+ * @param {String} cursor - Cursor from encodeCursor
+ * @returns {Object|null} Position ({ createdAt, id }) or null if the cursor is invalid
+ */
+const decodeCursor = (cursor) => {
+  const [time, id] = Buffer.from(String(cursor), 'base64url').toString().split(':');
+  const createdAt = new Date(Number(time));
+
+  if (!id || Number.isNaN(createdAt.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+
+  return { createdAt, id: new mongoose.Types.ObjectId(id) };
+};
+
+/**
+ * Search a room's messages with cursor pagination in both directions
+ * @param {ObjectId} roomId - Room ID
+ * @param {Object} filters - Optional filters
+ * @param {String} filters.username - Author username (case-insensitive)
+ * @param {String} filters.keyword - Words to search for in the content
+ * @param {Date} filters.from - Messages sent at or after this time
+ * @param {Date} filters.to - Messages sent at or before this time
+ * @param {Array<String>} filters.types - Message types ('moderation' searches the moderation log)
+ * @param {Boolean} filters.includeDeleted - Include deleted messages
+ * @param {Object} page - Pagination options
+ * @param {String} page.cursor - Cursor to page from (omit to start at the newest, or with 'newer' the oldest, message)
+ * @param {String} page.direction - 'older' or 'newer' than the cursor
+ * @param {Number} page.limit - Maximum number of messages to return
+ * @returns {Promise<Object>} Page ({ messages (newest first), olderCursor, newerCursor, hasOlder, hasNewer })
+ * @throws {Error} CursorError if the cursor is invalid
+ */
+chatMessageSchema.statics.searchRoomMessages = async function(roomId, filters = {}, { cursor = null, direction = 'older', limit = 50 } = {}) {
+  const conditions = [{ roomId }];
+  const types = filters.types || [];
+
+  // Moderation notices live in the moderation log, so they are searched there and merged in
+  const messageTypes = types.filter(type => type !== 'moderation');
+  const includeMessages = types.length === 0 || messageTypes.length > 0;
+  const includeNotices = types.includes('moderation');
+
+  if (!filters.includeDeleted) {
+    conditions.push({ isDeleted: false });
+  }
+
+  if (filters.username) {
+    const escaped = filters.username.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    conditions.push({ 'user.username': new RegExp(`^${escaped}$`, 'i') });
+  }
+
+  if (filters.keyword) {
+    conditions.push({ $text: { $search: filters.keyword } });
+  }
+
+  if (filters.from || filters.to) {
+    const range = {};
+    if (filters.from) range.$gte = filters.from;
+    if (filters.to) range.$lte = filters.to;
+    conditions.push({ createdAt: range });
+  }
+
+  if (messageTypes.length > 0) {
+    conditions.push({ type: { $in: messageTypes } });
+  }
+
+  const newer = direction === 'newer';
+  const position = cursor ? decodeCursor(cursor) : null;
+
+  if (cursor) {
+    if (!position) {
+      const error = new Error('Invalid cursor');
+      error.name = 'CursorError';
+      throw error;
+    }
+
+    // Order by (createdAt, _id) so messages sent in the same millisecond aren't skipped
+    const op = newer ? '$gt' : '$lt';
+    conditions.push({
+      $or: [
+        { createdAt: { [op]: position.createdAt } },
+        { createdAt: position.createdAt, _id: { [op]: position.id } }
+      ]
+    });
+  }
+
+  const sortOrder = newer ? 1 : -1;
+
+  // Fetch one extra message to know whether another page exists
+  const [messages, notices] = await Promise.all([
+    includeMessages
+      ? this.find({ $and: conditions })
+        .sort({ createdAt: sortOrder, _id: sortOrder })
+        .limit(limit + 1)
+        .lean()
+      : [],
+    includeNotices
+      ? ModerationLog.searchNotices(roomId, filters, { position, newer, limit: limit + 1 })
+      : []
+  ]);
+
+  const results = [...messages, ...notices].sort((a, b) => (
+    sortOrder * ((a.createdAt - b.createdAt) || a._id.toString().localeCompare(b._id.toString()))
+  ));
+
+  const hasMore = results.length > limit;
+  const page = results.slice(0, limit);
+  const pageMessages = newer ? page.reverse() : page;
+
+  return {
+    messages: pageMessages,
+    newerCursor: pageMessages.length > 0 ? encodeCursor(pageMessages[0]) : null,
+    olderCursor: pageMessages.length > 0 ? encodeCursor(pageMessages[pageMessages.length - 1]) : null,
+    // Paging from a cursor means there is at least one message on the other side
+    hasNewer: newer ? hasMore : Boolean(cursor),
+    hasOlder: newer ? Boolean(cursor) : hasMore
+  };
+};
+
 /**
  * Get messages by user
  * @param {ObjectId} userId - User ID
@@ -127,6 +416,163 @@ chatMessageSchema.statics.getUserMessages = async function(userId, limit = 50) {
     .lean();
 };
 
+/**
+ * Cast mention user IDs to ObjectIds, which $literal would otherwise store as strings
+ * @param {Array} entities - Message entities
+ * @returns {Array} Entities ready for a pipeline update
+ */
+const castEntities = (entities) => entities.map(entity => (
+  entity.userId && mongoose.isValidObjectId(entity.userId)
+    ? { ...entity, userId: new mongoose.Types.ObjectId(entity.userId) }
+    : entity
+));
+
+/**
+ * Edit a message, keeping its previous version in the edit history
+ * @param {ObjectId} roomId - Room ID
+ * @param {ObjectId} messageId - Message ID
+ * @param {ObjectId} userId - Author ID (only the author can edit)
+ * @param {Object} update - New version ({ content, parsedContent, emotes, entities })
+ * @param {Date} editableSince - Only messages sent at or after this time can be edited
+ * @returns {Promise<Object|null>} Updated message, or null if it can't be edited
+ */
+chatMessageSchema.statics.editMessage = async function(roomId, messageId, userId, update, editableSince) {
+  const editedAt = new Date();
+  
+  // A pipeline update copies the current version into the history in the same atomic write;
+  // user-supplied values are wrapped in $literal so they are never read as expressions
+  return this.findOneAndUpdate(
+    {
+      _id: messageId,
+      roomId,
+      'user.userId': userId,
+      type: 'text',
+      isDeleted: false,
+      createdAt: { $gte: editableSince }
+    },
+    [{
+      $set: {
+        editHistory: {
+          $slice: [
+            {
+              $concatArrays: [
+                { $ifNull: ['$editHistory', []] },
+                [{ content: '$content', parsedContent: '$parsedContent', createdAt: { $ifNull: ['$editedAt', '$createdAt'] } }]
+              ]
+            },
+            -MAX_EDIT_HISTORY
+          ]
+        },
+        content: { $literal: update.content },
+        parsedContent: { $literal: update.parsedContent || '' },
+        emotes: { $literal: update.emotes || [] },
+        entities: { $literal: castEntities(update.entities || []) },
+        editedAt
+      }
+    }],
+    { new: true }
+  )
+  .select('-editHistory')
+  .lean();
+};
+
+/**
+ * Delete a message on behalf of its author
+ * @param {ObjectId} roomId - Room ID
+ * @param {ObjectId} messageId - Message ID
+ * @param {ObjectId} userId - Author ID (only the author can delete)
+ * @returns {Promise<Object|null>} Deleted message, or null if it wasn't found
+ */
+chatMessageSchema.statics.deleteOwnMessage = async function(roomId, messageId, userId) {
+  return this.findOneAndUpdate(
+    { _id: messageId, roomId, 'user.userId': userId, isDeleted: false },
+    { isDeleted: true, deletedBy: userId, deletedAt: new Date() },
+    { new: true }
+  )
+  .select('deletedAt')
+  .lean();
+};
+
+/**
+ * Add a user's emote reaction to a message
+ * @param {ObjectId} roomId - Room ID
+ * @param {ObjectId} messageId - Message ID
+ * @param {ObjectId} userId - Reacting user ID
+ * @param {Object} emote - Emote ({ code, url })
+ * @returns {Promise<Array|null>} Reaction counts, or null if the user already reacted,
+ *   the message can't be reacted to, or it has reached the reaction limit
+ */
+chatMessageSchema.statics.addReaction = async function(roomId, messageId, userId, emote) {
+  const base = { _id: messageId, roomId, isDeleted: false, type: { $in: REACTABLE_TYPES } };
+  const options = { new: true, projection: { 'reactions.code': 1, 'reactions.url': 1, 'reactions.count': 1 } };
+  
+  // A second attempt covers another user starting the same reaction at the same moment
+  for (let attempt = 0; attempt < 2; attempt++) {
+    // Join an existing reaction
+    const joined = await this.findOneAndUpdate(
+      { ...base, reactions: { $elemMatch: { code: emote.code, userIds: { $ne: userId } } } },
+      { $push: { 'reactions.$.userIds': userId }, $inc: { 'reactions.$.count': 1 } },
+      options
+    ).lean();
+    
+    if (joined) {
+      return joined.reactions;
+    }
+    
+    // Start a new reaction if the message has room for one
+    const started = await this.findOneAndUpdate(
+      {
+        ...base,
+        'reactions.code': { $ne: emote.code },
+        [`reactions.${MAX_REACTIONS_PER_MESSAGE - 1}`]: { $exists: false }
+      },
+      { $push: { reactions: { code: emote.code, url: emote.url, count: 1, userIds: [userId] } } },
+      options
+    ).lean();
+    
+    if (started) {
+      return started.reactions;
+    }
+  }
+  
+  return null;
+};
+
+/**
+ * Remove a user's emote reaction from a message
+ * @param {ObjectId} roomId - Room ID
+ * @param {ObjectId} messageId - Message ID
+ * @param {ObjectId} userId - Reacting user ID
+ * @param {String} code - Emote code
+ * @returns {Promise<Array|null>} Reaction counts, or null if the user hadn't reacted with the emote
+ */
+chatMessageSchema.statics.removeReaction = async function(roomId, messageId, userId, code) {
+  const options = { new: true, projection: { 'reactions.code': 1, 'reactions.url': 1, 'reactions.count': 1 } };
+  
+  const message = await this.findOneAndUpdate(
+    { _id: messageId, roomId, isDeleted: false, reactions: { $elemMatch: { code, userIds: userId } } },
+    { $pull: { 'reactions.$.userIds': userId }, $inc: { 'reactions.$.count': -1 } },
+    options
+  ).lean();
+  
+  if (!message) {
+    return null;
+  }
+  
+  if (!message.reactions.some(reaction => reaction.count <= 0)) {
+    return message.reactions;
+  }
+  
+  // Drop reactions nobody is left on
+  const cleaned = await this.findOneAndUpdate(
+    { _id: messageId },
+    { $pull: { reactions: { count: { $lte: 0 } } } },
+    options
+  ).lean();
+  
+  return cleaned ? cleaned.reactions : [];
+};
+
 /**
  * Delete messages by user in room
  * @param {ObjectId} roomId - Room ID
@@ -137,7 +583,22 @@ chatMessageSchema.statics.getUserMessages = async function(userId, limit = 50) {
 chatMessageSchema.statics.deleteUserMessages = async function(roomId, userId, deletedBy) {
   const result = await this.updateMany(
     { roomId, 'user.userId': userId, isDeleted: false },
-    { isDeleted: true, deletedBy }
+    { isDeleted: true, deletedBy, deletedAt: new Date() }
+  );
+  
+  return result.modifiedCount;
+};
+
+/**
+ * Delete all messages in a room (clear chat)
+ * @param {ObjectId} roomId - Room ID
+ * @param {ObjectId} deletedBy - ID of user who cleared the chat
+ * @returns {Promise<Number>} Number of messages deleted
+ */
+chatMessageSchema.statics.clearRoomMessages = async function(roomId, deletedBy) {
+  const result = await this.updateMany(
+    { roomId, isDeleted: false },
+    { isDeleted: true, deletedBy, deletedAt: new Date() }
   );
   
   return result.modifiedCount;
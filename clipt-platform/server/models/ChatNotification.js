@@ -0,0 +1,135 @@
+/**
+ * Chat Notification Model
+ * Stores @mentions and replies for users who were offline when the message was sent
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const chatNotificationSchema = new Schema({
+  // User being notified
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['mention', 'reply'],
+    required: true
+  },
+  roomId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Channel',
+    required: true
+  },
+  messageId: {
+    type: Schema.Types.ObjectId,
+    ref: 'ChatMessage',
+    required: true
+  },
+  from: {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    username: {
+      type: String,
+      required: true
+    }
+  },
+  // Preview of the message
+  content: {
+    type: String,
+    default: '',
+    maxlength: 200
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient querying
+chatNotificationSchema.index({ userId: 1, createdAt: -1 });
+chatNotificationSchema.index({ userId: 1, readAt: 1 });
+
+// TTL index for auto-deletion after 30 days, matching chat message retention
+chatNotificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+/**
+ * Store notifications
+ * @param {Array<Object>} notifications - Notifications ({ userId, type, roomId, messageId, from, content })
+ * @returns {Promise<Array>} Created notifications
+ */
+chatNotificationSchema.statics.createNotifications = async function(notifications) {
+  if (notifications.length === 0) {
+    return [];
+  }
+
+  return this.insertMany(notifications);
+};
+
+/**
+ * Get a user's notifications
+ * @param {ObjectId} userId - User ID
+ * @param {Object} filters - Optional filters
+ * @param {Boolean} filters.unreadOnly - Only unread notifications
+ * @param {Date} filters.before - Notifications before this timestamp
+ * @param {Number} limit - Maximum number of notifications to return
+ * @returns {Promise<Array>} Notifications, newest first
+ */
+chatNotificationSchema.statics.getUserNotifications = async function(userId, filters = {}, limit = 20) {
+  const query = { userId };
+
+  if (filters.unreadOnly) {
+    query.readAt = null;
+  }
+
+  if (filters.before) {
+    query.createdAt = { $lt: filters.before };
+  }
+
+  return this.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+};
+
+/**
+ * Mark a user's notifications as read
+ * @param {ObjectId} userId - User ID
+ * @param {Array<ObjectId>} ids - Notifications to mark (all unread if omitted)
+ * @returns {Promise<Number>} Number of notifications marked as read
+ */
+chatNotificationSchema.statics.markRead = async function(userId, ids = null) {
+  const query = { userId, readAt: null };
+
+  if (ids) {
+    query._id = { $in: ids };
+  }
+
+  const result = await this.updateMany(query, { readAt: new Date() });
+
+  return result.modifiedCount;
+};
+
+/**
+ * Get the number of unread notifications for a user
+ * @param {ObjectId} userId - User ID
+ * @returns {Promise<Number>} Unread count
+ */
+chatNotificationSchema.statics.getUnreadCount = async function(userId) {
+  return this.countDocuments({ userId, readAt: null });
+};
+
+// Create model
+const ChatNotification = mongoose.model('ChatNotification', chatNotificationSchema);
+
+module.exports = ChatNotification;
@@ -23,6 +23,12 @@ const donationSchema = new Schema({
     type: String,
     required: true
   },
+  // Channel owner credited with the donation
+  recipientId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
   amount: {
     type: Number,
     required: true,
@@ -37,6 +43,18 @@ const donationSchema = new Schema({
     enum: ['regular', 'highlighted', 'animated', 'super'],
     default: 'regular'
   },
+  // Stream the donation was made during (null when the channel was offline)
+  streamId: {
+    type: Schema.Types.ObjectId,
+    ref: 'StreamSession',
+    default: null
+  },
+  // Donation goal the amount counted towards
+  goalId: {
+    type: Schema.Types.ObjectId,
+    ref: 'DonationGoal',
+    default: null
+  },
   status: {
     type: String,
     enum: ['completed', 'refunded', 'failed'],
@@ -45,6 +63,21 @@ const donationSchema = new Schema({
   refundReason: {
     type: String
   },
+  refundedAt: {
+    type: Date,
+    default: null
+  },
+  // Admin or broadcaster who issued the refund
+  refundedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Idempotency key from the client, so a resent donation is only charged once
+  clientMessageId: {
+    type: String,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -58,6 +91,16 @@ const donationSchema = new Schema({
 donationSchema.index({ roomId: 1, createdAt: -1 });
 donationSchema.index({ userId: 1, createdAt: -1 });
 
+// Indexes for leaderboards (per stream, and across all channels)
+donationSchema.index({ roomId: 1, streamId: 1 }, { partialFilterExpression: { streamId: { $type: 'objectId' } } });
+donationSchema.index({ status: 1, createdAt: -1 });
+
+// One donation per client key and sender
+donationSchema.index(
+  { userId: 1, clientMessageId: 1 },
+  { unique: true, partialFilterExpression: { clientMessageId: { $type: 'string' } } }
+);
+
 /**
  * Get user's donation history
  * @param {ObjectId} userId - User ID
@@ -84,6 +127,21 @@ donationSchema.statics.getChannelDonations = async function(roomId, limit = 50)
     .lean();
 };
 
+/**
+ * Cast an ID for an aggregation (aggregations don't cast, so string IDs from routes would match nothing)
+ * @param {ObjectId|String} id - ID to cast
+ * @param {String} path - Field the ID is matched against
+ * @returns {ObjectId} ID
+ * @throws {CastError} If the ID is malformed, as find() would
+ */
+const toObjectId = (id, path) => {
+  if (!mongoose.isValidObjectId(id)) {
+    throw new mongoose.Error.CastError('ObjectId', id, path);
+  }
+
+  return new mongoose.Types.ObjectId(id);
+};
+
 /**
  * Get total donations for a channel
  * @param {ObjectId} roomId - Room/Channel ID
@@ -91,48 +149,92 @@ donationSchema.statics.getChannelDonations = async function(roomId, limit = 50)
  */
 donationSchema.statics.getChannelTotalDonations = async function(roomId) {
   const result = await this.aggregate([
-    { $match: { roomId, status: 'completed' } },
+    { $match: { roomId: toObjectId(roomId, 'roomId'), status: 'completed' } },
     { $group: { _id: null, total: { $sum: '$amount' } } }
   ]);
   
   return result.length > 0 ? result[0].total : 0;
 };
 
+/**
+ * Aggregation pipeline ranking donors by total donated
+ * @param {Object} match - Donations to count
+ * @param {Number} limit - Maximum number of donors to return
+ * @returns {Array<Object>} Pipeline
+ */
+const topDonorsPipeline = (match, limit) => [
+  { $match: { ...match, status: 'completed' } },
+  { $group: { 
+    _id: '$userId', 
+    username: { $first: '$username' },
+    total: { $sum: '$amount' },
+    count: { $sum: 1 },
+    lastDonation: { $max: '$createdAt' }
+  }},
+  // Earlier donors win ties
+  { $sort: { total: -1, lastDonation: 1 } },
+  { $limit: limit }
+];
+
 /**
  * Get top donors for a channel
  * @param {ObjectId} roomId - Room/Channel ID
  * @param {Number} limit - Maximum number of donors to return
+ * @param {Object} filters - Optional filters
+ * @param {Date} filters.since - Only donations from this time
+ * @param {ObjectId} filters.streamId - Only donations made during this stream
  * @returns {Promise<Array>} Top donors with total amounts
  */
-donationSchema.statics.getChannelTopDonors = async function(roomId, limit = 10) {
-  return this.aggregate([
-    { $match: { roomId, status: 'completed' } },
-    { $group: { 
-      _id: '$userId', 
-      username: { $first: '$username' },
-      total: { $sum: '$amount' },
-      count: { $sum: 1 },
-      lastDonation: { $max: '$createdAt' }
-    }},
-    { $sort: { total: -1 } },
-    { $limit: limit }
-  ]);
+donationSchema.statics.getChannelTopDonors = async function(roomId, limit = 10, filters = {}) {
+  const match = { roomId: toObjectId(roomId, 'roomId') };
+
+  if (filters.since) {
+    match.createdAt = { $gte: filters.since };
+  }
+
+  if (filters.streamId) {
+    match.streamId = toObjectId(filters.streamId, 'streamId');
+  }
+
+  return this.aggregate(topDonorsPipeline(match, limit));
+};
+
+/**
+ * Get top donors across all channels
+ * @param {Number} limit - Maximum number of donors to return
+ * @param {Object} filters - Optional filters
+ * @param {Date} filters.since - Only donations from this time
+ * @returns {Promise<Array>} Top donors with total amounts
+ */
+donationSchema.statics.getGlobalTopDonors = async function(limit = 10, filters = {}) {
+  const match = {};
+
+  if (filters.since) {
+    match.createdAt = { $gte: filters.since };
+  }
+
+  return this.aggregate(topDonorsPipeline(match, limit));
 };
 
 /**
- * Refund a donation
+ * Mark a completed donation as refunded (token movements are reversed by the donation service)
  * @param {ObjectId} donationId - Donation ID
  * @param {String} reason - Refund reason
- * @returns {Promise<Object>} Updated donation
+ * @param {Object} options - Optional settings
+ * @param {ObjectId} options.refundedBy - Admin or broadcaster issuing the refund
+ * @param {ClientSession} options.session - MongoDB session to write in
+ * @returns {Promise<Object|null>} Updated donation, or null if it wasn't found or was already refunded
  */
-donationSchema.statics.refundDonation = async function(donationId, reason) {
-  return this.findByIdAndUpdate(
-    donationId,
+donationSchema.statics.refundDonation = async function(donationId, reason, { refundedBy = null, session = null } = {}) {
+  return this.findOneAndUpdate(
+    { _id: donationId, status: 'completed' },
     { 
       status: 'refunded',
-      refundReason: reason 
+      refundReason: reason,
+      refundedAt: new Date(),
+      refundedBy
     },
-    { new: true }
+    { new: true, session }
   );
 };
 
@@ -0,0 +1,190 @@
+/**
+ * Donation Goal Model
+ * A channel's donation target (e.g. "Road to 10,000 tokens") and its progress
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const Donation = require('./Donation');
+
+const donationGoalSchema = new Schema({
+  channelId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Channel',
+    required: true
+  },
+  // Broadcaster or admin who set the goal
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  targetAmount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  currentAmount: {
+    type: Number,
+    default: 0
+  },
+  // Donations stop counting after this (null runs until the goal is ended)
+  deadline: {
+    type: Date,
+    default: null
+  },
+  // Donation effect types that count towards the goal (empty counts every donation)
+  effectTypes: [{
+    type: String,
+    enum: Donation.schema.path('effectType').enumValues
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'ended'],
+    default: 'active'
+  },
+  // When progress first reached the target (the goal keeps counting afterwards)
+  reachedAt: {
+    type: Date,
+    default: null
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient querying
+donationGoalSchema.index({ channelId: 1, createdAt: -1 });
+
+// One active goal per channel
+donationGoalSchema.index(
+  { channelId: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+/**
+ * Query for a channel's goal that is still collecting donations
+ * @param {ObjectId} channelId - Channel ID
+ * @param {Date} now - Current time
+ * @returns {Object} Query
+ */
+const activeGoalQuery = (channelId, now) => ({
+  channelId,
+  status: 'active',
+  $or: [{ deadline: null }, { deadline: { $gt: now } }]
+});
+
+/**
+ * Get a channel's active goal
+ * @param {ObjectId} channelId - Channel ID
+ * @returns {Promise<Object|null>} Goal, or null if there is none or its deadline has passed
+ */
+donationGoalSchema.statics.getActiveGoal = async function(channelId) {
+  return this.findOne(activeGoalQuery(channelId, new Date())).lean();
+};
+
+/**
+ * Start a goal, ending the channel's current one
+ * @param {Object} goalData - Goal ({ channelId, createdBy, title, targetAmount, deadline, effectTypes })
+ * @returns {Promise<Object>} Created goal
+ */
+donationGoalSchema.statics.startGoal = async function(goalData) {
+  await this.endGoal(goalData.channelId);
+
+  return this.create(goalData);
+};
+
+/**
+ * End a channel's active goal
+ * @param {ObjectId} channelId - Channel ID
+ * @returns {Promise<Object|null>} Ended goal, or null if there was none
+ */
+donationGoalSchema.statics.endGoal = async function(channelId) {
+  return this.findOneAndUpdate(
+    { channelId, status: 'active' },
+    { status: 'ended', endedAt: new Date() },
+    { new: true }
+  );
+};
+
+/**
+ * Count a donation towards the channel's active goal
+ * @param {ObjectId} channelId - Channel ID
+ * @param {Number} amount - Donated tokens
+ * @param {String} effectType - Donation effect type
+ * @param {Object} options - Optional settings
+ * @param {ClientSession} options.session - MongoDB session to write in
+ * @returns {Promise<Object|null>} Progress ({ goal, reached }), or null if no goal counts the donation;
+ *   reached is true only for the donation that first met the target
+ */
+donationGoalSchema.statics.addDonation = async function(channelId, amount, effectType, { session = null } = {}) {
+  const now = new Date();
+
+  // One update adds the amount and stamps reachedAt, so exactly one donation sees the goal reached
+  const goal = await this.findOneAndUpdate(
+    {
+      $and: [
+        activeGoalQuery(channelId, now),
+        { $or: [{ effectTypes: { $size: 0 } }, { effectTypes: effectType }] }
+      ]
+    },
+    [
+      { $set: { currentAmount: { $add: ['$currentAmount', amount] } } },
+      {
+        $set: {
+          reachedAt: {
+            $cond: [
+              { $and: [{ $eq: ['$reachedAt', null] }, { $gte: ['$currentAmount', '$targetAmount'] }] },
+              now,
+              '$reachedAt'
+            ]
+          }
+        }
+      }
+    ],
+    { new: true, session }
+  ).lean();
+
+  if (!goal) {
+    return null;
+  }
+
+  return {
+    goal,
+    reached: goal.reachedAt !== null && goal.reachedAt.getTime() === now.getTime()
+  };
+};
+
+/**
+ * Take a refunded donation off a goal's progress (ended goals keep their final total)
+ * @param {ObjectId} goalId - Goal the donation counted towards
+ * @param {Number} amount - Refunded tokens
+ * @param {Object} options - Optional settings
+ * @param {ClientSession} options.session - MongoDB session to write in
+ * @returns {Promise<Object|null>} Updated goal, or null if it has ended
+ */
+donationGoalSchema.statics.removeDonation = async function(goalId, amount, { session = null } = {}) {
+  return this.findOneAndUpdate(
+    { _id: goalId, status: 'active' },
+    [{ $set: { currentAmount: { $max: [{ $subtract: ['$currentAmount', amount] }, 0] } } }],
+    { new: true, session }
+  ).lean();
+};
+
+// Create model
+const DonationGoal = mongoose.model('DonationGoal', donationGoalSchema);
+
+module.exports = DonationGoal;
@@ -0,0 +1,133 @@
+/**
+ * Held Message Model
+ * Chat messages held by AutoMod until a moderator approves or denies them; entries expire automatically
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const heldMessageSchema = new Schema({
+  roomId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Channel',
+    required: true
+  },
+  // Message exactly as it will be broadcast if approved
+  message: {
+    type: Schema.Types.Mixed,
+    required: true
+  },
+  // Sender's socket, used to reach guests who have no user room
+  socketId: {
+    type: String
+  },
+  // AutoMod rule that held the message
+  rule: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'denied'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    username: {
+      type: String
+    }
+  },
+  reviewedAt: {
+    type: Date
+  },
+  expireAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient querying of a room's review queue
+heldMessageSchema.index({ roomId: 1, status: 1, createdAt: 1 });
+
+// TTL index removes stale entries; queries still check expireAt since TTL cleanup runs periodically
+heldMessageSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Hold a message for review
+ * @param {Object} heldData - Held message data
+ * @param {ObjectId} heldData.roomId - Room ID
+ * @param {Object} heldData.message - Message to broadcast if approved
+ * @param {String} heldData.socketId - Sender's socket ID
+ * @param {String} heldData.rule - AutoMod rule that fired
+ * @param {String} heldData.reason - Reason shown to moderators
+ * @param {Number} ttl - Seconds before the held message expires unreviewed
+ * @returns {Promise<Object>} Held message
+ */
+heldMessageSchema.statics.holdMessage = async function({ roomId, message, socketId, rule, reason = '' }, ttl) {
+  const heldMessage = await this.create({
+    roomId,
+    message,
+    socketId,
+    rule,
+    reason,
+    expireAt: new Date(Date.now() + ttl * 1000)
+  });
+
+  return heldMessage.toObject();
+};
+
+/**
+ * Get a room's pending held messages
+ * @param {ObjectId} roomId - Room ID
+ * @param {Number} limit - Maximum number of messages to return
+ * @returns {Promise<Array>} Pending messages, oldest first
+ */
+heldMessageSchema.statics.getPendingMessages = async function(roomId, limit = 50) {
+  return this.find({
+    roomId,
+    status: 'pending',
+    expireAt: { $gt: new Date() }
+  })
+  .sort({ createdAt: 1 })
+  .limit(limit)
+  .lean();
+};
+
+/**
+ * Approve or deny a pending held message; only the first review succeeds
+ * @param {ObjectId} roomId - Room ID
+ * @param {ObjectId} heldId - Held message ID
+ * @param {String} status - 'approved' or 'denied'
+ * @param {Object} reviewedBy - Moderator ({ userId, username })
+ * @returns {Promise<Object|null>} Reviewed message, or null if already reviewed or expired
+ */
+heldMessageSchema.statics.review = async function(roomId, heldId, status, reviewedBy) {
+  return this.findOneAndUpdate(
+    {
+      _id: heldId,
+      roomId,
+      status: 'pending',
+      expireAt: { $gt: new Date() }
+    },
+    { $set: { status, reviewedBy, reviewedAt: new Date() } },
+    { new: true, runValidators: true }
+  ).lean();
+};
+
+// Create model
+const HeldMessage = mongoose.model('HeldMessage', heldMessageSchema);
+
+module.exports = HeldMessage;
@@ -0,0 +1,231 @@
+/**
+ * Moderation Log Model
+ * Audit trail of moderation actions taken in each channel
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Actions announced in chat, and how each is described in search results
+const NOTICE_ACTIONS = {
+  timeout: entry => `${entry.target.username} has been timed out for ${entry.duration} seconds by ${entry.actor.username}`,
+  untimeout: entry => `${entry.target.username}'s timeout was removed by ${entry.actor.username}`,
+  ban: entry => `${entry.target.username || 'A user'} has been banned by ${entry.actor.username}`,
+  clear: entry => `Chat has been cleared by ${entry.actor.username}`,
+  chat_mode: entry => `Chat mode changed by ${entry.actor.username}`,
+  automod_level: entry => `AutoMod level changed by ${entry.actor.username}`,
+  link_permit: entry => `${entry.target.username} was permitted to post a link by ${entry.actor.username}`
+};
+
+const moderationLogSchema = new Schema({
+  channelId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Channel',
+    required: true,
+    index: true
+  },
+  action: {
+    type: String,
+    enum: [
+      'timeout',
+      'untimeout',
+      'ban',
+      'unban',
+      'clear',
+      'purge',
+      'mod_add',
+      'mod_remove',
+      'chat_mode',
+      'automod_level',
+      'automod_approve',
+      'automod_deny',
+      'link_permit',
+      'message_pin',
+      'message_unpin',
+      'donation_refund'
+    ],
+    required: true
+  },
+  // Moderator who took the action
+  actor: {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    username: {
+      type: String
+    }
+  },
+  // User the action was taken against (empty for room-wide actions)
+  target: {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    username: {
+      type: String
+    }
+  },
+  reason: {
+    type: String,
+    default: ''
+  },
+  // Duration in seconds (timeouts and temporary bans)
+  duration: {
+    type: Number,
+    default: null
+  },
+  // Action-specific details (e.g. messages purged, new chat mode)
+  details: {
+    type: Schema.Types.Mixed,
+    default: {}
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient querying
+moderationLogSchema.index({ channelId: 1, createdAt: -1 });
+moderationLogSchema.index({ channelId: 1, action: 1, createdAt: -1 });
+moderationLogSchema.index({ channelId: 1, 'target.userId': 1, createdAt: -1 });
+
+/**
+ * Record a moderation action
+ * @param {Object} entry - Log entry
+ * @param {ObjectId} entry.channelId - Channel ID
+ * @param {String} entry.action - Action type
+ * @param {Object} entry.actor - Moderator ({ userId, username })
+ * @param {Object} entry.target - Target user ({ userId, username })
+ * @param {String} entry.reason - Reason given
+ * @param {Number} entry.duration - Duration in seconds
+ * @param {Object} entry.details - Extra details
+ * @returns {Promise<Object>} Created log entry
+ */
+moderationLogSchema.statics.logAction = async function({ channelId, action, actor = {}, target = {}, reason = '', duration = null, details = {} }) {
+  return this.create({
+    channelId,
+    action,
+    actor,
+    target,
+    reason,
+    duration,
+    details
+  });
+};
+
+/**
+ * Get moderation log entries for a channel
+ * @param {ObjectId} channelId - Channel ID
+ * @param {Object} filters - Optional filters
+ * @param {String} filters.action - Only this action type
+ * @param {ObjectId} filters.targetUserId - Only actions against this user
+ * @param {ObjectId} filters.actorUserId - Only actions by this moderator
+ * @param {Date} filters.before - Entries before this timestamp
+ * @param {Number} limit - Maximum number of entries to return
+ * @returns {Promise<Array>} Log entries, newest first
+ */
+moderationLogSchema.statics.getChannelLog = async function(channelId, filters = {}, limit = 50) {
+  const query = { channelId };
+
+  if (filters.action) {
+    query.action = filters.action;
+  }
+
+  if (filters.targetUserId) {
+    query['target.userId'] = filters.targetUserId;
+  }
+
+  if (filters.actorUserId) {
+    query['actor.userId'] = filters.actorUserId;
+  }
+
+  if (filters.before) {
+    query.createdAt = { $lt: filters.before };
+  }
+
+  return this.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+};
+
+/**
+ * Search a channel's moderation notices (the actions announced in chat) like chat messages
+ * @param {ObjectId} channelId - Channel ID
+ * @param {Object} filters - Optional filters
+ * @param {String} filters.username - Moderator or target username (case-insensitive)
+ * @param {String} filters.keyword - Text to look for in the reason
+ * @param {Date} filters.from - Entries at or after this time
+ * @param {Date} filters.to - Entries at or before this time
+ * @param {Object} page - Pagination options
+ * @param {Object} page.position - Position to page from ({ createdAt, id }), or null
+ * @param {Boolean} page.newer - Page towards newer entries
+ * @param {Number} page.limit - Maximum number of entries to return
+ * @returns {Promise<Array>} Notices shaped like chat messages (type 'moderation'), in page order
+ */
+moderationLogSchema.statics.searchNotices = async function(channelId, filters = {}, { position = null, newer = false, limit = 50 } = {}) {
+  const conditions = [{ channelId, action: { $in: Object.keys(NOTICE_ACTIONS) } }];
+
+  if (filters.username) {
+    const username = new RegExp(`^${escapeRegex(filters.username)}$`, 'i');
+    conditions.push({ $or: [{ 'actor.username': username }, { 'target.username': username }] });
+  }
+
+  if (filters.keyword) {
+    conditions.push({ reason: new RegExp(escapeRegex(filters.keyword), 'i') });
+  }
+
+  if (filters.from || filters.to) {
+    const range = {};
+    if (filters.from) range.$gte = filters.from;
+    if (filters.to) range.$lte = filters.to;
+    conditions.push({ createdAt: range });
+  }
+
+  if (position) {
+    const op = newer ? '$gt' : '$lt';
+    conditions.push({
+      $or: [
+        { createdAt: { [op]: position.createdAt } },
+        { createdAt: position.createdAt, _id: { [op]: position.id } }
+      ]
+    });
+  }
+
+  const sortOrder = newer ? 1 : -1;
+
+  const entries = await this.find({ $and: conditions })
+    .sort({ createdAt: sortOrder, _id: sortOrder })
+    .limit(limit)
+    .lean();
+
+  return entries.map(entry => ({
+    _id: entry._id,
+    roomId: entry.channelId,
+    type: 'moderation',
+    action: entry.action,
+    user: entry.actor,
+    target: entry.target,
+    content: NOTICE_ACTIONS[entry.action]({ ...entry, actor: entry.actor || {}, target: entry.target || {} }),
+    reason: entry.reason,
+    duration: entry.duration,
+    isDeleted: false,
+    createdAt: entry.createdAt
+  }));
+};
+
+/**
+ * Escape text for use in a regular expression
+ * @param {String} text - Text
+ * @returns {String} Escaped text
+ */
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Create model
+const ModerationLog = mongoose.model('ModerationLog', moderationLogSchema);
+
+module.exports = ModerationLog;
@@ -0,0 +1,240 @@
+/**
+ * Poll Model
+ * Stores chat polls created with the /poll command and their vote tallies (votes are PollVotes)
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const PollVote = require('./PollVote');
+
+// MongoDB duplicate key error
+const DUPLICATE_KEY_ERROR_CODE = 11000;
+
+const pollSchema = new Schema({
+  roomId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Channel',
+    required: true,
+    index: true
+  },
+  createdBy: {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    username: {
+      type: String,
+      required: true
+    }
+  },
+  question: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  options: [{
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100
+    },
+    votes: {
+      type: Number,
+      default: 0
+    },
+    weight: {
+      type: Number,
+      default: 0
+    }
+  }],
+  weighted: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['active', 'closed'],
+    default: 'active',
+    index: true
+  },
+  duration: {
+    type: Number,
+    required: true,
+    min: 10
+  },
+  endsAt: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  closedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient querying
+pollSchema.index({ roomId: 1, createdAt: -1 });
+pollSchema.index({ status: 1, endsAt: 1 });
+
+// One active poll per room
+pollSchema.index(
+  { roomId: 1, status: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+/**
+ * Create a new poll for a room
+ * @param {Object} pollData - Poll data
+ * @param {ObjectId} pollData.roomId - Room/Channel ID
+ * @param {Object} pollData.createdBy - Creator ({ userId, username })
+ * @param {String} pollData.question - Poll question
+ * @param {Array<String>} pollData.options - Option labels
+ * @param {Number} pollData.duration - Poll duration in seconds
+ * @param {Boolean} pollData.weighted - Whether votes are weighted by tier
+ * @returns {Promise<Object>} Created poll (throws a duplicate key error if the room has an active poll)
+ */
+pollSchema.statics.createPoll = async function({ roomId, createdBy, question, options, duration, weighted = false }) {
+  return this.create({
+    roomId,
+    createdBy,
+    question,
+    options: options.map(text => ({ text, votes: 0, weight: 0 })),
+    weighted,
+    duration,
+    endsAt: new Date(Date.now() + duration * 1000),
+    status: 'active'
+  });
+};
+
+/**
+ * Get the currently active poll for a room
+ * @param {ObjectId} roomId - Room/Channel ID
+ * @returns {Promise<Object|null>} Active poll or null
+ */
+pollSchema.statics.getActivePoll = async function(roomId) {
+  return this.findOne({
+    roomId,
+    status: 'active',
+    endsAt: { $gt: new Date() }
+  })
+    .sort({ createdAt: -1 })
+    .lean();
+};
+
+/**
+ * Cast a vote on a poll
+ * Only one vote per user is accepted: the vote's unique index decides, then the tally is updated
+ * @param {ObjectId} pollId - Poll ID
+ * @param {ObjectId} userId - Voting user ID
+ * @param {Number} optionIndex - Zero-based option index
+ * @param {Number} weight - Vote weight (1 for unweighted polls)
+ * @returns {Promise<Object|null>} Updated poll, or null if the vote was rejected
+ */
+pollSchema.statics.castVote = async function(pollId, userId, optionIndex, weight = 1) {
+  try {
+    await PollVote.create({ pollId, userId, optionIndex, weight, votedAt: new Date() });
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY_ERROR_CODE) {
+      return null;
+    }
+    throw error;
+  }
+
+  const poll = await this.findOneAndUpdate(
+    {
+      _id: pollId,
+      status: 'active',
+      endsAt: { $gt: new Date() },
+      [`options.${optionIndex}`]: { $exists: true }
+    },
+    {
+      $inc: {
+        [`options.${optionIndex}.votes`]: 1,
+        [`options.${optionIndex}.weight`]: weight
+      }
+    },
+    { new: true }
+  ).lean();
+
+  // The poll ended (or the option doesn't exist), so the vote doesn't count
+  if (!poll) {
+    await PollVote.deleteOne({ pollId, userId });
+  }
+
+  return poll;
+};
+
+/**
+ * Check whether a user has already voted on a poll
+ * @param {ObjectId} pollId - Poll ID
+ * @param {ObjectId} userId - User ID
+ * @returns {Promise<Boolean>} True if the user has voted
+ */
+pollSchema.statics.hasVoted = async function(pollId, userId) {
+  const vote = await PollVote.exists({ pollId, userId });
+  return !!vote;
+};
+
+/**
+ * Close a poll
+ * Only the first caller closes the poll, so multiple server instances can race safely
+ * @param {ObjectId} pollId - Poll ID
+ * @returns {Promise<Object|null>} Closed poll, or null if it was already closed
+ */
+pollSchema.statics.closePoll = async function(pollId) {
+  return this.findOneAndUpdate(
+    { _id: pollId, status: 'active' },
+    { status: 'closed', closedAt: new Date() },
+    { new: true }
+  ).lean();
+};
+
+/**
+ * Get active polls whose end time has passed
+ * @param {Number} limit - Maximum number of polls to return
+ * @returns {Promise<Array>} Expired polls
+ */
+pollSchema.statics.getExpiredPolls = async function(limit = 100) {
+  return this.find({
+    status: 'active',
+    endsAt: { $lte: new Date() }
+  })
+    .select('_id roomId')
+    .limit(limit)
+    .lean();
+};
+
+/**
+ * Get poll history for a room
+ * @param {ObjectId} roomId - Room/Channel ID
+ * @param {Number} limit - Maximum number of polls to return
+ * @param {Date} before - Get polls created before this timestamp
+ * @returns {Promise<Array>} Polls
+ */
+pollSchema.statics.getRoomPolls = async function(roomId, limit = 20, before = null) {
+  const query = { roomId };
+
+  if (before) {
+    query.createdAt = { $lt: before };
+  }
+
+  return this.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+};
+
+// Create model
+const Poll = mongoose.model('Poll', pollSchema);
+
+module.exports = Poll;
@@ -0,0 +1,40 @@
+/**
+ * Poll Vote Model
+ * One document per vote, kept out of the poll so busy polls don't grow the poll document
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const pollVoteSchema = new Schema({
+  pollId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Poll',
+    required: true
+  },
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  optionIndex: {
+    type: Number,
+    required: true
+  },
+  weight: {
+    type: Number,
+    default: 1
+  },
+  votedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One vote per user and poll
+pollVoteSchema.index({ pollId: 1, userId: 1 }, { unique: true });
+
+// Create model
+const PollVote = mongoose.model('PollVote', pollVoteSchema);
+
+module.exports = PollVote;
@@ -0,0 +1,102 @@
+/**
+ * Stream Session Model
+ * One broadcast of a channel, from going live to going offline; donations made while live are tagged with it
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const streamSessionSchema = new Schema({
+  channelId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Channel',
+    required: true
+  },
+  // Broadcaster or admin who started the stream
+  startedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 140,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['live', 'ended'],
+    default: 'live'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  endedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient querying
+streamSessionSchema.index({ channelId: 1, startedAt: -1 });
+
+// One live stream per channel
+streamSessionSchema.index(
+  { channelId: 1 },
+  { unique: true, partialFilterExpression: { status: 'live' } }
+);
+
+/**
+ * Get a channel's live stream
+ * @param {ObjectId} channelId - Channel ID
+ * @returns {Promise<Object|null>} Stream, or null if the channel is offline
+ */
+streamSessionSchema.statics.getLiveStream = async function(channelId) {
+  return this.findOne({ channelId, status: 'live' }).lean();
+};
+
+/**
+ * Start a stream, ending the channel's current one
+ * @param {Object} streamData - Stream ({ channelId, startedBy, title })
+ * @returns {Promise<Object>} Created stream
+ */
+streamSessionSchema.statics.startStream = async function(streamData) {
+  await this.endStream(streamData.channelId);
+
+  return this.create(streamData);
+};
+
+/**
+ * End a channel's live stream
+ * @param {ObjectId} channelId - Channel ID
+ * @returns {Promise<Object|null>} Ended stream, or null if the channel wasn't live
+ */
+streamSessionSchema.statics.endStream = async function(channelId) {
+  return this.findOneAndUpdate(
+    { channelId, status: 'live' },
+    { status: 'ended', endedAt: new Date() },
+    { new: true }
+  ).lean();
+};
+
+/**
+ * Get a channel's most recent streams
+ * @param {ObjectId} channelId - Channel ID
+ * @param {Number} limit - Maximum number of streams to return
+ * @returns {Promise<Array>} Streams, newest first
+ */
+streamSessionSchema.statics.getRecentStreams = async function(channelId, limit = 10) {
+  return this.find({ channelId })
+    .sort({ startedAt: -1 })
+    .limit(limit)
+    .lean();
+};
+
+// Create model
+const StreamSession = mongoose.model('StreamSession', streamSessionSchema);
+
+module.exports = StreamSession;
@@ -0,0 +1,90 @@
+/**
+ * User Block Model
+ * Tracks users who have blocked other users from contacting them
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const userBlockSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  blockedUserId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Create compound index for efficient lookups and enforcing uniqueness
+userBlockSchema.index({ userId: 1, blockedUserId: 1 }, { unique: true });
+
+/**
+ * Check if either user has blocked the other
+ * @param {ObjectId} userA - First user ID
+ * @param {ObjectId} userB - Second user ID
+ * @returns {Promise<Boolean>} True if a block exists in either direction
+ */
+userBlockSchema.statics.isBlockedEitherWay = async function(userA, userB) {
+  const block = await this.exists({
+    $or: [
+      { userId: userA, blockedUserId: userB },
+      { userId: userB, blockedUserId: userA }
+    ]
+  });
+
+  return !!block;
+};
+
+/**
+ * Block a user
+ * @param {ObjectId} userId - User doing the blocking
+ * @param {ObjectId} blockedUserId - User being blocked
+ * @returns {Promise<Object>} Block document
+ */
+userBlockSchema.statics.blockUser = async function(userId, blockedUserId) {
+  return this.findOneAndUpdate(
+    { userId, blockedUserId },
+    { $setOnInsert: { userId, blockedUserId, createdAt: new Date() } },
+    { new: true, upsert: true }
+  );
+};
+
+/**
+ * Unblock a user
+ * @param {ObjectId} userId - User who created the block
+ * @param {ObjectId} blockedUserId - Blocked user
+ * @returns {Promise<Boolean>} True if a block was removed
+ */
+userBlockSchema.statics.unblockUser = async function(userId, blockedUserId) {
+  const result = await this.deleteOne({ userId, blockedUserId });
+  return result.deletedCount > 0;
+};
+
+/**
+ * Get users blocked by a user
+ * @param {ObjectId} userId - User ID
+ * @returns {Promise<Array>} List of blocks
+ */
+userBlockSchema.statics.getBlockedUsers = async function(userId) {
+  return this.find({ userId })
+    .populate('blockedUserId', 'username profileImage')
+    .sort({ createdAt: -1 })
+    .lean();
+};
+
+// Create model
+const UserBlock = mongoose.model('UserBlock', userBlockSchema);
+
+module.exports = UserBlock;
@@ -103,6 +103,23 @@ userFollowSchema.statics.isFollowing = async function(userId, channelId) {
   return !!follow;
 };
 
+/**
+ * Get when a user started following a channel
+ * @param {ObjectId} userId - User ID
+ * @param {ObjectId} channelId - Channel ID
+ * @returns {Promise<Date|null>} Follow date or null if not following
+ */
+userFollowSchema.statics.getFollowDate = async function(userId, channelId) {
+  const follow = await this.findOne({
+    userId,
+    followingId: channelId
+  })
+  .select('createdAt')
+  .lean();
+  
+  return follow ? follow.createdAt : null;
+};
+
 /**
  * Follow a channel
  * @param {ObjectId} userId - User ID
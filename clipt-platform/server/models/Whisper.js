@@ -0,0 +1,204 @@
+/**
+ * Whisper Model
+ * Stores private messages between users, grouped into conversations
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const whisperSchema = new Schema({
+  conversationId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  from: {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    username: {
+      type: String,
+      required: true
+    }
+  },
+  to: {
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    username: {
+      type: String,
+      required: true
+    }
+  },
+  content: {
+    type: String,
+    required: true,
+    maxlength: 500
+  },
+  parsedContent: {
+    type: String,
+    default: ''
+  },
+  emotes: [{
+    id: String,
+    code: String,
+    url: String,
+    width: Number,
+    height: Number
+  }],
+  // Room the whisper was sent from, if any
+  roomId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Channel'
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient querying
+whisperSchema.index({ conversationId: 1, createdAt: -1 });
+whisperSchema.index({ 'to.userId': 1, readAt: 1 });
+whisperSchema.index({ 'from.userId': 1, createdAt: -1 });
+
+// TTL index for auto-deletion after 90 days
+whisperSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+/**
+ * Build the conversation ID for two users (order independent)
+ * @param {ObjectId|String} userA - First user ID
+ * @param {ObjectId|String} userB - Second user ID
+ * @returns {String} Conversation ID
+ */
+whisperSchema.statics.getConversationId = function(userA, userB) {
+  return [userA.toString(), userB.toString()].sort().join(':');
+};
+
+/**
+ * Store a whisper
+ * @param {Object} whisperData - Whisper data
+ * @param {Object} whisperData.from - Sender ({ userId, username })
+ * @param {Object} whisperData.to - Recipient ({ userId, username })
+ * @param {String} whisperData.content - Message content
+ * @returns {Promise<Object>} Created whisper
+ */
+whisperSchema.statics.sendWhisper = async function({ from, to, content, parsedContent = '', emotes = [], roomId = null }) {
+  return this.create({
+    conversationId: this.getConversationId(from.userId, to.userId),
+    from,
+    to,
+    content,
+    parsedContent,
+    emotes,
+    roomId
+  });
+};
+
+/**
+ * Get messages in a conversation between two users
+ * @param {ObjectId} userId - Requesting user ID
+ * @param {ObjectId} otherUserId - Other participant ID
+ * @param {Number} limit - Maximum number of messages to return
+ * @param {Date} before - Get messages before this timestamp
+ * @returns {Promise<Array>} Messages (oldest first)
+ */
+whisperSchema.statics.getConversation = async function(userId, otherUserId, limit = 50, before = null) {
+  const query = {
+    conversationId: this.getConversationId(userId, otherUserId)
+  };
+
+  if (before) {
+    query.createdAt = { $lt: before };
+  }
+
+  const messages = await this.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+
+  return messages.reverse();
+};
+
+/**
+ * Get a user's whisper inbox: one entry per conversation with the latest message and unread count
+ * @param {ObjectId} userId - User ID
+ * @param {Number} limit - Maximum number of conversations to return
+ * @returns {Promise<Array>} Conversations, most recent first
+ */
+whisperSchema.statics.getInbox = async function(userId, limit = 20) {
+  const id = new mongoose.Types.ObjectId(userId);
+
+  return this.aggregate([
+    { $match: { $or: [{ 'from.userId': id }, { 'to.userId': id }] } },
+    { $sort: { createdAt: -1 } },
+    { $group: {
+      _id: '$conversationId',
+      lastMessage: { $first: '$$ROOT' },
+      unreadCount: {
+        $sum: {
+          $cond: [
+            { $and: [{ $eq: ['$to.userId', id] }, { $eq: ['$readAt', null] }] },
+            1,
+            0
+          ]
+        }
+      }
+    }},
+    { $sort: { 'lastMessage.createdAt': -1 } },
+    { $limit: limit },
+    { $project: {
+      _id: 0,
+      conversationId: '$_id',
+      unreadCount: 1,
+      lastMessage: 1,
+      participant: {
+        $cond: [{ $eq: ['$lastMessage.from.userId', id] }, '$lastMessage.to', '$lastMessage.from']
+      }
+    }}
+  ]);
+};
+
+/**
+ * Mark all whispers from another user as read
+ * @param {ObjectId} userId - Recipient user ID
+ * @param {ObjectId} otherUserId - Sender user ID
+ * @returns {Promise<Number>} Number of whispers marked as read
+ */
+whisperSchema.statics.markConversationRead = async function(userId, otherUserId) {
+  const result = await this.updateMany(
+    {
+      conversationId: this.getConversationId(userId, otherUserId),
+      'to.userId': userId,
+      readAt: null
+    },
+    { readAt: new Date() }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Get the total number of unread whispers for a user
+ * @param {ObjectId} userId - User ID
+ * @returns {Promise<Number>} Unread count
+ */
+whisperSchema.statics.getUnreadCount = async function(userId) {
+  return this.countDocuments({ 'to.userId': userId, readAt: null });
+};
+
+// Create model
+const Whisper = mongoose.model('Whisper', whisperSchema);
+
+module.exports = Whisper;
@@ -32,6 +32,7 @@ const transactionSchema = new mongoose.Schema({
       'task_completion',
       'engagement',
       'subscription_bonus',
+      'donation_received',
       
       // Spending activities
       'boost_purchase',
@@ -42,6 +43,7 @@ const transactionSchema = new mongoose.Schema({
       'priority_question',
       'feature_unlock',
       'gift_to_user',
+      'donation',
       
       // Special
       'admin_adjustment',
@@ -90,6 +92,11 @@ const transactionSchema = new mongoose.Schema({
     ref: 'Subscription',
     index: true
   },
+  relatedDonationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Donation',
+    index: true
+  },
   // Admin-related fields
   adminId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -120,6 +127,7 @@ transactionSchema.index({ userId: 1, activity: 1, createdAt: -1 }); // User's ac
 transactionSchema.index({ createdAt: -1 }); // Global recent transactions
 
 // Static method to record a new transaction
+// Pass { session } to write it as part of a MongoDB transaction
 transactionSchema.statics.recordTransaction = async function({
   userId,
   type,
@@ -130,12 +138,13 @@ transactionSchema.statics.recordTransaction = async function({
   metadata = {},
   relatedBoostId = null,
   relatedSubscriptionId = null,
+  relatedDonationId = null,
   adminId = null,
   ipAddress = null,
   userAgent = null,
   deviceId = null
-}) {
-  return await this.create({
+}, { session = null } = {}) {
+  const [transaction] = await this.create([{
     userId,
     type,
     activity,
@@ -145,12 +154,15 @@ transactionSchema.statics.recordTransaction = async function({
     metadata,
     relatedBoostId,
     relatedSubscriptionId,
+    relatedDonationId,
     adminId,
     ipAddress,
     userAgent,
     deviceId,
     createdAt: new Date()
-  });
+  }], { session });
+  
+  return transaction;
 };
 
 // Method to get user's transaction history with pagination
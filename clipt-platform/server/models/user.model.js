@@ -44,6 +44,12 @@ const userSchema = new mongoose.Schema({
     type: Boolean, 
     default: false
   },
+  // Chat display color chosen with /color (null uses a generated color)
+  color: {
+    type: String,
+    default: null,
+    match: [/^#[0-9A-Fa-f]{6}$/, 'Color must be a hex color (e.g. #FF0000)']
+  },
   // Token Economy Specific Fields
   tokenBalance: {
     type: Number,
@@ -77,6 +83,11 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Show as "Anonymous" on donation leaderboards
+  anonymousDonor: {
+    type: Boolean,
+    default: false
+  },
   activeDaysStreak: {
     type: Number,
     default: 0
@@ -4,59 +4,1132 @@
  */
 
 const express = require('express');
+const { pipeline } = require('stream');
 const router = express.Router();
 const authMiddleware = require('../middleware/auth');
 const ChatMessage = require('../models/ChatMessage');
 const ChannelBan = require('../models/ChannelBan');
+const ChannelTimeout = require('../models/ChannelTimeout');
 const ChannelModerator = require('../models/ChannelModerator');
 const Donation = require('../models/Donation');
+const Poll = require('../models/Poll');
+const Whisper = require('../models/Whisper');
+const UserBlock = require('../models/UserBlock');
+const ChannelCommand = require('../models/ChannelCommand');
+const ModerationLog = require('../models/ModerationLog');
+const ChannelChatSettings = require('../models/ChannelChatSettings');
+const ChatNotification = require('../models/ChatNotification');
+const DonationGoal = require('../models/DonationGoal');
+const StreamSession = require('../models/StreamSession');
 const User = require('../models/User');
 const Channel = require('../models/Channel');
+const { formatPollResults } = require('../services/pollService');
+const { listCommands, PERMISSION_LEVELS } = require('../services/commandRegistry');
+const { logModerationAction, purgeUserMessages, publishModerationEvent } = require('../services/moderationService');
+const { invalidateLinkSettings } = require('../services/linkService');
+const { getChatters } = require('../services/presenceService');
+const {
+  DONATION_EFFECT_TYPES,
+  getEffectTiers,
+  normalizeEffectOverrides,
+  formatGoal,
+  refundDonation,
+  startGoal,
+  endGoal
+} = require('../services/donationService');
+const { EXPORT_FORMATS, createExportStream } = require('../services/chatExportService');
+const { LEADERBOARD_WINDOWS, getLeaderboard, invalidateAllLeaderboards } = require('../services/leaderboardService');
+const { normalizeDomain } = require('../utils/linkUtils');
+
+// Broadcasters can refund donations for this long; admins can refund at any time
+const BROADCASTER_REFUND_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalize command triggers from a request body (strip "!" and lowercase)
+ * @param {String|Array} value - Name or list of aliases
+ * @returns {Array<String>} Normalized triggers
+ */
+const normalizeTriggers = (value) => {
+  const list = Array.isArray(value) ? value : [value];
+  return list
+    .filter(trigger => typeof trigger === 'string')
+    .map(trigger => trigger.trim().replace(/^!/, '').toLowerCase())
+    .filter(Boolean);
+};
+
+/**
+ * Normalize a domain list from a request body (bare lowercase hostnames, no duplicates)
+ * @param {Array} value - Domains or URLs
+ * @returns {Array<String>|null} Normalized domains, or null if the value is not an array
+ */
+const normalizeDomainList = (value) => {
+  if (!Array.isArray(value)) {
+    return null;
+  }
+  
+  const domains = value
+    .filter(domain => typeof domain === 'string')
+    .map(normalizeDomain)
+    .filter(domain => domain.includes('.'));
+  
+  return [...new Set(domains)];
+};
+
+/**
+ * Parse a date query parameter given as a millisecond timestamp or ISO string
+ * @param {String} value - Query value
+ * @returns {Date|null|false} Date, null if not given, or false if invalid
+ */
+const parseDateParam = (value) => {
+  if (!value) {
+    return null;
+  }
+  
+  const date = /^\d+$/.test(value) ? new Date(parseInt(value, 10)) : new Date(value);
+  
+  return Number.isNaN(date.getTime()) ? false : date;
+};
+
+/**
+ * @route GET /api/chat/messages/:channelId
+ * @desc Get chat messages for a channel
+ * @access Public
+ */
+router.get('/messages/:channelId', async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    const { limit = 50, before } = req.query;
+    
+    const parsedLimit = parseInt(limit, 10);
+    const beforeDate = before ? new Date(parseInt(before, 10)) : null;
+    
+    // Verify channel exists
+    const channel = await Channel.findById(channelId);
+    if (!channel) {
+      return res.status(404).json({ message: 'Channel not found' });
+    }
+    
+    // Get messages
+    const messages = await ChatMessage.getRoomMessages(
+      channelId,
+      Math.min(parsedLimit, 100), // Cap limit to 100
+      beforeDate
+    );
+    
+    return res.json(messages);
+  } catch (error) {
+    console.error('Error fetching chat messages:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route GET /api/chat/messages/:channelId/search
+ * @desc Search a channel's chat history by username, keyword, date range and type, with cursor pagination
+ * @access Private (Moderators only)
+ */
+router.get('/messages/:channelId/search', authMiddleware, async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    const {
+      username,
+      keyword,
+      from,
+      to,
+      type,
+      includeDeleted,
+      cursor,
+      direction = 'older',
+      limit = 50
+    } = req.query;
+    
+    const parsedLimit = parseInt(limit, 10) || 50;
+    const fromDate = parseDateParam(from);
+    const toDate = parseDateParam(to);
+    const types = type ? String(type).split(',').map(t => t.trim()).filter(Boolean) : [];
+    
+    if (fromDate === false || toDate === false || (fromDate && toDate && fromDate > toDate)) {
+      return res.status(400).json({ message: 'Invalid date range' });
+    }
+    
+    if (!['older', 'newer'].includes(direction)) {
+      return res.status(400).json({ message: 'Direction must be "older" or "newer"' });
+    }
+    
+    const validTypes = ChatMessage.schema.path('type').enumValues;
+    if (types.some(t => !validTypes.includes(t))) {
+      return res.status(400).json({ message: `Type must be one of: ${validTypes.join(', ')}` });
+    }
+    
+    // Verify channel exists
+    const channel = await Channel.findById(channelId);
+    if (!channel) {
+      return res.status(404).json({ message: 'Channel not found' });
+    }
+    
+    // Check if user has permission
+    const isModerator = await ChannelModerator.isUserModerator(channelId, req.user.id);
+    const isOwner = channel.ownerId.toString() === req.user.id;
+    const isAdmin = req.user.isAdmin;
+    
+    if (!isModerator && !isOwner && !isAdmin) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+    
+    const result = await ChatMessage.searchRoomMessages(
+      channelId,
+      {
+        username: username ? String(username).replace(/^@/, '') : null,
+        keyword: keyword ? String(keyword) : null,
+        from: fromDate,
+        to: toDate,
+        types,
+        includeDeleted: includeDeleted === 'true'
+      },
+      {
+        cursor: cursor || null,
+        direction,
+        limit: Math.min(parsedLimit, 100) // Cap limit to 100
+      }
+    );
+    
+    return res.json(result);
+  } catch (error) {
+    if (error.name === 'CursorError') {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid channel ID' });
+    }
+    console.error('Error searching chat messages:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route GET /api/chat/messages/:channelId/:messageId/history
+ * @desc Get a message's current and previous versions
+ * @access Private (Moderators only)
+ */
+router.get('/messages/:channelId/:messageId/history', authMiddleware, async (req, res) => {
+  try {
+    const { channelId, messageId } = req.params;
+    
+    // Verify channel exists
+    const channel = await Channel.findById(channelId);
+    if (!channel) {
+      return res.status(404).json({ message: 'Channel not found' });
+    }
+    
+    // Check if user has permission
+    const isModerator = await ChannelModerator.isUserModerator(channelId, req.user.id);
+    const isOwner = channel.ownerId.toString() === req.user.id;
+    const isAdmin = req.user.isAdmin;
+    
+    if (!isModerator && !isOwner && !isAdmin) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+    
+    const message = await ChatMessage.findOne({ _id: messageId, roomId: channelId })
+      .select('user content parsedContent createdAt editedAt editHistory isDeleted deletedAt')
+      .lean();
+    
+    if (!message) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+    
+    return res.json(message);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid channel or message ID' });
+    }
+    console.error('Error fetching message history:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route GET /api/chat/export/:channelId
+ * @desc Download a channel's chat log for a time range as JSON Lines, CSV or IRC-style text
+ * @access Private (Channel owner, moderators or admin)
+ */
+router.get('/export/:channelId', authMiddleware, async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    const { format = 'jsonl', from, to, includeModeration } = req.query;
+    
+    const fromDate = parseDateParam(from);
+    // The range runs up to now unless an end is given
+    const toDate = to ? parseDateParam(to) : new Date();
+    
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ message: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+    
+    if (!fromDate || toDate === false || fromDate > toDate) {
+      return res.status(400).json({ message: 'A valid date range is required' });
+    }
+    
+    // Verify channel exists
+    const channel = await Channel.findById(channelId);
+    if (!channel) {
+      return res.status(404).json({ message: 'Channel not found' });
+    }
+    
+    // Check if user has permission
+    const isModerator = await ChannelModerator.isUserModerator(channelId, req.user.id);
+    const isOwner = channel.ownerId.toString() === req.user.id;
+    const isAdmin = req.user.isAdmin;
+    
+    if (!isModerator && !isOwner && !isAdmin) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+    
+    const { contentType, extension } = EXPORT_FORMATS[format];
+    const filename = `chat-${channelId}-${fromDate.toISOString().replace(/[:.]/g, '-')}.${extension}`;
+    
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    
+    // Stream the log; pipeline stops reading from the database if the client disconnects
+    pipeline(
+      createExportStream({
+        channelId: channel._id,
+        from: fromDate,
+        to: toDate,
+        format,
+        includeModeration: includeModeration === 'true'
+      }),
+      res,
+      (error) => {
+        if (error) {
+          console.error('Error exporting chat log:', error);
+        }
+      }
+    );
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid channel ID' });
+    }
+    console.error('Error exporting chat log:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route GET /api/chat/donations/:channelId
+ * @desc Get donation history for a channel
+ * @access Public
+ */
+router.get('/donations/:channelId', async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    const { limit = 50 } = req.query;
+    
+    const parsedLimit = parseInt(limit, 10);
+    
+    // Verify channel exists
+    const channel = await Channel.findById(channelId);
+    if (!channel) {
+      return res.status(404).json({ message: 'Channel not found' });
+    }
+    
+    // Get donations
+    const donations = await Donation.getChannelDonations(
+      channelId,
+      Math.min(parsedLimit, 100) // Cap limit to 100
+    );
+    
+    return res.json(donations);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid channel ID' });
+    }
+    console.error('Error fetching donations:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route GET /api/chat/top-donors
+ * @desc Get top donors across all channels
+ * @access Public
+ */
+router.get('/top-donors', async (req, res) => {
+  try {
+    const { window = 'all', limit = 10 } = req.query;
+    
+    const parsedLimit = parseInt(limit, 10) || 10;
+    
+    // Streams belong to one channel
+    if (!LEADERBOARD_WINDOWS.includes(window) || window === 'stream') {
+      return res.status(400).json({ message: 'Window must be one of: all, day, week, month' });
+    }
+    
+    const leaderboard = await getLeaderboard({
+      window,
+      limit: Math.min(Math.max(parsedLimit, 1), 50) // Cap limit to 50
+    });
+    
+    return res.json(leaderboard);
+  } catch (error) {
+    console.error('Error fetching global top donors:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route PUT /api/chat/top-donors/anonymity
+ * @desc Choose whether to show as "Anonymous" on donation leaderboards
+ * @access Private
+ */
+router.put('/top-donors/anonymity', authMiddleware, async (req, res) => {
+  try {
+    const { anonymous } = req.body;
+    
+    if (typeof anonymous !== 'boolean') {
+      return res.status(400).json({ message: 'anonymous must be true or false' });
+    }
+    
+    await User.findByIdAndUpdate(req.user.id, { anonymousDonor: anonymous });
+    
+    // The donor may be on any channel's leaderboard
+    await invalidateAllLeaderboards();
+    
+    return res.json({ anonymous });
+  } catch (error) {
+    console.error('Error updating leaderboard anonymity:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route GET /api/chat/top-donors/:channelId
+ * @desc Get top donors for a channel, all time or for a day, week, month or stream
+ *       (the stream window ranks the live stream unless a streamId is given)
+ * @access Public
+ */
+router.get('/top-donors/:channelId', async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    const { window = 'all', streamId, limit = 10 } = req.query;
+    
+    const parsedLimit = parseInt(limit, 10) || 10;
+    
+    if (!LEADERBOARD_WINDOWS.includes(window)) {
+      return res.status(400).json({ message: `Window must be one of: ${LEADERBOARD_WINDOWS.join(', ')}` });
+    }
+    
+    if (streamId !== undefined && typeof streamId !== 'string') {
+      return res.status(400).json({ message: 'Invalid stream ID' });
+    }
+    
+    // Verify channel exists
+    const channel = await Channel.findById(channelId);
+    if (!channel) {
+      return res.status(404).json({ message: 'Channel not found' });
+    }
+    
+    let stream = null;
+    if (window === 'stream') {
+      stream = streamId
+        ? await StreamSession.findOne({ _id: streamId, channelId: channel._id }).lean()
+        : await StreamSession.getLiveStream(channel._id);
+      
+      if (!stream) {
+        return res.status(404).json({ message: streamId ? 'Stream not found' : 'This channel is not live' });
+      }
+    }
+    
+    // Get top donors
+    const leaderboard = await getLeaderboard({
+      channelId: channel._id,
+      window,
+      streamId: stream ? stream._id : null,
+      limit: Math.min(Math.max(parsedLimit, 1), 20) // Cap limit to 20
+    });
+    
+    return res.json(leaderboard);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid channel or stream ID' });
+    }
+    console.error('Error fetching top donors:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route POST /api/chat/donations/:channelId/:donationId/refund
+ * @desc Refund a donation, returning the tokens to the donor
+ * @access Private (Broadcaster within 24 hours, admins)
+ */
+router.post('/donations/:channelId/:donationId/refund', authMiddleware, async (req, res) => {
+  try {
+    const { channelId, donationId } = req.params;
+    const { reason } = req.body;
+    const refundReason = typeof reason === 'string' ? reason.trim().slice(0, 200) : '';
+    
+    // Verify channel exists
+    const channel = await Channel.findById(channelId);
+    if (!channel) {
+      return res.status(404).json({ message: 'Channel not found' });
+    }
+    
+    // Check if user has permission
+    const isOwner = channel.ownerId.toString() === req.user.id;
+    const isAdmin = req.user.isAdmin;
+    
+    if (!isOwner && !isAdmin) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+    
+    const donation = await Donation.findOne({ _id: donationId, roomId: channelId }).lean();
+    if (!donation) {
+      return res.status(404).json({ message: 'Donation not found' });
+    }
+    
+    if (donation.status !== 'completed') {
+      return res.status(400).json({ message: 'This donation has already been refunded' });
+    }
+    
+    if (!isAdmin && Date.now() - new Date(donation.createdAt).getTime() > BROADCASTER_REFUND_WINDOW_MS) {
+      return res.status(403).json({ message: 'Donations can only be refunded within 24 hours' });
+    }
+    
+    const actor = { userId: req.user.id, username: req.user.username };
+    const { donation: refunded, totals, error, notFound } = await refundDonation({
+      donationId: donation._id,
+      reason: refundReason,
+      refundedBy: actor
+    });
+    
+    if (error) {
+      return res.status(notFound ? 404 : 400).json({ message: error });
+    }
+    
+    await logModerationAction({
+      channelId,
+      action: 'donation_refund',
+      actor,
+      target: { userId: refunded.userId, username: refunded.username },
+      reason: refundReason,
+      details: { donationId: refunded._id, amount: refunded.amount }
+    });
+    
+    return res.json({ donation: refunded, totals });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid channel or donation ID' });
+    }
+    console.error('Error refunding donation:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route GET /api/chat/donation-effects/:channelId
+ * @desc Get the donation effect tiers for a channel (minimum amounts, pin time, text-to-speech)
+ * @access Public
+ */
+router.get('/donation-effects/:channelId', async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    
+    // Verify channel exists
+    const channel = await Channel.findById(channelId);
+    if (!channel) {
+      return res.status(404).json({ message: 'Channel not found' });
+    }
+    
+    const effects = await getEffectTiers(channelId);
+    
+    return res.json({ effects });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid channel ID' });
+    }
+    console.error('Error fetching donation effects:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route PUT /api/chat/donation-effects/:channelId
+ * @desc Override a channel's donation effect tiers (replaces all overrides; {} restores the defaults)
+ * @access Private (Broadcaster, admins)
+ */
+router.put('/donation-effects/:channelId', authMiddleware, async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    
+    const { overrides, error } = normalizeEffectOverrides(req.body.effects);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    
+    // Verify channel exists
+    const channel = await Channel.findById(channelId);
+    if (!channel) {
+      return res.status(404).json({ message: 'Channel not found' });
+    }
+    
+    // Check if user has permission
+    const isOwner = channel.ownerId.toString() === req.user.id;
+    const isAdmin = req.user.isAdmin;
+    
+    if (!isOwner && !isAdmin) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+    
+    await ChannelChatSettings.setDonationEffects(channelId, overrides, req.user.id);
+    const effects = await getEffectTiers(channelId);
+    
+    return res.json({ effects });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid channel ID' });
+    }
+    console.error('Error updating donation effects:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route GET /api/chat/goals/:channelId
+ * @desc Get a channel's active donation goal
+ * @access Public
+ */
+router.get('/goals/:channelId', async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    
+    // Verify channel exists
+    const channel = await Channel.findById(channelId);
+    if (!channel) {
+      return res.status(404).json({ message: 'Channel not found' });
+    }
+    
+    const goal = await DonationGoal.getActiveGoal(channelId);
+    
+    return res.json({ goal: formatGoal(goal) });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid channel ID' });
+    }
+    console.error('Error fetching donation goal:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route POST /api/chat/goals/:channelId
+ * @desc Start a donation goal, replacing the active one
+ * @access Private (Broadcaster, admins)
+ */
+router.post('/goals/:channelId', authMiddleware, async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    const { title, targetAmount, deadline, effectTypes = [] } = req.body;
+    
+    if (typeof title !== 'string' || !title.trim() || title.trim().length > 100) {
+      return res.status(400).json({ message: 'Title must be between 1 and 100 characters' });
+    }
+    
+    if (!Number.isInteger(targetAmount) || targetAmount < 1) {
+      return res.status(400).json({ message: 'Target amount must be a positive whole number' });
+    }
+    
+    const parsedDeadline = parseDateParam(deadline);
+    if (parsedDeadline === false || (parsedDeadline && parsedDeadline <= new Date())) {
+      return res.status(400).json({ message: 'Deadline must be a date in the future' });
+    }
+    
+    if (!Array.isArray(effectTypes) || effectTypes.some(type => !DONATION_EFFECT_TYPES.includes(type))) {
+      return res.status(400).json({ 
+        message: `Effect types must be any of: ${DONATION_EFFECT_TYPES.join(', ')}` 
+      });
+    }
+    
+    // Verify channel exists
+    const channel = await Channel.findById(channelId);
+    if (!channel) {
+      return res.status(404).json({ message: 'Channel not found' });
+    }
+    
+    // Check if user has permission
+    const isOwner = channel.ownerId.toString() === req.user.id;
+    const isAdmin = req.user.isAdmin;
+    
+    if (!isOwner && !isAdmin) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+    
+    const goal = await startGoal({
+      channelId: channel._id,
+      createdBy: req.user.id,
+      title: title.trim(),
+      targetAmount,
+      deadline: parsedDeadline,
+      effectTypes: [...new Set(effectTypes)]
+    });
+    
+    return res.status(201).json({ goal });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid channel ID' });
+    }
+    // Another goal was started at the same time
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A goal was just started for this channel' });
+    }
+    console.error('Error starting donation goal:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route DELETE /api/chat/goals/:channelId
+ * @desc End a channel's active donation goal
+ * @access Private (Broadcaster, admins)
+ */
+router.delete('/goals/:channelId', authMiddleware, async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    
+    // Verify channel exists
+    const channel = await Channel.findById(channelId);
+    if (!channel) {
+      return res.status(404).json({ message: 'Channel not found' });
+    }
+    
+    // Check if user has permission
+    const isOwner = channel.ownerId.toString() === req.user.id;
+    const isAdmin = req.user.isAdmin;
+    
+    if (!isOwner && !isAdmin) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+    
+    const ended = await endGoal(channel._id);
+    if (!ended) {
+      return res.status(404).json({ message: 'No active goal' });
+    }
+    
+    return res.json({ message: 'Goal ended' });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid channel ID' });
+    }
+    console.error('Error ending donation goal:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route GET /api/chat/streams/:channelId
+ * @desc Get a channel's live stream and its recent streams
+ * @access Public
+ */
+router.get('/streams/:channelId', async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    
+    // Verify channel exists
+    const channel = await Channel.findById(channelId);
+    if (!channel) {
+      return res.status(404).json({ message: 'Channel not found' });
+    }
+    
+    const streams = await StreamSession.getRecentStreams(channel._id);
+    
+    return res.json({
+      live: streams.find(stream => stream.status === 'live') || null,
+      streams
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid channel ID' });
+    }
+    console.error('Error fetching streams:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route POST /api/chat/streams/:channelId
+ * @desc Go live: start a stream, ending the current one (donations are tagged with it until it ends)
+ * @access Private (Broadcaster, admins)
+ */
+router.post('/streams/:channelId', authMiddleware, async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    const { title = '' } = req.body;
+    
+    if (typeof title !== 'string' || title.trim().length > 140) {
+      return res.status(400).json({ message: 'Title must be at most 140 characters' });
+    }
+    
+    // Verify channel exists
+    const channel = await Channel.findById(channelId);
+    if (!channel) {
+      return res.status(404).json({ message: 'Channel not found' });
+    }
+    
+    // Check if user has permission
+    const isOwner = channel.ownerId.toString() === req.user.id;
+    const isAdmin = req.user.isAdmin;
+    
+    if (!isOwner && !isAdmin) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+    
+    const stream = await StreamSession.startStream({
+      channelId: channel._id,
+      startedBy: req.user.id,
+      title: title.trim()
+    });
+    
+    return res.status(201).json({ stream });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid channel ID' });
+    }
+    // Another stream was started at the same time
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A stream was just started for this channel' });
+    }
+    console.error('Error starting stream:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route DELETE /api/chat/streams/:channelId
+ * @desc Go offline: end a channel's live stream
+ * @access Private (Broadcaster, admins)
+ */
+router.delete('/streams/:channelId', authMiddleware, async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    
+    // Verify channel exists
+    const channel = await Channel.findById(channelId);
+    if (!channel) {
+      return res.status(404).json({ message: 'Channel not found' });
+    }
+    
+    // Check if user has permission
+    const isOwner = channel.ownerId.toString() === req.user.id;
+    const isAdmin = req.user.isAdmin;
+    
+    if (!isOwner && !isAdmin) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+    
+    const stream = await StreamSession.endStream(channel._id);
+    if (!stream) {
+      return res.status(404).json({ message: 'This channel is not live' });
+    }
+    
+    return res.json({ stream });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid channel ID' });
+    }
+    console.error('Error ending stream:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route GET /api/chat/polls/:channelId
+ * @desc Get poll history with results for a channel
+ * @access Public
+ */
+router.get('/polls/:channelId', async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    const { limit = 20, before } = req.query;
+    
+    const parsedLimit = parseInt(limit, 10) || 20;
+    const beforeDate = before ? new Date(parseInt(before, 10)) : null;
+    
+    // Verify channel exists
+    const channel = await Channel.findById(channelId);
+    if (!channel) {
+      return res.status(404).json({ message: 'Channel not found' });
+    }
+    
+    // Get polls
+    const polls = await Poll.getRoomPolls(
+      channelId,
+      Math.min(parsedLimit, 50), // Cap limit to 50
+      beforeDate
+    );
+    
+    return res.json(polls.map(formatPollResults));
+  } catch (error) {
+    console.error('Error fetching polls:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route GET /api/chat/polls/:channelId/:pollId
+ * @desc Get results for a single poll
+ * @access Public
+ */
+router.get('/polls/:channelId/:pollId', async (req, res) => {
+  try {
+    const { channelId, pollId } = req.params;
+    
+    const poll = await Poll.findOne({ _id: pollId, roomId: channelId }).lean();
+    
+    if (!poll) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+    
+    return res.json(formatPollResults(poll));
+  } catch (error) {
+    console.error('Error fetching poll:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route GET /api/chat/whispers
+ * @desc Get the current user's whisper inbox
+ * @access Private
+ */
+router.get('/whispers', authMiddleware, async (req, res) => {
+  try {
+    const { limit = 20 } = req.query;
+    
+    const parsedLimit = parseInt(limit, 10) || 20;
+    
+    const [conversations, unreadCount] = await Promise.all([
+      Whisper.getInbox(req.user.id, Math.min(parsedLimit, 50)), // Cap limit to 50
+      Whisper.getUnreadCount(req.user.id)
+    ]);
+    
+    return res.json({ conversations, unreadCount });
+  } catch (error) {
+    console.error('Error fetching whisper inbox:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route GET /api/chat/whispers/blocks
+ * @desc Get users blocked by the current user
+ * @access Private
+ */
+router.get('/whispers/blocks', authMiddleware, async (req, res) => {
+  try {
+    const blocks = await UserBlock.getBlockedUsers(req.user.id);
+    
+    return res.json(blocks);
+  } catch (error) {
+    console.error('Error fetching blocked users:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route POST /api/chat/whispers/blocks/:userId
+ * @desc Block a user from whispering the current user
+ * @access Private
+ */
+router.post('/whispers/blocks/:userId', authMiddleware, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    if (userId === req.user.id) {
+      return res.status(400).json({ message: 'You cannot block yourself' });
+    }
+    
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const block = await UserBlock.blockUser(req.user.id, userId);
+    
+    return res.json(block);
+  } catch (error) {
+    console.error('Error blocking user:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route DELETE /api/chat/whispers/blocks/:userId
+ * @desc Unblock a user
+ * @access Private
+ */
+router.delete('/whispers/blocks/:userId', authMiddleware, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    const success = await UserBlock.unblockUser(req.user.id, userId);
+    
+    if (!success) {
+      return res.status(404).json({ message: 'Block not found' });
+    }
+    
+    return res.json({ message: 'User unblocked successfully' });
+  } catch (error) {
+    console.error('Error unblocking user:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route GET /api/chat/whispers/:userId
+ * @desc Get the whisper conversation with another user
+ * @access Private
+ */
+router.get('/whispers/:userId', authMiddleware, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { limit = 50, before } = req.query;
+    
+    const parsedLimit = parseInt(limit, 10) || 50;
+    const beforeDate = before ? new Date(parseInt(before, 10)) : null;
+    
+    const messages = await Whisper.getConversation(
+      req.user.id,
+      userId,
+      Math.min(parsedLimit, 100), // Cap limit to 100
+      beforeDate
+    );
+    
+    return res.json(messages);
+  } catch (error) {
+    console.error('Error fetching whisper conversation:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route POST /api/chat/whispers/:userId/read
+ * @desc Mark a whisper conversation as read
+ * @access Private
+ */
+router.post('/whispers/:userId/read', authMiddleware, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    
+    const markedCount = await Whisper.markConversationRead(req.user.id, userId);
+    
+    return res.json({ markedCount });
+  } catch (error) {
+    console.error('Error marking whispers as read:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
 
 /**
- * @route GET /api/chat/messages/:channelId
- * @desc Get chat messages for a channel
- * @access Public
+ * @route GET /api/chat/notifications
+ * @desc Get the current user's mention and reply notifications
+ * @access Private
  */
-router.get('/messages/:channelId', async (req, res) => {
+router.get('/notifications', authMiddleware, async (req, res) => {
   try {
-    const { channelId } = req.params;
-    const { limit = 50, before } = req.query;
+    const { unread, before, limit = 20 } = req.query;
     
-    const parsedLimit = parseInt(limit, 10);
+    const parsedLimit = parseInt(limit, 10) || 20;
     const beforeDate = before ? new Date(parseInt(before, 10)) : null;
     
+    const [notifications, unreadCount] = await Promise.all([
+      ChatNotification.getUserNotifications(
+        req.user.id,
+        { unreadOnly: unread === 'true', before: beforeDate },
+        Math.min(parsedLimit, 50) // Cap limit to 50
+      ),
+      ChatNotification.getUnreadCount(req.user.id)
+    ]);
+    
+    return res.json({ notifications, unreadCount });
+  } catch (error) {
+    console.error('Error fetching chat notifications:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route POST /api/chat/notifications/read
+ * @desc Mark notifications as read (all unread if no IDs are given)
+ * @access Private
+ */
+router.post('/notifications/read', authMiddleware, async (req, res) => {
+  try {
+    const { ids } = req.body;
+    
+    if (ids !== undefined && !Array.isArray(ids)) {
+      return res.status(400).json({ message: 'ids must be an array' });
+    }
+    
+    const markedCount = await ChatNotification.markRead(req.user.id, ids || null);
+    
+    return res.json({ markedCount });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid notification ID' });
+    }
+    console.error('Error marking chat notifications as read:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route GET /api/chat/commands/:channelId
+ * @desc Get built-in and custom chat commands for a channel
+ * @access Public
+ */
+router.get('/commands/:channelId', async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    
     // Verify channel exists
     const channel = await Channel.findById(channelId);
     if (!channel) {
       return res.status(404).json({ message: 'Channel not found' });
     }
     
-    // Get messages
-    const messages = await ChatMessage.getRoomMessages(
-      channelId,
-      Math.min(parsedLimit, 100), // Cap limit to 100
-      beforeDate
-    );
+    const customCommands = await ChannelCommand.getChannelCommands(channelId);
     
-    return res.json(messages);
+    return res.json({
+      builtIn: listCommands(),
+      custom: customCommands
+    });
   } catch (error) {
-    console.error('Error fetching chat messages:', error);
+    console.error('Error fetching chat commands:', error);
     return res.status(500).json({ message: 'Server error' });
   }
 });
 
 /**
- * @route GET /api/chat/donations/:channelId
- * @desc Get donation history for a channel
- * @access Public
+ * @route POST /api/chat/commands/:channelId
+ * @desc Create a custom text-response command
+ * @access Private (Channel owner only)
  */
-router.get('/donations/:channelId', async (req, res) => {
+router.post('/commands/:channelId', authMiddleware, async (req, res) => {
   try {
     const { channelId } = req.params;
-    const { limit = 50 } = req.query;
+    const { name, aliases = [], response, permission = 'viewer', cooldown = 10, enabled = true } = req.body;
     
-    const parsedLimit = parseInt(limit, 10);
+    const [commandName] = normalizeTriggers(name);
+    const commandAliases = normalizeTriggers(aliases).filter(alias => alias !== commandName);
+    
+    if (!commandName || !response) {
+      return res.status(400).json({ message: 'Command name and response are required' });
+    }
+    
+    if (!PERMISSION_LEVELS.hasOwnProperty(permission)) {
+      return res.status(400).json({ message: 'Invalid permission level' });
+    }
     
     // Verify channel exists
     const channel = await Channel.findById(channelId);
@@ -64,30 +1137,202 @@ router.get('/donations/:channelId', async (req, res) => {
       return res.status(404).json({ message: 'Channel not found' });
     }
     
-    // Get donations
-    const donations = await Donation.getChannelDonations(
+    // Check if user has permission (only channel owner or admin)
+    const isOwner = channel.ownerId.toString() === req.user.id;
+    const isAdmin = req.user.isAdmin;
+    
+    if (!isOwner && !isAdmin) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+    
+    if (await ChannelCommand.isTriggerTaken(channelId, [commandName, ...commandAliases])) {
+      return res.status(409).json({ message: 'A command with that name or alias already exists' });
+    }
+    
+    const command = await ChannelCommand.create({
       channelId,
-      Math.min(parsedLimit, 100) // Cap limit to 100
-    );
+      name: commandName,
+      aliases: commandAliases,
+      response,
+      permission,
+      cooldown,
+      enabled,
+      createdBy: req.user.id,
+      updatedBy: req.user.id
+    });
     
-    return res.json(donations);
+    return res.status(201).json(command);
   } catch (error) {
-    console.error('Error fetching donations:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error creating chat command:', error);
     return res.status(500).json({ message: 'Server error' });
   }
 });
 
 /**
- * @route GET /api/chat/top-donors/:channelId
- * @desc Get top donors for a channel
- * @access Public
+ * @route PUT /api/chat/commands/:channelId/:commandId
+ * @desc Update a custom command
+ * @access Private (Channel owner only)
  */
-router.get('/top-donors/:channelId', async (req, res) => {
+router.put('/commands/:channelId/:commandId', authMiddleware, async (req, res) => {
+  try {
+    const { channelId, commandId } = req.params;
+    const { name, aliases, response, permission, cooldown, enabled } = req.body;
+    
+    // Verify channel exists
+    const channel = await Channel.findById(channelId);
+    if (!channel) {
+      return res.status(404).json({ message: 'Channel not found' });
+    }
+    
+    // Check if user has permission (only channel owner or admin)
+    const isOwner = channel.ownerId.toString() === req.user.id;
+    const isAdmin = req.user.isAdmin;
+    
+    if (!isOwner && !isAdmin) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+    
+    const command = await ChannelCommand.findOne({ _id: commandId, channelId });
+    if (!command) {
+      return res.status(404).json({ message: 'Command not found' });
+    }
+    
+    if (name !== undefined) {
+      const [commandName] = normalizeTriggers(name);
+      if (!commandName) {
+        return res.status(400).json({ message: 'Command name is required' });
+      }
+      command.name = commandName;
+    }
+    
+    if (aliases !== undefined) {
+      command.aliases = normalizeTriggers(aliases).filter(alias => alias !== command.name);
+    }
+    
+    if (permission !== undefined) {
+      if (!PERMISSION_LEVELS.hasOwnProperty(permission)) {
+        return res.status(400).json({ message: 'Invalid permission level' });
+      }
+      command.permission = permission;
+    }
+    
+    if (response !== undefined) command.response = response;
+    if (cooldown !== undefined) command.cooldown = cooldown;
+    if (enabled !== undefined) command.enabled = Boolean(enabled);
+    
+    if (await ChannelCommand.isTriggerTaken(channelId, [command.name, ...command.aliases], command._id)) {
+      return res.status(409).json({ message: 'A command with that name or alias already exists' });
+    }
+    
+    command.updatedBy = req.user.id;
+    await command.save();
+    
+    return res.json(command);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error updating chat command:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route DELETE /api/chat/commands/:channelId/:commandId
+ * @desc Delete a custom command
+ * @access Private (Channel owner only)
+ */
+router.delete('/commands/:channelId/:commandId', authMiddleware, async (req, res) => {
+  try {
+    const { channelId, commandId } = req.params;
+    
+    // Verify channel exists
+    const channel = await Channel.findById(channelId);
+    if (!channel) {
+      return res.status(404).json({ message: 'Channel not found' });
+    }
+    
+    // Check if user has permission (only channel owner or admin)
+    const isOwner = channel.ownerId.toString() === req.user.id;
+    const isAdmin = req.user.isAdmin;
+    
+    if (!isOwner && !isAdmin) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+    
+    const result = await ChannelCommand.deleteOne({ _id: commandId, channelId });
+    
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: 'Command not found' });
+    }
+    
+    return res.json({ message: 'Command deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting chat command:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route GET /api/chat/links/:channelId
+ * @desc Get a channel's link allow/deny lists and link restrictions
+ * @access Private (Moderators only)
+ */
+router.get('/links/:channelId', authMiddleware, async (req, res) => {
   try {
     const { channelId } = req.params;
-    const { limit = 10 } = req.query;
     
-    const parsedLimit = parseInt(limit, 10);
+    // Verify channel exists
+    const channel = await Channel.findById(channelId);
+    if (!channel) {
+      return res.status(404).json({ message: 'Channel not found' });
+    }
+    
+    // Check if user has permission
+    const isModerator = await ChannelModerator.isUserModerator(channelId, req.user.id);
+    const isOwner = channel.ownerId.toString() === req.user.id;
+    const isAdmin = req.user.isAdmin;
+    
+    if (!isModerator && !isOwner && !isAdmin) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+    
+    const settings = await ChannelChatSettings.getSettings(channelId);
+    
+    return res.json({
+      allowList: settings.linkAllowList || [],
+      denyList: settings.linkDenyList || [],
+      minFollowAge: settings.linkMinFollowAge
+    });
+  } catch (error) {
+    console.error('Error fetching link settings:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route PUT /api/chat/links/:channelId
+ * @desc Update a channel's link allow/deny lists and minimum follow age for posting links
+ * @access Private (Channel owner only)
+ */
+router.put('/links/:channelId', authMiddleware, async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    const { allowList, denyList, minFollowAge } = req.body;
+    
+    const normalizedAllowList = allowList === undefined ? undefined : normalizeDomainList(allowList);
+    const normalizedDenyList = denyList === undefined ? undefined : normalizeDomainList(denyList);
+    
+    if (normalizedAllowList === null || normalizedDenyList === null) {
+      return res.status(400).json({ message: 'Domain lists must be arrays' });
+    }
+    
+    if (minFollowAge !== undefined && !Number.isFinite(Number(minFollowAge))) {
+      return res.status(400).json({ message: 'Minimum follow age must be a number of minutes' });
+    }
     
     // Verify channel exists
     const channel = await Channel.findById(channelId);
@@ -95,22 +1340,39 @@ router.get('/top-donors/:channelId', async (req, res) => {
       return res.status(404).json({ message: 'Channel not found' });
     }
     
-    // Get top donors
-    const topDonors = await Donation.getChannelTopDonors(
-      channelId,
-      Math.min(parsedLimit, 20) // Cap limit to 20
-    );
+    // Check if user has permission (only channel owner or admin)
+    const isOwner = channel.ownerId.toString() === req.user.id;
+    const isAdmin = req.user.isAdmin;
+    
+    if (!isOwner && !isAdmin) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+    
+    const settings = await ChannelChatSettings.setLinkSettings(channelId, {
+      allowList: normalizedAllowList,
+      denyList: normalizedDenyList,
+      minFollowAge: minFollowAge === undefined ? undefined : Number(minFollowAge)
+    }, req.user.id);
     
-    return res.json(topDonors);
+    invalidateLinkSettings(channelId);
+    
+    return res.json({
+      allowList: settings.linkAllowList,
+      denyList: settings.linkDenyList,
+      minFollowAge: settings.linkMinFollowAge
+    });
   } catch (error) {
-    console.error('Error fetching top donors:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error updating link settings:', error);
     return res.status(500).json({ message: 'Server error' });
   }
 });
 
 /**
  * @route GET /api/chat/banned/:channelId
- * @desc Get banned users for a channel
+ * @desc Get banned and timed out users for a channel
  * @access Private (Moderators only)
  */
 router.get('/banned/:channelId', authMiddleware, async (req, res) => {
@@ -132,10 +1394,16 @@ router.get('/banned/:channelId', authMiddleware, async (req, res) => {
       return res.status(403).json({ message: 'Not authorized' });
     }
     
-    // Get banned users
-    const bannedUsers = await ChannelBan.getChannelBans(channelId);
+    // Get banned and timed out users
+    const [bans, timeouts] = await Promise.all([
+      ChannelBan.getChannelBans(channelId),
+      ChannelTimeout.getChannelTimeouts(channelId)
+    ]);
     
-    return res.json(bannedUsers);
+    return res.json([
+      ...bans.map(ban => ({ ...ban, type: 'ban' })),
+      ...timeouts.map(timeout => ({ ...timeout, type: 'timeout' }))
+    ]);
   } catch (error) {
     console.error('Error fetching banned users:', error);
     return res.status(500).json({ message: 'Server error' });
@@ -191,6 +1459,31 @@ router.post('/ban/:channelId', authMiddleware, async (req, res) => {
       expireAt
     );
     
+    // Remove the user's messages from chat
+    const tombstone = await purgeUserMessages(channelId, userId, req.user.id);
+    const { deletedCount } = tombstone;
+    
+    const target = await User.findById(userId).select('username').lean();
+    
+    // Socket nodes remove the messages from viewers' chat and kick the user out of the room
+    await publishModerationEvent({
+      type: 'userBanned',
+      ...tombstone,
+      username: target ? target.username : null,
+      reason: reason || 'Violated chat rules',
+      moderator: req.user.username
+    });
+    
+    await logModerationAction({
+      channelId,
+      action: 'ban',
+      actor: { userId: req.user.id, username: req.user.username },
+      target: { userId, username: target ? target.username : undefined },
+      reason: reason || '',
+      duration: expireAt ? Math.max(Math.round((new Date(expireAt) - Date.now()) / 1000), 0) : null,
+      details: { deletedCount }
+    });
+    
     return res.json(ban);
   } catch (error) {
     console.error('Error banning user:', error);
@@ -229,6 +1522,13 @@ router.delete('/ban/:channelId/:userId', authMiddleware, async (req, res) => {
       return res.status(404).json({ message: 'Ban not found' });
     }
     
+    await logModerationAction({
+      channelId,
+      action: 'unban',
+      actor: { userId: req.user.id, username: req.user.username },
+      target: { userId }
+    });
+    
     return res.json({ message: 'User unbanned successfully' });
   } catch (error) {
     console.error('Error unbanning user:', error);
@@ -236,6 +1536,79 @@ router.delete('/ban/:channelId/:userId', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/chat/modlog/:channelId
+ * @desc Get the moderation audit log for a channel
+ * @access Private (Moderators only)
+ */
+router.get('/modlog/:channelId', authMiddleware, async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    const { action, targetUserId, actorUserId, before, limit = 50 } = req.query;
+    
+    const parsedLimit = parseInt(limit, 10);
+    const beforeDate = before ? new Date(parseInt(before, 10)) : null;
+    
+    // Verify channel exists
+    const channel = await Channel.findById(channelId);
+    if (!channel) {
+      return res.status(404).json({ message: 'Channel not found' });
+    }
+    
+    // Check if user has permission
+    const isModerator = await ChannelModerator.isUserModerator(channelId, req.user.id);
+    const isOwner = channel.ownerId.toString() === req.user.id;
+    const isAdmin = req.user.isAdmin;
+    
+    if (!isModerator && !isOwner && !isAdmin) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+    
+    const entries = await ModerationLog.getChannelLog(
+      channelId,
+      {
+        action,
+        targetUserId,
+        actorUserId,
+        before: beforeDate
+      },
+      Math.min(parsedLimit, 100) // Cap limit to 100
+    );
+    
+    return res.json(entries);
+  } catch (error) {
+    console.error('Error fetching moderation log:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route GET /api/chat/chatters/:channelId
+ * @desc Get the users in a channel's chat, grouped by role, with viewer and chatter counts
+ * @access Public
+ */
+router.get('/chatters/:channelId', async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    
+    // Verify channel exists
+    const channel = await Channel.findById(channelId);
+    if (!channel) {
+      return res.status(404).json({ message: 'Channel not found' });
+    }
+    
+    const chatters = await getChatters(channelId);
+    
+    return res.json(chatters);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid channel ID' });
+    }
+    console.error('Error fetching chatters:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+});
+
 /**
  * @route GET /api/chat/moderators/:channelId
  * @desc Get moderators for a channel
@@ -306,6 +1679,14 @@ router.post('/moderator/:channelId', authMiddleware, async (req, res) => {
       permissions
     );
     
+    await logModerationAction({
+      channelId,
+      action: 'mod_add',
+      actor: { userId: req.user.id, username: req.user.username },
+      target: { userId },
+      details: { permissions: moderator.permissions }
+    });
+    
     return res.json(moderator);
   } catch (error) {
     console.error('Error adding moderator:', error);
@@ -352,6 +1733,13 @@ router.delete('/moderator/:channelId/:userId', authMiddleware, async (req, res)
       return res.status(404).json({ message: 'Moderator not found' });
     }
     
+    await logModerationAction({
+      channelId,
+      action: 'mod_remove',
+      actor: { userId: req.user.id, username: req.user.username },
+      target: { userId }
+    });
+    
     return res.json({ message: 'Moderator removed successfully' });
   } catch (error) {
     console.error('Error removing moderator:', error);
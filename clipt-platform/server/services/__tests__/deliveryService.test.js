@@ -0,0 +1,120 @@
+/**
+ * Delivery Service tests
+ * Idempotent sends through createSendResponder, against an in-memory Redis
+ */
+
+jest.mock('../../config', () => ({ redis: { url: 'redis://localhost:6379' } }), { virtual: true });
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+// Just the commands the idempotency keys use
+jest.mock('ioredis', () => {
+  const store = new Map();
+
+  return jest.fn().mockImplementation(() => ({
+    store,
+    defineCommand: jest.fn(),
+    set: jest.fn(async (key, value, ...options) => {
+      if (options.includes('NX') && store.has(key)) {
+        return null;
+      }
+      store.set(key, value);
+      return 'OK';
+    }),
+    get: jest.fn(async key => (store.has(key) ? store.get(key) : null)),
+    del: jest.fn(async key => (store.delete(key) ? 1 : 0))
+  }));
+});
+
+const Redis = require('ioredis');
+const { createSendResponder } = require('../deliveryService');
+
+const CLIENT_MESSAGE_ID = 'c0ffee00-1234-4abc-8def-0123456789ab';
+
+const createSocket = () => ({
+  id: 'socket-1',
+  user: { userId: 'user-1', username: 'viewer' },
+  emit: jest.fn()
+});
+
+describe('createSendResponder', () => {
+  let store;
+
+  beforeEach(() => {
+    store = Redis.mock.results[0].value.store;
+    store.clear();
+  });
+
+  test('claims a new key', async () => {
+    const ack = jest.fn();
+    const responder = createSendResponder(createSocket(), ack, CLIENT_MESSAGE_ID);
+
+    await expect(responder.claim()).resolves.toBe(true);
+    expect(ack).not.toHaveBeenCalled();
+    expect(store.get(`chat:idem:user-1:${CLIENT_MESSAGE_ID}`)).toBe('pending');
+  });
+
+  test('answers a resend of a send still in progress as pending', async () => {
+    await createSendResponder(createSocket(), jest.fn(), CLIENT_MESSAGE_ID).claim();
+
+    const ack = jest.fn();
+    const resend = createSendResponder(createSocket(), ack, CLIENT_MESSAGE_ID);
+
+    await expect(resend.claim()).resolves.toBe(false);
+    expect(ack).toHaveBeenCalledWith({ ok: false, pending: true, error: 'This message is still being sent' });
+  });
+
+  test('answers a resend of an accepted send with the original outcome', async () => {
+    const ack = jest.fn();
+    const responder = createSendResponder(createSocket(), ack, CLIENT_MESSAGE_ID);
+
+    await responder.claim();
+    await responder.accept({ id: 'message-1' });
+
+    expect(ack).toHaveBeenCalledWith({ ok: true, id: 'message-1' });
+
+    const resendAck = jest.fn();
+    const resend = createSendResponder(createSocket(), resendAck, CLIENT_MESSAGE_ID);
+
+    await expect(resend.claim()).resolves.toBe(false);
+    expect(resendAck).toHaveBeenCalledWith({ ok: true, duplicate: true, id: 'message-1' });
+  });
+
+  test('releases the key on reject so the client can retry', async () => {
+    const socket = createSocket();
+    const ack = jest.fn();
+    const responder = createSendResponder(socket, ack, CLIENT_MESSAGE_ID);
+
+    await responder.claim();
+    await responder.reject({ message: 'Message too long' });
+
+    expect(socket.emit).toHaveBeenCalledWith('error', { message: 'Message too long' });
+    expect(ack).toHaveBeenCalledWith({ ok: false, error: 'Message too long' });
+    expect(store.size).toBe(0);
+
+    const retry = createSendResponder(createSocket(), jest.fn(), CLIENT_MESSAGE_ID);
+    await expect(retry.claim()).resolves.toBe(true);
+  });
+
+  test('does not release a key it never claimed', async () => {
+    await createSendResponder(createSocket(), jest.fn(), CLIENT_MESSAGE_ID).claim();
+
+    // A rejected resend of a pending send must not free the original's key
+    const resend = createSendResponder(createSocket(), jest.fn(), CLIENT_MESSAGE_ID);
+    await resend.claim();
+    await resend.reject({ message: 'This message is still being sent' });
+
+    expect(store.get(`chat:idem:user-1:${CLIENT_MESSAGE_ID}`)).toBe('pending');
+  });
+
+  test('skips idempotency for sends without a valid key', async () => {
+    const ack = jest.fn();
+    const responder = createSendResponder(createSocket(), ack, 'bad key!');
+
+    expect(responder.clientMessageId).toBeNull();
+    await expect(responder.claim()).resolves.toBe(true);
+    await responder.accept({ id: 'message-1' });
+
+    expect(ack).toHaveBeenCalledWith({ ok: true, id: 'message-1' });
+    expect(store.size).toBe(0);
+  });
+});
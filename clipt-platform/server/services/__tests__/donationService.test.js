@@ -0,0 +1,214 @@
+/**
+ * Donation Service tests
+ * Donations and refunds with the MongoDB transaction and models mocked out
+ */
+
+jest.mock('../../config', () => ({ redis: { url: 'redis://localhost:6379' } }), { virtual: true });
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('ioredis', () => jest.fn().mockImplementation(() => ({
+  publish: jest.fn().mockResolvedValue(0),
+  duplicate: jest.fn()
+})));
+jest.mock('../leaderboardService', () => ({ invalidateLeaderboards: jest.fn().mockResolvedValue() }));
+
+const mongoose = require('mongoose');
+const User = require('../../models/user.model');
+const Transaction = require('../../models/transaction.model');
+const Donation = require('../../models/Donation');
+const DonationGoal = require('../../models/DonationGoal');
+const { processDonation, refundDonation } = require('../donationService');
+
+const donorId = new mongoose.Types.ObjectId();
+const ownerId = new mongoose.Types.ObjectId();
+const roomId = new mongoose.Types.ObjectId();
+
+const CLIENT_MESSAGE_ID = 'c0ffee00-1234-4abc-8def-0123456789ab';
+
+// Runs the transaction callback once, like a commit with no transient errors
+const session = {
+  withTransaction: jest.fn(async (callback) => callback()),
+  endSession: jest.fn().mockResolvedValue()
+};
+
+// Stand-in for a Mongoose query that is finished with .lean() or .session()
+const query = (value) => ({
+  lean: jest.fn().mockResolvedValue(value),
+  session: jest.fn().mockResolvedValue(value)
+});
+
+const donate = (options = {}) => processDonation({
+  sender: { userId: donorId.toString(), username: 'viewer' },
+  recipientId: ownerId,
+  roomId,
+  amount: 50,
+  message: 'Great stream!',
+  ...options
+});
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  session.withTransaction.mockClear();
+  session.endSession.mockClear();
+
+  jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+  jest.spyOn(User, 'findOneAndUpdate');
+  jest.spyOn(Donation, 'create');
+  jest.spyOn(Donation, 'findOne').mockReturnValue(query(null));
+  jest.spyOn(DonationGoal, 'addDonation').mockResolvedValue(null);
+  jest.spyOn(DonationGoal, 'removeDonation').mockResolvedValue(null);
+  jest.spyOn(Transaction, 'recordTransaction').mockResolvedValue({});
+});
+
+describe('processDonation', () => {
+  test('debits the donor and credits the owner in one transaction', async () => {
+    User.findOneAndUpdate
+      .mockResolvedValueOnce({ _id: donorId, username: 'viewer', tokenBalance: 50 })
+      .mockResolvedValueOnce({ _id: ownerId, username: 'streamer', tokenBalance: 150 });
+    Donation.create.mockImplementation(async ([data]) => [{
+      _id: new mongoose.Types.ObjectId(),
+      toObject: () => data
+    }]);
+
+    const result = await donate();
+
+    expect(result).toMatchObject({ balance: 50, duplicate: false, goal: null, goalReached: false });
+    expect(result.donation).toMatchObject({ amount: 50, message: 'Great stream!', userId: donorId });
+    expect(User.findOneAndUpdate).toHaveBeenNthCalledWith(
+      1,
+      { _id: donorId.toString(), tokenBalance: { $gte: 50 } },
+      expect.objectContaining({ $inc: { tokenBalance: -50, totalTokensSpent: 50 } }),
+      expect.objectContaining({ session })
+    );
+    expect(Transaction.recordTransaction).toHaveBeenCalledTimes(2);
+    expect(session.endSession).toHaveBeenCalled();
+  });
+
+  test('rejects a donation the balance does not cover', async () => {
+    User.findOneAndUpdate.mockResolvedValueOnce(null);
+
+    const result = await donate();
+
+    expect(result).toEqual({ error: 'Insufficient token balance' });
+    expect(User.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    expect(Donation.create).not.toHaveBeenCalled();
+    expect(Transaction.recordTransaction).not.toHaveBeenCalled();
+    expect(session.endSession).toHaveBeenCalled();
+  });
+
+  test('returns the stored donation for a clientMessageId that was already used', async () => {
+    const existing = { _id: new mongoose.Types.ObjectId(), amount: 50, clientMessageId: CLIENT_MESSAGE_ID };
+    Donation.findOne.mockReturnValue(query(existing));
+
+    const result = await donate({ clientMessageId: CLIENT_MESSAGE_ID });
+
+    expect(result).toEqual({ donation: existing, balance: null, goal: null, goalReached: false, duplicate: true });
+    expect(Donation.findOne).toHaveBeenCalledWith({ userId: donorId.toString(), clientMessageId: CLIENT_MESSAGE_ID });
+    expect(mongoose.startSession).not.toHaveBeenCalled();
+    expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('returns the donation stored by a concurrent resend instead of charging twice', async () => {
+    const existing = { _id: new mongoose.Types.ObjectId(), amount: 50, clientMessageId: CLIENT_MESSAGE_ID };
+    Donation.findOne
+      .mockReturnValueOnce(query(null))
+      .mockReturnValueOnce(query(existing));
+
+    // The other resend committed first, so this insert hits the unique clientMessageId index
+    session.withTransaction.mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+    const result = await donate({ clientMessageId: CLIENT_MESSAGE_ID });
+
+    expect(result).toEqual({ donation: existing, balance: null, goal: null, goalReached: false, duplicate: true });
+    expect(Donation.findOne).toHaveBeenCalledTimes(2);
+    expect(session.endSession).toHaveBeenCalled();
+  });
+
+  test('rethrows a duplicate key error when no stored donation explains it', async () => {
+    session.withTransaction.mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+    await expect(donate({ clientMessageId: CLIENT_MESSAGE_ID })).rejects.toThrow('E11000');
+  });
+});
+
+describe('refundDonation', () => {
+  const refundedBy = { userId: ownerId, username: 'streamer' };
+
+  const storedDonation = () => {
+    const data = {
+      _id: new mongoose.Types.ObjectId(),
+      roomId,
+      userId: donorId,
+      username: 'viewer',
+      recipientId: ownerId,
+      amount: 50,
+      goalId: null,
+      status: 'refunded',
+      refundedAt: new Date()
+    };
+    return { ...data, toObject: () => data };
+  };
+
+  beforeEach(() => {
+    jest.spyOn(Donation, 'refundDonation');
+    jest.spyOn(Donation, 'exists');
+    jest.spyOn(Donation, 'getChannelTotalDonations').mockResolvedValue(0);
+  });
+
+  test('returns the tokens to the donor', async () => {
+    const donation = storedDonation();
+    Donation.refundDonation.mockResolvedValue(donation);
+    User.findOneAndUpdate
+      .mockResolvedValueOnce({ _id: ownerId, username: 'streamer', tokenBalance: 100 })
+      .mockResolvedValueOnce({ _id: donorId, username: 'viewer', tokenBalance: 50 });
+
+    const result = await refundDonation({ donationId: donation._id, reason: 'Mistake', refundedBy });
+
+    expect(result).toEqual({ donation: donation.toObject(), totals: { total: 0 } });
+    expect(User.findOneAndUpdate).toHaveBeenNthCalledWith(
+      1,
+      { _id: ownerId, tokenBalance: { $gte: 50 } },
+      { $inc: { tokenBalance: -50, totalTokensEarned: -50 } },
+      expect.objectContaining({ session })
+    );
+    expect(Transaction.recordTransaction).toHaveBeenCalledTimes(2);
+  });
+
+  test('rejects a donation that was already refunded', async () => {
+    const donationId = new mongoose.Types.ObjectId();
+    Donation.refundDonation.mockResolvedValue(null);
+    Donation.exists.mockReturnValue(query({ _id: donationId }));
+
+    const result = await refundDonation({ donationId, refundedBy });
+
+    expect(result).toEqual({ error: 'This donation has already been refunded', notFound: false });
+    expect(User.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(Transaction.recordTransaction).not.toHaveBeenCalled();
+  });
+
+  test('reports an unknown donation as not found', async () => {
+    Donation.refundDonation.mockResolvedValue(null);
+    Donation.exists.mockReturnValue(query(null));
+
+    const result = await refundDonation({ donationId: new mongoose.Types.ObjectId(), refundedBy });
+
+    expect(result).toEqual({ error: 'Donation not found', notFound: true });
+  });
+
+  test('rejects the refund when the owner has spent the tokens', async () => {
+    const donation = storedDonation();
+    Donation.refundDonation.mockResolvedValue(donation);
+    User.findOneAndUpdate.mockResolvedValueOnce(null);
+
+    const result = await refundDonation({ donationId: donation._id, refundedBy });
+
+    expect(result).toEqual({
+      error: 'The channel owner\'s token balance is too low to refund this donation',
+      notFound: false
+    });
+
+    // The donor is never credited, and the aborted transaction leaves the donation unrefunded
+    expect(User.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    expect(Transaction.recordTransaction).not.toHaveBeenCalled();
+    expect(Donation.getChannelTotalDonations).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * AutoMod Service
+ * Rule pipeline that screens chat messages at a per-channel strictness level.
+ * Each rule either rewrites the message, blocks it, or holds it for moderator review.
+ */
+
+const crypto = require('crypto');
+const Redis = require('ioredis');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { extractLinks } = require('../utils/linkUtils');
+const { extractMentions } = require('../utils/mentionUtils');
+
+// Redis client for cluster-wide duplicate message tracking
+const redisClient = new Redis(config.redis.url);
+
+// Combining marks stacked on letters to produce "zalgo" text
+const COMBINING_MARKS_REGEX = /[\u0300-\u036f\u0483-\u0489\u1ab0-\u1aff\u1dc0-\u1dff\u20d0-\u20ff\ufe20-\ufe2f]/g;
+
+// Thresholds and actions for each strictness level; a rule fires when the count exceeds its limit
+const AUTOMOD_LEVELS = {
+  off: null,
+  low: {
+    zalgo: { limit: 12, action: 'replace' },
+    repeatedCharacters: { limit: 20, action: 'replace' },
+    mentionFlood: { limit: 10, action: 'block' },
+    linkSpam: { limit: 3, action: 'block' },
+    duplicateMessage: { window: 15, action: 'block' }
+  },
+  medium: {
+    zalgo: { limit: 6, action: 'block' },
+    repeatedCharacters: { limit: 12, action: 'replace' },
+    mentionFlood: { limit: 5, action: 'hold' },
+    linkSpam: { limit: 1, action: 'hold' },
+    duplicateMessage: { window: 30, action: 'block' }
+  },
+  high: {
+    zalgo: { limit: 2, action: 'block' },
+    repeatedCharacters: { limit: 8, action: 'block' },
+    mentionFlood: { limit: 3, action: 'hold' },
+    linkSpam: { limit: 0, action: 'hold' },
+    duplicateMessage: { window: 60, action: 'block' }
+  }
+};
+
+const DEFAULT_AUTOMOD_LEVEL = 'medium';
+
+/**
+ * Detectors, run in order. Each returns null when the message is clean, or
+ * { reason, replacement } where replacement is the cleaned content used by the 'replace' action.
+ */
+const RULES = [
+  {
+    name: 'zalgo',
+    detect(content, { limit }) {
+      const marks = (content.match(COMBINING_MARKS_REGEX) || []).length;
+      if (marks <= limit) {
+        return null;
+      }
+
+      return {
+        reason: 'Message contains excessive combining characters',
+        replacement: content.replace(COMBINING_MARKS_REGEX, '')
+      };
+    }
+  },
+  {
+    name: 'repeatedCharacters',
+    detect(content, { limit }) {
+      const runRegex = new RegExp(`(\\S)\\1{${limit},}`, 'gu');
+      if (!runRegex.test(content)) {
+        return null;
+      }
+
+      return {
+        reason: 'Message contains too many repeated characters',
+        // Collapse each run to three characters
+        replacement: content.replace(runRegex, '$1$1$1')
+      };
+    }
+  },
+  {
+    name: 'mentionFlood',
+    detect(content, { limit }) {
+      const mentions = extractMentions(content).length;
+      return mentions > limit ? { reason: 'Message mentions too many users' } : null;
+    }
+  },
+  {
+    name: 'linkSpam',
+    detect(content, { limit }) {
+      const links = extractLinks(content).length;
+      return links > limit ? { reason: 'Message contains too many links' } : null;
+    }
+  },
+  {
+    name: 'duplicateMessage',
+    async detect(content, { window }, { roomId, user }) {
+      const isDuplicate = await isRecentDuplicate(roomId, user, content, window);
+      return isDuplicate ? { reason: 'Message is identical to one you sent recently' } : null;
+    }
+  }
+];
+
+/**
+ * Get a valid strictness level, falling back to the default
+ * @param {string} level - Requested level
+ * @returns {string} Strictness level
+ */
+function getAutoModLevel(level) {
+  return AUTOMOD_LEVELS.hasOwnProperty(level) ? level : DEFAULT_AUTOMOD_LEVEL;
+}
+
+/**
+ * Run a message through the AutoMod rules for a channel
+ * @param {string} content - Message content (after word and profanity filters)
+ * @param {Object} context - Message context
+ * @param {string} context.level - Channel strictness level
+ * @param {string} context.roomId - Room ID
+ * @param {Object} context.user - Sender
+ * @returns {Promise<Object>} Verdict ({ action: 'allow'|'replace'|'block'|'hold', rule, reason, content })
+ */
+async function screenMessage(content, { level, roomId, user }) {
+  const settings = AUTOMOD_LEVELS[getAutoModLevel(level)];
+  const verdict = { action: 'allow', rule: null, reason: null, content };
+
+  if (!settings) {
+    return verdict;
+  }
+
+  for (const rule of RULES) {
+    const ruleSettings = settings[rule.name];
+    let match;
+
+    try {
+      match = await rule.detect(verdict.content, ruleSettings, { roomId, user });
+    } catch (error) {
+      // A broken detector shouldn't stop chat
+      logger.error(`AutoMod rule ${rule.name} failed:`, error);
+      continue;
+    }
+
+    if (!match) {
+      continue;
+    }
+
+    if (ruleSettings.action === 'block') {
+      return { action: 'block', rule: rule.name, reason: match.reason, content: verdict.content };
+    }
+
+    if (ruleSettings.action === 'replace') {
+      verdict.content = match.replacement;
+    }
+
+    // Keep checking: a later blocking rule still wins, and a hold outranks a rewrite
+    if (verdict.action === 'allow' || (ruleSettings.action === 'hold' && verdict.action !== 'hold')) {
+      verdict.action = ruleSettings.action;
+      verdict.rule = rule.name;
+      verdict.reason = match.reason;
+    }
+  }
+
+  return verdict;
+}
+
+/**
+ * Check whether a user sent the same message in a room within a time window, and remember this one
+ * @param {string} roomId - Room ID
+ * @param {Object} user - Sender
+ * @param {string} content - Message content
+ * @param {number} window - Window in seconds
+ * @returns {Promise<boolean>} True if the message is a duplicate
+ */
+async function isRecentDuplicate(roomId, user, content, window) {
+  const normalized = content.toLowerCase().replace(/\s+/g, ' ').trim();
+  const hash = crypto.createHash('sha1').update(normalized).digest('hex');
+  const key = `automod:recent:${roomId}:${user.userId || user.username}:${hash}`;
+
+  // SET NX fails when the same message is already stored for this user
+  const stored = await redisClient.set(key, '1', 'EX', window, 'NX');
+  return stored === null;
+}
+
+module.exports = {
+  AUTOMOD_LEVELS,
+  DEFAULT_AUTOMOD_LEVEL,
+  getAutoModLevel,
+  screenMessage
+};
@@ -0,0 +1,269 @@
+/**
+ * Chat Export Service
+ * Streams a channel's chat log for a time range as JSON Lines, CSV or IRC-style text.
+ * Messages are read with database cursors so large ranges are never held in memory.
+ */
+
+const { Readable } = require('stream');
+const ChatMessage = require('../models/ChatMessage');
+const ModerationLog = require('../models/ModerationLog');
+
+// Supported formats
+const EXPORT_FORMATS = {
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  irc: { contentType: 'text/plain; charset=utf-8', extension: 'log' }
+};
+
+const CSV_COLUMNS = ['timestamp', 'offset', 'type', 'username', 'content', 'amount'];
+
+// Values starting with these are treated as formulas by spreadsheet apps
+const CSV_FORMULA_PREFIX_REGEX = /^[=+\-@\t\r]/;
+
+/**
+ * Render message content with emotes as their codes
+ * @param {Object} message - Chat message
+ * @returns {string} Plain text content
+ */
+function renderContent(message) {
+  if (!message.parsedContent || !message.emotes || message.emotes.length === 0) {
+    return message.content || '';
+  }
+
+  const codes = new Map(message.emotes.map(emote => [emote.id, emote.code]));
+
+  return message.parsedContent.replace(/<emote:([^>]+)>/g, (placeholder, id) => codes.get(id) || placeholder);
+}
+
+/**
+ * Describe a moderation log entry in one line
+ * @param {Object} entry - Moderation log entry
+ * @returns {string} Description
+ */
+function describeModerationAction(entry) {
+  const actor = entry.actor && entry.actor.username ? entry.actor.username : 'a moderator';
+  const target = entry.target && entry.target.username ? entry.target.username : '';
+  const reason = entry.reason ? ` (${entry.reason})` : '';
+
+  switch (entry.action) {
+    case 'timeout':
+      return `${target} was timed out for ${entry.duration} seconds by ${actor}${reason}`;
+    case 'untimeout':
+      return `${target}'s timeout was removed by ${actor}`;
+    case 'ban':
+      return `${target} was banned by ${actor}${reason}`;
+    case 'unban':
+      return `${target} was unbanned by ${actor}`;
+    case 'clear':
+      return `Chat was cleared by ${actor}`;
+    case 'purge':
+      return `${target}'s messages were purged by ${actor}${reason}`;
+    case 'chat_mode':
+      return `Chat mode changed to ${entry.details && entry.details.mode} by ${actor}`;
+    case 'message_pin':
+      return `A message from ${target} was pinned by ${actor}`;
+    case 'message_unpin':
+      return `The pinned message was removed by ${actor}`;
+    case 'donation_refund':
+      return `${target}'s donation of ${entry.details && entry.details.amount} tokens was refunded by ${actor}${reason}`;
+    default:
+      return `${entry.action.replace(/_/g, ' ')}${target ? ` ${target}` : ''} by ${actor}`;
+  }
+}
+
+/**
+ * Convert a chat message or moderation log entry to a common export record
+ * @param {Object} item - Chat message or moderation log entry
+ * @param {Date} from - Start of the export range (offsets are relative to it)
+ * @returns {Object} Export record
+ */
+function toRecord(item, from) {
+  const createdAt = new Date(item.createdAt);
+  const base = {
+    timestamp: createdAt.toISOString(),
+    // Seconds since the start of the range, for lining up with a VOD
+    offset: Math.max(Math.floor((createdAt.getTime() - from.getTime()) / 1000), 0)
+  };
+
+  if (item.action) {
+    return {
+      ...base,
+      type: 'moderation',
+      username: item.actor ? item.actor.username : null,
+      content: describeModerationAction(item),
+      action: item.action
+    };
+  }
+
+  return {
+    ...base,
+    type: item.type || 'text',
+    username: item.user ? item.user.username : null,
+    userId: item.user && item.user.userId ? item.user.userId.toString() : null,
+    content: renderContent(item),
+    emotes: (item.emotes || []).map(emote => emote.code),
+    amount: item.type === 'donation' ? item.amount : undefined
+  };
+}
+
+/**
+ * Format a seconds offset as H:MM:SS
+ * @param {number} seconds - Offset in seconds
+ * @returns {string} Formatted offset
+ */
+function formatOffset(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+
+  return `${hours}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+}
+
+/**
+ * Escape a CSV field
+ * @param {*} value - Field value
+ * @returns {string} Escaped field
+ */
+function csvField(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  let text = String(value);
+
+  // Stop spreadsheet apps from running user content as a formula
+  if (CSV_FORMULA_PREFIX_REGEX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format a record as one line of output
+ * @param {string} format - Export format
+ * @param {Object} record - Export record
+ * @returns {string} Line including the trailing newline
+ */
+function formatRecord(format, record) {
+  switch (format) {
+    case 'csv':
+      return `${CSV_COLUMNS.map(column => csvField(record[column])).join(',')}\r\n`;
+
+    case 'irc': {
+      const time = `[${formatOffset(record.offset)}]`;
+
+      if (record.type === 'action') {
+        return `${time} * ${record.username} ${record.content}\n`;
+      }
+
+      if (record.type === 'announcement') {
+        return `${time} -- [Announcement] ${record.username}: ${record.content}\n`;
+      }
+      
+      if (record.type === 'donation') {
+        return `${time} -- ${record.username} donated ${record.amount} tokens: ${record.content}\n`;
+      }
+
+      if (record.type === 'moderation' || record.type === 'system' || !record.username) {
+        return `${time} -- ${record.content}\n`;
+      }
+
+      return `${time} <${record.username}> ${record.content}\n`;
+    }
+
+    default:
+      return `${JSON.stringify(record)}\n`;
+  }
+}
+
+/**
+ * Merge two cursors that are both sorted by createdAt into one sorted sequence
+ * @param {AsyncIterable} first - First cursor
+ * @param {AsyncIterable} second - Second cursor
+ * @returns {AsyncGenerator} Items in createdAt order
+ */
+async function* mergeByCreatedAt(first, second) {
+  const a = first[Symbol.asyncIterator]();
+  const b = second[Symbol.asyncIterator]();
+
+  try {
+    let nextA = await a.next();
+    let nextB = await b.next();
+
+    while (!nextA.done || !nextB.done) {
+      const takeA = nextB.done ||
+        (!nextA.done && new Date(nextA.value.createdAt) <= new Date(nextB.value.createdAt));
+
+      if (takeA) {
+        yield nextA.value;
+        nextA = await a.next();
+      } else {
+        yield nextB.value;
+        nextB = await b.next();
+      }
+    }
+  } finally {
+    // Close both cursors if the export is aborted part way
+    await Promise.all([a.return && a.return(), b.return && b.return()]);
+  }
+}
+
+/**
+ * Generate the lines of a chat export
+ * @param {Object} options - Export options (see createExportStream)
+ * @returns {AsyncGenerator<string>} Lines
+ */
+async function* generateExportLines({ channelId, from, to, format, includeModeration }) {
+  const messages = ChatMessage.find({
+    roomId: channelId,
+    isDeleted: false,
+    createdAt: { $gte: from, $lte: to },
+    // Stored moderation notices are replaced by the moderation log, which has more detail
+    type: { $ne: 'moderation' }
+  })
+    .sort({ createdAt: 1 })
+    .lean()
+    .cursor();
+
+  let items = messages;
+
+  if (includeModeration) {
+    const moderationEntries = ModerationLog.find({
+      channelId,
+      createdAt: { $gte: from, $lte: to }
+    })
+    .sort({ createdAt: 1 })
+    .lean()
+    .cursor();
+
+    items = mergeByCreatedAt(messages, moderationEntries);
+  }
+
+  if (format === 'csv') {
+    yield `${CSV_COLUMNS.join(',')}\r\n`;
+  }
+
+  for await (const item of items) {
+    yield formatRecord(format, toRecord(item, from));
+  }
+}
+
+/**
+ * Create a readable stream of a channel's chat log
+ * @param {Object} options - Export options
+ * @param {ObjectId} options.channelId - Channel ID
+ * @param {Date} options.from - Start of the range
+ * @param {Date} options.to - End of the range
+ * @param {string} options.format - Export format (jsonl, csv, irc)
+ * @param {boolean} options.includeModeration - Include moderation actions
+ * @returns {Readable} Text stream
+ */
+function createExportStream(options) {
+  return Readable.from(generateExportLines(options));
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  createExportStream
+};
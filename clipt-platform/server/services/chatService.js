@@ -6,7 +6,14 @@
 const profanity = require('@2toad/profanity').profanity;
 const logger = require('../utils/logger');
 const emoteService = require('./emoteService');
+const commandRegistry = require('./commandRegistry');
+const autoModService = require('./autoModService');
+const linkService = require('./linkService');
+const { isHexColor, isReadableChatColor } = require('../utils/colorUtils');
+const { extractLinks } = require('../utils/linkUtils');
+const { extractMentions } = require('../utils/mentionUtils');
 const { ChatFilter } = require('../models/chat.model');
+const ChatMessage = require('../models/ChatMessage');
 
 /**
  * Process a raw chat message
@@ -15,11 +22,15 @@ const { ChatFilter } = require('../models/chat.model');
  * @param {Object} options.user - User information
  * @param {Object} options.room - Room information 
  * @param {Array} options.userEmotes - User's available emotes
- * @returns {Object} Processed message
+ * @param {string} options.automodLevel - Channel AutoMod strictness level
+ * @param {boolean} options.automodExempt - Skip AutoMod and link restrictions (moderators and the broadcaster)
+ * @param {boolean} options.parseCommands - Run chat commands (off for edits, which are always plain text)
+ * @returns {Object} Processed message; filtered or held results include the rule that fired.
+ *   Commands that post text (postsText) also carry the command's fields (type, actionType...)
  */
 async function processMessage(content, options = {}) {
   try {
-    const { user, room, userEmotes = [] } = options;
+    const { user, room, userEmotes = [], automodLevel, automodExempt = false, parseCommands = true } = options;
     
     // Trim message content
     let processedContent = content.trim();
@@ -49,6 +60,7 @@ async function processMessage(content, options = {}) {
           if (filter.action === 'block') {
             return {
               filtered: true,
+              rule: 'wordFilter',
               reason: filter.reason || 'Message contained filtered word',
               content: processedContent,
               parsedContent: '',
@@ -78,6 +90,7 @@ async function processMessage(content, options = {}) {
         if (user.tier === 'free') {
           return {
             filtered: true,
+            rule: 'profanity',
             reason: 'Message contains inappropriate language',
             content: processedContent,
             parsedContent: '',
@@ -96,22 +109,78 @@ async function processMessage(content, options = {}) {
       processedContent = processedContent.toLowerCase();
     }
     
-    // Parse chat commands
-    if (processedContent.startsWith('/')) {
-      const commandResult = parseCommand(processedContent, options);
-      if (commandResult.isCommand) {
-        return commandResult;
+    // Parse chat commands (built-in "/" commands and channel "!" commands)
+    let commandResult = null;
+    if (parseCommands && (processedContent.startsWith('/') || processedContent.startsWith('!'))) {
+      const parsedCommand = await parseCommand(processedContent, options);
+      if (parsedCommand.isCommand) {
+        // Commands that post text (/me, /announce) are screened like any other message
+        if (parsedCommand.filtered || !parsedCommand.postsText) {
+          return parsedCommand;
+        }
+        
+        commandResult = parsedCommand;
+        processedContent = parsedCommand.content;
       }
     }
     
+    // Check links against the channel's domain lists and link permissions
+    const messageLinks = extractLinks(processedContent);
+    if (messageLinks.length > 0 && !automodExempt && room) {
+      const linkError = await linkService.checkLinks(messageLinks, {
+        roomId: room._id.toString(),
+        user
+      });
+      
+      if (linkError) {
+        return {
+          filtered: true,
+          rule: 'links',
+          reason: linkError,
+          content: processedContent,
+          parsedContent: '',
+          emotes: []
+        };
+      }
+    }
+    
+    // Screen the message with the channel's AutoMod rules
+    let automodVerdict = { action: 'allow', rule: null, reason: null };
+    if (!automodExempt && room) {
+      automodVerdict = await autoModService.screenMessage(processedContent, {
+        level: automodLevel,
+        roomId: room._id.toString(),
+        user
+      });
+      
+      if (automodVerdict.action === 'block') {
+        return {
+          filtered: true,
+          rule: automodVerdict.rule,
+          reason: automodVerdict.reason,
+          content: processedContent,
+          parsedContent: '',
+          emotes: []
+        };
+      }
+      
+      processedContent = automodVerdict.content;
+    }
+    
     // Parse emotes
     const emoteParseResult = await parseEmotes(processedContent, userEmotes);
     
     return {
+      ...commandResult,
       filtered: false,
+      // Held messages wait for a moderator to approve them before they are broadcast
+      held: automodVerdict.action === 'hold',
+      rule: automodVerdict.rule,
+      reason: automodVerdict.reason,
       content: processedContent,
       parsedContent: emoteParseResult.parsedContent,
-      emotes: emoteParseResult.emotes
+      emotes: emoteParseResult.emotes,
+      entities: parseEntities(processedContent)
     };
   } catch (error) {
     logger.error('Error processing message:', error);
@@ -155,148 +224,210 @@ function containsExcessiveCaps(content) {
 }
 
 /**
- * Parse a chat command
+ * Parse and run a chat command through the command registry
  * @param {string} content - Message content
  * @param {Object} options - Options containing user and room info
- * @returns {Object} - Command parse result
+ * @returns {Promise<Object>} - Command parse result
  */
-function parseCommand(content, options) {
-  const { user, room } = options;
-  
-  // Split command and arguments
-  const [command, ...args] = content.slice(1).split(' ');
-  
-  switch (command.toLowerCase()) {
-    case 'me':
-      // Action message (/me is dancing)
-      return {
-        isCommand: true,
-        filtered: false,
-        type: 'action',
-        content: args.join(' '),
-        parsedContent: args.join(' '),
-        emotes: []
-      };
-      
-    case 'color':
-      // Change user color (/color #FF0000)
-      if (args.length === 0) {
-        return {
-          isCommand: true,
-          filtered: true,
-          reason: 'Please specify a color (e.g., /color #FF0000)',
-          content: content,
-          parsedContent: '',
-          emotes: []
-        };
-      }
-      
-      // Validate color format
-      const colorRegex = /^#[0-9A-Fa-f]{6}$/;
-      if (!colorRegex.test(args[0])) {
-        return {
-          isCommand: true,
-          filtered: true,
-          reason: 'Invalid color format. Use hex format (e.g., #FF0000)',
-          content: content,
-          parsedContent: '',
-          emotes: []
-        };
-      }
-      
-      // Only allow color change for authenticated users
-      if (!user.isAuthenticated) {
-        return {
-          isCommand: true,
-          filtered: true,
-          reason: 'You must be logged in to change your color',
-          content: content,
-          parsedContent: '',
-          emotes: []
-        };
-      }
-      
-      return {
-        isCommand: true,
-        actionType: 'colorChange',
-        color: args[0],
-        content: content,
-        parsedContent: `Color changed to ${args[0]}`,
-        emotes: []
-      };
-      
-    case 'whisper':
-    case 'w':
-      // Private message (/whisper username message)
-      if (args.length < 2) {
-        return {
-          isCommand: true,
-          filtered: true,
-          reason: 'Please specify a user and message (e.g., /whisper username message)',
-          content: content,
-          parsedContent: '',
-          emotes: []
-        };
-      }
-      
-      return {
-        isCommand: true,
-        actionType: 'whisper',
-        targetUsername: args[0],
-        content: args.slice(1).join(' '),
-        parsedContent: args.slice(1).join(' '),
-        emotes: []
-      };
-      
-    case 'poll':
-      // Create a poll (/poll "Question" "Option 1" "Option 2" ...)
-      // Only moderators and admins can create polls
-      if (!user.isModerator && !user.isAdmin) {
-        return {
-          isCommand: true,
-          filtered: true,
-          reason: 'Only moderators can create polls',
-          content: content,
-          parsedContent: '',
-          emotes: []
-        };
-      }
-      
-      // Parse poll arguments (handling quoted strings)
-      const pollArgs = parseQuotedArgs(args.join(' '));
-      
-      if (pollArgs.length < 3) {
-        return {
-          isCommand: true,
-          filtered: true,
-          reason: 'Please provide a question and at least two options (e.g., /poll "Question" "Option 1" "Option 2")',
-          content: content,
-          parsedContent: '',
-          emotes: []
-        };
+async function parseCommand(content, options) {
+  return commandRegistry.executeCommand(content, options);
+}
+
+// --- Built-in commands ---
+
+commandRegistry.registerCommand({
+  name: 'me',
+  usage: '/me is dancing',
+  handler: (args, { commandError }) => {
+    // Action message (/me is dancing)
+    const text = args.join(' ').trim();
+    
+    if (!text) {
+      return commandError('Usage: /me is dancing');
+    }
+    
+    return {
+      isCommand: true,
+      postsText: true,
+      type: 'action',
+      content: text
+    };
+  }
+});
+
+commandRegistry.registerCommand({
+  name: 'color',
+  usage: '/color #FF0000',
+  cooldown: 5,
+  handler: (args, { content, user, commandError }) => {
+    // Change user color (/color #FF0000)
+    if (args.length === 0) {
+      return commandError('Please specify a color (e.g., /color #FF0000)');
+    }
+    
+    // Validate color format
+    if (!isHexColor(args[0])) {
+      return commandError('Invalid color format. Use hex format (e.g., #FF0000)');
+    }
+    
+    // Reject colors that would be hard to read on the dark chat background
+    if (!isReadableChatColor(args[0])) {
+      return commandError('That color is too dark to read in chat. Please choose a brighter color.');
+    }
+    
+    // Only allow color change for authenticated users
+    if (!user.isAuthenticated) {
+      return commandError('You must be logged in to change your color');
+    }
+    
+    const color = args[0].toUpperCase();
+    
+    return {
+      isCommand: true,
+      actionType: 'colorChange',
+      color,
+      content: content,
+      parsedContent: `Color changed to ${color}`,
+      emotes: []
+    };
+  }
+});
+
+commandRegistry.registerCommand({
+  name: 'whisper',
+  aliases: ['w'],
+  usage: '/whisper username message',
+  handler: (args, { commandError }) => {
+    // Private message (/whisper username message)
+    if (args.length < 2) {
+      return commandError('Please specify a user and message (e.g., /whisper username message)');
+    }
+    
+    return {
+      isCommand: true,
+      actionType: 'whisper',
+      targetUsername: args[0],
+      content: args.slice(1).join(' '),
+      parsedContent: args.slice(1).join(' '),
+      emotes: []
+    };
+  }
+});
+
+commandRegistry.registerCommand({
+  name: 'poll',
+  permission: 'moderator',
+  usage: '/poll [seconds] [weighted] "Question" "Option 1" "Option 2"',
+  handler: (args, { content, commandError }) => {
+    // Create a poll (/poll [seconds] [weighted] "Question" "Option 1" "Option 2" ...)
+    // Leading unquoted flags set the duration and tier-weighted voting
+    let pollDuration = null;
+    let pollWeighted = false;
+    let flagCount = 0;
+    
+    for (const arg of args) {
+      if (/^\d+$/.test(arg)) {
+        pollDuration = parseInt(arg, 10);
+      } else if (arg.toLowerCase() === 'weighted') {
+        pollWeighted = true;
+      } else {
+        break;
       }
-      
-      return {
-        isCommand: true,
-        actionType: 'poll',
-        question: pollArgs[0],
-        options: pollArgs.slice(1),
-        content: content,
-        parsedContent: `Poll created: ${pollArgs[0]}`,
-        emotes: []
-      };
-      
-    default:
-      // Unknown command
-      return {
-        isCommand: false,
-        filtered: false,
-        content: content,
-        parsedContent: content,
-        emotes: []
-      };
+      flagCount++;
+    }
+    
+    // Parse poll arguments (handling quoted strings)
+    const pollArgs = parseQuotedArgs(args.slice(flagCount).join(' '));
+    
+    if (pollArgs.length < 3) {
+      return commandError('Please provide a question and at least two options (e.g., /poll "Question" "Option 1" "Option 2")');
+    }
+    
+    return {
+      isCommand: true,
+      actionType: 'poll',
+      question: pollArgs[0],
+      options: pollArgs.slice(1),
+      duration: pollDuration,
+      weighted: pollWeighted,
+      content: content,
+      parsedContent: `Poll created: ${pollArgs[0]}`,
+      emotes: []
+    };
   }
-}
+});
+
+commandRegistry.registerCommand({
+  name: 'vote',
+  usage: '/vote 2',
+  handler: (args, { content, user, commandError }) => {
+    // Vote in the active poll (/vote 2)
+    if (args.length === 0 || !/^\d+$/.test(args[0]) || parseInt(args[0], 10) < 1) {
+      return commandError('Please specify an option number (e.g., /vote 2)');
+    }
+    
+    if (!user.isAuthenticated) {
+      return commandError('You must be logged in to vote');
+    }
+    
+    return {
+      isCommand: true,
+      actionType: 'vote',
+      optionIndex: parseInt(args[0], 10) - 1,
+      content: content,
+      parsedContent: `Voted for option ${args[0]}`,
+      emotes: []
+    };
+  }
+});
+
+commandRegistry.registerCommand({
+  name: 'permit',
+  permission: 'moderator',
+  usage: '/permit username',
+  handler: (args, { content, commandError }) => {
+    // Let a user post one link (/permit username)
+    const username = (args[0] || '').replace(/^@/, '');
+    if (!username) {
+      return commandError('Usage: /permit username');
+    }
+    
+    return {
+      isCommand: true,
+      actionType: 'permit',
+      username,
+      content: content,
+      parsedContent: `Permitted ${username} to post a link`,
+      emotes: []
+    };
+  }
+});
+
+commandRegistry.registerCommand({
+  name: 'announce',
+  permission: 'moderator',
+  usage: '/announce [blue|green|orange|purple] message',
+  handler: (args, { content, commandError }) => {
+    // Highlighted announcement (/announce green Stream starts in 5 minutes!)
+    const colors = ChatMessage.schema.path('announcementColor').enumValues;
+    const color = args.length > 1 && colors.includes(args[0].toLowerCase())
+      ? args.shift().toLowerCase()
+      : 'primary';
+    const text = args.join(' ').trim();
+    
+    if (!text) {
+      return commandError('Usage: /announce [blue|green|orange|purple] message');
+    }
+    
+    return {
+      isCommand: true,
+      postsText: true,
+      actionType: 'announce',
+      color,
+      content: text
+    };
+  }
+});
 
 /**
  * Parse quoted arguments from a string
@@ -389,6 +520,35 @@ async function parseEmotes(content, userEmotes = []) {
   }
 }
 
+/**
+ * Parse structured entities (links and @mentions) from final message content
+ * @param {string} content - Message content
+ * @returns {Array} - Entities with positions in the content, in order
+ */
+function parseEntities(content) {
+  const links = extractLinks(content).map(link => ({
+    type: 'link',
+    text: link.url,
+    url: link.href,
+    domain: link.domain,
+    startIndex: link.startIndex,
+    endIndex: link.endIndex
+  }));
+  
+  // Ignore "@name" inside a link (e.g. https://clipt.gg/@name)
+  const mentions = extractMentions(content)
+    .filter(mention => !links.some(link => mention.startIndex >= link.startIndex && mention.startIndex <= link.endIndex))
+    .map(mention => ({
+      type: 'mention',
+      text: mention.text,
+      username: mention.username,
+      startIndex: mention.startIndex,
+      endIndex: mention.endIndex
+    }));
+  
+  return [...links, ...mentions].sort((a, b) => a.startIndex - b.startIndex);
+}
+
 /**
  * Escape special regex characters in a string
  * @param {string} string - String to escape
@@ -0,0 +1,279 @@
+/**
+ * Command Registry
+ * Registers chat commands and runs them with permission and cooldown checks.
+ * Built-in commands use the "/" prefix; channel-defined text commands use "!".
+ */
+
+const Redis = require('ioredis');
+const logger = require('../utils/logger');
+const config = require('../config');
+const ChannelCommand = require('../models/ChannelCommand');
+const ChannelModerator = require('../models/ChannelModerator');
+
+// Redis client for cluster-wide cooldowns
+const redisClient = new Redis(config.redis.url);
+
+// Permission levels, lowest to highest
+const PERMISSION_LEVELS = {
+  viewer: 0,
+  subscriber: 1,
+  moderator: 2,
+  owner: 3
+};
+
+// What {touser} may name: a username, optionally with a leading @ (anything else falls back to the sender)
+const TOUSER_REGEX = /^@?[a-zA-Z0-9_]{3,30}$/;
+
+// Registered built-in commands, keyed by name and alias
+const commands = new Map();
+
+/**
+ * Register a built-in command
+ * @param {Object} definition - Command definition
+ * @param {string} definition.name - Command name (without prefix)
+ * @param {Array<string>} definition.aliases - Alternative names
+ * @param {string} definition.permission - Minimum permission level
+ * @param {number} definition.cooldown - Per-user cooldown in seconds
+ * @param {string} definition.usage - Usage hint shown on errors
+ * @param {Function} definition.handler - (args, context) => command result
+ */
+function registerCommand({ name, aliases = [], permission = 'viewer', cooldown = 0, usage = '', handler }) {
+  if (!PERMISSION_LEVELS.hasOwnProperty(permission)) {
+    throw new Error(`Invalid permission level for command ${name}: ${permission}`);
+  }
+
+  const command = { name, aliases, permission, cooldown, usage, handler };
+
+  for (const trigger of [name, ...aliases]) {
+    const key = trigger.toLowerCase();
+    if (commands.has(key)) {
+      throw new Error(`Command trigger already registered: ${key}`);
+    }
+    commands.set(key, command);
+  }
+}
+
+/**
+ * Get a registered command by name or alias
+ * @param {string} trigger - Command name or alias
+ * @returns {Object|undefined} Command definition
+ */
+function getCommand(trigger) {
+  return commands.get(trigger.toLowerCase());
+}
+
+/**
+ * List registered commands (each once, not per alias)
+ * @returns {Array} Command definitions
+ */
+function listCommands() {
+  return [...new Set(commands.values())].map(({ name, aliases, permission, cooldown, usage }) => ({
+    name,
+    aliases,
+    permission,
+    cooldown,
+    usage
+  }));
+}
+
+/**
+ * Determine a user's permission level in a room
+ * @param {Object} user - Socket user
+ * @param {Object} room - Room information
+ * @returns {Promise<number>} Permission level
+ */
+async function getUserPermissionLevel(user, room) {
+  const isOwner = room && room.ownerId && user.userId &&
+    room.ownerId.toString() === user.userId.toString();
+
+  if (isOwner || user.isAdmin) {
+    return PERMISSION_LEVELS.owner;
+  }
+
+  if (user.isModerator) {
+    return PERMISSION_LEVELS.moderator;
+  }
+
+  // Moderators appointed by the channel
+  if (user.isAuthenticated && room && room._id &&
+    await ChannelModerator.isUserModerator(room._id, user.userId)) {
+    return PERMISSION_LEVELS.moderator;
+  }
+
+  if (user.isAuthenticated && user.tier && user.tier !== 'free' && user.tier !== 'guest') {
+    return PERMISSION_LEVELS.subscriber;
+  }
+
+  return PERMISSION_LEVELS.viewer;
+}
+
+/**
+ * Build a rejected command result
+ * @param {string} content - Original message content
+ * @param {string} reason - Reason shown to the user
+ * @returns {Object} Command result
+ */
+function commandError(content, reason) {
+  return {
+    isCommand: true,
+    filtered: true,
+    reason,
+    content,
+    parsedContent: '',
+    emotes: []
+  };
+}
+
+/**
+ * Claim a cooldown slot; moderators and owners skip cooldowns
+ * @param {string} key - Cooldown key
+ * @param {number} seconds - Cooldown duration
+ * @returns {Promise<number>} Seconds remaining if on cooldown, 0 if the slot was claimed
+ */
+async function claimCooldown(key, seconds) {
+  if (!seconds) {
+    return 0;
+  }
+
+  try {
+    const claimed = await redisClient.set(key, '1', 'EX', seconds, 'NX');
+    if (claimed) {
+      return 0;
+    }
+
+    const ttl = await redisClient.ttl(key);
+    return Math.max(ttl, 1);
+  } catch (error) {
+    // Don't block commands when Redis is unavailable
+    logger.error(`Error checking command cooldown ${key}:`, error);
+    return 0;
+  }
+}
+
+/**
+ * Parse and run a chat command
+ * @param {string} content - Message content starting with "/" or "!"
+ * @param {Object} options - Options containing user and room info
+ * @returns {Promise<Object>} Command result (isCommand is false for unknown commands)
+ */
+async function executeCommand(content, options) {
+  const { user, room } = options;
+  const prefix = content[0];
+  const [trigger, ...args] = content.slice(1).split(' ');
+
+  if (!trigger) {
+    return notACommand(content);
+  }
+
+  const permissionLevel = await getUserPermissionLevel(user, room);
+  const exemptFromCooldown = permissionLevel >= PERMISSION_LEVELS.moderator;
+
+  // Built-in commands
+  if (prefix === '/') {
+    const command = getCommand(trigger);
+    if (!command) {
+      return notACommand(content);
+    }
+
+    if (permissionLevel < PERMISSION_LEVELS[command.permission]) {
+      return commandError(content, `You do not have permission to use /${command.name}`);
+    }
+
+    // Handlers only validate and describe the action, so a rejected command doesn't use up the cooldown
+    const result = await command.handler(args, { content, user, room, commandError: reason => commandError(content, reason) });
+    if (result.filtered) {
+      return result;
+    }
+
+    if (!exemptFromCooldown) {
+      const remaining = await claimCooldown(
+        `cooldown:command:${command.name}:${user.userId || user.username}`,
+        command.cooldown
+      );
+      if (remaining > 0) {
+        return commandError(content, `/${command.name} is on cooldown. Try again in ${remaining} seconds.`);
+      }
+    }
+
+    return result;
+  }
+
+  // Channel-defined text commands
+  if (prefix === '!' && room && room._id) {
+    const command = await ChannelCommand.findByTrigger(room._id, trigger);
+    if (!command) {
+      return notACommand(content);
+    }
+
+    if (permissionLevel < PERMISSION_LEVELS[command.permission]) {
+      return commandError(content, `You do not have permission to use !${command.name}`);
+    }
+
+    // Channel commands cool down for the whole room to keep chat readable
+    if (!exemptFromCooldown) {
+      const remaining = await claimCooldown(
+        `cooldown:channelCommand:${room._id}:${command._id}`,
+        command.cooldown
+      );
+      if (remaining > 0) {
+        return commandError(content, `!${command.name} is on cooldown. Try again in ${remaining} seconds.`);
+      }
+    }
+
+    const usageCount = await ChannelCommand.incrementUsage(command._id);
+    const response = renderResponse(command.response, { user, args, usageCount });
+
+    return {
+      isCommand: true,
+      actionType: 'commandResponse',
+      commandName: command.name,
+      response,
+      content,
+      parsedContent: response,
+      emotes: []
+    };
+  }
+
+  return notACommand(content);
+}
+
+/**
+ * Fill response placeholders: {user}, {touser} (first argument if it is a username, else the sender) and {count}
+ * @param {string} template - Response template
+ * @param {Object} context - Template context
+ * @returns {string} Rendered response
+ */
+function renderResponse(template, { user, args, usageCount }) {
+  const toUser = args[0] && TOUSER_REGEX.test(args[0])
+    ? args[0].replace(/^@/, '')
+    : user.username;
+
+  return template
+    .replace(/\{user\}/gi, user.username)
+    .replace(/\{touser\}/gi, toUser)
+    .replace(/\{count\}/gi, String(usageCount));
+}
+
+/**
+ * Result for text that looks like a command but is not one
+ * @param {string} content - Message content
+ * @returns {Object} Non-command result
+ */
+function notACommand(content) {
+  return {
+    isCommand: false,
+    filtered: false,
+    content,
+    parsedContent: content,
+    emotes: []
+  };
+}
+
+module.exports = {
+  PERMISSION_LEVELS,
+  registerCommand,
+  getCommand,
+  listCommands,
+  executeCommand,
+  getUserPermissionLevel
+};
@@ -0,0 +1,226 @@
+/**
+ * Delivery Service
+ * Per-room sequence numbers for stored chat messages, so clients can spot and fill gaps,
+ * and idempotency keys so a resent message is only posted once.
+ */
+
+const Redis = require('ioredis');
+const logger = require('../utils/logger');
+const config = require('../config');
+const ChatMessage = require('../models/ChatMessage');
+
+// Redis client for cluster-wide sequences and idempotency keys
+const redisClient = new Redis(config.redis.url);
+
+// Sequence counters outlive the messages they number (messages are kept for 30 days)
+const SEQUENCE_TTL_SECONDS = 31 * 24 * 60 * 60;
+
+// How long a sent message's idempotency key is remembered
+const IDEMPOTENCY_TTL_SECONDS = 10 * 60;
+const PENDING = 'pending';
+
+// Client keys are opaque strings (usually UUIDs)
+const CLIENT_MESSAGE_ID_REGEX = /^[A-Za-z0-9_-]{8,64}$/;
+
+// Increment a room's sequence, or return nil if the counter needs seeding
+redisClient.defineCommand('nextRoomSequence', {
+  numberOfKeys: 1,
+  lua: `
+    if redis.call('EXISTS', KEYS[1]) == 0 then
+      return false
+    end
+    local seq = redis.call('INCR', KEYS[1])
+    redis.call('EXPIRE', KEYS[1], ARGV[1])
+    return seq
+  `
+});
+
+/**
+ * Redis key for a room's sequence counter
+ * @param {string} roomId - Room ID
+ * @returns {string} Redis key
+ */
+function getSequenceKey(roomId) {
+  return `chat:seq:${roomId}`;
+}
+
+/**
+ * Redis key for a sender's idempotency key
+ * @param {string} senderId - User ID (or guest key)
+ * @param {string} clientMessageId - Client-generated key
+ * @returns {string} Redis key
+ */
+function getIdempotencyKey(senderId, clientMessageId) {
+  return `chat:idem:${senderId}:${clientMessageId}`;
+}
+
+/**
+ * Get the next sequence number for a room
+ * @param {string} roomId - Room ID
+ * @returns {Promise<number>} Sequence number, increasing by one per stored message
+ */
+async function nextSequence(roomId) {
+  const key = getSequenceKey(roomId);
+  const seq = await redisClient.nextRoomSequence(key, SEQUENCE_TTL_SECONDS);
+
+  if (seq !== null) {
+    return seq;
+  }
+
+  // Continue from the stored messages if the counter was lost (expired or Redis was flushed)
+  const latest = await ChatMessage.getLatestSequence(roomId);
+  await redisClient.set(key, latest, 'EX', SEQUENCE_TTL_SECONDS, 'NX');
+
+  return redisClient.incr(key);
+}
+
+/**
+ * Check a client message ID
+ * @param {*} value - Value sent by the client
+ * @returns {string|null} The ID, or null if missing or malformed
+ */
+function normalizeClientMessageId(value) {
+  return typeof value === 'string' && CLIENT_MESSAGE_ID_REGEX.test(value) ? value : null;
+}
+
+/**
+ * Claim an idempotency key before handling a message
+ * @param {string} senderId - User ID (or guest key)
+ * @param {string} clientMessageId - Client-generated key
+ * @returns {Promise<Object>} Claim ({ status: 'claimed' | 'pending' | 'done', result }); result is set when done
+ */
+async function claimIdempotencyKey(senderId, clientMessageId) {
+  const key = getIdempotencyKey(senderId, clientMessageId);
+  const claimed = await redisClient.set(key, PENDING, 'EX', IDEMPOTENCY_TTL_SECONDS, 'NX');
+
+  if (claimed) {
+    return { status: 'claimed', result: null };
+  }
+
+  const value = await redisClient.get(key);
+  if (!value || value === PENDING) {
+    return { status: 'pending', result: null };
+  }
+
+  return { status: 'done', result: JSON.parse(value) };
+}
+
+/**
+ * Store the outcome of a message so retries get the same answer
+ * @param {string} senderId - User ID (or guest key)
+ * @param {string} clientMessageId - Client-generated key
+ * @param {Object} result - Outcome sent back to the client
+ * @returns {Promise<void>}
+ */
+async function completeIdempotencyKey(senderId, clientMessageId, result) {
+  await redisClient.set(
+    getIdempotencyKey(senderId, clientMessageId),
+    JSON.stringify(result),
+    'EX',
+    IDEMPOTENCY_TTL_SECONDS
+  );
+}
+
+/**
+ * Release an idempotency key after a rejected message, so the client may try again
+ * @param {string} senderId - User ID (or guest key)
+ * @param {string} clientMessageId - Client-generated key
+ * @returns {Promise<void>}
+ */
+async function releaseIdempotencyKey(senderId, clientMessageId) {
+  await redisClient.del(getIdempotencyKey(senderId, clientMessageId));
+}
+
+/**
+ * Key that scopes a sender's idempotency keys
+ * @param {Object} socket - Socket instance
+ * @returns {string} User ID, the guest's browser key, or the socket ID for guests without one
+ */
+function getSenderKey(socket) {
+  if (socket.user.userId) {
+    return socket.user.userId;
+  }
+
+  return socket.user.clientId ? `guest:${socket.user.clientId}` : socket.id;
+}
+
+/**
+ * Acknowledgement helpers for a send that carries a client idempotency key
+ * Errors are still emitted as 'error' events; clients that pass a callback also get the outcome
+ * @param {Object} socket - Sender socket
+ * @param {Function} ack - Acknowledgement callback (may be missing)
+ * @param {*} rawClientMessageId - Idempotency key sent by the client
+ * @returns {Object} Responder ({ clientMessageId, claim, reject, accept })
+ */
+function createSendResponder(socket, ack, rawClientMessageId) {
+  const respond = typeof ack === 'function' ? ack : () => {};
+  const senderId = getSenderKey(socket);
+  const clientMessageId = normalizeClientMessageId(rawClientMessageId);
+  let claimedKey = false;
+
+  return {
+    clientMessageId,
+
+    /**
+     * Claim the idempotency key; resends of a send that was already handled get the original outcome
+     * @returns {Promise<boolean>} False if this is a resend and has been answered
+     */
+    async claim() {
+      if (!clientMessageId) {
+        return true;
+      }
+
+      const claim = await claimIdempotencyKey(senderId, clientMessageId);
+
+      if (claim.status === 'done') {
+        respond({ ok: true, duplicate: true, ...claim.result });
+        return false;
+      }
+
+      if (claim.status === 'pending') {
+        respond({ ok: false, pending: true, error: 'This message is still being sent' });
+        return false;
+      }
+
+      claimedKey = true;
+      return true;
+    },
+
+    /**
+     * Reject the send, releasing the key so the client can fix the problem and retry
+     * @param {Object} error - Error payload ({ message, ... })
+     */
+    async reject(error) {
+      socket.emit('error', error);
+      respond({ ok: false, error: error.message });
+
+      if (claimedKey) {
+        await releaseIdempotencyKey(senderId, clientMessageId)
+          .catch(releaseError => logger.error('Error releasing idempotency key:', releaseError));
+      }
+    },
+
+    /**
+     * Accept the send and remember the outcome for resends
+     * @param {Object} result - Outcome sent to the client
+     */
+    async accept(result) {
+      respond({ ok: true, ...result });
+
+      if (claimedKey) {
+        await completeIdempotencyKey(senderId, clientMessageId, result)
+          .catch(completeError => logger.error('Error storing idempotency key:', completeError));
+      }
+    }
+  };
+}
+
+module.exports = {
+  nextSequence,
+  normalizeClientMessageId,
+  claimIdempotencyKey,
+  completeIdempotencyKey,
+  releaseIdempotencyKey,
+  getSenderKey,
+  createSendResponder
+};
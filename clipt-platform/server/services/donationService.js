@@ -0,0 +1,578 @@
+/**
+ * Donation Service
+ * Moves tokens from a viewer to the channel owner, and back again on refund. The debit,
+ * the credit, both transaction records and the donation itself are written in one MongoDB
+ * transaction, so a failure part way never leaves tokens missing or duplicated.
+ */
+
+const mongoose = require('mongoose');
+const Redis = require('ioredis');
+const logger = require('../utils/logger');
+const config = require('../config');
+const User = require('../models/user.model');
+const Transaction = require('../models/transaction.model');
+const Donation = require('../models/Donation');
+const DonationGoal = require('../models/DonationGoal');
+const ChannelChatSettings = require('../models/ChannelChatSettings');
+const { invalidateLeaderboards } = require('./leaderboardService');
+
+// Effect types a donation can be sent with
+const DONATION_EFFECT_TYPES = Donation.schema.path('effectType').enumValues;
+
+// Default effect tiers; channels can override everything but the name
+const DONATION_EFFECT_TIERS = {
+  regular: { name: 'Regular', minAmount: 1, pinSeconds: 0, tts: false },
+  highlighted: { name: 'Highlighted', minAmount: 20, pinSeconds: 0, tts: false },
+  animated: { name: 'Animated', minAmount: 50, pinSeconds: 0, tts: true },
+  super: { name: 'Super Chat', minAmount: 100, pinSeconds: 120, tts: true }
+};
+
+// Limits for channel overrides
+const EFFECT_OVERRIDE_LIMITS = {
+  maxMinAmount: 1000000,
+  maxPinSeconds: 10 * 60
+};
+
+// Text-to-speech overlays read at most this much of the message
+const MAX_TTS_LENGTH = 200;
+
+// Donation messages are shown in chat, so they share the longest chat message length
+const MAX_DONATION_MESSAGE_LENGTH = 500;
+
+// MongoDB duplicate key error
+const DUPLICATE_KEY_ERROR_CODE = 11000;
+
+// Refunds and goal changes are made through the REST API, which has no socket server,
+// so their events are published to every socket node through Redis
+const DONATION_EVENTS_CHANNEL = 'donations:events';
+const redisClient = new Redis(config.redis.url);
+
+/**
+ * A donation that can't go ahead; the message is shown to the sender
+ */
+class DonationError extends Error {
+  constructor(message, { notFound = false } = {}) {
+    super(message);
+    this.notFound = notFound;
+  }
+}
+
+/**
+ * Format a donation goal for clients
+ * @param {Object} goal - Donation goal
+ * @returns {Object|null} Goal with its progress as a percentage, or null if there is no goal
+ */
+function formatGoal(goal) {
+  if (!goal) {
+    return null;
+  }
+
+  return {
+    id: goal._id.toString(),
+    channelId: goal.channelId.toString(),
+    title: goal.title,
+    targetAmount: goal.targetAmount,
+    currentAmount: goal.currentAmount,
+    percentage: Math.min(Math.floor((goal.currentAmount / goal.targetAmount) * 100), 100),
+    deadline: goal.deadline,
+    effectTypes: goal.effectTypes,
+    reachedAt: goal.reachedAt
+  };
+}
+
+/**
+ * Get a channel's donation effect tiers, with its overrides applied
+ * @param {ObjectId} channelId - Channel ID
+ * @returns {Promise<Array<Object>>} Tiers ({ type, name, enabled, minAmount, pinSeconds, tts }), cheapest first
+ */
+async function getEffectTiers(channelId) {
+  const settings = await ChannelChatSettings.getSettings(channelId);
+  const overrides = settings.donationEffects || {};
+
+  return DONATION_EFFECT_TYPES
+    .map(type => {
+      const override = overrides[type] || {};
+      const tier = { type, enabled: true, ...DONATION_EFFECT_TIERS[type] };
+
+      ['enabled', 'minAmount', 'pinSeconds', 'tts'].forEach(field => {
+        if (override[field] !== undefined && override[field] !== null) {
+          tier[field] = override[field];
+        }
+      });
+
+      // Plain donations are always allowed
+      if (type === 'regular') {
+        tier.enabled = true;
+      }
+
+      return tier;
+    })
+    .sort((a, b) => a.minAmount - b.minAmount);
+}
+
+/**
+ * Check that a donation may use an effect in a channel
+ * @param {ObjectId} channelId - Channel ID
+ * @param {string} effectType - Requested effect type
+ * @param {number} amount - Tokens donated
+ * @returns {Promise<Object>} Result ({ effect } or { error }); effect is the channel's tier for the type
+ */
+async function resolveEffect(channelId, effectType, amount) {
+  if (!DONATION_EFFECT_TYPES.includes(effectType)) {
+    return { error: 'Invalid donation effect' };
+  }
+
+  const tiers = await getEffectTiers(channelId);
+  const effect = tiers.find(tier => tier.type === effectType);
+
+  if (!effect.enabled) {
+    return { error: `The ${effect.name} effect is not available in this channel` };
+  }
+
+  if (amount < effect.minAmount) {
+    return { error: `The ${effect.name} effect needs at least ${effect.minAmount} tokens` };
+  }
+
+  return { effect };
+}
+
+/**
+ * Check and clean a channel's effect overrides from a request body
+ * @param {Object} value - Effect type => override ({ enabled, minAmount, pinSeconds, tts })
+ * @returns {Object} Result ({ overrides } or { error })
+ */
+function normalizeEffectOverrides(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { error: 'Effects must be an object keyed by effect type' };
+  }
+
+  const overrides = {};
+
+  for (const [type, override] of Object.entries(value)) {
+    if (!DONATION_EFFECT_TYPES.includes(type)) {
+      return { error: `Unknown effect type: ${type}` };
+    }
+
+    if (!override || typeof override !== 'object') {
+      return { error: `Invalid settings for the ${type} effect` };
+    }
+
+    const { enabled, minAmount, pinSeconds, tts } = override;
+    const cleaned = {};
+
+    if (enabled !== undefined) {
+      if (typeof enabled !== 'boolean' || (type === 'regular' && !enabled)) {
+        return { error: `Invalid enabled setting for the ${type} effect` };
+      }
+      cleaned.enabled = enabled;
+    }
+
+    if (minAmount !== undefined) {
+      if (!Number.isInteger(minAmount) || minAmount < 1 || minAmount > EFFECT_OVERRIDE_LIMITS.maxMinAmount) {
+        return { error: `Minimum amount for the ${type} effect must be between 1 and ${EFFECT_OVERRIDE_LIMITS.maxMinAmount}` };
+      }
+      cleaned.minAmount = minAmount;
+    }
+
+    if (pinSeconds !== undefined) {
+      if (!Number.isInteger(pinSeconds) || pinSeconds < 0 || pinSeconds > EFFECT_OVERRIDE_LIMITS.maxPinSeconds) {
+        return { error: `Pin duration for the ${type} effect must be between 0 and ${EFFECT_OVERRIDE_LIMITS.maxPinSeconds} seconds` };
+      }
+      cleaned.pinSeconds = pinSeconds;
+    }
+
+    if (tts !== undefined) {
+      if (typeof tts !== 'boolean') {
+        return { error: `Invalid text-to-speech setting for the ${type} effect` };
+      }
+      cleaned.tts = tts;
+    }
+
+    overrides[type] = cleaned;
+  }
+
+  return { overrides };
+}
+
+/**
+ * Build the text-to-speech overlay event for a donation
+ * @param {Object} donationMessage - Broadcast donation message
+ * @returns {Object} Event ({ roomId, donationId, username, amount, effectType, text })
+ */
+function createTtsEvent(donationMessage) {
+  // Emote placeholders are not read out
+  const text = (donationMessage.message || '').replace(/<emote:[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+
+  return {
+    roomId: donationMessage.roomId,
+    donationId: donationMessage.id,
+    username: donationMessage.user.username,
+    amount: donationMessage.amount,
+    effectType: donationMessage.effectType,
+    text: text.slice(0, MAX_TTS_LENGTH)
+  };
+}
+
+/**
+ * Find a sender's donation by its client idempotency key
+ * @param {string} userId - Sender's user ID
+ * @param {string} clientMessageId - Client-generated key
+ * @returns {Promise<Object|null>} Donation
+ */
+async function findDonationByClientKey(userId, clientMessageId) {
+  return Donation.findOne({ userId, clientMessageId }).lean();
+}
+
+/**
+ * Charge a donation to the sender and credit it to the channel owner
+ * @param {Object} options - Donation options
+ * @param {Object} options.sender - Socket user making the donation
+ * @param {ObjectId} options.recipientId - Channel owner's user ID
+ * @param {ObjectId} options.roomId - Room/Channel ID
+ * @param {number} options.amount - Tokens to donate
+ * @param {string} options.message - Message shown with the donation
+ * @param {string} options.effectType - Donation effect type
+ * @param {ObjectId} options.streamId - Stream the channel is broadcasting (null when offline)
+ * @param {string} options.clientMessageId - Client idempotency key (optional)
+ * @param {string} options.ipAddress - Sender's IP address, for the transaction record
+ * @param {string} options.userAgent - Sender's user agent, for the transaction record
+ * @returns {Promise<Object>} Result ({ donation, balance, goal, goalReached, duplicate } or { error });
+ *   duplicate is true when the key was already used and nothing was charged, and balance is then null;
+ *   goal is the formatted goal the donation counted towards (null if none)
+ */
+async function processDonation({
+  sender,
+  recipientId,
+  roomId,
+  amount,
+  message = '',
+  effectType = 'regular',
+  streamId = null,
+  clientMessageId = null,
+  ipAddress = null,
+  userAgent = null
+}) {
+  if (!Number.isInteger(amount) || amount < 1) {
+    return { error: 'Invalid donation amount' };
+  }
+
+  if (!DONATION_EFFECT_TYPES.includes(effectType)) {
+    return { error: 'Invalid donation effect' };
+  }
+
+  if (!recipientId) {
+    return { error: 'This channel cannot receive donations' };
+  }
+
+  if (recipientId.toString() === sender.userId) {
+    return { error: 'You cannot donate to your own channel' };
+  }
+
+  // Resends after the first attempt committed get the stored donation back
+  if (clientMessageId) {
+    const existing = await findDonationByClientKey(sender.userId, clientMessageId);
+    if (existing) {
+      return { donation: existing, balance: null, goal: null, goalReached: false, duplicate: true };
+    }
+  }
+
+  const text = typeof message === 'string' ? message.trim().slice(0, MAX_DONATION_MESSAGE_LENGTH) : '';
+  const session = await mongoose.startSession();
+  let result = null;
+
+  try {
+    // Retried from the start on transient errors, e.g. a write conflict with another donation
+    await session.withTransaction(async () => {
+      // Only debits when the balance covers the amount, so concurrent donations can't overdraw
+      const donor = await User.findOneAndUpdate(
+        { _id: sender.userId, tokenBalance: { $gte: amount } },
+        {
+          $inc: { tokenBalance: -amount, totalTokensSpent: amount },
+          lastActive: new Date()
+        },
+        { new: true, session }
+      );
+
+      if (!donor) {
+        throw new DonationError('Insufficient token balance');
+      }
+
+      const recipient = await User.findOneAndUpdate(
+        { _id: recipientId },
+        { $inc: { tokenBalance: amount, totalTokensEarned: amount } },
+        { new: true, session }
+      );
+
+      if (!recipient) {
+        throw new DonationError('This channel cannot receive donations');
+      }
+
+      const progress = await DonationGoal.addDonation(roomId, amount, effectType, { session });
+
+      const [donation] = await Donation.create([{
+        roomId,
+        userId: donor._id,
+        username: donor.username,
+        recipientId: recipient._id,
+        amount,
+        message: text,
+        effectType,
+        streamId,
+        goalId: progress ? progress.goal._id : null,
+        clientMessageId
+      }], { session });
+
+      await Transaction.recordTransaction({
+        userId: donor._id,
+        type: 'spending',
+        activity: 'donation',
+        amount: -amount, // Negative for spending
+        balanceAfter: donor.tokenBalance,
+        description: `Donated ${amount} tokens to ${recipient.username}`,
+        metadata: { roomId: roomId.toString(), recipientId: recipient._id.toString() },
+        relatedDonationId: donation._id,
+        ipAddress,
+        userAgent
+      }, { session });
+
+      await Transaction.recordTransaction({
+        userId: recipient._id,
+        type: 'earning',
+        activity: 'donation_received',
+        amount,
+        balanceAfter: recipient.tokenBalance,
+        description: `Received ${amount} tokens from ${donor.username}`,
+        metadata: { roomId: roomId.toString(), senderId: donor._id.toString() },
+        relatedDonationId: donation._id
+      }, { session });
+
+      result = {
+        donation: donation.toObject(),
+        balance: donor.tokenBalance,
+        goal: progress ? formatGoal(progress.goal) : null,
+        goalReached: Boolean(progress && progress.reached),
+        duplicate: false
+      };
+    });
+  } catch (error) {
+    if (error instanceof DonationError) {
+      return { error: error.message };
+    }
+
+    // A concurrent resend with the same key committed first
+    if (error.code === DUPLICATE_KEY_ERROR_CODE && clientMessageId) {
+      const existing = await findDonationByClientKey(sender.userId, clientMessageId);
+      if (existing) {
+        return { donation: existing, balance: null, goal: null, goalReached: false, duplicate: true };
+      }
+    }
+
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  return result;
+}
+
+/**
+ * Refund a donation, returning the tokens from the channel owner to the donor
+ * @param {Object} options - Refund options
+ * @param {ObjectId} options.donationId - Donation ID
+ * @param {string} options.reason - Refund reason
+ * @param {Object} options.refundedBy - Admin or broadcaster issuing the refund ({ userId, username })
+ * @returns {Promise<Object>} Result ({ donation, totals } or { error, notFound }); totals holds the channel's new total
+ */
+async function refundDonation({ donationId, reason = '', refundedBy }) {
+  const session = await mongoose.startSession();
+  let donation = null;
+  let goal = null;
+
+  try {
+    await session.withTransaction(async () => {
+      // Only completed donations can be refunded, so two refunds can't both go through
+      donation = await Donation.refundDonation(donationId, reason, {
+        refundedBy: refundedBy.userId,
+        session
+      });
+
+      // Unknown and already refunded donations both match nothing
+      if (!donation) {
+        const exists = await Donation.exists({ _id: donationId }).session(session);
+        throw exists
+          ? new DonationError('This donation has already been refunded')
+          : new DonationError('Donation not found', { notFound: true });
+      }
+
+      const { amount } = donation;
+
+      // The owner may have spent the tokens since; never take the balance below zero
+      const recipient = await User.findOneAndUpdate(
+        { _id: donation.recipientId, tokenBalance: { $gte: amount } },
+        { $inc: { tokenBalance: -amount, totalTokensEarned: -amount } },
+        { new: true, session }
+      );
+
+      if (!recipient) {
+        throw new DonationError('The channel owner\'s token balance is too low to refund this donation');
+      }
+
+      const donor = await User.findOneAndUpdate(
+        { _id: donation.userId },
+        { $inc: { tokenBalance: amount, totalTokensSpent: -amount } },
+        { new: true, session }
+      );
+
+      if (!donor) {
+        throw new DonationError('The donor\'s account no longer exists');
+      }
+
+      const metadata = {
+        roomId: donation.roomId.toString(),
+        refundedBy: refundedBy.userId.toString(),
+        reason
+      };
+
+      await Transaction.recordTransaction({
+        userId: donor._id,
+        type: 'refund',
+        activity: 'refund',
+        amount,
+        balanceAfter: donor.tokenBalance,
+        description: `Refund of ${amount} tokens donated to ${recipient.username}`,
+        metadata,
+        relatedDonationId: donation._id
+      }, { session });
+
+      await Transaction.recordTransaction({
+        userId: recipient._id,
+        type: 'refund',
+        activity: 'refund',
+        amount: -amount,
+        balanceAfter: recipient.tokenBalance,
+        description: `Refunded ${amount} tokens to ${donor.username}`,
+        metadata,
+        relatedDonationId: donation._id
+      }, { session });
+
+      goal = donation.goalId
+        ? await DonationGoal.removeDonation(donation.goalId, amount, { session })
+        : null;
+    });
+  } catch (error) {
+    if (error instanceof DonationError) {
+      return { error: error.message, notFound: error.notFound };
+    }
+
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  const total = await Donation.getChannelTotalDonations(donation.roomId);
+  const refund = donation.toObject();
+
+  // Refunded donations drop off the leaderboards straight away
+  await invalidateLeaderboards(refund.roomId);
+
+  await publishDonationEvent({
+    type: 'donationRefunded',
+    roomId: refund.roomId.toString(),
+    donationId: refund._id.toString(),
+    userId: refund.userId.toString(),
+    username: refund.username,
+    amount: refund.amount,
+    reason,
+    refundedBy: {
+      userId: refundedBy.userId.toString(),
+      username: refundedBy.username
+    },
+    refundedAt: refund.refundedAt,
+    totals: { total }
+  });
+
+  if (goal) {
+    await publishDonationEvent({ type: 'goalProgress', roomId: refund.roomId.toString(), goal: formatGoal(goal) });
+  }
+
+  return { donation: refund, totals: { total } };
+}
+
+/**
+ * Send a donation event to every socket node; failures are logged since the change is already stored
+ * @param {Object} event - Event ({ type, roomId, ... })
+ * @returns {Promise<void>}
+ */
+async function publishDonationEvent(event) {
+  try {
+    await redisClient.publish(DONATION_EVENTS_CHANNEL, JSON.stringify(event));
+  } catch (error) {
+    logger.error(`Error publishing donation event ${event.type}:`, error);
+  }
+}
+
+/**
+ * Receive donation events published by any node or API server
+ * @param {Function} onEvent - Called with each event
+ * @returns {Object} Redis subscriber (quit it to stop listening)
+ */
+function subscribeToDonationEvents(onEvent) {
+  const subscriber = redisClient.duplicate();
+
+  subscriber.subscribe(DONATION_EVENTS_CHANNEL).catch(error => {
+    logger.error('Error subscribing to donation events:', error);
+  });
+
+  subscriber.on('message', (channel, message) => {
+    try {
+      onEvent(JSON.parse(message));
+    } catch (error) {
+      logger.error('Error handling donation event:', error);
+    }
+  });
+
+  return subscriber;
+}
+
+/**
+ * Start a channel's donation goal, replacing the current one
+ * @param {Object} goalData - Goal ({ channelId, createdBy, title, targetAmount, deadline, effectTypes })
+ * @returns {Promise<Object>} Formatted goal
+ */
+async function startGoal(goalData) {
+  const goal = formatGoal(await DonationGoal.startGoal(goalData));
+
+  await publishDonationEvent({ type: 'goalUpdated', roomId: goal.channelId, goal });
+
+  return goal;
+}
+
+/**
+ * End a channel's donation goal
+ * @param {ObjectId} channelId - Channel ID
+ * @returns {Promise<boolean>} False if the channel had no active goal
+ */
+async function endGoal(channelId) {
+  const goal = await DonationGoal.endGoal(channelId);
+  if (!goal) {
+    return false;
+  }
+
+  await publishDonationEvent({ type: 'goalUpdated', roomId: channelId.toString(), goal: null });
+
+  return true;
+}
+
+module.exports = {
+  DONATION_EFFECT_TYPES,
+  getEffectTiers,
+  resolveEffect,
+  normalizeEffectOverrides,
+  createTtsEvent,
+  formatGoal,
+  processDonation,
+  refundDonation,
+  startGoal,
+  endGoal,
+  subscribeToDonationEvents
+};
@@ -0,0 +1,191 @@
+/**
+ * Leaderboard Service
+ * Donation leaderboards for a channel (all time, today, this week, this month or one stream)
+ * and across all channels. Results are cached in Redis for a short time, and donors who
+ * opted out are shown as anonymous.
+ */
+
+const Redis = require('ioredis');
+const logger = require('../utils/logger');
+const config = require('../config');
+const Donation = require('../models/Donation');
+const User = require('../models/user.model');
+
+// Redis client for cached leaderboards
+const redisClient = new Redis(config.redis.url);
+
+// Time windows; day, week and month are calendar periods in UTC
+const LEADERBOARD_WINDOWS = ['all', 'day', 'week', 'month', 'stream'];
+
+// How long a computed leaderboard is served from the cache
+const LEADERBOARD_CACHE_SECONDS = 30;
+
+const ANONYMOUS_USERNAME = 'Anonymous';
+
+// Cache version shared by every leaderboard, bumped when a donor's anonymity changes
+const ALL_VERSION_KEY = 'leaderboard:version:all';
+
+/**
+ * Get the start of a calendar window in UTC
+ * @param {string} window - Time window
+ * @param {Date} now - Current time
+ * @returns {Date|null} Start of the window, or null for windows without one (all, stream)
+ */
+function getWindowStart(window, now = new Date()) {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+
+  switch (window) {
+    case 'day':
+      return start;
+    case 'week':
+      // Weeks start on Monday
+      start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+      return start;
+    case 'month':
+      start.setUTCDate(1);
+      return start;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Redis key for a channel's (or the global) cache version, bumped when refunds change past totals
+ * @param {string|null} channelId - Channel ID (null for the global leaderboard)
+ * @returns {string} Redis key
+ */
+function getVersionKey(channelId) {
+  return `leaderboard:version:${channelId || 'global'}`;
+}
+
+/**
+ * Redis key for a cached leaderboard
+ * @param {Object} options - Leaderboard options
+ * @returns {Promise<string>} Redis key
+ */
+async function getCacheKey({ channelId, window, since, streamId, limit }) {
+  // Windows that started at different times (e.g. yesterday and today) get their own keys
+  const period = streamId || (since ? since.getTime() : 'all');
+  const [allVersion, version] = await redisClient.mget(ALL_VERSION_KEY, getVersionKey(channelId));
+
+  return `leaderboard:${channelId || 'global'}:${allVersion || 0}.${version || 0}:${window}:${period}:${limit}`;
+}
+
+/**
+ * Hide donors who opted out and number the entries
+ * @param {Array<Object>} donors - Aggregated donors ({ _id, username, total, count, lastDonation })
+ * @returns {Promise<Array<Object>>} Entries ({ rank, userId, username, anonymous, total, count, lastDonation })
+ */
+async function formatEntries(donors) {
+  const anonymousIds = new Set();
+
+  if (donors.length > 0) {
+    const users = await User.find({
+      _id: { $in: donors.map(donor => donor._id) },
+      anonymousDonor: true
+    }).select('_id').lean();
+
+    users.forEach(user => anonymousIds.add(user._id.toString()));
+  }
+
+  return donors.map((donor, index) => {
+    const anonymous = anonymousIds.has(donor._id.toString());
+
+    return {
+      rank: index + 1,
+      userId: anonymous ? null : donor._id.toString(),
+      username: anonymous ? ANONYMOUS_USERNAME : donor.username,
+      anonymous,
+      total: donor.total,
+      count: donor.count,
+      lastDonation: donor.lastDonation
+    };
+  });
+}
+
+/**
+ * Get a donation leaderboard
+ * @param {Object} options - Leaderboard options
+ * @param {ObjectId} options.channelId - Channel ID (omit for the global leaderboard)
+ * @param {string} options.window - Time window (all, day, week, month, stream)
+ * @param {ObjectId} options.streamId - Stream to rank (stream window only)
+ * @param {number} options.limit - Maximum number of donors to return
+ * @returns {Promise<Object>} Leaderboard ({ window, startsAt, streamId, donors })
+ */
+async function getLeaderboard({ channelId = null, window = 'all', streamId = null, limit = 10 }) {
+  const since = getWindowStart(window);
+  const scope = {
+    channelId: channelId ? channelId.toString() : null,
+    window,
+    since,
+    streamId: window === 'stream' && streamId ? streamId.toString() : null,
+    limit
+  };
+
+  let cacheKey = null;
+
+  try {
+    cacheKey = await getCacheKey(scope);
+
+    const cached = await redisClient.get(cacheKey);
+    if (cached) {
+      return JSON.parse(cached);
+    }
+  } catch (error) {
+    // Fall back to the database if Redis is unavailable
+    logger.error('Error reading cached leaderboard:', error);
+  }
+
+  const donors = scope.channelId
+    ? await Donation.getChannelTopDonors(scope.channelId, limit, { since, streamId: scope.streamId })
+    : await Donation.getGlobalTopDonors(limit, { since });
+
+  const leaderboard = {
+    window,
+    startsAt: since,
+    streamId: scope.streamId,
+    donors: await formatEntries(donors)
+  };
+
+  if (cacheKey) {
+    await redisClient.set(cacheKey, JSON.stringify(leaderboard), 'EX', LEADERBOARD_CACHE_SECONDS)
+      .catch(error => logger.error('Error caching leaderboard:', error));
+  }
+
+  return leaderboard;
+}
+
+/**
+ * Drop a channel's cached leaderboards and the global ones, e.g. after a refund
+ * @param {ObjectId} channelId - Channel ID
+ * @returns {Promise<void>}
+ */
+async function invalidateLeaderboards(channelId) {
+  try {
+    await redisClient.multi()
+      .incr(getVersionKey(channelId.toString()))
+      .incr(getVersionKey(null))
+      .exec();
+  } catch (error) {
+    logger.error(`Error invalidating leaderboards for channel ${channelId}:`, error);
+  }
+}
+
+/**
+ * Drop every cached leaderboard, e.g. when a donor opts in or out of anonymity
+ * @returns {Promise<void>}
+ */
+async function invalidateAllLeaderboards() {
+  try {
+    await redisClient.incr(ALL_VERSION_KEY);
+  } catch (error) {
+    logger.error('Error invalidating all leaderboards:', error);
+  }
+}
+
+module.exports = {
+  LEADERBOARD_WINDOWS,
+  getLeaderboard,
+  invalidateLeaderboards,
+  invalidateAllLeaderboards
+};
@@ -0,0 +1,162 @@
+/**
+ * Link Service
+ * Decides who may post links in a channel: domain allow/deny lists, restrictions
+ * for guests and new followers, and one-time moderator permits (/permit)
+ */
+
+const Redis = require('ioredis');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { matchesDomain } = require('../utils/linkUtils');
+const ChannelChatSettings = require('../models/ChannelChatSettings');
+const UserFollow = require('../models/UserFollow');
+
+// Redis client for cluster-wide permits
+const redisClient = new Redis(config.redis.url);
+
+// Seconds a /permit stays valid
+const LINK_PERMIT_SECONDS = 60;
+
+// Link settings are cached briefly; changes made through the API apply within a minute
+const settingsCache = new Map();
+const SETTINGS_CACHE_MS = 60000;
+
+/**
+ * Get a channel's link settings, using the local cache when fresh
+ * @param {string} channelId - Channel ID
+ * @returns {Promise<Object>} Link settings ({ allowList, denyList, minFollowAge })
+ */
+async function getLinkSettings(channelId) {
+  const cached = settingsCache.get(channelId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.settings;
+  }
+
+  const stored = await ChannelChatSettings.getSettings(channelId);
+  const settings = {
+    allowList: stored.linkAllowList || [],
+    denyList: stored.linkDenyList || [],
+    minFollowAge: stored.linkMinFollowAge || 0
+  };
+
+  settingsCache.set(channelId, { settings, expiresAt: Date.now() + SETTINGS_CACHE_MS });
+
+  return settings;
+}
+
+/**
+ * Drop a channel's cached link settings after they change
+ * @param {string} channelId - Channel ID
+ */
+function invalidateLinkSettings(channelId) {
+  settingsCache.delete(channelId);
+}
+
+/**
+ * Redis key for a user's link permit in a room
+ * @param {string} roomId - Room ID
+ * @param {string} username - Permitted username
+ * @returns {string} Redis key
+ */
+function getPermitKey(roomId, username) {
+  return `links:permit:${roomId}:${username.toLowerCase()}`;
+}
+
+/**
+ * Let a user post one link in a room within the permit window
+ * @param {string} roomId - Room ID
+ * @param {string} username - Username to permit
+ * @returns {Promise<number>} Seconds the permit is valid
+ */
+async function grantPermit(roomId, username) {
+  await redisClient.set(getPermitKey(roomId, username), '1', 'EX', LINK_PERMIT_SECONDS);
+  return LINK_PERMIT_SECONDS;
+}
+
+/**
+ * Use up a user's permit
+ * @param {string} roomId - Room ID
+ * @param {string} username - Username
+ * @returns {Promise<boolean>} True if the user had a permit
+ */
+async function consumePermit(roomId, username) {
+  try {
+    // DEL is atomic, so a permit can only be used once across the cluster
+    const deleted = await redisClient.del(getPermitKey(roomId, username));
+    return deleted > 0;
+  } catch (error) {
+    logger.error(`Error checking link permit for ${username}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Check if a user is trusted to post links without a permit
+ * @param {string} roomId - Room ID
+ * @param {Object} user - Sender
+ * @param {Object} settings - Link settings
+ * @returns {Promise<string|null>} Error message, or null if trusted
+ */
+async function checkLinkTrust(roomId, user, settings) {
+  if (!user.isAuthenticated) {
+    return 'You must be logged in to post links';
+  }
+
+  // Subscribers are trusted regardless of follow age
+  if (user.tier && user.tier !== 'free' && user.tier !== 'guest') {
+    return null;
+  }
+
+  const followedAt = await UserFollow.getFollowDate(user.userId, roomId);
+
+  if (!followedAt || (Date.now() - new Date(followedAt).getTime()) / 60000 < settings.minFollowAge) {
+    return settings.minFollowAge > 0
+      ? `You must follow this channel for ${settings.minFollowAge} minute${settings.minFollowAge === 1 ? '' : 's'} before posting links`
+      : 'You must follow this channel before posting links';
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a user may post the links in a message
+ * @param {Array} links - Links from extractLinks
+ * @param {Object} context - Message context
+ * @param {string} context.roomId - Room ID
+ * @param {Object} context.user - Sender
+ * @returns {Promise<string|null>} Error message, or null if the links are allowed
+ */
+async function checkLinks(links, { roomId, user }) {
+  const settings = await getLinkSettings(roomId);
+
+  // Denied domains stay blocked even with a permit
+  const denied = links.find(link => matchesDomain(link.domain, settings.denyList));
+  if (denied) {
+    return `Links to ${denied.domain} are not allowed in this chat`;
+  }
+
+  const restricted = links.filter(link => !matchesDomain(link.domain, settings.allowList));
+  if (restricted.length === 0) {
+    return null;
+  }
+
+  const trustError = await checkLinkTrust(roomId, user, settings);
+  if (!trustError) {
+    return null;
+  }
+
+  // A permit covers a single link
+  if (restricted.length === 1 && await consumePermit(roomId, user.username)) {
+    return null;
+  }
+
+  return trustError;
+}
+
+module.exports = {
+  LINK_PERMIT_SECONDS,
+  getLinkSettings,
+  invalidateLinkSettings,
+  grantPermit,
+  checkLinks
+};
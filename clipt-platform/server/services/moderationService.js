@@ -0,0 +1,105 @@
+/**
+ * Moderation Service
+ * Message purges and the moderation audit log shared by the socket server and REST routes
+ */
+
+const Redis = require('ioredis');
+const logger = require('../utils/logger');
+const config = require('../config');
+const ChatMessage = require('../models/ChatMessage');
+const ModerationLog = require('../models/ModerationLog');
+
+// Moderation done through the REST API is published here so every socket node can act on it
+const MODERATION_EVENTS_CHANNEL = 'moderation:events';
+const redisClient = new Redis(config.redis.url);
+
+/**
+ * Record a moderation action; failures are logged but never block the action itself
+ * @param {Object} entry - Log entry (see ModerationLog.logAction)
+ * @returns {Promise<Object|null>} Created log entry or null on failure
+ */
+async function logModerationAction(entry) {
+  try {
+    return await ModerationLog.logAction(entry);
+  } catch (error) {
+    logger.error(`Error recording moderation action ${entry.action}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Soft-delete a user's messages in a channel
+ * @param {ObjectId} channelId - Channel ID
+ * @param {ObjectId} userId - User whose messages are purged
+ * @param {ObjectId} deletedBy - Moderator ID
+ * @returns {Promise<Object>} Tombstone describing the purge
+ */
+async function purgeUserMessages(channelId, userId, deletedBy) {
+  const deletedCount = await ChatMessage.deleteUserMessages(channelId, userId, deletedBy);
+
+  return {
+    roomId: channelId.toString(),
+    userId: userId.toString(),
+    deletedCount,
+    deletedAt: new Date()
+  };
+}
+
+/**
+ * Soft-delete every message in a channel
+ * @param {ObjectId} channelId - Channel ID
+ * @param {ObjectId} deletedBy - Moderator ID
+ * @returns {Promise<Object>} Tombstone describing the clear
+ */
+async function clearChannelMessages(channelId, deletedBy) {
+  const deletedCount = await ChatMessage.clearRoomMessages(channelId, deletedBy);
+
+  return {
+    roomId: channelId.toString(),
+    deletedCount,
+    clearedAt: new Date()
+  };
+}
+
+/**
+ * Tell every socket node about a moderation action; failures are logged, the action itself already happened
+ * @param {Object} event - Event ({ type, roomId, ... })
+ */
+async function publishModerationEvent(event) {
+  try {
+    await redisClient.publish(MODERATION_EVENTS_CHANNEL, JSON.stringify(event));
+  } catch (error) {
+    logger.error(`Error publishing moderation event ${event.type}:`, error);
+  }
+}
+
+/**
+ * Listen for moderation events from any node
+ * @param {Function} onEvent - Called with each event
+ * @returns {Object} Redis subscriber (quit it to stop listening)
+ */
+function subscribeToModerationEvents(onEvent) {
+  const subscriber = redisClient.duplicate();
+
+  subscriber.subscribe(MODERATION_EVENTS_CHANNEL).catch(error => {
+    logger.error('Error subscribing to moderation events:', error);
+  });
+
+  subscriber.on('message', (channel, message) => {
+    try {
+      onEvent(JSON.parse(message));
+    } catch (error) {
+      logger.error('Error handling moderation event:', error);
+    }
+  });
+
+  return subscriber;
+}
+
+module.exports = {
+  logModerationAction,
+  purgeUserMessages,
+  clearChannelMessages,
+  publishModerationEvent,
+  subscribeToModerationEvents
+};
@@ -0,0 +1,245 @@
+/**
+ * Poll Service
+ * Handles chat poll lifecycle: creation, voting, result tallying and automatic closing
+ */
+
+const logger = require('../utils/logger');
+const Poll = require('../models/Poll');
+
+// MongoDB duplicate key error
+const DUPLICATE_KEY_ERROR_CODE = 11000;
+
+// Poll limits
+const POLL_LIMITS = {
+  DEFAULT_DURATION: 60,  // 1 minute
+  MIN_DURATION: 10,      // 10 seconds
+  MAX_DURATION: 60 * 30, // 30 minutes
+  MAX_OPTIONS: 10
+};
+
+// Vote weights for tier-weighted polls
+const TIER_VOTE_WEIGHTS = {
+  free: 1,
+  basic: 2,
+  premium: 3,
+  annual: 3
+};
+
+/**
+ * Get the vote weight for a user
+ * @param {Object} user - Socket user
+ * @param {Boolean} weighted - Whether the poll uses tier-weighted votes
+ * @returns {Number} Vote weight
+ */
+function getVoteWeight(user, weighted) {
+  if (!weighted) {
+    return 1;
+  }
+
+  return TIER_VOTE_WEIGHTS[user.tier] || 1;
+}
+
+/**
+ * Format a poll for clients, including percentages for each option
+ * @param {Object} poll - Poll document (lean)
+ * @returns {Object} Poll results
+ */
+function formatPollResults(poll) {
+  const totalVotes = poll.options.reduce((sum, option) => sum + option.votes, 0);
+  const totalWeight = poll.options.reduce((sum, option) => sum + option.weight, 0);
+  const tallyField = poll.weighted ? 'weight' : 'votes';
+  const tallyTotal = poll.weighted ? totalWeight : totalVotes;
+
+  return {
+    pollId: poll._id.toString(),
+    roomId: poll.roomId.toString(),
+    question: poll.question,
+    weighted: poll.weighted,
+    status: poll.status,
+    createdBy: poll.createdBy.username,
+    endsAt: poll.endsAt,
+    closedAt: poll.closedAt || null,
+    totalVotes,
+    totalWeight,
+    options: poll.options.map((option, index) => ({
+      index,
+      text: option.text,
+      votes: option.votes,
+      weight: option.weight,
+      percentage: tallyTotal > 0
+        ? Math.round((option[tallyField] / tallyTotal) * 1000) / 10
+        : 0
+    }))
+  };
+}
+
+/**
+ * Get the winning option(s) of a poll
+ * @param {Object} results - Formatted poll results
+ * @returns {Array} Winning options (more than one on a tie)
+ */
+function getWinningOptions(results) {
+  const tallyField = results.weighted ? 'weight' : 'votes';
+  const highest = Math.max(...results.options.map(option => option[tallyField]));
+
+  if (highest <= 0) {
+    return [];
+  }
+
+  return results.options.filter(option => option[tallyField] === highest);
+}
+
+/**
+ * Create a poll in a room
+ * @param {Object} params - Poll parameters
+ * @param {String} params.roomId - Room ID
+ * @param {Object} params.user - Socket user creating the poll
+ * @param {String} params.question - Poll question
+ * @param {Array<String>} params.options - Poll options
+ * @param {Number} params.duration - Duration in seconds
+ * @param {Boolean} params.weighted - Whether votes are weighted by tier
+ * @returns {Promise<Object>} Result with either `poll` or `error`
+ */
+async function createPoll({ roomId, user, question, options, duration, weighted = false }) {
+  if (options.length < 2) {
+    return { error: 'A poll needs at least two options' };
+  }
+
+  if (options.length > POLL_LIMITS.MAX_OPTIONS) {
+    return { error: `A poll can have at most ${POLL_LIMITS.MAX_OPTIONS} options` };
+  }
+
+  // Polls that have ended stay active until they are closed, which takes at most one sweep
+  const existingPoll = await Poll.findOne({ roomId, status: 'active' }).select('endsAt').lean();
+  if (existingPoll) {
+    return {
+      error: existingPoll.endsAt > new Date()
+        ? 'A poll is already running in this room'
+        : 'The last poll is still closing. Please try again in a few seconds.'
+    };
+  }
+
+  const pollDuration = Math.min(
+    Math.max(parseInt(duration, 10) || POLL_LIMITS.DEFAULT_DURATION, POLL_LIMITS.MIN_DURATION),
+    POLL_LIMITS.MAX_DURATION
+  );
+
+  let poll;
+  try {
+    poll = await Poll.createPoll({
+      roomId,
+      createdBy: {
+        userId: user.userId,
+        username: user.username
+      },
+      question,
+      options,
+      duration: pollDuration,
+      weighted
+    });
+  } catch (error) {
+    // Another poll was started at the same time; the index allows one active poll per room
+    if (error.code === DUPLICATE_KEY_ERROR_CODE) {
+      return { error: 'A poll is already running in this room' };
+    }
+    throw error;
+  }
+
+  logger.info(`Poll ${poll._id} created by ${user.username} in room ${roomId}`);
+
+  return { poll: formatPollResults(poll.toObject()) };
+}
+
+/**
+ * Cast a vote on a poll
+ * @param {Object} params - Vote parameters
+ * @param {String} params.roomId - Room ID
+ * @param {String} params.pollId - Poll ID (defaults to the room's active poll)
+ * @param {Number} params.optionIndex - Zero-based option index
+ * @param {Object} params.user - Socket user voting
+ * @returns {Promise<Object>} Result with either `poll` or `error`
+ */
+async function castVote({ roomId, pollId, optionIndex, user }) {
+  if (!user.isAuthenticated) {
+    return { error: 'You must be logged in to vote' };
+  }
+
+  const poll = pollId
+    ? await Poll.findOne({ _id: pollId, roomId }).lean()
+    : await Poll.getActivePoll(roomId);
+
+  if (!poll) {
+    return { error: 'There is no active poll in this room' };
+  }
+
+  if (poll.status !== 'active' || poll.endsAt <= new Date()) {
+    return { error: 'This poll has ended' };
+  }
+
+  const index = parseInt(optionIndex, 10);
+  if (Number.isNaN(index) || index < 0 || index >= poll.options.length) {
+    return { error: `Please choose an option between 1 and ${poll.options.length}` };
+  }
+
+  const weight = getVoteWeight(user, poll.weighted);
+  const updatedPoll = await Poll.castVote(poll._id, user.userId, index, weight);
+
+  if (!updatedPoll) {
+    const alreadyVoted = await Poll.hasVoted(poll._id, user.userId);
+    return { error: alreadyVoted ? 'You have already voted in this poll' : 'This poll has ended' };
+  }
+
+  return { poll: formatPollResults(updatedPoll), optionIndex: index, weight };
+}
+
+/**
+ * Close a poll
+ * @param {String} pollId - Poll ID
+ * @returns {Promise<Object|null>} Final results, or null if the poll was already closed
+ */
+async function closePoll(pollId) {
+  const poll = await Poll.closePoll(pollId);
+
+  if (!poll) {
+    return null;
+  }
+
+  const results = formatPollResults(poll);
+  results.winners = getWinningOptions(results);
+
+  logger.info(`Poll ${pollId} closed with ${results.totalVotes} votes`);
+
+  return results;
+}
+
+/**
+ * Close every poll whose end time has passed
+ * @returns {Promise<Array>} Final results of the polls closed by this call
+ */
+async function closeExpiredPolls() {
+  try {
+    const expiredPolls = await Poll.getExpiredPolls();
+    const closed = [];
+
+    for (const poll of expiredPolls) {
+      const results = await closePoll(poll._id);
+      if (results) {
+        closed.push(results);
+      }
+    }
+
+    return closed;
+  } catch (error) {
+    logger.error('Error closing expired polls:', error);
+    return [];
+  }
+}
+
+module.exports = {
+  POLL_LIMITS,
+  createPoll,
+  castVote,
+  closePoll,
+  closeExpiredPolls,
+  formatPollResults
+};
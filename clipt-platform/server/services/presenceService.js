@@ -0,0 +1,348 @@
+/**
+ * Presence Service
+ * Tracks who is in each chat room across all nodes. Users are counted once no matter
+ * how many tabs they have open, and are grouped by their role in the room.
+ * Also holds the cluster-wide list of who is typing in each room.
+ */
+
+const Redis = require('ioredis');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// Redis client for cluster-wide presence
+const redisClient = new Redis(config.redis.url);
+
+// Role groups, highest first
+const PRESENCE_ROLES = ['broadcaster', 'moderators', 'vips', 'subscribers', 'viewers'];
+
+// Nodes refresh their members this often; members not refreshed in time are dropped,
+// which cleans up after nodes that crashed without removing their sockets
+const PRESENCE_HEARTBEAT_MS = 30000;
+const PRESENCE_STALE_MS = 3 * PRESENCE_HEARTBEAT_MS;
+
+// Users listed per role group by the chatters endpoint
+const MAX_CHATTERS_PER_ROLE = 1000;
+
+// Per room keys:
+//   connections - hash of member key => open sockets in the room
+//   members     - sorted set of member key => last heartbeat (ms)
+//   profiles    - hash of member key => JSON profile (signed-in users only)
+
+// Drop a connection, removing the member when it was their last one
+redisClient.defineCommand('presenceLeave', {
+  numberOfKeys: 3,
+  lua: `
+    local remaining = redis.call('HINCRBY', KEYS[1], ARGV[1], -1)
+    if remaining <= 0 then
+      redis.call('HDEL', KEYS[1], ARGV[1])
+      redis.call('ZREM', KEYS[2], ARGV[1])
+      redis.call('HDEL', KEYS[3], ARGV[1])
+      return 1
+    end
+    return 0
+  `
+});
+
+// Remove members whose last heartbeat is older than ARGV[1]
+redisClient.defineCommand('presencePrune', {
+  numberOfKeys: 3,
+  lua: `
+    local stale = redis.call('ZRANGEBYSCORE', KEYS[2], '-inf', ARGV[1])
+    for _, member in ipairs(stale) do
+      redis.call('HDEL', KEYS[1], member)
+      redis.call('HDEL', KEYS[3], member)
+    end
+    if #stale > 0 then
+      redis.call('ZREMRANGEBYSCORE', KEYS[2], '-inf', ARGV[1])
+    end
+    return #stale
+  `
+});
+
+/**
+ * Redis key for the users typing in a room (sorted set of username => expiry time in ms)
+ * @param {string} roomId - Room ID
+ * @returns {string} Redis key
+ */
+function getTypingKey(roomId) {
+  return `typing:${roomId}`;
+}
+
+/**
+ * Redis keys for a room's presence
+ * @param {string} roomId - Room ID
+ * @returns {Array<string>} Connections, members and profiles keys
+ */
+function getPresenceKeys(roomId) {
+  return [
+    `presence:${roomId}:connections`,
+    `presence:${roomId}:members`,
+    `presence:${roomId}:profiles`
+  ];
+}
+
+/**
+ * Work out a user's role group in a room
+ * @param {Object} user - Socket user
+ * @param {Object} room - Chat room
+ * @param {boolean} isRoomModerator - True if the user moderates the room
+ * @returns {string} Role group
+ */
+function getPresenceRole(user, room, isRoomModerator) {
+  if (room.ownerId && room.ownerId.toString() === user.userId) {
+    return 'broadcaster';
+  }
+
+  if (isRoomModerator) {
+    return 'moderators';
+  }
+
+  if ((user.badges || []).includes('vip')) {
+    return 'vips';
+  }
+
+  if (user.tier && user.tier !== 'free' && user.tier !== 'guest') {
+    return 'subscribers';
+  }
+
+  return 'viewers';
+}
+
+/**
+ * Build a socket's presence entry for a room
+ * @param {Object} socket - Socket instance
+ * @param {Object} room - Chat room
+ * @param {boolean} isRoomModerator - True if the user moderates the room
+ * @returns {Object} Member ({ key, profile }); guests have no profile and are counted per socket
+ */
+function createMember(socket, room, isRoomModerator) {
+  if (!socket.user.isAuthenticated) {
+    return { key: `guest:${socket.id}`, profile: null };
+  }
+
+  return {
+    key: `user:${socket.user.userId}`,
+    profile: {
+      userId: socket.user.userId,
+      username: socket.user.username,
+      role: getPresenceRole(socket.user, room, isRoomModerator)
+    }
+  };
+}
+
+/**
+ * Record a socket joining a room
+ * @param {string} roomId - Room ID
+ * @param {Object} member - Member from createMember
+ * @returns {Promise<boolean>} True if this is the member's first connection to the room
+ */
+async function addConnection(roomId, member) {
+  const [connectionsKey, membersKey, profilesKey] = getPresenceKeys(roomId);
+  const transaction = redisClient.multi()
+    .hincrby(connectionsKey, member.key, 1)
+    .zadd(membersKey, Date.now(), member.key);
+
+  if (member.profile) {
+    // The latest join wins, so a role change shows up once the user reconnects
+    transaction.hset(profilesKey, member.key, JSON.stringify(member.profile));
+  }
+
+  const results = await transaction.exec();
+  const [error, connections] = results[0];
+  if (error) {
+    throw error;
+  }
+
+  return connections === 1;
+}
+
+/**
+ * Record a socket leaving a room
+ * @param {string} roomId - Room ID
+ * @param {Object} member - Member from createMember
+ * @returns {Promise<boolean>} True if the member has no connections left in the room
+ */
+async function removeConnection(roomId, member) {
+  const left = await redisClient.presenceLeave(...getPresenceKeys(roomId), member.key);
+  return left === 1;
+}
+
+/**
+ * Refresh the heartbeat of members connected to this node
+ * @param {Array<Object>} entries - Entries ({ roomId, member })
+ * @returns {Promise<void>}
+ */
+async function refreshMembers(entries) {
+  if (entries.length === 0) {
+    return;
+  }
+
+  const now = Date.now();
+  const pipeline = redisClient.pipeline();
+
+  for (const { roomId, member } of entries) {
+    const [connectionsKey, membersKey, profilesKey] = getPresenceKeys(roomId);
+
+    pipeline.zadd(membersKey, now, member.key);
+
+    // Restore members that were pruned while this node was unreachable
+    pipeline.hsetnx(connectionsKey, member.key, 1);
+    if (member.profile) {
+      pipeline.hsetnx(profilesKey, member.key, JSON.stringify(member.profile));
+    }
+  }
+
+  await pipeline.exec();
+}
+
+/**
+ * Drop members that stopped sending heartbeats
+ * @param {string} roomId - Room ID
+ * @returns {Promise<number>} Number of members removed
+ */
+async function pruneStaleMembers(roomId) {
+  try {
+    return await redisClient.presencePrune(...getPresenceKeys(roomId), Date.now() - PRESENCE_STALE_MS);
+  } catch (error) {
+    logger.error(`Error pruning presence for room ${roomId}:`, error);
+    return 0;
+  }
+}
+
+/**
+ * Get the number of people in a room
+ * @param {string} roomId - Room ID
+ * @returns {Promise<Object>} Counts ({ viewers, chatters }); viewers includes guests, chatters is signed-in users
+ */
+async function getPresenceCounts(roomId) {
+  await pruneStaleMembers(roomId);
+
+  const [, membersKey, profilesKey] = getPresenceKeys(roomId);
+  const [[membersError, viewers], [profilesError, chatters]] = await redisClient.multi()
+    .zcard(membersKey)
+    .hlen(profilesKey)
+    .exec();
+
+  if (membersError || profilesError) {
+    throw membersError || profilesError;
+  }
+
+  return { viewers, chatters };
+}
+
+/**
+ * Get the signed-in users in a room, grouped by role
+ * @param {string} roomId - Room ID
+ * @returns {Promise<Object>} Counts and chatters ({ counts, chatters: { broadcaster, moderators, vips, subscribers, viewers } })
+ */
+async function getChatters(roomId) {
+  const counts = await getPresenceCounts(roomId);
+  const [, , profilesKey] = getPresenceKeys(roomId);
+  const profiles = await redisClient.hvals(profilesKey);
+
+  const groups = {};
+  PRESENCE_ROLES.forEach(role => {
+    groups[role] = [];
+  });
+
+  for (const value of profiles) {
+    try {
+      const profile = JSON.parse(value);
+      (groups[profile.role] || groups.viewers).push({
+        userId: profile.userId,
+        username: profile.username
+      });
+    } catch (error) {
+      logger.error(`Invalid presence entry in room ${roomId}:`, error);
+    }
+  }
+
+  const chatters = {};
+  const roleCounts = {};
+
+  PRESENCE_ROLES.forEach(role => {
+    roleCounts[role] = groups[role].length;
+    chatters[role] = groups[role]
+      .sort((a, b) => a.username.localeCompare(b.username))
+      .slice(0, MAX_CHATTERS_PER_ROLE);
+  });
+
+  return {
+    counts: { ...counts, roles: roleCounts },
+    chatters
+  };
+}
+
+/**
+ * Mark a user as typing in a room
+ * @param {string} roomId - Room ID
+ * @param {string} username - Username
+ * @param {number} ttlMs - Milliseconds until the indicator expires unless refreshed
+ * @returns {Promise<void>}
+ */
+async function setTyping(roomId, username, ttlMs) {
+  const key = getTypingKey(roomId);
+
+  await redisClient.multi()
+    .zadd(key, Date.now() + ttlMs, username)
+    .pexpire(key, ttlMs)
+    .exec();
+}
+
+/**
+ * Clear a user's typing indicator in a room
+ * @param {string} roomId - Room ID
+ * @param {string} username - Username
+ * @returns {Promise<boolean>} True if the user was typing
+ */
+async function clearTyping(roomId, username) {
+  const removed = await redisClient.zrem(getTypingKey(roomId), username);
+  return removed > 0;
+}
+
+/**
+ * Get the users typing in a room, dropping expired indicators
+ * @param {string} roomId - Room ID
+ * @returns {Promise<Object>} Typing users ({ usernames, nextExpiry }); nextExpiry is null when nobody is typing
+ */
+async function getTypingUsers(roomId) {
+  const key = getTypingKey(roomId);
+  const results = await redisClient.multi()
+    .zremrangebyscore(key, '-inf', Date.now())
+    .zrange(key, 0, -1, 'WITHSCORES')
+    .exec();
+
+  const [error, entries] = results[1];
+  if (error) {
+    throw error;
+  }
+
+  // WITHSCORES returns [member, score, member, score, ...]
+  const usernames = [];
+  let nextExpiry = null;
+
+  for (let i = 0; i < entries.length; i += 2) {
+    usernames.push(entries[i]);
+
+    const expiresAt = Number(entries[i + 1]);
+    if (nextExpiry === null || expiresAt < nextExpiry) {
+      nextExpiry = expiresAt;
+    }
+  }
+
+  return { usernames, nextExpiry };
+}
+
+module.exports = {
+  PRESENCE_ROLES,
+  PRESENCE_HEARTBEAT_MS,
+  createMember,
+  addConnection,
+  removeConnection,
+  refreshMembers,
+  getPresenceCounts,
+  getChatters,
+  setTyping,
+  clearTyping,
+  getTypingUsers
+};
@@ -0,0 +1,175 @@
+/**
+ * Rate Limit Service
+ * Redis-backed, per-tier rate limiters shared by the socket server and the Express API,
+ * plus cluster-wide counters of rejected requests for metrics
+ */
+
+const { RateLimiterRedis, RateLimiterMemory } = require('rate-limiter-flexible');
+const logger = require('../utils/logger');
+
+// Budgets (points per window) for each user tier; annual subscribers get premium limits
+const RATE_LIMIT_BUDGETS = {
+  chatMessage: {
+    duration: 10, // seconds
+    tiers: { guest: 5, free: 10, basic: 14, premium: 20 }
+  },
+  reaction: {
+    duration: 10, // seconds
+    tiers: { guest: 5, free: 15, basic: 20, premium: 30 }
+  },
+  connection: {
+    duration: 60 * 15, // 15 minutes, keyed by IP (counted across the cluster, so viewers behind one NAT share it)
+    tiers: { guest: 20, free: 30, basic: 45, premium: 60 }
+  },
+  api: {
+    duration: 60 * 15, // 15 minutes
+    tiers: { guest: 100, free: 300, basic: 600, premium: 1000 }
+  },
+  auth: {
+    duration: 60 * 60, // 1 hour, keyed by IP
+    tiers: { guest: 10, free: 10, basic: 10, premium: 10 }
+  }
+};
+
+// Redis hash holding cluster-wide limit-hit counters ("<limiter>:<tier>" => count)
+const METRICS_KEY = 'metrics:rate_limit_hits';
+
+// Counters for this process, used if Redis is unavailable
+const localHits = new Map();
+
+/**
+ * Map a user tier onto a rate limit tier
+ * @param {string} tier - User tier (guest, free, basic, premium, annual)
+ * @returns {string} Rate limit tier
+ */
+function getLimitTier(tier) {
+  if (tier === 'annual') {
+    return 'premium';
+  }
+
+  return ['guest', 'free', 'basic', 'premium'].includes(tier) ? tier : 'guest';
+}
+
+/**
+ * Create a limiter with a separate budget per tier
+ * @param {Object} redisClient - ioredis client shared across the cluster
+ * @param {string} name - Limiter name (key in RATE_LIMIT_BUDGETS)
+ * @returns {Object} Tiered limiter with consume(key, tier)
+ */
+function createTieredLimiter(redisClient, name) {
+  const { duration, tiers } = RATE_LIMIT_BUDGETS[name];
+  const limiters = {};
+
+  for (const [tier, points] of Object.entries(tiers)) {
+    limiters[tier] = new RateLimiterRedis({
+      storeClient: redisClient,
+      keyPrefix: `ratelimit:${name}:${tier}`,
+      points,
+      duration,
+      // Fall back to per-process limits while Redis is unreachable
+      insuranceLimiter: new RateLimiterMemory({ points, duration })
+    });
+  }
+
+  return {
+    name,
+
+    /**
+     * Consume one point for a key
+     * @param {string} key - User ID or IP address
+     * @param {string} tier - User tier
+     * @returns {Promise<Object>} Result ({ allowed, limit, remaining, retryAfter })
+     */
+    async consume(key, tier) {
+      const limitTier = getLimitTier(tier);
+      const limiter = limiters[limitTier];
+
+      try {
+        const result = await limiter.consume(key);
+        return {
+          allowed: true,
+          limit: limiter.points,
+          remaining: result.remainingPoints,
+          retryAfter: 0
+        };
+      } catch (rejection) {
+        if (rejection instanceof Error) {
+          // Store failure with no insurance left: don't block traffic
+          logger.error(`Rate limiter ${name} error:`, rejection);
+          return { allowed: true, limit: limiter.points, remaining: limiter.points, retryAfter: 0 };
+        }
+
+        recordLimitHit(redisClient, name, limitTier);
+
+        return {
+          allowed: false,
+          limit: limiter.points,
+          remaining: 0,
+          retryAfter: Math.ceil(rejection.msBeforeNext / 1000)
+        };
+      }
+    }
+  };
+}
+
+/**
+ * Count a rejected request
+ * @param {Object} redisClient - ioredis client
+ * @param {string} name - Limiter name
+ * @param {string} tier - Rate limit tier
+ */
+function recordLimitHit(redisClient, name, tier) {
+  const field = `${name}:${tier}`;
+
+  localHits.set(field, (localHits.get(field) || 0) + 1);
+
+  redisClient.hincrby(METRICS_KEY, field, 1)
+    .catch(error => logger.error('Error recording rate limit hit:', error));
+}
+
+/**
+ * Get limit-hit counters for the whole cluster
+ * @param {Object} redisClient - ioredis client
+ * @returns {Promise<Array>} Counters ([{ limiter, tier, hits }])
+ */
+async function getRateLimitMetrics(redisClient) {
+  let counters;
+
+  try {
+    counters = await redisClient.hgetall(METRICS_KEY);
+  } catch (error) {
+    logger.error('Error reading rate limit metrics, using local counters:', error);
+    counters = Object.fromEntries(localHits);
+  }
+
+  return Object.entries(counters).map(([field, hits]) => {
+    const [limiter, tier] = field.split(':');
+    return { limiter, tier, hits: Number(hits) };
+  });
+}
+
+/**
+ * Format limit-hit counters in the Prometheus text exposition format
+ * @param {Array} metrics - Counters from getRateLimitMetrics
+ * @returns {string} Metrics text
+ */
+function formatPrometheusMetrics(metrics) {
+  const lines = [
+    '# HELP clipt_rate_limit_hits_total Requests rejected by rate limiters',
+    '# TYPE clipt_rate_limit_hits_total counter'
+  ];
+
+  metrics.forEach(({ limiter, tier, hits }) => {
+    lines.push(`clipt_rate_limit_hits_total{limiter="${limiter}",tier="${tier}"} ${hits}`);
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  RATE_LIMIT_BUDGETS,
+  getLimitTier,
+  createTieredLimiter,
+  getRateLimitMetrics,
+  formatPrometheusMetrics
+};
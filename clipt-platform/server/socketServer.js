@@ -6,40 +6,100 @@
 
 const socketIo = require('socket.io');
 const http = require('http');
+const mongoose = require('mongoose');
 const Redis = require('ioredis');
 const { createAdapter } = require('@socket.io/redis-adapter');
 const jwt = require('jsonwebtoken');
-const { RateLimiterMemory } = require('rate-limiter-flexible');
 const logger = require('./utils/logger');
 const { processMessage } = require('./services/chatService');
 const { recordChatActivity } = require('./services/analyticsService');
 const { ChatMessage, ChatRoom, UserConnection } = require('./models/chat.model');
 const config = require('./config');
 const emoteService = require('./services/emoteService');
+const pollService = require('./services/pollService');
+const { createTieredLimiter } = require('./services/rateLimitService');
+const moderationService = require('./services/moderationService');
+const linkService = require('./services/linkService');
+const presenceService = require('./services/presenceService');
+const deliveryService = require('./services/deliveryService');
+const donationService = require('./services/donationService');
+const Emote = require('./models/Emote');
+const Poll = require('./models/Poll');
+const Whisper = require('./models/Whisper');
+const UserBlock = require('./models/UserBlock');
+const ChannelBan = require('./models/ChannelBan');
+const ChannelTimeout = require('./models/ChannelTimeout');
+const HeldMessage = require('./models/HeldMessage');
+const ChatNotification = require('./models/ChatNotification');
+const User = require('./models/user.model');
+const ChannelChatSettings = require('./models/ChannelChatSettings');
+const ChannelModerator = require('./models/ChannelModerator');
+const UserFollow = require('./models/UserFollow');
+const StreamSession = require('./models/StreamSession');
 
 // Create Redis clients for pub/sub
 const pubClient = new Redis(config.redis.url);
 const subClient = pubClient.duplicate();
 
-// Create rate limiters
-const messageLimiter = new RateLimiterMemory({
-  points: 10,        // 10 messages
-  duration: 10,      // per 10 seconds
-});
-
-const connectionLimiter = new RateLimiterMemory({
-  points: 5,         // 5 connections
-  duration: 60 * 15, // per 15 minutes
-});
+// Create rate limiters (stored in Redis so limits hold across nodes; budgets per tier)
+const messageLimiter = createTieredLimiter(pubClient, 'chatMessage');
+const reactionLimiter = createTieredLimiter(pubClient, 'reaction');
+const connectionLimiter = createTieredLimiter(pubClient, 'connection');
 
 // Initialize services
 const chatService = new ChatService(pubClient);
 const emoteService = new EmoteService(pubClient);
 
-// Room state cache
+// Room state cache (chat mode per room, refreshed when changed on any node)
 const roomStates = new Map();
-const userRooms = new Map();
-const userTimeouts = new Map();
+const ROOM_STATE_CACHE_MS = 60000;
+
+// Timers that announce the end of timeouts issued from this node
+const timeoutTimers = new Map();
+const MAX_TIMEOUT_SECONDS = 60 * 60 * 24 * 14; // 2 weeks
+
+// Messages held by AutoMod expire if no moderator reviews them in time
+const HELD_MESSAGE_TTL_SECONDS = 5 * 60;
+
+// Pins can expire after at most a week (0 keeps a pin until it is removed)
+const MAX_PIN_DURATION_SECONDS = 7 * 24 * 60 * 60;
+const pinTimers = new Map();
+
+// Senders can edit a message for this long after sending it
+const MESSAGE_EDIT_WINDOW_SECONDS = 2 * 60;
+
+// Messages returned per syncMessages call; clients page with hasMore
+const SYNC_BATCH_SIZE = 200;
+
+// Replies quote the start of the original message
+const REPLY_PREVIEW_LENGTH = 100;
+
+// Users notified per message, so one message can't ping the whole chat
+const MAX_MENTION_NOTIFICATIONS = 10;
+
+// Reaction counts are batched per room and broadcast together
+const reactionBroadcasts = new Map();
+const REACTION_BROADCAST_INTERVAL_MS = 1000;
+
+// Typing indicators are aggregated per room and broadcast at most once per interval.
+// Indicators expire unless the client refreshes them
+const typingBroadcasts = new Map();
+const TYPING_BROADCAST_INTERVAL_MS = 1000;
+const TYPING_EXPIRY_MS = 6000;
+const TYPING_REFRESH_MS = 2000;
+
+// Rooms with more viewers than this see "N people typing" instead of names
+const TYPING_NAMES_MAX_VIEWERS = 50;
+const TYPING_MAX_NAMES = 3;
+
+// Viewer counts from the last presence refresh, by room
+const roomViewerCounts = new Map();
+
+// Poll close timers and throttled result broadcasts
+const pollTimers = new Map();
+const pollBroadcasts = new Map();
+const POLL_RESULTS_THROTTLE_MS = 1000;
+const POLL_SWEEP_INTERVAL_MS = 15000;
 
 /**
  * Initialize Socket.IO server with Redis adapter and authentication middleware
@@ -61,6 +121,65 @@ function initializeSocketServer(httpServer) {
   // Use Redis adapter for horizontal scaling
   io.adapter(createAdapter(pubClient, subClient));
   
+  // Close polls whose timers were lost (restarts, other nodes)
+  setInterval(async () => {
+    const closedPolls = await pollService.closeExpiredPolls();
+    for (const results of closedPolls) {
+      announcePollClosed(io, results);
+    }
+  }, POLL_SWEEP_INTERVAL_MS).unref();
+  
+  // Keep this node's members present and send rooms their viewer and chatter counts
+  setInterval(() => {
+    refreshPresence(io).catch(error => logger.error('Error refreshing presence:', error));
+  }, presenceService.PRESENCE_HEARTBEAT_MS).unref();
+  
+  // Chat mode changes made on other nodes
+  io.on('roomStateChanged', ({ roomId }) => {
+    roomStates.delete(roomId);
+  });
+  
+  // Color changes made on other nodes
+  io.on('userColorChanged', ({ userId, color }) => {
+    applyUserColor(io, userId, color);
+  });
+  
+  // Refunds and goal changes made through the REST API reach every node, so each tells its own sockets
+  donationService.subscribeToDonationEvents(({ type, ...event }) => {
+    switch (type) {
+      case 'donationRefunded':
+        io.local.to(getModRoom(event.roomId)).to(getUserRoom(event.userId)).emit('donationRefunded', event);
+        break;
+      case 'goalProgress':
+      case 'goalUpdated':
+        io.local.to(event.roomId).emit(type, event);
+        break;
+      default:
+        break;
+    }
+  });
+  
+  // Bans made through the REST API: drop the user's messages from every viewer and kick them from the room
+  moderationService.subscribeToModerationEvents(({ type, ...event }) => {
+    if (type !== 'userBanned') {
+      return;
+    }
+    
+    const { reason, moderator, ...tombstone } = event;
+    
+    io.local.to(event.roomId).emit('messagesPurged', { ...tombstone, moderator });
+    
+    io.local.to(event.roomId).emit('moderation', {
+      type: 'ban',
+      username: event.username,
+      reason,
+      moderator
+    });
+    
+    io.local.to(getUserRoom(event.userId)).emit('banned', { roomId: event.roomId, reason, moderator });
+    io.local.in(getUserRoom(event.userId)).socketsLeave([event.roomId, getModRoom(event.roomId)]);
+  });
+  
   // Connection authentication middleware
 
   // Middleware for authentication and rate limiting
@@ -70,12 +189,23 @@ function initializeSocketServer(httpServer) {
       const token = socket.handshake.auth.token || 
                     socket.handshake.headers.authorization?.split(' ')[1];
       
+      const ip = socket.handshake.address;
+      
       if (!token) {
+        // Rate limit guest connections per IP
+        const { allowed } = await connectionLimiter.consume(ip, 'guest');
+        if (!allowed) {
+          logger.warn(`Connection rate limit exceeded for IP: ${ip}`);
+          return next(new Error('Too many connection attempts, please try again later'));
+        }
+        
         // Allow anonymous users, but with limited capabilities
         socket.user = { 
           isAuthenticated: false,
           username: `Guest${Math.floor(Math.random() * 10000)}`,
-          tier: 'guest'
+          tier: 'guest',
+          // Stable browser key (same format as message keys), so resends are recognised after a reconnect
+          clientId: deliveryService.normalizeClientMessageId(socket.handshake.auth.clientId)
         };
         return next();
       }
@@ -83,15 +213,19 @@ function initializeSocketServer(httpServer) {
       // Verify JWT token
       const decoded = jwt.verify(token, config.jwt.secret);
       
-      // Rate limit connections per IP
-      const ip = socket.handshake.address;
-      try {
-        await connectionLimiter.consume(ip);
-      } catch (rateLimitError) {
-        logger.warn(`Connection rate limit exceeded for IP: ${ip}`);
-        return next(new Error('Too many connection attempts, please try again later'));
+      // Rate limit connections per IP (moderators, admins and broadcasters are exempt)
+      if (!decoded.isModerator && !decoded.isAdmin) {
+        const { allowed } = await connectionLimiter.consume(ip, decoded.tier || 'free');
+        // Only look up channel ownership once the limit is hit, so normal connections skip the query
+        if (!allowed && !await ChatRoom.exists({ ownerId: decoded.id })) {
+          logger.warn(`Connection rate limit exceeded for IP: ${ip}`);
+          return next(new Error('Too many connection attempts, please try again later'));
+        }
       }
 
+      // Saved chat color takes priority over the one in the token
+      const profile = await User.findById(decoded.id).select('color').lean();
+      
       // Set user data on socket
       socket.user = {
         isAuthenticated: true,
@@ -101,7 +235,7 @@ function initializeSocketServer(httpServer) {
         isModerator: Boolean(decoded.isModerator),
         isAdmin: Boolean(decoded.isAdmin),
         badges: decoded.badges || [],
-        color: decoded.color || generateUserColor(decoded.username)
+        color: (profile && profile.color) || decoded.color || generateUserColor(decoded.username)
       };
 
       // Load user's emotes
@@ -134,71 +268,143 @@ function initializeSocketServer(httpServer) {
     
     userConnection.save()
       .catch(err => logger.error('Error saving user connection:', err));
+    
+    // Rooms where this socket's user is a moderator or the broadcaster
+    socket.moderatedRooms = new Set();
+    
+    // Presence entries for the rooms this socket has joined
+    socket.presence = new Map();
+    
+    // Rooms this socket is typing in, with when the indicator was last refreshed
+    socket.typingRooms = new Map();
+    
+    // Personal room so events reach every socket of this user on any node
+    if (socket.user.isAuthenticated) {
+      socket.join(getUserRoom(socket.user.userId));
+    }
 
     // --- Room Management ---
     
     /**
      * Join a chat room
      */
-    socket.on('joinRoom', async (roomId) => {
+    socket.on('joinRoom', async (roomId, ack) => {
+      // Clients that pass an acknowledgement callback are told once the history has been sent
+      const respond = typeof ack === 'function' ? ack : () => {};
+      
       try {
         // Validate room
         const room = await ChatRoom.findById(roomId);
         if (!room) {
           socket.emit('error', { message: 'Room not found' });
+          respond({ ok: false, error: 'Room not found' });
           return;
         }
         
         // Check if room requires authentication
         if (room.requiresAuth && !socket.user.isAuthenticated) {
           socket.emit('error', { message: 'This room requires authentication' });
+          respond({ ok: false, error: 'This room requires authentication' });
           return;
         }
         
         // Check if room is subscriber-only
         if (room.subscriberOnly && socket.user.tier === 'free') {
           socket.emit('error', { message: 'This room is subscriber-only' });
+          respond({ ok: false, error: 'This room is subscriber-only' });
           return;
         }
         
         // Join the room
         socket.join(roomId);
         
-        // Notify room about new user
-        socket.to(roomId).emit('userJoined', {
-          username: socket.user.username,
-          tier: socket.user.tier,
-          badges: socket.user.badges,
-          color: socket.user.color
-        });
+        // Remember rooms this user moderates or owns (rate limit and AutoMod exemption)
+        const isRoomMod = await canBypassChatMode(socket, room, roomId);
+        if (isRoomMod) {
+          socket.moderatedRooms.add(roomId);
+          socket.join(getModRoom(roomId));
+        }
+        
+        // Notify room about new user, once however many tabs they have open
+        if (!socket.presence.has(roomId)) {
+          const member = presenceService.createMember(socket, room, isRoomMod);
+          socket.presence.set(roomId, member);
+          
+          if (await presenceService.addConnection(roomId, member)) {
+            socket.to(roomId).emit('userJoined', {
+              username: socket.user.username,
+              tier: socket.user.tier,
+              badges: socket.user.badges,
+              color: socket.user.color
+            });
+          }
+        }
         
         // Get recent chat history (last 50 messages)
         const chatHistory = await ChatMessage.find({
-          roomId: roomId
+          roomId: roomId,
+          isDeleted: false
         })
         .sort({ createdAt: -1 })
         .limit(50)
+        .select('-editHistory')
         .populate('userId', 'username tier badges color')
         .lean();
         
+        // Show past messages in each author's current color
+        await applyCurrentColors(chatHistory);
+        
+        // Replace reacting user lists with counts and the viewer's own reactions
+        chatHistory.forEach(message => formatMessageReactions(message, socket.user.userId));
+        
         // Send chat history
         socket.emit('chatHistory', chatHistory.reverse());
         
+        // Send the current chat mode, pinned message and counts along with the history
+        const counts = await presenceService.getPresenceCounts(roomId);
+        roomViewerCounts.set(roomId, counts.viewers);
+        socket.emit('roomState', { ...await getRoomState(roomId), counts });
+        
+        // Timed out users can still read chat; remind them how long is left
+        const activeTimeout = await getActiveTimeout(socket, roomId);
+        if (activeTimeout) {
+          emitTimeoutCountdown(socket, roomId, activeTimeout);
+        }
+        
+        // Send the running poll, if any
+        const activePoll = await Poll.getActivePoll(roomId);
+        if (activePoll) {
+          socket.emit('pollResults', pollService.formatPollResults(activePoll));
+        }
+        
+        // Send moderators the messages waiting for review
+        if (isRoomMod) {
+          const heldMessages = await HeldMessage.getPendingMessages(roomId);
+          socket.emit('automodQueue', {
+            roomId,
+            messages: heldMessages.map(formatHeldMessage)
+          });
+        }
+        
+        respond({ ok: true, roomId });
+        
         logger.info(`User ${socket.user.username} joined room: ${room.name}`);
       } catch (error) {
         logger.error(`Error joining room:`, error);
         socket.emit('error', { message: 'Failed to join room' });
+        respond({ ok: false, error: 'Failed to join room' });
       }
     });
     
     /**
      * Leave a chat room
      */
-    socket.on('leaveRoom', (roomId) => {
+    socket.on('leaveRoom', async (roomId) => {
+      await stopTyping(io, socket, roomId);
+      await leavePresence(socket, roomId);
       socket.leave(roomId);
-      socket.to(roomId).emit('userLeft', {
-        username: socket.user.username
-      });
+      socket.leave(getModRoom(roomId));
+      socket.moderatedRooms.delete(roomId);
       logger.info(`User ${socket.user.username} left room: ${roomId}`);
     });
 
@@ -207,86 +413,144 @@ function initializeSocketServer(httpServer) {
     /**
      * Handle chat message
      */
-    socket.on('chatMessage', async (data) => {
+    socket.on('chatMessage', async (data, ack) => {
+      const { clientMessageId, claim, reject, accept } = deliveryService.createSendResponder(socket, ack, data && data.clientMessageId);
+      
       try {
-        const { roomId, content, type = 'text' } = data;
+        const { roomId, content, type = 'text', replyTo } = data;
         
         // Check if user is in the room
         if (!socket.rooms.has(roomId)) {
-          socket.emit('error', { message: 'You are not in this room' });
+          reject({ message: 'You are not in this room' });
           return;
         }
         
-        // Rate limit based on tier
-        try {
-          // Higher tiers get higher limits/reduced points consumption
-          const pointsToConsume = socket.user.tier === 'premium' ? 0.5 : 
-                                 socket.user.tier === 'basic' ? 0.7 : 1;
-                                 
-          await messageLimiter.consume(`${socket.user.userId || socket.id}`, pointsToConsume);
-        } catch (rateLimitError) {
-          socket.emit('error', { 
-            message: 'You are sending messages too quickly. Please wait a moment.' 
+        // A resend of a message that was already handled isn't posted again
+        if (!await claim()) {
+          return;
+        }
+        
+        // Check for an active timeout (stored, so it survives reconnects and other nodes)
+        const activeTimeout = await getActiveTimeout(socket, roomId);
+        if (activeTimeout) {
+          const remaining = emitTimeoutCountdown(socket, roomId, activeTimeout);
+          reject({ 
+            message: `You are timed out for ${remaining} more second${remaining === 1 ? '' : 's'}` 
           });
           return;
         }
         
+        // Rate limit based on tier (moderators and the broadcaster are exempt)
+        if (!isRoomModerator(socket, roomId)) {
+          const { allowed } = await messageLimiter.consume(getRateLimitKey(socket), socket.user.tier);
+          if (!allowed) {
+            reject({ 
+              message: 'You are sending messages too quickly. Please wait a moment.' 
+            });
+            return;
+          }
+        }
+        
         // Get room settings
         const room = await ChatRoom.findById(roomId);
         if (!room) {
-          socket.emit('error', { message: 'Room not found' });
+          reject({ message: 'Room not found' });
           return;
         }
         
-        // Check if room is in slow mode
-        if (room.slowMode) {
-          const lastMessage = await ChatMessage.findOne({
-            roomId,
-            'user.userId': socket.user.userId || socket.id
-          }).sort({ createdAt: -1 });
-          
-          if (lastMessage) {
-            const secondsSinceLastMessage = (Date.now() - lastMessage.createdAt) / 1000;
-            const slowModeDelay = room.slowModeDelay || 3; // Default 3 seconds
-            
-            if (secondsSinceLastMessage < slowModeDelay) {
-              socket.emit('error', { 
-                message: `Slow mode is enabled. Please wait ${Math.ceil(slowModeDelay - secondsSinceLastMessage)} seconds.` 
-              });
-              return;
-            }
+        // Enforce the room's chat mode (broadcaster and moderators are exempt)
+        const roomState = await getRoomState(roomId);
+        const bypassChatMode = roomState.mode !== 'normal' &&
+          await canBypassChatMode(socket, room, roomId);
+        
+        if (!bypassChatMode) {
+          const modeError = await checkChatModeAccess(socket, roomId, roomState);
+          if (modeError) {
+            reject({ message: modeError });
+            return;
           }
         }
         
         // Check message length based on tier
-        const maxLength = socket.user.tier === 'premium' ? 500 : 
-                         socket.user.tier === 'basic' ? 300 : 200;
-                         
+        const maxLength = getMaxMessageLength(socket);
+        
         if (content.length > maxLength) {
-          socket.emit('error', { 
+          reject({ 
             message: `Message exceeds maximum length of ${maxLength} characters for your tier` 
           });
           return;
         }
         
+        // Quote the message being replied to
+        let replyContext = null;
+        if (replyTo) {
+          replyContext = await getReplyContext(roomId, replyTo);
+          if (!replyContext) {
+            reject({ message: 'The message you replied to is no longer available' });
+            return;
+          }
+        }
+        
         // Process message (filter, parse emotes, etc)
         const processedMessage = await processMessage(content, {
           user: socket.user,
           room,
-          userEmotes: socket.userEmotes || []
+          userEmotes: socket.userEmotes || [],
+          automodLevel: roomState.automodLevel,
+          automodExempt: isRoomModerator(socket, roomId)
         });
         
         // Check if message was filtered
         if (processedMessage.filtered) {
-          socket.emit('error', { message: 'Your message was filtered' });
+          reject({ 
+            message: processedMessage.isCommand ? processedMessage.reason : 'Your message was filtered',
+            rule: processedMessage.rule
+          });
+          return;
+        }
+        
+        // Commands with a server-side action are handled instead of broadcast
+        if (processedMessage.actionType) {
+          // Command text can't wait in the review queue, so AutoMod holds block it
+          if (processedMessage.held) {
+            reject({ message: 'Your message was filtered', rule: processedMessage.rule });
+            return;
+          }
+          
+          const { ok, error } = await handleCommandAction(io, socket, roomId, processedMessage);
+          
+          // Failed actions release the key, so a retry runs the command again
+          if (!ok) {
+            reject({ message: error });
+            return;
+          }
+          
+          await accept({ command: true });
+          return;
+        }
+        
+        if (!bypassChatMode && roomState.mode === 'emote-only' && !isEmoteOnly(processedMessage)) {
+          reject({ message: 'Chat is in emote-only mode' });
           return;
         }
         
+        // Slow mode is claimed last so rejected messages don't start the delay
+        if (!bypassChatMode && roomState.mode === 'slow') {
+          const remaining = await claimSlowModeSlot(socket, roomId, roomState.slowModeDelay);
+          if (remaining > 0) {
+            reject({ 
+              message: `Slow mode is enabled. Please wait ${remaining} seconds.` 
+            });
+            return;
+          }
+        }
+        
         // Create message object
         const message = {
           id: generateMessageId(),
+          clientMessageId: clientMessageId || undefined,
           roomId,
-          type,
+          type: processedMessage.type || type,
           content: processedMessage.content,
           parsedContent: processedMessage.parsedContent,
           user: {
@@ -299,270 +563,2483 @@ function initializeSocketServer(httpServer) {
             isAdmin: socket.user.isAdmin
           },
           emotes: processedMessage.emotes,
+          entities: processedMessage.entities,
+          replyTo: replyContext || undefined,
           createdAt: new Date()
         };
         
-        // Save message to database
-        const chatMessage = new ChatMessage(message);
-        await chatMessage.save();
-        
-        // Broadcast message to room
-        io.to(roomId).emit('chatMessage', message);
+        // AutoMod holds the message until a moderator approves it
+        if (processedMessage.held) {
+          await holdMessageForReview(io, socket, message, processedMessage);
+          await accept({ id: message.id, held: true });
+          return;
+        }
         
-        // Record analytics
-        recordChatActivity({
-          type: 'message',
-          userId: socket.user.userId,
-          roomId,
-          messageId: message.id
-        });
+        await stopTyping(io, socket, roomId);
+        await publishChatMessage(io, message);
+        await accept({ id: message.id, seq: message.seq });
       } catch (error) {
         logger.error('Error processing chat message:', error);
-        socket.emit('error', { message: 'Failed to send message' });
+        await reject({ message: 'Failed to send message' });
       }
     });
-
-    // --- Donation and Monetization ---
     
     /**
-     * Handle token donation/bits
+     * Send the messages stored after a sequence number, so a reconnecting client can fill the gap
      */
-    socket.on('donation', async (data) => {
+    socket.on('syncMessages', async (data, ack) => {
+      const respond = typeof ack === 'function' ? ack : () => {};
+      
       try {
-        const { roomId, amount, message } = data;
+        const { roomId, sinceSeq } = data || {};
         
-        // Authenticate user
-        if (!socket.user.isAuthenticated) {
-          socket.emit('error', { message: 'You must be logged in to donate' });
+        if (!socket.rooms.has(roomId)) {
+          respond({ ok: false, error: 'You are not in this room' });
           return;
         }
         
-        // Validate donation amount
-        if (!amount || amount < 1) {
-          socket.emit('error', { message: 'Invalid donation amount' });
+        const since = Number(sinceSeq);
+        if (!Number.isInteger(since) || since < 0) {
+          respond({ ok: false, error: 'Invalid sequence number' });
           return;
         }
         
-        // Check user balance (would use actual token service in production)
-        // const userBalance = await tokenService.getUserBalance(socket.user.userId);
-        // if (userBalance < amount) {
-        //   socket.emit('error', { message: 'Insufficient token balance' });
-        //   return;
-        // }
-        
-        // Process donation (would use actual token service in production)
-        // await tokenService.processTransaction({
-        //   fromUserId: socket.user.userId,
-        //   toRoomId: roomId,
-        //   amount,
-        //   type: 'donation',
-        //   message
-        // });
-        
-        // Create donation message
-        const donationMessage = {
-          id: generateMessageId(),
-          roomId,
-          type: 'donation',
-          amount,
-          message: message || '',
-          user: {
-            userId: socket.user.userId,
-            username: socket.user.username,
-            tier: socket.user.tier,
-            badges: socket.user.badges,
-            color: socket.user.color
-          },
-          createdAt: new Date()
-        };
+        const { messages, hasMore } = await ChatMessage.getMessagesSince(roomId, since, SYNC_BATCH_SIZE);
         
-        // Broadcast donation to room
-        io.to(roomId).emit('donation', donationMessage);
+        await applyCurrentColors(messages);
+        messages.forEach(message => formatMessageReactions(message, socket.user.userId));
         
-        // Record analytics
-        recordChatActivity({
-          type: 'donation',
-          userId: socket.user.userId,
-          roomId,
-          amount
-        });
+        respond({ ok: true, roomId, messages, hasMore });
       } catch (error) {
-        logger.error('Error processing donation:', error);
-        socket.emit('error', { message: 'Failed to process donation' });
+        logger.error('Error syncing messages:', error);
+        respond({ ok: false, error: 'Failed to load missed messages' });
       }
     });
-
-    // --- Moderation Tools ---
     
     /**
-     * Timeout a user
+     * Show that the user is typing
      */
-    socket.on('timeout', async (data) => {
+    socket.on('typing', async (data) => {
       try {
-        const { roomId, username, duration, reason } = data;
-        
-        // Check moderator privileges
-        if (!socket.user.isModerator && !socket.user.isAdmin) {
-          socket.emit('error', { message: 'You do not have permission to timeout users' });
-          return;
-        }
-        
-        // Find target user sockets in this room
-        const room = io.sockets.adapter.rooms.get(roomId);
-        let targetSocket = null;
+        const { roomId } = data || {};
         
-        // Find the socket for the username to timeout
-        for (const socketId of room || []) {
-          const userSocket = io.sockets.sockets.get(socketId);
-          if (userSocket.user.username === username) {
-            targetSocket = userSocket;
-            break;
-          }
-        }
-        
-        if (!targetSocket) {
-          socket.emit('error', { message: 'User not found in this room' });
+        // Guests can't chat, so they can't type either
+        if (!socket.user.isAuthenticated || !socket.rooms.has(roomId)) {
           return;
         }
         
-        // Don't allow timing out moderators/admins unless you're an admin
-        if ((targetSocket.user.isModerator || targetSocket.user.isAdmin) && !socket.user.isAdmin) {
-          socket.emit('error', { message: 'Cannot timeout other moderators or admins' });
+        // Clients send this on every keystroke; only refresh the indicator now and then
+        const lastRefresh = socket.typingRooms.get(roomId);
+        if (lastRefresh && Date.now() - lastRefresh < TYPING_REFRESH_MS) {
           return;
         }
         
-        // Set timeout flag on user
-        targetSocket.user.timeoutUntil = Date.now() + (duration * 1000);
-        targetSocket.user.timeoutReason = reason || 'Violated chat rules';
-        
-        // Notify the timed out user
-        targetSocket.emit('timeout', {
-          duration,
-          reason: targetSocket.user.timeoutReason,
-          moderator: socket.user.username
-        });
-        
-        // Notify the room
-        io.to(roomId).emit('moderation', {
-          type: 'timeout',
-          username,
-          duration,
-          reason: targetSocket.user.timeoutReason,
-          moderator: socket.user.username
-        });
+        socket.typingRooms.set(roomId, Date.now());
+        await presenceService.setTyping(roomId, socket.user.username, TYPING_EXPIRY_MS);
         
-        logger.info(`User ${username} timed out for ${duration}s by ${socket.user.username} in room ${roomId}`);
+        // Someone who just started typing shows up in the next broadcast
+        if (!lastRefresh) {
+          queueTypingBroadcast(io, roomId);
+        }
       } catch (error) {
-        logger.error('Error timing out user:', error);
-        socket.emit('error', { message: 'Failed to timeout user' });
+        logger.error('Error handling typing indicator:', error);
       }
     });
     
     /**
-     * Ban a user
+     * Clear the user's typing indicator
      */
-    socket.on('ban', async (data) => {
+    socket.on('stoppedTyping', async (data) => {
+      const { roomId } = data || {};
+      await stopTyping(io, socket, roomId);
+    });
+    
+    /**
+     * Edit one of your own messages shortly after sending it
+     */
+    socket.on('editMessage', async (data) => {
       try {
-        const { roomId, username, reason } = data;
+        const { roomId, messageId, content } = data;
         
-        // Check moderator privileges
-        if (!socket.user.isModerator && !socket.user.isAdmin) {
-          socket.emit('error', { message: 'You do not have permission to ban users' });
+        // Check if user is in the room
+        if (!socket.rooms.has(roomId)) {
+          socket.emit('error', { message: 'You are not in this room' });
           return;
         }
         
-        // Find target user sockets in this room
-        const room = io.sockets.adapter.rooms.get(roomId);
-        let targetSocket = null;
-        
-        // Find the socket for the username to ban
-        for (const socketId of room || []) {
-          const userSocket = io.sockets.sockets.get(socketId);
-          if (userSocket.user.username === username) {
-            targetSocket = userSocket;
-            break;
-          }
+        if (!socket.user.isAuthenticated) {
+          socket.emit('error', { message: 'You must be logged in to edit messages' });
+          return;
         }
         
-        if (!targetSocket) {
-          socket.emit('error', { message: 'User not found in this room' });
+        if (!mongoose.Types.ObjectId.isValid(messageId) || typeof content !== 'string') {
+          socket.emit('error', { message: 'Invalid edit' });
           return;
         }
         
-        // Don't allow banning moderators/admins unless you're an admin
-        if ((targetSocket.user.isModerator || targetSocket.user.isAdmin) && !socket.user.isAdmin) {
-          socket.emit('error', { message: 'Cannot ban other moderators or admins' });
+        const activeTimeout = await getActiveTimeout(socket, roomId);
+        if (activeTimeout) {
+          socket.emit('error', { message: 'You cannot edit messages while timed out' });
           return;
         }
         
-        // Add user to banned list for the room
-        await ChatRoom.findByIdAndUpdate(roomId, {
-          $addToSet: {
-            bannedUsers: {
-              userId: targetSocket.user.userId,
-              username: targetSocket.user.username,
-              reason: reason || 'Violated chat rules',
-              bannedBy: socket.user.username,
-              bannedAt: new Date()
-            }
+        // Edits share the message rate limit so they can't be used to flood the room
+        if (!isRoomModerator(socket, roomId)) {
+          const { allowed } = await messageLimiter.consume(getRateLimitKey(socket), socket.user.tier);
+          if (!allowed) {
+            socket.emit('error', { 
+              message: 'You are sending messages too quickly. Please wait a moment.' 
+            });
+            return;
           }
-        });
+        }
         
-        // Notify the banned user
-        targetSocket.emit('banned', {
-          reason: reason || 'Violated chat rules',
-          moderator: socket.user.username
-        });
+        const original = await ChatMessage.findOne({
+          _id: messageId,
+          roomId,
+          'user.userId': socket.user.userId,
+          isDeleted: false
+        })
+        .select('type createdAt')
+        .lean();
         
-        // Remove user from room
-        targetSocket.leave(roomId);
+        if (!original) {
+          socket.emit('error', { message: 'Message not found' });
+          return;
+        }
         
-        // Notify the room
-        io.to(roomId).emit('moderation', {
-          type: 'ban',
-          username,
-          reason: reason || 'Violated chat rules',
-          moderator: socket.user.username
-        });
+        if (original.type !== 'text') {
+          socket.emit('error', { message: 'This message cannot be edited' });
+          return;
+        }
         
-        logger.info(`User ${username} banned by ${socket.user.username} in room ${roomId}`);
-      } catch (error) {
-        logger.error('Error banning user:', error);
-        socket.emit('error', { message: 'Failed to ban user' });
-      }
-    });
+        const editableSince = new Date(Date.now() - MESSAGE_EDIT_WINDOW_SECONDS * 1000);
+        if (new Date(original.createdAt) < editableSince) {
+          socket.emit('error', { 
+            message: `Messages can only be edited within ${MESSAGE_EDIT_WINDOW_SECONDS / 60} minutes of sending` 
+          });
+          return;
+        }
+        
+        const maxLength = getMaxMessageLength(socket);
+        if (content.length > maxLength) {
+          socket.emit('error', { 
+            message: `Message exceeds maximum length of ${maxLength} characters for your tier` 
+          });
+          return;
+        }
+        
+        const room = await ChatRoom.findById(roomId);
+        if (!room) {
+          socket.emit('error', { message: 'Room not found' });
+          return;
+        }
+        
+        // Edits go through the same filters as new messages
+        const roomState = await getRoomState(roomId);
+        const processedMessage = await processMessage(content, {
+          user: socket.user,
+          room,
+          userEmotes: socket.userEmotes || [],
+          automodLevel: roomState.automodLevel,
+          automodExempt: isRoomModerator(socket, roomId),
+          parseCommands: false
+        });
+        
+        // Held edits are rejected; the original message stays as it was
+        if (processedMessage.filtered || processedMessage.held) {
+          socket.emit('error', { 
+            message: 'Your edit was filtered',
+            rule: processedMessage.rule
+          });
+          return;
+        }
+        
+        if (roomState.mode === 'emote-only' && !isEmoteOnly(processedMessage) &&
+            !await canBypassChatMode(socket, room, roomId)) {
+          socket.emit('error', { message: 'Chat is in emote-only mode' });
+          return;
+        }
+        
+        const update = {
+          content: processedMessage.content,
+          parsedContent: processedMessage.parsedContent,
+          emotes: processedMessage.emotes,
+          entities: processedMessage.entities
+        };
+        
+        // New mentions are linked but not notified, so edits can't be used to ping users
+        await resolveMentions(update);
+        
+        const edited = await ChatMessage.editMessage(roomId, messageId, socket.user.userId, update, editableSince);
+        if (!edited) {
+          socket.emit('error', { message: 'This message can no longer be edited' });
+          return;
+        }
+        
+        io.to(roomId).emit('messageUpdated', {
+          id: messageId,
+          roomId,
+          content: edited.content,
+          parsedContent: edited.parsedContent,
+          emotes: edited.emotes,
+          entities: edited.entities,
+          editedAt: edited.editedAt
+        });
+      } catch (error) {
+        logger.error('Error editing chat message:', error);
+        socket.emit('error', { message: 'Failed to edit message' });
+      }
+    });
+    
+    /**
+     * Delete one of your own messages
+     */
+    socket.on('deleteMessage', async (data) => {
+      try {
+        const { roomId, messageId } = data;
+        
+        // Check if user is in the room
+        if (!socket.rooms.has(roomId)) {
+          socket.emit('error', { message: 'You are not in this room' });
+          return;
+        }
+        
+        if (!socket.user.isAuthenticated || !mongoose.Types.ObjectId.isValid(messageId)) {
+          socket.emit('error', { message: 'Message not found' });
+          return;
+        }
+        
+        const deleted = await ChatMessage.deleteOwnMessage(roomId, messageId, socket.user.userId);
+        if (!deleted) {
+          socket.emit('error', { message: 'Message not found' });
+          return;
+        }
+        
+        io.to(roomId).emit('messageDeleted', {
+          id: messageId,
+          roomId,
+          deletedAt: deleted.deletedAt
+        });
+        
+        // A deleted message doesn't stay pinned
+        const settings = await ChannelChatSettings.unpinMessage(roomId, socket.user.userId, messageId);
+        if (settings) {
+          updateRoomState(io, roomId, settings);
+        }
+      } catch (error) {
+        logger.error('Error deleting chat message:', error);
+        socket.emit('error', { message: 'Failed to delete message' });
+      }
+    });
+    
+    /**
+     * Add or remove an emote reaction on a message
+     */
+    socket.on('toggleReaction', async (data) => {
+      try {
+        const { roomId, messageId, code } = data;
+        
+        // Check if user is in the room
+        if (!socket.rooms.has(roomId)) {
+          socket.emit('error', { message: 'You are not in this room' });
+          return;
+        }
+        
+        if (!socket.user.isAuthenticated) {
+          socket.emit('error', { message: 'You must be logged in to react to messages' });
+          return;
+        }
+        
+        if (!mongoose.Types.ObjectId.isValid(messageId) || typeof code !== 'string') {
+          socket.emit('error', { message: 'Invalid reaction' });
+          return;
+        }
+        
+        const { allowed } = await reactionLimiter.consume(getRateLimitKey(socket), socket.user.tier);
+        if (!allowed) {
+          socket.emit('error', { message: 'You are reacting too quickly. Please wait a moment.' });
+          return;
+        }
+        
+        // Reacting again with the same emote removes the reaction
+        let reactions = await ChatMessage.removeReaction(roomId, messageId, socket.user.userId, code);
+        const reacted = !reactions;
+        
+        if (reacted) {
+          // Only emotes the user owns can be added
+          const userEmotes = await emoteService.getUserEmotes(socket.user.userId);
+          const emote = userEmotes.find(e => e.code === code);
+          if (!emote) {
+            socket.emit('error', { message: `You don't have access to the ${code} emote` });
+            return;
+          }
+          
+          reactions = await ChatMessage.addReaction(roomId, messageId, socket.user.userId, emote);
+          if (!reactions) {
+            socket.emit('error', { message: 'You cannot react to this message' });
+            return;
+          }
+          
+          Emote.incrementUsage(code)
+            .catch(error => logger.error(`Error recording usage for emote ${code}:`, error));
+        }
+        
+        // The reacting user sees their own state right away; counts follow in the next batch
+        socket.emit('reactionToggled', { id: messageId, roomId, code, reacted });
+        queueReactionBroadcast(io, roomId, messageId, reactions);
+      } catch (error) {
+        logger.error('Error toggling reaction:', error);
+        socket.emit('error', { message: 'Failed to react to message' });
+      }
+    });
 
-    // --- Connection Management ---
+    // --- Donation and Monetization ---
     
     /**
-     * Handle disconnection
+     * Handle token donation/bits
      */
-    socket.on('disconnect', async () => {
+    socket.on('donation', async (data, ack) => {
+      const { clientMessageId, claim, reject, accept } = deliveryService.createSendResponder(socket, ack, data && data.clientMessageId);
+      
       try {
-        logger.info(`User disconnected: ${socket.user.username} (${socket.id})`);
+        const { roomId, amount, message, effectType = 'regular' } = data;
         
-        // Update connection record
-        await UserConnection.findOneAndUpdate(
-          { socketId: socket.id },
-          { disconnectedAt: new Date() }
-        );
+        // Authenticate user
+        if (!socket.user.isAuthenticated) {
+          reject({ message: 'You must be logged in to donate' });
+          return;
+        }
+        
+        // Check if user is in the room
+        if (!socket.rooms.has(roomId)) {
+          reject({ message: 'You are not in this room' });
+          return;
+        }
+        
+        // A resend of a donation that was already handled isn't charged again
+        if (!await claim()) {
+          return;
+        }
+        
+        const room = await ChatRoom.findById(roomId);
+        if (!room) {
+          reject({ message: 'Room not found' });
+          return;
+        }
+        
+        // Effects are priced by the server (with the channel's overrides), not the client
+        const { effect, error: effectError } = await donationService.resolveEffect(roomId, effectType, amount);
+        if (effectError) {
+          reject({ message: effectError });
+          return;
+        }
+        
+        // Donations made while the channel is live count towards that stream's leaderboard
+        const liveStream = await StreamSession.getLiveStream(room._id);
+        
+        // Debit the sender and credit the channel owner (the stored donation also guards
+        // against resends once the idempotency key has expired)
+        const { donation, balance, goal, goalReached, duplicate, error } = await donationService.processDonation({
+          sender: socket.user,
+          recipientId: room.ownerId,
+          roomId: room._id,
+          amount,
+          message,
+          effectType,
+          streamId: liveStream ? liveStream._id : null,
+          clientMessageId,
+          ipAddress: socket.handshake.address,
+          userAgent: socket.handshake.headers['user-agent']
+        });
+        
+        if (error) {
+          reject({ message: error });
+          return;
+        }
+        
+        if (duplicate) {
+          await accept({ id: donation._id.toString(), duplicate: true });
+          return;
+        }
+        
+        // Create donation message
+        const donationMessage = {
+          id: donation._id.toString(),
+          clientMessageId: clientMessageId || undefined,
+          roomId,
+          type: 'donation',
+          content: donation.message || '',
+          amount: donation.amount,
+          message: donation.message,
+          effectType: donation.effectType,
+          user: {
+            userId: socket.user.userId,
+            username: socket.user.username,
+            tier: socket.user.tier,
+            badges: socket.user.badges,
+            color: socket.user.color
+          },
+          createdAt: donation.createdAt
+        };
+        
+        // Keep the donation in the room's message stream, so search and reconnect sync include it
+        await storeDonationMessage(donationMessage);
+        
+        // Broadcast donation to room
+        io.to(roomId).emit('donation', donationMessage);
+        await accept({ id: donationMessage.id, balance });
+        
+        // Pin and read out the donation as its effect tier says
+        if (effect.pinSeconds > 0) {
+          await pinDonation(io, roomId, donationMessage, effect.pinSeconds);
+        }
+        
+        if (effect.tts) {
+          io.to(roomId).emit('donationTts', donationService.createTtsEvent(donationMessage));
+        }
         
-        // Notify rooms
-        for (const roomId of socket.rooms) {
-          // Skip the socket's own room
-          if (roomId === socket.id) continue;
+        // Update the goal's progress bar
+        if (goal) {
+          io.to(roomId).emit('goalProgress', { roomId, goal });
           
-          socket.to(roomId).emit('userLeft', {
-            username: socket.user.username
-          });
+          if (goalReached) {
+            io.to(roomId).emit('goalReached', {
+              roomId,
+              goal,
+              donation: { id: donationMessage.id, username: socket.user.username, amount: donation.amount }
+            });
+          }
         }
+        
+        // Record analytics
+        recordChatActivity({
+          type: 'donation',
+          userId: socket.user.userId,
+          roomId,
+          amount
+        });
       } catch (error) {
-        logger.error('Error handling disconnect:', error);
+        logger.error('Error processing donation:', error);
+        await reject({ message: 'Failed to process donation' });
       }
     });
-  });
 
-  return io;
+    // --- Whispers ---
+    
+    /**
+     * Send a whisper from the whisper pane
+     */
+    socket.on('whisper', async (data) => {
+      try {
+        const { targetUsername, content, roomId = null } = data;
+        
+        if (!targetUsername || !content) {
+          socket.emit('error', { message: 'Please specify a user and message' });
+          return;
+        }
+        
+        const { ok, error } = await deliverWhisper(io, socket, {
+          targetUsername,
+          content,
+          roomId: roomId && socket.rooms.has(roomId) ? roomId : null
+        });
+        
+        if (!ok) {
+          socket.emit('error', { message: error });
+        }
+      } catch (error) {
+        logger.error('Error sending whisper:', error);
+        socket.emit('error', { message: 'Failed to send whisper' });
+      }
+    });
+
+    // --- Polls ---
+    
+    /**
+     * Vote in a poll
+     */
+    socket.on('pollVote', async (data) => {
+      try {
+        const { roomId, pollId, optionIndex } = data;
+        
+        if (!socket.rooms.has(roomId)) {
+          socket.emit('error', { message: 'You are not in this room' });
+          return;
+        }
+        
+        const { ok, error } = await submitPollVote(io, socket, roomId, pollId, optionIndex);
+        
+        if (!ok) {
+          socket.emit('error', { message: error });
+        }
+      } catch (error) {
+        logger.error('Error voting in poll:', error);
+        socket.emit('error', { message: 'Failed to submit vote' });
+      }
+    });
+    
+    /**
+     * End a poll early (moderator only)
+     */
+    socket.on('closePoll', async (data) => {
+      try {
+        const { roomId, pollId } = data;
+        
+        // Channel moderators and the broadcaster too, not just global moderators
+        if (!isRoomModerator(socket, roomId)) {
+          socket.emit('error', { message: 'You do not have permission to close polls' });
+          return;
+        }
+        
+        const poll = await Poll.findOne({ _id: pollId, roomId }).select('_id').lean();
+        if (!poll) {
+          socket.emit('error', { message: 'Poll not found' });
+          return;
+        }
+        
+        await finishPoll(io, pollId);
+      } catch (error) {
+        logger.error('Error closing poll:', error);
+        socket.emit('error', { message: 'Failed to close poll' });
+      }
+    });
+
+    // --- Moderation Tools ---
+    
+    /**
+     * Timeout a user
+     */
+    socket.on('timeout', async (data) => {
+      try {
+        const { roomId, username, duration, reason } = data;
+        
+        // Check moderator privileges
+        if (!socket.user.isModerator && !socket.user.isAdmin) {
+          socket.emit('error', { message: 'You do not have permission to timeout users' });
+          return;
+        }
+        
+        const seconds = parseInt(duration, 10);
+        if (!seconds || seconds < 1 || seconds > MAX_TIMEOUT_SECONDS) {
+          socket.emit('error', { message: `Timeout duration must be between 1 and ${MAX_TIMEOUT_SECONDS} seconds` });
+          return;
+        }
+        
+        // Find the user, whether or not they are connected to this node
+        const target = await findModerationTarget(io, roomId, username);
+        if (!target) {
+          socket.emit('error', { message: 'User not found' });
+          return;
+        }
+        
+        // Don't allow timing out moderators/admins unless you're an admin
+        if ((target.isModerator || target.isAdmin) && !socket.user.isAdmin) {
+          socket.emit('error', { message: 'Cannot timeout other moderators or admins' });
+          return;
+        }
+        
+        const timeoutReason = reason || 'Violated chat rules';
+        
+        await applyTimeout(io, roomId, target, {
+          duration: seconds,
+          reason: timeoutReason,
+          moderator: socket.user
+        });
+        
+        // Notify the room
+        io.to(roomId).emit('moderation', {
+          type: 'timeout',
+          username: target.username,
+          duration: seconds,
+          reason: timeoutReason,
+          moderator: socket.user.username
+        });
+        
+        // Remove the user's messages from chat
+        await purgeMessagesForUser(io, socket, roomId, target);
+        
+        await moderationService.logModerationAction({
+          channelId: roomId,
+          action: 'timeout',
+          actor: { userId: socket.user.userId, username: socket.user.username },
+          target: { userId: target.userId, username: target.username },
+          reason: timeoutReason,
+          duration: seconds
+        });
+        
+        logger.info(`User ${target.username} timed out for ${seconds}s by ${socket.user.username} in room ${roomId}`);
+      } catch (error) {
+        logger.error('Error timing out user:', error);
+        socket.emit('error', { message: 'Failed to timeout user' });
+      }
+    });
+    
+    /**
+     * Lift a user's timeout early
+     */
+    socket.on('untimeout', async (data) => {
+      try {
+        const { roomId, username } = data;
+        
+        // Check moderator privileges for this room
+        if (!isRoomModerator(socket, roomId)) {
+          socket.emit('error', { message: 'You do not have permission to remove timeouts' });
+          return;
+        }
+        
+        const target = await findModerationTarget(io, roomId, username);
+        if (!target) {
+          socket.emit('error', { message: 'User not found' });
+          return;
+        }
+        
+        const removed = await liftTimeout(io, roomId, target);
+        if (!removed) {
+          socket.emit('error', { message: `${target.username} is not timed out` });
+          return;
+        }
+        
+        // Notify the room
+        io.to(roomId).emit('moderation', {
+          type: 'untimeout',
+          username: target.username,
+          moderator: socket.user.username
+        });
+        
+        await moderationService.logModerationAction({
+          channelId: roomId,
+          action: 'untimeout',
+          actor: { userId: socket.user.userId, username: socket.user.username },
+          target: { userId: target.userId, username: target.username }
+        });
+        
+        logger.info(`Timeout for ${target.username} removed by ${socket.user.username} in room ${roomId}`);
+      } catch (error) {
+        logger.error('Error removing timeout:', error);
+        socket.emit('error', { message: 'Failed to remove timeout' });
+      }
+    });
+    
+    /**
+     * Ban a user
+     */
+    socket.on('ban', async (data) => {
+      try {
+        const { roomId, username, reason } = data;
+        
+        // Check moderator privileges
+        if (!socket.user.isModerator && !socket.user.isAdmin) {
+          socket.emit('error', { message: 'You do not have permission to ban users' });
+          return;
+        }
+        
+        // Find target user sockets in this room
+        const room = io.sockets.adapter.rooms.get(roomId);
+        let targetSocket = null;
+        
+        // Find the socket for the username to ban
+        for (const socketId of room || []) {
+          const userSocket = io.sockets.sockets.get(socketId);
+          if (userSocket.user.username === username) {
+            targetSocket = userSocket;
+            break;
+          }
+        }
+        
+        if (!targetSocket) {
+          socket.emit('error', { message: 'User not found in this room' });
+          return;
+        }
+        
+        // Don't allow banning moderators/admins unless you're an admin
+        if ((targetSocket.user.isModerator || targetSocket.user.isAdmin) && !socket.user.isAdmin) {
+          socket.emit('error', { message: 'Cannot ban other moderators or admins' });
+          return;
+        }
+        
+        // Add user to banned list for the room
+        await ChatRoom.findByIdAndUpdate(roomId, {
+          $addToSet: {
+            bannedUsers: {
+              userId: targetSocket.user.userId,
+              username: targetSocket.user.username,
+              reason: reason || 'Violated chat rules',
+              bannedBy: socket.user.username,
+              bannedAt: new Date()
+            }
+          }
+        });
+        
+        // Notify the banned user
+        targetSocket.emit('banned', {
+          reason: reason || 'Violated chat rules',
+          moderator: socket.user.username
+        });
+        
+        // Remove user from room
+        targetSocket.leave(roomId);
+        
+        // Notify the room
+        io.to(roomId).emit('moderation', {
+          type: 'ban',
+          username,
+          reason: reason || 'Violated chat rules',
+          moderator: socket.user.username
+        });
+        
+        // Remove the user's messages from chat
+        await purgeMessagesForUser(io, socket, roomId, targetSocket.user);
+        
+        await moderationService.logModerationAction({
+          channelId: roomId,
+          action: 'ban',
+          actor: { userId: socket.user.userId, username: socket.user.username },
+          target: { userId: targetSocket.user.userId, username },
+          reason: reason || 'Violated chat rules'
+        });
+        
+        logger.info(`User ${username} banned by ${socket.user.username} in room ${roomId}`);
+      } catch (error) {
+        logger.error('Error banning user:', error);
+        socket.emit('error', { message: 'Failed to ban user' });
+      }
+    });
+    
+    /**
+     * Clear all messages in a room
+     */
+    socket.on('clearChat', async (data) => {
+      try {
+        const { roomId } = data;
+        
+        // Check moderator privileges for this room
+        if (!isRoomModerator(socket, roomId)) {
+          socket.emit('error', { message: 'You do not have permission to clear chat' });
+          return;
+        }
+        
+        const tombstone = await moderationService.clearChannelMessages(roomId, socket.user.userId);
+        
+        // Clients replace everything sent before clearedAt with tombstones
+        io.to(roomId).emit('clearChat', {
+          ...tombstone,
+          moderator: socket.user.username
+        });
+        
+        // Notify the room
+        io.to(roomId).emit('moderation', {
+          type: 'clear',
+          moderator: socket.user.username
+        });
+        
+        await moderationService.logModerationAction({
+          channelId: roomId,
+          action: 'clear',
+          actor: { userId: socket.user.userId, username: socket.user.username },
+          details: { deletedCount: tombstone.deletedCount }
+        });
+        
+        logger.info(`Chat cleared by ${socket.user.username} in room ${roomId}`);
+      } catch (error) {
+        logger.error('Error clearing chat:', error);
+        socket.emit('error', { message: 'Failed to clear chat' });
+      }
+    });
+    
+    /**
+     * Purge a user's messages without timing them out
+     */
+    socket.on('purgeUser', async (data) => {
+      try {
+        const { roomId, username, reason } = data;
+        
+        // Check moderator privileges for this room
+        if (!isRoomModerator(socket, roomId)) {
+          socket.emit('error', { message: 'You do not have permission to purge messages' });
+          return;
+        }
+        
+        // Look up the user even if they have left the room
+        const target = await User.findOne({ username })
+          .collation({ locale: 'en', strength: 2 })
+          .select('username')
+          .lean();
+        
+        if (!target) {
+          socket.emit('error', { message: 'User not found' });
+          return;
+        }
+        
+        const tombstone = await purgeMessagesForUser(io, socket, roomId, {
+          userId: target._id.toString(),
+          username: target.username
+        });
+        
+        await moderationService.logModerationAction({
+          channelId: roomId,
+          action: 'purge',
+          actor: { userId: socket.user.userId, username: socket.user.username },
+          target: { userId: target._id, username: target.username },
+          reason: reason || '',
+          details: { deletedCount: tombstone.deletedCount }
+        });
+        
+        logger.info(`Messages from ${target.username} purged by ${socket.user.username} in room ${roomId}`);
+      } catch (error) {
+        logger.error('Error purging user messages:', error);
+        socket.emit('error', { message: 'Failed to purge messages' });
+      }
+    });
+    
+    /**
+     * Change the room's chat mode
+     */
+    socket.on('setChatMode', async (data) => {
+      try {
+        const { roomId, mode, duration = 0 } = data;
+        
+        if (!socket.user.isAuthenticated) {
+          socket.emit('error', { message: 'You do not have permission to change the chat mode' });
+          return;
+        }
+        
+        if (!ChannelChatSettings.schema.path('mode').enumValues.includes(mode)) {
+          socket.emit('error', { message: 'Invalid chat mode' });
+          return;
+        }
+        
+        const room = await ChatRoom.findById(roomId);
+        if (!room) {
+          socket.emit('error', { message: 'Room not found' });
+          return;
+        }
+        
+        // Check moderator privileges
+        if (!(await canChangeChatMode(socket, room, roomId))) {
+          socket.emit('error', { message: 'You do not have permission to change the chat mode' });
+          return;
+        }
+        
+        // Duration is the slow mode delay in seconds, or the minimum follow age in minutes
+        const settings = await ChannelChatSettings.setMode(roomId, {
+          mode,
+          slowModeDelay: mode === 'slow' ? Number(duration) : undefined,
+          followersMinAge: mode === 'followers' ? Number(duration) || 0 : undefined
+        }, socket.user.userId);
+        
+        updateRoomState(io, roomId, settings);
+        
+        await moderationService.logModerationAction({
+          channelId: roomId,
+          action: 'chat_mode',
+          actor: { userId: socket.user.userId, username: socket.user.username },
+          details: {
+            mode,
+            slowModeDelay: settings.slowModeDelay,
+            followersMinAge: settings.followersMinAge
+          }
+        });
+        
+        // Notify the room
+        io.to(roomId).emit('moderation', {
+          type: 'mode',
+          mode,
+          moderator: socket.user.username
+        });
+        
+        logger.info(`Chat mode set to ${mode} by ${socket.user.username} in room ${roomId}`);
+      } catch (error) {
+        logger.error('Error changing chat mode:', error);
+        socket.emit('error', { message: 'Failed to change chat mode' });
+      }
+    });
+    
+    /**
+     * Change how strictly AutoMod screens the room's messages
+     */
+    socket.on('setAutoModLevel', async (data) => {
+      try {
+        const { roomId, level } = data;
+        
+        if (!socket.user.isAuthenticated) {
+          socket.emit('error', { message: 'You do not have permission to change AutoMod settings' });
+          return;
+        }
+        
+        if (!ChannelChatSettings.schema.path('automodLevel').enumValues.includes(level)) {
+          socket.emit('error', { message: 'Invalid AutoMod level' });
+          return;
+        }
+        
+        const room = await ChatRoom.findById(roomId);
+        if (!room) {
+          socket.emit('error', { message: 'Room not found' });
+          return;
+        }
+        
+        // Same permission as changing the chat mode
+        if (!(await canChangeChatMode(socket, room, roomId))) {
+          socket.emit('error', { message: 'You do not have permission to change AutoMod settings' });
+          return;
+        }
+        
+        const settings = await ChannelChatSettings.setAutoModLevel(roomId, level, socket.user.userId);
+        
+        updateRoomState(io, roomId, settings);
+        
+        await moderationService.logModerationAction({
+          channelId: roomId,
+          action: 'automod_level',
+          actor: { userId: socket.user.userId, username: socket.user.username },
+          details: { level }
+        });
+        
+        // Only moderators are told about AutoMod changes
+        io.to(getModRoom(roomId)).emit('moderation', {
+          type: 'automod',
+          level,
+          moderator: socket.user.username
+        });
+        
+        logger.info(`AutoMod level set to ${level} by ${socket.user.username} in room ${roomId}`);
+      } catch (error) {
+        logger.error('Error changing AutoMod level:', error);
+        socket.emit('error', { message: 'Failed to change AutoMod level' });
+      }
+    });
+    
+    /**
+     * Pin a message above chat, optionally for a limited time
+     */
+    socket.on('pinMessage', async (data) => {
+      try {
+        const { roomId, messageId, duration = 0 } = data;
+        
+        if (!socket.user.isAuthenticated) {
+          socket.emit('error', { message: 'You do not have permission to pin messages' });
+          return;
+        }
+        
+        if (!Number.isInteger(duration) || duration < 0 || duration > MAX_PIN_DURATION_SECONDS) {
+          socket.emit('error', { message: 'Invalid pin duration' });
+          return;
+        }
+        
+        const room = await ChatRoom.findById(roomId);
+        if (!room) {
+          socket.emit('error', { message: 'Room not found' });
+          return;
+        }
+        
+        // Same permission as changing the chat mode
+        if (!(await canChangeChatMode(socket, room, roomId))) {
+          socket.emit('error', { message: 'You do not have permission to pin messages' });
+          return;
+        }
+        
+        const message = mongoose.Types.ObjectId.isValid(messageId)
+          ? await ChatMessage.findOne({
+            _id: messageId,
+            roomId,
+            isDeleted: false,
+            type: { $in: ['text', 'action', 'announcement'] }
+          }).lean()
+          : null;
+        
+        if (!message) {
+          socket.emit('error', { message: 'Message not found' });
+          return;
+        }
+        
+        const settings = await ChannelChatSettings.pinMessage(roomId, {
+          messageId: message._id,
+          messageType: message.type,
+          content: message.content,
+          parsedContent: message.parsedContent,
+          emotes: message.emotes,
+          user: {
+            userId: message.user.userId,
+            username: message.user.username,
+            color: message.user.color
+          },
+          pinnedBy: { userId: socket.user.userId, username: socket.user.username },
+          pinnedAt: new Date(),
+          expiresAt: duration > 0 ? new Date(Date.now() + duration * 1000) : null
+        }, socket.user.userId);
+        
+        updateRoomState(io, roomId, settings);
+        schedulePinExpiry(io, roomId, settings.pinnedMessage);
+        
+        await moderationService.logModerationAction({
+          channelId: roomId,
+          action: 'message_pin',
+          actor: { userId: socket.user.userId, username: socket.user.username },
+          target: { userId: message.user.userId, username: message.user.username },
+          duration: duration || undefined,
+          details: { messageId: message._id, content: message.content }
+        });
+        
+        logger.info(`Message ${messageId} pinned by ${socket.user.username} in room ${roomId}`);
+      } catch (error) {
+        logger.error('Error pinning message:', error);
+        socket.emit('error', { message: 'Failed to pin message' });
+      }
+    });
+    
+    /**
+     * Remove the pinned message
+     */
+    socket.on('unpinMessage', async (data) => {
+      try {
+        const { roomId } = data;
+        
+        if (!socket.user.isAuthenticated) {
+          socket.emit('error', { message: 'You do not have permission to unpin messages' });
+          return;
+        }
+        
+        const room = await ChatRoom.findById(roomId);
+        if (!room) {
+          socket.emit('error', { message: 'Room not found' });
+          return;
+        }
+        
+        if (!(await canChangeChatMode(socket, room, roomId))) {
+          socket.emit('error', { message: 'You do not have permission to unpin messages' });
+          return;
+        }
+        
+        const settings = await ChannelChatSettings.unpinMessage(roomId, socket.user.userId);
+        if (!settings) {
+          socket.emit('error', { message: 'No message is pinned' });
+          return;
+        }
+        
+        updateRoomState(io, roomId, settings);
+        schedulePinExpiry(io, roomId, null);
+        
+        await moderationService.logModerationAction({
+          channelId: roomId,
+          action: 'message_unpin',
+          actor: { userId: socket.user.userId, username: socket.user.username }
+        });
+      } catch (error) {
+        logger.error('Error unpinning message:', error);
+        socket.emit('error', { message: 'Failed to unpin message' });
+      }
+    });
+    
+    /**
+     * Approve or deny a message held by AutoMod
+     */
+    socket.on('reviewHeldMessage', async (data) => {
+      try {
+        const { roomId, heldId, approve } = data;
+        
+        // Check moderator privileges
+        if (!isRoomModerator(socket, roomId)) {
+          socket.emit('error', { message: 'You do not have permission to review held messages' });
+          return;
+        }
+        
+        const status = approve ? 'approved' : 'denied';
+        const moderator = { userId: socket.user.userId, username: socket.user.username };
+        
+        // Only the first moderator to review a message wins
+        const heldMessage = await HeldMessage.review(roomId, heldId, status, moderator);
+        if (!heldMessage) {
+          socket.emit('error', { message: 'This message was already reviewed or has expired' });
+          return;
+        }
+        
+        const { message } = heldMessage;
+        
+        if (approve) {
+          await publishChatMessage(io, { ...message, createdAt: new Date() });
+        }
+        
+        // Let the sender know what happened to their message
+        const senderRoom = message.user.userId ? getUserRoom(message.user.userId) : heldMessage.socketId;
+        if (senderRoom) {
+          io.to(senderRoom).emit('heldMessageResolved', {
+            roomId,
+            heldId,
+            status
+          });
+        }
+        
+        // Remove the message from every moderator's queue
+        io.to(getModRoom(roomId)).emit('automodResolved', {
+          roomId,
+          heldId,
+          status,
+          moderator: socket.user.username
+        });
+        
+        await moderationService.logModerationAction({
+          channelId: roomId,
+          action: approve ? 'automod_approve' : 'automod_deny',
+          actor: moderator,
+          target: { userId: message.user.userId, username: message.user.username },
+          details: { rule: heldMessage.rule, content: message.content }
+        });
+        
+        logger.info(`Held message ${heldId} ${status} by ${socket.user.username} in room ${roomId}`);
+      } catch (error) {
+        logger.error('Error reviewing held message:', error);
+        socket.emit('error', { message: 'Failed to review held message' });
+      }
+    });
+
+    // --- Connection Management ---
+    
+    /**
+     * Leave presence while the socket is still in its rooms
+     */
+    socket.on('disconnecting', async () => {
+      for (const roomId of socket.typingRooms.keys()) {
+        await stopTyping(io, socket, roomId);
+      }
+      
+      for (const roomId of socket.presence.keys()) {
+        await leavePresence(socket, roomId);
+      }
+    });
+    
+    /**
+     * Handle disconnection
+     */
+    socket.on('disconnect', async () => {
+      try {
+        logger.info(`User disconnected: ${socket.user.username} (${socket.id})`);
+        
+        // Update connection record
+        await UserConnection.findOneAndUpdate(
+          { socketId: socket.id },
+          { disconnectedAt: new Date() }
+        );
+      } catch (error) {
+        logger.error('Error handling disconnect:', error);
+      }
+    });
+  });
+
+  return io;
+}
+
+/**
+ * Run the server-side action of a parsed chat command
+ * @param {Object} io - socket.io instance
+ * @param {Object} socket - Sender socket
+ * @param {string} roomId - Room ID
+ * @param {Object} command - Result of processMessage with an actionType
+ * @returns {Promise<Object>} Outcome ({ ok, error }); error is shown to the sender when the action failed
+ */
+async function handleCommandAction(io, socket, roomId, command) {
+  switch (command.actionType) {
+    case 'poll': {
+      const { poll, error } = await pollService.createPoll({
+        roomId,
+        user: socket.user,
+        question: command.question,
+        options: command.options,
+        duration: command.duration,
+        weighted: command.weighted
+      });
+      
+      if (error) {
+        return { ok: false, error };
+      }
+      
+      schedulePollClose(io, poll);
+      io.to(roomId).emit('pollCreated', poll);
+      return { ok: true, error: null };
+    }
+      
+    case 'vote':
+      return submitPollVote(io, socket, roomId, null, command.optionIndex);
+      
+    case 'whisper':
+      return deliverWhisper(io, socket, {
+        targetUsername: command.targetUsername,
+        content: command.content,
+        roomId
+      });
+      
+    case 'colorChange':
+      await changeUserColor(io, socket, command.color);
+      return { ok: true, error: null };
+      
+    case 'permit': {
+      const duration = await linkService.grantPermit(roomId, command.username);
+      
+      io.to(roomId).emit('moderation', {
+        type: 'permit',
+        username: command.username,
+        duration,
+        moderator: socket.user.username
+      });
+      
+      await moderationService.logModerationAction({
+        channelId: roomId,
+        action: 'link_permit',
+        actor: { userId: socket.user.userId, username: socket.user.username },
+        target: { username: command.username },
+        duration
+      });
+      return { ok: true, error: null };
+    }
+      
+    case 'announce':
+      // Announcements are stored and shown like chat messages, with a colored highlight
+      await publishChatMessage(io, {
+        id: generateMessageId(),
+        roomId,
+        type: 'announcement',
+        announcementColor: command.color,
+        content: command.content,
+        parsedContent: command.parsedContent,
+        user: {
+          userId: socket.user.userId,
+          username: socket.user.username,
+          tier: socket.user.tier,
+          badges: socket.user.badges,
+          color: socket.user.color,
+          isModerator: socket.user.isModerator,
+          isAdmin: socket.user.isAdmin
+        },
+        emotes: command.emotes,
+        entities: command.entities,
+        createdAt: new Date()
+      });
+      return { ok: true, error: null };
+      
+    case 'commandResponse':
+      // Channel command replies are shown to everyone but not stored; they can quote viewers
+      // ({touser}), so they are labelled as bot replies rather than system notices
+      io.to(roomId).emit('chatMessage', {
+        id: generateMessageId(),
+        roomId,
+        type: 'bot',
+        content: command.response,
+        parsedContent: command.parsedContent,
+        commandName: command.commandName,
+        triggeredBy: socket.user.username,
+        emotes: [],
+        createdAt: new Date()
+      });
+      return { ok: true, error: null };
+      
+    default:
+      logger.warn(`Unhandled command action: ${command.actionType}`);
+      return { ok: false, error: 'This command is not supported' };
+  }
+}
+
+/**
+ * Validate, store and deliver a whisper to every socket of the recipient
+ * @param {Object} io - socket.io instance
+ * @param {Object} socket - Sender socket
+ * @param {Object} whisper - Whisper data
+ * @param {string} whisper.targetUsername - Recipient username
+ * @param {string} whisper.content - Raw message content
+ * @param {string|null} whisper.roomId - Room the whisper was sent from
+ * @returns {Promise<Object>} Outcome ({ ok, error })
+ */
+async function deliverWhisper(io, socket, { targetUsername, content, roomId }) {
+  const sender = socket.user;
+  
+  if (!sender.isAuthenticated) {
+    return { ok: false, error: 'You must be logged in to whisper' };
+  }
+  
+  if (roomId && await getActiveTimeout(socket, roomId)) {
+    return { ok: false, error: 'You cannot whisper while timed out' };
+  }
+  
+  if (roomId && await ChannelBan.isUserBanned(roomId, sender.userId)) {
+    return { ok: false, error: 'You cannot whisper from a channel you are banned in' };
+  }
+  
+  if (!sender.isModerator && !sender.isAdmin) {
+    const { allowed } = await messageLimiter.consume(getRateLimitKey(socket), sender.tier);
+    if (!allowed) {
+      return { ok: false, error: 'You are sending messages too quickly. Please wait a moment.' };
+    }
+  }
+  
+  const target = await User.findOne({ username: targetUsername })
+    .collation({ locale: 'en', strength: 2 })
+    .select('_id username')
+    .lean();
+  
+  if (!target) {
+    return { ok: false, error: `User ${targetUsername} not found` };
+  }
+  
+  if (target._id.toString() === sender.userId.toString()) {
+    return { ok: false, error: 'You cannot whisper yourself' };
+  }
+  
+  if (await UserBlock.isBlockedEitherWay(sender.userId, target._id)) {
+    return { ok: false, error: 'You cannot whisper this user' };
+  }
+  
+  // Whispers sent from a room follow its filters, link rules and AutoMod; others get the global filters
+  const room = roomId ? await ChatRoom.findById(roomId) : null;
+  const processedMessage = await processMessage(content, {
+    user: sender,
+    room,
+    userEmotes: socket.userEmotes || [],
+    automodLevel: room ? (await getRoomState(roomId)).automodLevel : undefined,
+    automodExempt: room ? isRoomModerator(socket, roomId) : false,
+    parseCommands: false
+  });
+  
+  if (processedMessage.filtered) {
+    return { ok: false, error: processedMessage.reason || 'Your whisper was filtered' };
+  }
+  
+  // Whispers are private, so there is no moderator review for AutoMod to hold them in
+  if (processedMessage.held) {
+    return { ok: false, error: 'Your whisper was blocked by AutoMod' };
+  }
+  
+  const whisper = await Whisper.sendWhisper({
+    from: { userId: sender.userId, username: sender.username },
+    to: { userId: target._id, username: target.username },
+    content: processedMessage.content,
+    parsedContent: processedMessage.parsedContent,
+    emotes: processedMessage.emotes,
+    roomId
+  });
+  
+  const payload = {
+    id: whisper._id.toString(),
+    conversationId: whisper.conversationId,
+    from: {
+      userId: sender.userId,
+      username: sender.username,
+      color: sender.color,
+      badges: sender.badges
+    },
+    to: {
+      userId: target._id.toString(),
+      username: target.username
+    },
+    content: whisper.content,
+    parsedContent: whisper.parsedContent,
+    emotes: whisper.emotes,
+    createdAt: whisper.createdAt
+  };
+  
+  // Rooms are shared through the Redis adapter, so this reaches every node
+  io.to(getUserRoom(target._id)).emit('whisper', payload);
+  io.to(getUserRoom(sender.userId)).emit('whisperSent', payload);
+  
+  return { ok: true, error: null };
+}
+
+/**
+ * Get the personal room name for a user
+ * @param {string} userId - User ID
+ * @returns {string} Room name
+ */
+function getUserRoom(userId) {
+  return `user:${userId}`;
+}
+
+/**
+ * Get the room name shared by a chat room's moderators
+ * @param {string} roomId - Chat room ID
+ * @returns {string} Room name
+ */
+function getModRoom(roomId) {
+  return `mods:${roomId}`;
+}
+
+/**
+ * Save a chat message and broadcast it to the room
+ * @param {Object} io - socket.io instance
+ * @param {Object} message - Message to publish
+ */
+async function publishChatMessage(io, message) {
+  // Link mentions to real users before the message is stored
+  const mentionedUsers = await resolveMentions(message);
+  
+  // Number the message so clients can detect gaps and fetch what they missed
+  message.seq = await deliveryService.nextSequence(message.roomId);
+  
+  // Save message to database (the message ID doubles as the document ID)
+  const chatMessage = new ChatMessage({ ...message, _id: message.id });
+  await chatMessage.save();
+  
+  // Broadcast message to room
+  io.to(message.roomId).emit('chatMessage', message);
+  
+  // Record analytics
+  recordChatActivity({
+    type: 'message',
+    userId: message.user.userId,
+    roomId: message.roomId,
+    messageId: message.id
+  });
+  
+  notifyMentionedUsers(io, message, mentionedUsers)
+    .catch(error => logger.error('Error sending mention notifications:', error));
+}
+
+/**
+ * Number and store a donation as a chat message
+ * The donation itself is already committed, so a failure here is logged and the donation is still shown
+ * @param {Object} message - Donation message (seq is set on it)
+ */
+async function storeDonationMessage(message) {
+  try {
+    message.seq = await deliveryService.nextSequence(message.roomId);
+    
+    // Shares its ID with the Donation document
+    await new ChatMessage({ ...message, _id: message.id }).save();
+  } catch (error) {
+    logger.error(`Error storing donation ${message.id} as a chat message:`, error);
+  }
+}
+
+/**
+ * Queue a message's reaction counts for the room's next batched broadcast
+ * @param {Object} io - socket.io instance
+ * @param {string} roomId - Room ID
+ * @param {string} messageId - Message ID
+ * @param {Array} reactions - Current reaction counts ({ code, url, count })
+ */
+function queueReactionBroadcast(io, roomId, messageId, reactions) {
+  let batch = reactionBroadcasts.get(roomId);
+  
+  if (!batch) {
+    batch = { messages: new Map() };
+    batch.timer = setTimeout(() => {
+      reactionBroadcasts.delete(roomId);
+      io.to(roomId).emit('reactionCounts', {
+        roomId,
+        messages: [...batch.messages].map(([id, counts]) => ({ id, reactions: counts }))
+      });
+    }, REACTION_BROADCAST_INTERVAL_MS);
+    
+    reactionBroadcasts.set(roomId, batch);
+  }
+  
+  // Only the newest counts for each message are sent
+  batch.messages.set(messageId, reactions.map(({ code, url, count }) => ({ code, url, count })));
+}
+
+/**
+ * Replace a stored message's reacting user lists with counts and the viewer's own reactions
+ * @param {Object} message - Message from the database
+ * @param {string|null} userId - Viewing user ID
+ */
+function formatMessageReactions(message, userId) {
+  const reactions = message.reactions || [];
+  
+  message.myReactions = userId
+    ? reactions
+      .filter(reaction => (reaction.userIds || []).some(id => id.toString() === userId))
+      .map(reaction => reaction.code)
+    : [];
+  message.reactions = reactions.map(({ code, url, count }) => ({ code, url, count }));
+}
+
+/**
+ * Build the quoted preview for a reply
+ * @param {string} roomId - Room ID
+ * @param {string} messageId - ID of the message being replied to
+ * @returns {Promise<Object|null>} Reply context, or null if the message is missing or deleted
+ */
+async function getReplyContext(roomId, messageId) {
+  if (!mongoose.Types.ObjectId.isValid(messageId)) {
+    return null;
+  }
+  
+  const parent = await ChatMessage.findOne({
+    _id: messageId,
+    roomId,
+    isDeleted: false
+  })
+  .select('user content')
+  .lean();
+  
+  if (!parent) {
+    return null;
+  }
+  
+  return {
+    messageId: parent._id.toString(),
+    userId: parent.user.userId ? parent.user.userId.toString() : null,
+    username: parent.user.username,
+    content: parent.content.length > REPLY_PREVIEW_LENGTH
+      ? `${parent.content.slice(0, REPLY_PREVIEW_LENGTH)}...`
+      : parent.content
+  };
+}
+
+/**
+ * Attach user IDs to a message's mention entities, dropping mentions of unknown users
+ * @param {Object} message - Message with entities
+ * @returns {Promise<Array>} Mentioned users ({ _id, username })
+ */
+async function resolveMentions(message) {
+  const mentions = (message.entities || []).filter(entity => entity.type === 'mention');
+  if (mentions.length === 0) {
+    return [];
+  }
+  
+  const usernames = [...new Set(mentions.map(mention => mention.username.toLowerCase()))]
+    .slice(0, MAX_MENTION_NOTIFICATIONS);
+  
+  const users = await User.find({ username: { $in: usernames } })
+    .collation({ locale: 'en', strength: 2 })
+    .select('username')
+    .lean();
+  
+  const usersByName = new Map(users.map(user => [user.username.toLowerCase(), user]));
+  
+  message.entities = message.entities
+    .filter(entity => entity.type !== 'mention' || usersByName.has(entity.username.toLowerCase()))
+    .map(entity => {
+      if (entity.type !== 'mention') {
+        return entity;
+      }
+      
+      const user = usersByName.get(entity.username.toLowerCase());
+      return { ...entity, userId: user._id.toString(), username: user.username };
+    });
+  
+  return users;
+}
+
+/**
+ * Highlight a message for mentioned and replied-to users who are online, and store notifications for the rest
+ * @param {Object} io - socket.io instance
+ * @param {Object} message - Published message
+ * @param {Array} mentionedUsers - Users mentioned in the message
+ */
+async function notifyMentionedUsers(io, message, mentionedUsers) {
+  const recipients = new Map();
+  
+  mentionedUsers.forEach(user => recipients.set(user._id.toString(), 'mention'));
+  
+  // Replying to someone notifies them even without an @mention
+  if (message.replyTo && message.replyTo.userId) {
+    recipients.set(message.replyTo.userId, 'reply');
+  }
+  
+  // Nobody is notified about their own messages
+  if (message.user.userId) {
+    recipients.delete(message.user.userId.toString());
+  }
+  
+  const from = { userId: message.user.userId, username: message.user.username };
+  const preview = message.content.slice(0, 200);
+  const offlineNotifications = [];
+  
+  for (const [userId, type] of recipients) {
+    if (from.userId && await UserBlock.isBlockedEitherWay(userId, from.userId)) {
+      continue;
+    }
+    
+    // Rooms are shared through the Redis adapter, so this sees sockets on every node
+    const sockets = await io.in(getUserRoom(userId)).fetchSockets();
+    
+    if (sockets.length > 0) {
+      io.to(getUserRoom(userId)).emit('mentioned', {
+        type,
+        roomId: message.roomId,
+        messageId: message.id,
+        from,
+        content: preview,
+        createdAt: message.createdAt
+      });
+    } else {
+      offlineNotifications.push({
+        userId,
+        type,
+        roomId: message.roomId,
+        messageId: message.id,
+        from,
+        content: preview
+      });
+    }
+  }
+  
+  await ChatNotification.createNotifications(offlineNotifications);
+}
+
+/**
+ * Hold a message flagged by AutoMod and send it to the room's moderators for review
+ * @param {Object} io - socket.io instance
+ * @param {Object} socket - Sender socket
+ * @param {Object} message - Message to broadcast if approved
+ * @param {Object} verdict - Processed message with the AutoMod rule and reason
+ */
+async function holdMessageForReview(io, socket, message, verdict) {
+  const heldMessage = await HeldMessage.holdMessage({
+    roomId: message.roomId,
+    message,
+    socketId: socket.id,
+    rule: verdict.rule,
+    reason: verdict.reason
+  }, HELD_MESSAGE_TTL_SECONDS);
+  
+  io.to(getModRoom(message.roomId)).emit('automodHeld', formatHeldMessage(heldMessage));
+  
+  socket.emit('messageHeld', {
+    roomId: message.roomId,
+    heldId: heldMessage._id.toString(),
+    content: message.content,
+    reason: 'Your message is being reviewed by moderators'
+  });
+}
+
+/**
+ * Build the payload moderators see for a held message
+ * @param {Object} heldMessage - Held message document
+ * @returns {Object} Held message payload
+ */
+function formatHeldMessage(heldMessage) {
+  return {
+    heldId: heldMessage._id.toString(),
+    roomId: heldMessage.roomId.toString(),
+    message: heldMessage.message,
+    rule: heldMessage.rule,
+    reason: heldMessage.reason,
+    heldAt: heldMessage.createdAt,
+    expiresAt: heldMessage.expireAt
+  };
+}
+
+/**
+ * Submit a poll vote and broadcast the updated results
+ * @param {Object} io - socket.io instance
+ * @param {Object} socket - Voter socket
+ * @param {string} roomId - Room ID
+ * @param {string|null} pollId - Poll ID, or null for the room's active poll
+ * @param {number} optionIndex - Zero-based option index
+ * @returns {Promise<Object>} Outcome ({ ok, error })
+ */
+async function submitPollVote(io, socket, roomId, pollId, optionIndex) {
+  const { poll, error, optionIndex: votedIndex } = await pollService.castVote({
+    roomId,
+    pollId,
+    optionIndex,
+    user: socket.user
+  });
+  
+  if (error) {
+    return { ok: false, error };
+  }
+  
+  socket.emit('pollVoteAccepted', { pollId: poll.pollId, optionIndex: votedIndex });
+  broadcastPollResults(io, poll);
+  
+  return { ok: true, error: null };
+}
+
+/**
+ * Broadcast live poll results, at most once per throttle window per poll
+ * @param {Object} io - socket.io instance
+ * @param {Object} results - Formatted poll results
+ */
+function broadcastPollResults(io, results) {
+  const pending = pollBroadcasts.get(results.pollId);
+  
+  if (pending) {
+    // Keep only the newest tally; it is sent when the window ends
+    pending.latest = results;
+    return;
+  }
+  
+  io.to(results.roomId).emit('pollResults', results);
+  
+  const entry = { latest: null };
+  entry.timer = setTimeout(() => {
+    pollBroadcasts.delete(results.pollId);
+    if (entry.latest) {
+      io.to(entry.latest.roomId).emit('pollResults', entry.latest);
+    }
+  }, POLL_RESULTS_THROTTLE_MS);
+  
+  pollBroadcasts.set(results.pollId, entry);
+}
+
+/**
+ * Schedule automatic closing of a poll
+ * @param {Object} io - socket.io instance
+ * @param {Object} poll - Formatted poll
+ */
+function schedulePollClose(io, poll) {
+  const delay = Math.max(new Date(poll.endsAt).getTime() - Date.now(), 0);
+  
+  const timer = setTimeout(() => {
+    finishPoll(io, poll.pollId).catch(error => {
+      logger.error(`Error auto-closing poll ${poll.pollId}:`, error);
+    });
+  }, delay);
+  
+  pollTimers.set(poll.pollId, timer);
+}
+
+/**
+ * Close a poll and announce the final results
+ * @param {Object} io - socket.io instance
+ * @param {string} pollId - Poll ID
+ */
+async function finishPoll(io, pollId) {
+  const results = await pollService.closePoll(pollId);
+  
+  if (results) {
+    announcePollClosed(io, results);
+  }
+}
+
+/**
+ * Announce final poll results and release local timers
+ * @param {Object} io - socket.io instance
+ * @param {Object} results - Final poll results
+ */
+function announcePollClosed(io, results) {
+  const timer = pollTimers.get(results.pollId);
+  if (timer) {
+    clearTimeout(timer);
+    pollTimers.delete(results.pollId);
+  }
+  
+  const pending = pollBroadcasts.get(results.pollId);
+  if (pending) {
+    clearTimeout(pending.timer);
+    pollBroadcasts.delete(results.pollId);
+  }
+  
+  io.to(results.roomId).emit('pollClosed', results);
+}
+
+/**
+ * Find the user a moderation action targets, preferring a socket in the room on this node
+ * @param {Object} io - Socket.io instance
+ * @param {string} roomId - Room ID
+ * @param {string} username - Target username
+ * @returns {Promise<Object|null>} Target ({ userId, username, isModerator, isAdmin, socket }) or null
+ */
+async function findModerationTarget(io, roomId, username) {
+  for (const socketId of io.sockets.adapter.rooms.get(roomId) || []) {
+    const userSocket = io.sockets.sockets.get(socketId);
+    if (userSocket && userSocket.user.username === username) {
+      return {
+        userId: userSocket.user.userId,
+        username: userSocket.user.username,
+        isModerator: userSocket.user.isModerator,
+        isAdmin: userSocket.user.isAdmin,
+        socket: userSocket
+      };
+    }
+  }
+  
+  // Not connected here: look up the account so the action still applies on every node
+  const user = await User.findOne({ username })
+    .collation({ locale: 'en', strength: 2 })
+    .select('username role')
+    .lean();
+  
+  if (!user) {
+    return null;
+  }
+  
+  return {
+    userId: user._id.toString(),
+    username: user.username,
+    isModerator: user.role === 'moderator',
+    isAdmin: user.role === 'admin',
+    socket: null
+  };
+}
+
+/**
+ * Get a socket user's active timeout in a room
+ * @param {Object} socket - Socket instance
+ * @param {string} roomId - Room ID
+ * @returns {Promise<Object|null>} Timeout ({ expiresAt, reason }) or null
+ */
+async function getActiveTimeout(socket, roomId) {
+  if (socket.user.userId) {
+    const timeout = await ChannelTimeout.getActiveTimeout(roomId, socket.user.userId);
+    return timeout ? { expiresAt: timeout.expireAt, reason: timeout.reason } : null;
+  }
+  
+  // Guests have no stored identity, so their timeouts live on the connection
+  const guestTimeout = socket.user.timeouts && socket.user.timeouts[roomId];
+  if (guestTimeout && guestTimeout.expiresAt > new Date()) {
+    return guestTimeout;
+  }
+  
+  return null;
+}
+
+/**
+ * Send the remaining timeout time to a user
+ * @param {Object} target - Socket or broadcast operator to emit to
+ * @param {string} roomId - Room ID
+ * @param {Object} timeout - Timeout ({ expiresAt, reason })
+ * @returns {number} Seconds remaining
+ */
+function emitTimeoutCountdown(target, roomId, timeout) {
+  const remaining = Math.max(Math.ceil((new Date(timeout.expiresAt) - Date.now()) / 1000), 0);
+  
+  target.emit('timeoutCountdown', {
+    roomId,
+    expiresAt: timeout.expiresAt,
+    remaining,
+    reason: timeout.reason
+  });
+  
+  return remaining;
+}
+
+/**
+ * Store a timeout, notify every socket of the target user and schedule its end
+ * @param {Object} io - Socket.io instance
+ * @param {string} roomId - Room ID
+ * @param {Object} target - Target from findModerationTarget
+ * @param {Object} options - Timeout options ({ duration, reason, moderator })
+ */
+async function applyTimeout(io, roomId, target, { duration, reason, moderator }) {
+  const expiresAt = new Date(Date.now() + duration * 1000);
+  
+  if (target.userId) {
+    await ChannelTimeout.timeoutUser({
+      channelId: roomId,
+      userId: target.userId,
+      username: target.username,
+      timedOutBy: { userId: moderator.userId, username: moderator.username },
+      reason,
+      duration
+    });
+  } else {
+    target.socket.user.timeouts = {
+      ...target.socket.user.timeouts,
+      [roomId]: { expiresAt, reason }
+    };
+  }
+  
+  const recipient = target.userId ? io.to(getUserRoom(target.userId)) : target.socket;
+  
+  // Notify the timed out user
+  recipient.emit('timeout', {
+    roomId,
+    duration,
+    reason,
+    moderator: moderator.username
+  });
+  emitTimeoutCountdown(recipient, roomId, { expiresAt, reason });
+  
+  scheduleTimeoutEnd(io, roomId, target, duration * 1000);
+}
+
+/**
+ * Remove a timeout before it expires
+ * @param {Object} io - Socket.io instance
+ * @param {string} roomId - Room ID
+ * @param {Object} target - Target from findModerationTarget
+ * @returns {Promise<boolean>} True if a timeout was removed
+ */
+async function liftTimeout(io, roomId, target) {
+  let removed = false;
+  
+  if (target.userId) {
+    removed = await ChannelTimeout.removeTimeout(roomId, target.userId);
+  } else if (target.socket.user.timeouts && target.socket.user.timeouts[roomId]) {
+    removed = target.socket.user.timeouts[roomId].expiresAt > new Date();
+    delete target.socket.user.timeouts[roomId];
+  }
+  
+  if (removed) {
+    endTimeout(io, roomId, target);
+  }
+  
+  return removed;
+}
+
+/**
+ * Schedule the timeoutEnded event for a timeout
+ * @param {Object} io - Socket.io instance
+ * @param {string} roomId - Room ID
+ * @param {Object} target - Target from findModerationTarget
+ * @param {number} delay - Milliseconds until the timeout ends
+ */
+function scheduleTimeoutEnd(io, roomId, target, delay) {
+  const key = `${roomId}:${target.userId || target.socket.id}`;
+  
+  if (timeoutTimers.has(key)) {
+    clearTimeout(timeoutTimers.get(key));
+  }
+  
+  const timer = setTimeout(async () => {
+    try {
+      // The timeout may have been extended from another node
+      if (target.userId && await ChannelTimeout.getActiveTimeout(roomId, target.userId)) {
+        timeoutTimers.delete(key);
+        return;
+      }
+      
+      endTimeout(io, roomId, target);
+    } catch (error) {
+      logger.error(`Error ending timeout for ${target.username}:`, error);
+    }
+  }, delay);
+  timer.unref();
+  timeoutTimers.set(key, timer);
+}
+
+/**
+ * Tell a user their timeout is over
+ * @param {Object} io - Socket.io instance
+ * @param {string} roomId - Room ID
+ * @param {Object} target - Target from findModerationTarget
+ */
+function endTimeout(io, roomId, target) {
+  const key = `${roomId}:${target.userId || target.socket.id}`;
+  
+  if (timeoutTimers.has(key)) {
+    clearTimeout(timeoutTimers.get(key));
+    timeoutTimers.delete(key);
+  }
+  
+  const recipient = target.userId ? io.to(getUserRoom(target.userId)) : target.socket;
+  recipient.emit('timeoutEnded', { roomId });
+}
+
+/**
+ * Soft-delete a user's messages in a room and broadcast a tombstone
+ * @param {Object} io - Socket.io instance
+ * @param {Object} socket - Moderator's socket
+ * @param {string} roomId - Room ID
+ * @param {Object} targetUser - User whose messages are purged ({ userId, username })
+ * @returns {Promise<Object>} Tombstone
+ */
+async function purgeMessagesForUser(io, socket, roomId, targetUser) {
+  // Guests have no stored identity, so only their rendered messages are removed
+  const tombstone = targetUser.userId
+    ? await moderationService.purgeUserMessages(roomId, targetUser.userId, socket.user.userId)
+    : { roomId, userId: null, deletedCount: 0, deletedAt: new Date() };
+  
+  io.to(roomId).emit('messagesPurged', {
+    ...tombstone,
+    username: targetUser.username,
+    moderator: socket.user.username
+  });
+  
+  return tombstone;
+}
+
+/**
+ * Key used to rate limit a socket's messages (guests are limited per IP)
+ * @param {Object} socket - Socket instance
+ * @returns {string} Rate limit key
+ */
+function getRateLimitKey(socket) {
+  return socket.user.userId ? `user:${socket.user.userId}` : `ip:${socket.handshake.address}`;
+}
+
+/**
+ * Check if a socket moderates a room (exempt from rate limits and AutoMod)
+ * @param {Object} socket - Socket instance
+ * @param {string} roomId - Room ID
+ * @returns {boolean} True for admins, moderators and the broadcaster
+ */
+function isRoomModerator(socket, roomId) {
+  return Boolean(socket.user.isAdmin || socket.user.isModerator || socket.moderatedRooms.has(roomId));
+}
+
+/**
+ * Build the roomState payload from stored chat settings
+ * @param {Object} settings - Channel chat settings
+ * @returns {Object} Room state
+ */
+function formatRoomState(settings) {
+  return {
+    roomId: settings.channelId.toString(),
+    mode: settings.mode,
+    slowModeDelay: settings.mode === 'slow' ? settings.slowModeDelay : 0,
+    followersMinAge: settings.mode === 'followers' ? settings.followersMinAge : 0,
+    automodLevel: settings.automodLevel,
+    pinnedMessage: isPinActive(settings.pinnedMessage) ? formatPinnedMessage(settings.pinnedMessage) : null
+  };
+}
+
+/**
+ * Check if a pinned message is set and hasn't expired
+ * @param {Object|null} pinnedMessage - Pinned message
+ * @returns {boolean} True if the pin should be shown
+ */
+function isPinActive(pinnedMessage) {
+  return Boolean(pinnedMessage) &&
+    (!pinnedMessage.expiresAt || new Date(pinnedMessage.expiresAt).getTime() > Date.now());
+}
+
+/**
+ * Build the payload clients see for a pinned message
+ * @param {Object} pinnedMessage - Stored pinned message
+ * @returns {Object} Pinned message payload
+ */
+function formatPinnedMessage(pinnedMessage) {
+  return {
+    messageId: pinnedMessage.messageId.toString(),
+    type: pinnedMessage.messageType,
+    amount: pinnedMessage.amount,
+    content: pinnedMessage.content,
+    parsedContent: pinnedMessage.parsedContent,
+    emotes: pinnedMessage.emotes || [],
+    user: {
+      userId: pinnedMessage.user.userId ? pinnedMessage.user.userId.toString() : null,
+      username: pinnedMessage.user.username,
+      color: pinnedMessage.user.color
+    },
+    pinnedBy: pinnedMessage.pinnedBy.username,
+    pinnedAt: pinnedMessage.pinnedAt,
+    expiresAt: pinnedMessage.expiresAt
+  };
+}
+
+/**
+ * Pin a donation above chat; failures are logged since the donation has already gone through
+ * @param {Object} io - Socket.io instance
+ * @param {string} roomId - Room ID
+ * @param {Object} donationMessage - Broadcast donation message
+ * @param {number} pinSeconds - Seconds to keep the donation pinned
+ */
+async function pinDonation(io, roomId, donationMessage, pinSeconds) {
+  try {
+    const { user } = donationMessage;
+    const settings = await ChannelChatSettings.pinDonation(roomId, {
+      messageId: donationMessage.id,
+      messageType: 'donation',
+      amount: donationMessage.amount,
+      content: donationMessage.message || `Donated ${donationMessage.amount} tokens`,
+      user: {
+        userId: user.userId,
+        username: user.username,
+        color: user.color
+      },
+      pinnedBy: { userId: user.userId, username: user.username },
+      pinnedAt: new Date(),
+      expiresAt: new Date(Date.now() + pinSeconds * 1000)
+    });
+    
+    // A moderator's pin is showing
+    if (!settings) {
+      return;
+    }
+    
+    updateRoomState(io, roomId, settings);
+    schedulePinExpiry(io, roomId, settings.pinnedMessage);
+  } catch (error) {
+    logger.error(`Error pinning donation in room ${roomId}:`, error);
+  }
+}
+
+/**
+ * Remove a room's pin when it expires
+ * @param {Object} io - Socket.io instance
+ * @param {string} roomId - Room ID
+ * @param {Object|null} pinnedMessage - New pinned message, or null if the pin was removed
+ */
+function schedulePinExpiry(io, roomId, pinnedMessage) {
+  clearTimeout(pinTimers.get(roomId));
+  pinTimers.delete(roomId);
+  
+  if (!pinnedMessage || !pinnedMessage.expiresAt) {
+    return;
+  }
+  
+  const delay = Math.max(new Date(pinnedMessage.expiresAt).getTime() - Date.now(), 0);
+  
+  pinTimers.set(roomId, setTimeout(async () => {
+    pinTimers.delete(roomId);
+    
+    try {
+      const settings = await ChannelChatSettings.clearExpiredPin(roomId);
+      if (settings) {
+        updateRoomState(io, roomId, settings);
+      }
+    } catch (error) {
+      logger.error(`Error removing expired pin in room ${roomId}:`, error);
+    }
+  }, delay));
+}
+
+/**
+ * Get a room's chat mode, using the local cache when fresh
+ * @param {string} roomId - Room ID
+ * @returns {Promise<Object>} Room state
+ */
+async function getRoomState(roomId) {
+  const cached = roomStates.get(roomId);
+  const pinExpired = cached && cached.state.pinnedMessage && !isPinActive(cached.state.pinnedMessage);
+  if (cached && cached.expiresAt > Date.now() && !pinExpired) {
+    return cached.state;
+  }
+  
+  const state = formatRoomState(await ChannelChatSettings.getSettings(roomId));
+  roomStates.set(roomId, { state, expiresAt: Date.now() + ROOM_STATE_CACHE_MS });
+  
+  return state;
+}
+
+/**
+ * Cache new chat settings, invalidate other nodes and broadcast the room state
+ * @param {Object} io - Socket.io instance
+ * @param {string} roomId - Room ID
+ * @param {Object} settings - Updated channel chat settings
+ */
+function updateRoomState(io, roomId, settings) {
+  const state = formatRoomState(settings);
+  
+  roomStates.set(roomId, { state, expiresAt: Date.now() + ROOM_STATE_CACHE_MS });
+  io.serverSideEmit('roomStateChanged', { roomId });
+  io.to(roomId).emit('roomState', state);
+}
+
+/**
+ * Remove a socket from a room's presence, telling the room if it was the user's last connection
+ * @param {Object} socket - Socket instance
+ * @param {string} roomId - Room ID
+ */
+async function leavePresence(socket, roomId) {
+  const member = socket.presence.get(roomId);
+  if (!member) {
+    return;
+  }
+  
+  socket.presence.delete(roomId);
+  
+  try {
+    if (await presenceService.removeConnection(roomId, member)) {
+      socket.to(roomId).emit('userLeft', {
+        username: socket.user.username
+      });
+    }
+  } catch (error) {
+    logger.error(`Error removing presence in room ${roomId}:`, error);
+  }
+}
+
+/**
+ * Refresh presence for this node's sockets and send their rooms the current counts
+ * @param {Object} io - Socket.io instance
+ */
+async function refreshPresence(io) {
+  const entries = [];
+  const roomIds = new Set();
+  
+  for (const socket of io.of('/').sockets.values()) {
+    if (!socket.presence) continue;
+    
+    for (const [roomId, member] of socket.presence) {
+      entries.push({ roomId, member });
+      roomIds.add(roomId);
+    }
+  }
+  
+  await presenceService.refreshMembers(entries);
+  
+  // Forget counts for rooms this node no longer has sockets in
+  for (const roomId of roomViewerCounts.keys()) {
+    if (!roomIds.has(roomId)) {
+      roomViewerCounts.delete(roomId);
+    }
+  }
+  
+  // Every node updates only its own sockets, so each viewer gets one update
+  for (const roomId of roomIds) {
+    try {
+      const counts = await presenceService.getPresenceCounts(roomId);
+      roomViewerCounts.set(roomId, counts.viewers);
+      io.local.to(roomId).emit('roomState', { ...await getRoomState(roomId), counts });
+    } catch (error) {
+      logger.error(`Error sending presence counts for room ${roomId}:`, error);
+    }
+  }
+}
+
+/**
+ * Clear a socket's typing indicator in a room
+ * @param {Object} io - Socket.io instance
+ * @param {Object} socket - Socket instance
+ * @param {string} roomId - Room ID
+ */
+async function stopTyping(io, socket, roomId) {
+  if (!socket.typingRooms.has(roomId)) {
+    return;
+  }
+  
+  socket.typingRooms.delete(roomId);
+  
+  try {
+    if (await presenceService.clearTyping(roomId, socket.user.username)) {
+      queueTypingBroadcast(io, roomId);
+    }
+  } catch (error) {
+    logger.error(`Error clearing typing indicator in room ${roomId}:`, error);
+  }
+}
+
+/**
+ * Schedule a typing summary broadcast for a room, keeping an earlier one if already queued
+ * @param {Object} io - Socket.io instance
+ * @param {string} roomId - Room ID
+ * @param {number} delay - Milliseconds until the broadcast
+ */
+function queueTypingBroadcast(io, roomId, delay = TYPING_BROADCAST_INTERVAL_MS) {
+  const dueAt = Date.now() + delay;
+  const pending = typingBroadcasts.get(roomId);
+  
+  if (pending) {
+    if (pending.dueAt <= dueAt) {
+      return;
+    }
+    clearTimeout(pending.timer);
+  }
+  
+  const timer = setTimeout(() => {
+    typingBroadcasts.delete(roomId);
+    broadcastTypingSummary(io, roomId)
+      .catch(error => logger.error(`Error broadcasting typing indicators for room ${roomId}:`, error));
+  }, delay);
+  
+  typingBroadcasts.set(roomId, { timer, dueAt });
+}
+
+/**
+ * Send a room who is typing: names in small rooms, just the count in large ones
+ * @param {Object} io - Socket.io instance
+ * @param {string} roomId - Room ID
+ */
+async function broadcastTypingSummary(io, roomId) {
+  const { usernames, nextExpiry } = await presenceService.getTypingUsers(roomId);
+  const isLargeRoom = (roomViewerCounts.get(roomId) || 0) > TYPING_NAMES_MAX_VIEWERS;
+  
+  io.to(roomId).emit('typingUpdate', {
+    roomId,
+    count: usernames.length,
+    usernames: isLargeRoom ? null : usernames.slice(0, TYPING_MAX_NAMES)
+  });
+  
+  if (usernames.length === 0) {
+    return;
+  }
+  
+  // Check again when the next indicator would expire, so stale ones are cleared
+  queueTypingBroadcast(io, roomId, Math.max(nextExpiry - Date.now(), TYPING_BROADCAST_INTERVAL_MS));
+}
+
+/**
+ * Check if a user is exempt from chat modes (admins, moderators and the broadcaster)
+ * @param {Object} socket - Socket instance
+ * @param {Object} room - Chat room
+ * @param {string} roomId - Room ID
+ * @returns {Promise<boolean>} True if exempt
+ */
+async function canBypassChatMode(socket, room, roomId) {
+  if (!socket.user.isAuthenticated) {
+    return false;
+  }
+  
+  if (socket.user.isAdmin || socket.user.isModerator) {
+    return true;
+  }
+  
+  if (room.ownerId && room.ownerId.toString() === socket.user.userId) {
+    return true;
+  }
+  
+  return ChannelModerator.isUserModerator(roomId, socket.user.userId);
+}
+
+/**
+ * Check if a user can change a room's chat mode
+ * @param {Object} socket - Socket instance
+ * @param {Object} room - Chat room
+ * @param {string} roomId - Room ID
+ * @returns {Promise<boolean>} True if allowed
+ */
+async function canChangeChatMode(socket, room, roomId) {
+  if (socket.user.isAdmin) {
+    return true;
+  }
+  
+  if (room.ownerId && room.ownerId.toString() === socket.user.userId) {
+    return true;
+  }
+  
+  const permissions = await ChannelModerator.getModeratorPermissions(roomId, socket.user.userId);
+  return Boolean(permissions && permissions.canChangeChatMode);
+}
+
+/**
+ * Check subscriber-only and followers-only restrictions
+ * @param {Object} socket - Socket instance
+ * @param {string} roomId - Room ID
+ * @param {Object} roomState - Room state
+ * @returns {Promise<string|null>} Error message, or null if the user may chat
+ */
+async function checkChatModeAccess(socket, roomId, roomState) {
+  if (roomState.mode === 'subscribers') {
+    const isSubscriber = socket.user.isAuthenticated &&
+      socket.user.tier !== 'free' && socket.user.tier !== 'guest';
+    
+    return isSubscriber ? null : 'Chat is in subscriber-only mode';
+  }
+  
+  if (roomState.mode === 'followers') {
+    if (!socket.user.isAuthenticated) {
+      return 'Chat is in followers-only mode';
+    }
+    
+    const followedAt = await UserFollow.getFollowDate(socket.user.userId, roomId);
+    if (!followedAt) {
+      return 'Chat is in followers-only mode';
+    }
+    
+    const minutesFollowed = (Date.now() - new Date(followedAt).getTime()) / 60000;
+    if (minutesFollowed < roomState.followersMinAge) {
+      const minutesLeft = Math.ceil(roomState.followersMinAge - minutesFollowed);
+      return `Chat is in followers-only mode. You can chat in ${minutesLeft} minute${minutesLeft === 1 ? '' : 's'}.`;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Maximum message length for a socket's tier
+ * @param {Object} socket - Socket instance
+ * @returns {number} Maximum length in characters
+ */
+function getMaxMessageLength(socket) {
+  return socket.user.tier === 'premium' ? 500 : 
+         socket.user.tier === 'basic' ? 300 : 200;
+}
+
+/**
+ * Check that a processed message contains only emotes
+ * @param {Object} processedMessage - Result of processMessage
+ * @returns {boolean} True if the message is emotes and whitespace only
+ */
+function isEmoteOnly(processedMessage) {
+  if (!processedMessage.emotes || processedMessage.emotes.length === 0) {
+    return false;
+  }
+  
+  return processedMessage.parsedContent.replace(/<emote:[^>]+>/g, '').trim() === '';
+}
+
+/**
+ * Claim a user's slow mode slot for a room
+ * @param {Object} socket - Socket instance
+ * @param {string} roomId - Room ID
+ * @param {number} delay - Slow mode delay in seconds
+ * @returns {Promise<number>} Seconds remaining if still waiting, 0 if the message may be sent
+ */
+async function claimSlowModeSlot(socket, roomId, delay) {
+  const key = `slowmode:${roomId}:${socket.user.userId || socket.id}`;
+  
+  try {
+    const claimed = await pubClient.set(key, '1', 'EX', delay, 'NX');
+    if (claimed) {
+      return 0;
+    }
+    
+    const ttl = await pubClient.ttl(key);
+    return Math.max(ttl, 1);
+  } catch (error) {
+    // Don't block chat when Redis is unavailable
+    logger.error(`Error checking slow mode for room ${roomId}:`, error);
+    return 0;
+  }
+}
+
+/**
+ * Save a user's chat color, apply it to all of their sockets and notify their rooms
+ * @param {Object} io - Socket.io instance
+ * @param {Object} socket - Socket of the user changing color
+ * @param {string} color - New hex color
+ */
+async function changeUserColor(io, socket, color) {
+  const { userId, username } = socket.user;
+  
+  await User.updateOne({ _id: userId }, { color }, { runValidators: true });
+  
+  // Update sockets on this node, then on the rest of the cluster
+  applyUserColor(io, userId, color);
+  io.serverSideEmit('userColorChanged', { userId, color });
+  
+  // Every room the user is chatting in re-renders their past messages
+  const userRoom = getUserRoom(userId);
+  const sockets = await io.in(userRoom).fetchSockets();
+  const rooms = new Set([userRoom]);
+  
+  sockets.forEach(userSocket => {
+    userSocket.rooms.forEach(room => {
+      if (room !== userSocket.id) {
+        rooms.add(room);
+      }
+    });
+  });
+  
+  io.to([...rooms]).emit('userColorChanged', { userId, username, color });
+}
+
+/**
+ * Set the color on a user's sockets connected to this node
+ * @param {Object} io - Socket.io instance
+ * @param {string} userId - User ID
+ * @param {string} color - New hex color
+ */
+function applyUserColor(io, userId, color) {
+  const socketIds = io.sockets.adapter.rooms.get(getUserRoom(userId)) || [];
+  
+  for (const socketId of socketIds) {
+    const userSocket = io.sockets.sockets.get(socketId);
+    if (userSocket && userSocket.user) {
+      userSocket.user.color = color;
+    }
+  }
+}
+
+/**
+ * Replace the stored author colors on messages with the authors' current colors
+ * @param {Array} messages - Chat messages (modified in place)
+ */
+async function applyCurrentColors(messages) {
+  const authorIds = [...new Set(
+    messages
+      .filter(message => message.user && message.user.userId)
+      .map(message => message.user.userId.toString())
+  )];
+  
+  if (authorIds.length === 0) {
+    return;
+  }
+  
+  const authors = await User.find({ _id: { $in: authorIds }, color: { $ne: null } })
+    .select('color')
+    .lean();
+  const colors = new Map(authors.map(author => [author._id.toString(), author.color]));
+  
+  messages.forEach(message => {
+    const color = message.user && message.user.userId && colors.get(message.user.userId.toString());
+    if (color) {
+      message.user.color = color;
+    }
+  });
 }
 
 /**
@@ -570,7 +3047,8 @@ function initializeSocketServer(httpServer) {
  * @returns {string} Unique message ID
  */
 function generateMessageId() {
-  return Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+  // ObjectId so live messages and stored history share the same ID
+  return new mongoose.Types.ObjectId().toString();
 }
 
 /**
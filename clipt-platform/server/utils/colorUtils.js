@@ -0,0 +1,65 @@
+/**
+ * Color Utilities
+ * Helpers for validating user-chosen chat colors
+ */
+
+// Chat background from the web client's dark theme (--chat-background)
+const CHAT_BACKGROUND_COLOR = '#18181b';
+
+// WCAG AA contrast ratio for normal-sized text
+const MIN_CHAT_COLOR_CONTRAST = 4.5;
+
+const HEX_COLOR_REGEX = /^#[0-9A-Fa-f]{6}$/;
+
+/**
+ * Check whether a value is a 6-digit hex color (e.g. #FF0000)
+ * @param {string} color - Color to check
+ * @returns {boolean} True if the color is valid
+ */
+function isHexColor(color) {
+  return typeof color === 'string' && HEX_COLOR_REGEX.test(color);
+}
+
+/**
+ * Get the relative luminance of a hex color
+ * @param {string} color - Hex color
+ * @returns {number} Relative luminance (0-1)
+ */
+function getRelativeLuminance(color) {
+  const channels = [1, 3, 5].map(offset => {
+    const value = parseInt(color.substr(offset, 2), 16) / 255;
+    return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+  });
+
+  return 0.2126 * channels[0] + 0.7152 * channels[1] + 0.0722 * channels[2];
+}
+
+/**
+ * Get the WCAG contrast ratio between two hex colors
+ * @param {string} foreground - Foreground hex color
+ * @param {string} background - Background hex color
+ * @returns {number} Contrast ratio (1-21)
+ */
+function getContrastRatio(foreground, background) {
+  const lighter = Math.max(getRelativeLuminance(foreground), getRelativeLuminance(background));
+  const darker = Math.min(getRelativeLuminance(foreground), getRelativeLuminance(background));
+
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Check whether a color is readable as a username on the dark chat theme
+ * @param {string} color - Hex color
+ * @returns {boolean} True if the color meets the minimum contrast
+ */
+function isReadableChatColor(color) {
+  return isHexColor(color) && getContrastRatio(color, CHAT_BACKGROUND_COLOR) >= MIN_CHAT_COLOR_CONTRAST;
+}
+
+module.exports = {
+  CHAT_BACKGROUND_COLOR,
+  MIN_CHAT_COLOR_CONTRAST,
+  isHexColor,
+  getContrastRatio,
+  isReadableChatColor
+};
@@ -0,0 +1,72 @@
+/**
+ * Link Utilities
+ * Find URLs in chat messages and match their domains against channel lists
+ */
+
+// Links with or without a scheme (e.g. https://clipt.gg/x, www.clipt.gg, clipt.gg/x)
+const LINK_REGEX = /\b(?:https?:\/\/|www\.)[^\s<>"]+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|gg|tv|io|co|me|ly|xyz|ru|info|link|app)\b(?:\/[^\s<>"]*)?/gi;
+
+// Punctuation that usually ends a sentence rather than a URL
+const TRAILING_PUNCTUATION_REGEX = /[.,!?;:'")\]]+$/;
+
+/**
+ * Normalize a domain or URL to a bare lowercase hostname (e.g. "https://www.Clipt.gg/x" => "clipt.gg")
+ * @param {string} value - Domain or URL
+ * @returns {string} Hostname, or an empty string if none
+ */
+function normalizeDomain(value) {
+  return String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/^www\./, '')
+    .split(/[/?#:]/)[0];
+}
+
+/**
+ * Find the links in a message
+ * @param {string} content - Message content
+ * @returns {Array} Links ({ url, href, domain, startIndex, endIndex })
+ */
+function extractLinks(content) {
+  const links = [];
+  let match;
+
+  LINK_REGEX.lastIndex = 0;
+
+  while ((match = LINK_REGEX.exec(content)) !== null) {
+    const url = match[0].replace(TRAILING_PUNCTUATION_REGEX, '');
+    const domain = normalizeDomain(url);
+
+    if (!domain) {
+      continue;
+    }
+
+    links.push({
+      url,
+      // Scheme-less links open over https
+      href: /^https?:\/\//i.test(url) ? url : `https://${url}`,
+      domain,
+      startIndex: match.index,
+      endIndex: match.index + url.length - 1
+    });
+  }
+
+  return links;
+}
+
+/**
+ * Check if a domain is on a list, including its subdomains (e.g. "clips.clipt.gg" matches "clipt.gg")
+ * @param {string} domain - Normalized domain
+ * @param {Array<string>} list - Normalized domains
+ * @returns {boolean} True if the domain matches an entry
+ */
+function matchesDomain(domain, list = []) {
+  return list.some(entry => domain === entry || domain.endsWith(`.${entry}`));
+}
+
+module.exports = {
+  normalizeDomain,
+  extractLinks,
+  matchesDomain
+};
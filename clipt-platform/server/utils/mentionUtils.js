@@ -0,0 +1,37 @@
+/**
+ * Mention Utilities
+ * Find @username mentions in chat messages
+ */
+
+// @username mentions at the start of the message or after whitespace
+const MENTION_REGEX = /(^|\s)@([a-z0-9_]{2,25})\b/gi;
+
+/**
+ * Find the mentions in a message
+ * @param {string} content - Message content
+ * @returns {Array} Mentions ({ text, username, startIndex, endIndex })
+ */
+function extractMentions(content) {
+  const mentions = [];
+  let match;
+
+  MENTION_REGEX.lastIndex = 0;
+
+  while ((match = MENTION_REGEX.exec(content)) !== null) {
+    const startIndex = match.index + match[1].length;
+    const text = `@${match[2]}`;
+
+    mentions.push({
+      text,
+      username: match[2],
+      startIndex,
+      endIndex: startIndex + text.length - 1
+    });
+  }
+
+  return mentions;
+}
+
+module.exports = {
+  extractMentions
+};
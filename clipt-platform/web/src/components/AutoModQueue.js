@@ -0,0 +1,80 @@
+import React from 'react';
+import { AnimatePresence, motion } from 'framer-motion';
+import './StreamChat.css';
+
+// Labels for the AutoMod rules that can hold a message
+const RULE_LABELS = {
+  linkSpam: 'Links',
+  mentionFlood: 'Mentions',
+  repeatedCharacters: 'Repeated characters',
+  zalgo: 'Zalgo text',
+  duplicateMessage: 'Duplicate message'
+};
+
+/**
+ * AutoModQueue Component
+ *
+ * Moderator review queue for messages held by AutoMod
+ * Features:
+ * - Shows the sender, message and the rule that held it
+ * - Approve to post the message to chat, or deny to discard it
+ * - Hides messages whose review window has expired
+ */
+const AutoModQueue = ({ heldMessages, onApprove, onDeny }) => {
+  const pending = heldMessages.filter(held => new Date(held.expiresAt).getTime() > Date.now());
+
+  if (pending.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="automod-queue">
+      <div className="automod-queue-header">
+        AutoMod held {pending.length} message{pending.length === 1 ? '' : 's'}
+      </div>
+
+      <AnimatePresence initial={false}>
+        {pending.map(held => (
+          <motion.div
+            key={held.heldId}
+            className="automod-queue-item"
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: 'auto' }}
+            exit={{ opacity: 0, height: 0 }}
+            transition={{ duration: 0.2 }}
+          >
+            <div className="automod-queue-message">
+              <span className="automod-queue-username">{held.message.user.username}:</span>{' '}
+              {held.message.content}
+            </div>
+
+            <div className="automod-queue-footer">
+              <span className="automod-queue-rule" title={held.reason}>
+                {RULE_LABELS[held.rule] || held.rule}
+              </span>
+
+              <div className="automod-queue-actions">
+                <button
+                  className="automod-approve-button"
+                  onClick={() => onApprove(held.heldId)}
+                  title="Allow this message"
+                >
+                  Allow
+                </button>
+                <button
+                  className="automod-deny-button"
+                  onClick={() => onDeny(held.heldId)}
+                  title="Deny this message"
+                >
+                  Deny
+                </button>
+              </div>
+            </div>
+          </motion.div>
+        ))}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default AutoModQueue;
@@ -8,19 +8,26 @@ import './StreamChat.css';
  * Displays information about the channel and chat status
  * Features:
  * - Channel information display
- * - User count
+ * - Viewer count (signed-in chatters on hover)
  * - Chat mode indicator (slow, sub-only, etc)
  * - Moderation settings dropdown for moderators
+ * - Pinned message bar (moderators can unpin)
+ * - Donation goal progress bar
  */
 const ChatHeader = ({
   channelInfo,
   chatMode,
   userCount,
+  chatterCount,
   isModerator,
+  pinnedMessage,
+  donationGoal,
   onChangeChatMode,
-  onClearChat
+  onClearChat,
+  onUnpin
 }) => {
   // State
+  const [pinExpired, setPinExpired] = useState(false);
   const [showSettings, setShowSettings] = useState(false);
   const [showModPanel, setShowModPanel] = useState(false);
   const [slowModeTime, setSlowModeTime] = useState(30);
@@ -48,6 +55,24 @@ const ChatHeader = ({
     };
   }, []);
   
+  // Hide the pin when it expires, even if the server's update is missed
+  useEffect(() => {
+    setPinExpired(false);
+    
+    if (!pinnedMessage?.expiresAt) {
+      return undefined;
+    }
+    
+    const remaining = new Date(pinnedMessage.expiresAt).getTime() - Date.now();
+    if (remaining <= 0) {
+      setPinExpired(true);
+      return undefined;
+    }
+    
+    const timer = setTimeout(() => setPinExpired(true), remaining);
+    return () => clearTimeout(timer);
+  }, [pinnedMessage]);
+  
   // Get chat mode text
   const getChatModeText = () => {
     switch (chatMode) {
@@ -92,6 +117,7 @@ const ChatHeader = ({
   };
   
   return (
+    <>
     <div className="chat-header">
       {/* Channel info */}
       <div className="chat-header-title">
@@ -104,7 +130,11 @@ const ChatHeader = ({
           {getChatModeText()}
         </div>
         
-        <div className="chat-user-count" style={{ marginLeft: '10px' }}>
+        <div
+          className="chat-user-count"
+          style={{ marginLeft: '10px' }}
+          title={chatterCount > 0 ? `${chatterCount} signed in` : undefined}
+        >
           {userCount > 0 ? `${userCount} ${userCount === 1 ? 'user' : 'users'}` : ''}
         </div>
       </div>
@@ -371,6 +401,50 @@ const ChatHeader = ({
         )}
       </div>
     </div>
+    
+    {/* Donation goal */}
+    {donationGoal && (
+      <div
+        className={`chat-goal-bar${donationGoal.reachedAt ? ' chat-goal-reached' : ''}`}
+        title={donationGoal.deadline ? `Ends ${new Date(donationGoal.deadline).toLocaleString()}` : undefined}
+      >
+        <div className="chat-goal-info">
+          <span className="chat-goal-title">{donationGoal.title}</span>
+          <span className="chat-goal-amount">
+            {donationGoal.currentAmount.toLocaleString()} / {donationGoal.targetAmount.toLocaleString()} tokens
+          </span>
+        </div>
+        <div className="chat-goal-track">
+          <div className="chat-goal-fill" style={{ width: `${donationGoal.percentage}%` }} />
+        </div>
+      </div>
+    )}
+    
+    {/* Pinned message */}
+    {pinnedMessage && !pinExpired && (
+      <div className={`chat-pinned-bar${pinnedMessage.type === 'announcement' ? ' chat-pinned-announcement' : ''}${pinnedMessage.type === 'donation' ? ' chat-pinned-donation' : ''}`}>
+        <span className="chat-pinned-icon" role="img" aria-label="Pinned">📌</span>
+        <div className="chat-pinned-content" title={`Pinned by ${pinnedMessage.pinnedBy}`}>
+          <span className="chat-pinned-author" style={pinnedMessage.user?.color ? { color: pinnedMessage.user.color } : undefined}>
+            {pinnedMessage.user?.username}:
+          </span>{' '}
+          {pinnedMessage.type === 'donation' && (
+            <span className="chat-pinned-amount">{pinnedMessage.amount} tokens </span>
+          )}
+          {pinnedMessage.content}
+        </div>
+        {isModerator && onUnpin && (
+          <button
+            className="chat-pinned-unpin"
+            onClick={onUnpin}
+            title="Unpin message"
+          >
+            ✕
+          </button>
+        )}
+      </div>
+    )}
+    </>
   );
 };
 
@@ -3,6 +3,17 @@ import { motion } from 'framer-motion';
 import { formatDistanceToNow } from 'date-fns';
 import './StreamChat.css';
 
+// Matches the server's edit window; the server has the final say
+const MESSAGE_EDIT_WINDOW_MS = 2 * 60 * 1000;
+
+// How long moderators can pin a message for (0 keeps it until unpinned)
+const PIN_DURATIONS = [
+  { label: 'Until unpinned', seconds: 0 },
+  { label: '5 minutes', seconds: 5 * 60 },
+  { label: '30 minutes', seconds: 30 * 60 },
+  { label: '1 hour', seconds: 60 * 60 }
+];
+
 /**
  * ChatMessage component renders different types of chat messages:
  * - Regular text messages
@@ -10,15 +21,29 @@ import './StreamChat.css';
  * - System messages
  * - Moderation actions
  * - User actions
+ * - Reply context and highlighted @mentions
+ * - Edit and delete controls on your own messages, and an "(edited)" marker
+ * - Emote reactions with counts
+ * - Colored announcements, and pinning messages for moderators
+ * - Pending and failed states for your own unsent messages, with retry
  */
 const ChatMessage = ({ 
   message, 
   currentUser, 
   isModerator,
   onTimeoutUser,
-  onBanUser
+  onBanUser,
+  onReply,
+  onEdit,
+  onDelete,
+  onReact,
+  onToggleReaction,
+  onPin,
+  onRetrySend,
+  onDiscardSend
 }) => {
   const [showUserMenu, setShowUserMenu] = useState(false);
+  const [showPinMenu, setShowPinMenu] = useState(false);
   const [menuPosition, setMenuPosition] = useState({ x: 0, y: 0 });
   const messageRef = useRef(null);
   const menuRef = useRef(null);
@@ -29,17 +54,18 @@ const ChatMessage = ({
       if (menuRef.current && !menuRef.current.contains(event.target) &&
           !messageRef.current.contains(event.target)) {
         setShowUserMenu(false);
+        setShowPinMenu(false);
       }
     };
     
-    if (showUserMenu) {
+    if (showUserMenu || showPinMenu) {
       document.addEventListener('mousedown', handleClickOutside);
     }
     
     return () => {
       document.removeEventListener('mousedown', handleClickOutside);
     };
-  }, [showUserMenu]);
+  }, [showUserMenu, showPinMenu]);
   
   // Format timestamp
   const formatTimestamp = (dateString) => {
@@ -75,6 +101,17 @@ const ChatMessage = ({
     setShowUserMenu(false);
   };
   
+  // Open the pin duration menu (moderators)
+  const handlePinButtonClick = (e) => {
+    setMenuPosition({ x: e.clientX, y: e.clientY });
+    setShowPinMenu(true);
+  };
+  
+  const handlePinClick = (duration) => {
+    onPin(message, duration);
+    setShowPinMenu(false);
+  };
+  
   // Render different message types
   const renderMessage = () => {
     switch (message.type) {
@@ -84,8 +121,12 @@ const ChatMessage = ({
         return renderActionMessage();
       case 'system':
         return renderSystemMessage();
+      case 'bot':
+        return renderBotMessage();
       case 'moderation':
         return renderModerationMessage();
+      case 'announcement':
+        return renderAnnouncementMessage();
       default:
         return renderTextMessage();
     }
@@ -125,8 +166,11 @@ const ChatMessage = ({
         </span>
         {' '}
         <span className="chat-message-content">
-          {renderMessageContent(message.content)}
+          {message.isDeleted
+            ? <span className="chat-message-deleted">&lt;message deleted&gt;</span>
+            : renderMessageContent(message.content)}
         </span>
+        {renderPinButton()}
       </div>
     );
   };
@@ -140,6 +184,22 @@ const ChatMessage = ({
     );
   };
   
+  // Render a channel command reply with the command that triggered it
+  const renderBotMessage = () => {
+    return (
+      <div className="message-bot">
+        <span className="chat-message-time">{formatTimestamp(message.createdAt)}</span>
+        <span className="chat-message-author" title={`Requested by ${message.triggeredBy}`}>
+          !{message.commandName}
+        </span>
+        {' '}
+        <span className="chat-message-content">
+          {renderMessageContent(message.content)}
+        </span>
+      </div>
+    );
+  };
+  
   // Render a moderation message
   const renderModerationMessage = () => {
     return (
@@ -149,6 +209,42 @@ const ChatMessage = ({
     );
   };
   
+  // Render an announcement with its accent color
+  const renderAnnouncementMessage = () => {
+    return (
+      <div className={`chat-announcement announcement-${message.announcementColor || 'primary'}`}>
+        <div className="announcement-label">
+          <span role="img" aria-label="Announcement">📣</span> Announcement
+        </div>
+        <span className="chat-message-author">{message.user?.username}:</span>
+        {' '}
+        <span className="chat-message-content">
+          {message.isDeleted
+            ? <span className="chat-message-deleted">&lt;message deleted&gt;</span>
+            : renderMessageContent(message.content, message.parsedContent, message.emotes, message.entities)}
+        </span>
+        {renderPinButton()}
+      </div>
+    );
+  };
+  
+  // Pin button shown to moderators
+  const renderPinButton = () => {
+    if (!onPin || !isModerator || message.isDeleted || message.status) {
+      return null;
+    }
+    
+    return (
+      <button
+        className="chat-reply-button"
+        onClick={handlePinButtonClick}
+        title="Pin this message"
+      >
+        Pin
+      </button>
+    );
+  };
+  
   // Render a regular text message
   const renderTextMessage = () => {
     // Get user role for username color
@@ -158,6 +254,8 @@ const ChatMessage = ({
     
     return (
       <>
+        {message.replyTo && renderReplyContext(message.replyTo)}
+        
         <span className="chat-message-time">{formatTimestamp(message.createdAt)}</span>
         
         {message.user?.badges && message.user.badges.length > 0 && (
@@ -168,18 +266,169 @@ const ChatMessage = ({
         
         <span 
           className={`chat-message-author username-${userRole}`}
+          style={getUsernameStyle(userRole)}
           onContextMenu={handleUsernameContextMenu}
         >
           {message.user?.username}:
         </span>
         
         <span className="chat-message-content">
-          {renderMessageContent(message.content, message.parsedContent, message.emotes)}
+          {message.isDeleted
+            ? <span className="chat-message-deleted">&lt;message deleted&gt;</span>
+            : renderMessageContent(message.content, message.parsedContent, message.emotes, message.entities)}
         </span>
+        
+        {message.editedAt && !message.isDeleted && (
+          <span className="chat-message-edited" title={`Edited ${formatTimestamp(message.editedAt)}`}>
+            (edited)
+          </span>
+        )}
+        
+        {onReply && !message.isDeleted && !message.status && currentUser && (
+          <button
+            className="chat-reply-button"
+            onClick={() => onReply(message)}
+            title={`Reply to ${message.user?.username}`}
+          >
+            Reply
+          </button>
+        )}
+        
+        {onReact && !message.isDeleted && !message.status && currentUser && (
+          <button
+            className="chat-reply-button"
+            onClick={() => onReact(message)}
+            title="React with an emote"
+          >
+            React
+          </button>
+        )}
+        
+        {renderPinButton()}
+        
+        {isOwnMessage() && !message.isDeleted && !message.status && (
+          <>
+            {onEdit && isWithinEditWindow() && (
+              <button
+                className="chat-reply-button"
+                onClick={() => onEdit(message)}
+                title="Edit your message"
+              >
+                Edit
+              </button>
+            )}
+            {onDelete && (
+              <button
+                className="chat-reply-button"
+                onClick={() => onDelete(message)}
+                title="Delete your message"
+              >
+                Delete
+              </button>
+            )}
+          </>
+        )}
       </>
     );
   };
   
+  // Render emote reactions; clicking one adds or removes your reaction
+  const renderReactions = () => {
+    if (message.isDeleted || !message.reactions || message.reactions.length === 0) {
+      return null;
+    }
+    
+    const myReactions = message.myReactions || [];
+    
+    return (
+      <div className="chat-reactions">
+        {message.reactions.map(reaction => (
+          <button
+            key={reaction.code}
+            className={`chat-reaction${myReactions.includes(reaction.code) ? ' chat-reaction-mine' : ''}`}
+            onClick={() => onToggleReaction && onToggleReaction(message, reaction.code)}
+            disabled={!onToggleReaction || !currentUser}
+            title={reaction.code}
+          >
+            {reaction.url
+              ? <img src={reaction.url} alt={reaction.code} width={20} height={20} />
+              : reaction.code}
+            <span className="chat-reaction-count">{reaction.count}</span>
+          </button>
+        ))}
+      </div>
+    );
+  };
+  
+  // Check if the current user sent this message
+  const isOwnMessage = () => {
+    return !!currentUser?.userId && message.user?.userId === currentUser.userId;
+  };
+  
+  // Check if the message is still recent enough to edit
+  const isWithinEditWindow = () => {
+    return Date.now() - new Date(message.createdAt).getTime() < MESSAGE_EDIT_WINDOW_MS;
+  };
+  
+  // Delivery state of a message sent by this client that the server hasn't accepted yet
+  const renderDeliveryStatus = () => {
+    if (message.status === 'pending') {
+      return <div className="chat-delivery-status">Sending...</div>;
+    }
+    
+    if (message.status !== 'failed') {
+      return null;
+    }
+    
+    return (
+      <div className="chat-delivery-status chat-delivery-failed">
+        <span>Not sent{message.error ? `: ${message.error}` : ''}</span>
+        {onRetrySend && (
+          <button className="chat-reply-button" onClick={() => onRetrySend(message)}>
+            Retry
+          </button>
+        )}
+        {onDiscardSend && (
+          <button className="chat-reply-button" onClick={() => onDiscardSend(message)}>
+            Discard
+          </button>
+        )}
+      </div>
+    );
+  };
+  
+  // Render the quoted message this one replies to
+  const renderReplyContext = (replyTo) => {
+    return (
+      <div className="chat-reply-context" title={replyTo.content}>
+        Replying to <span className="chat-reply-username">@{replyTo.username}</span>: {replyTo.content}
+      </div>
+    );
+  };
+  
+  // Check if the current user is mentioned in, or replied to by, this message
+  const isMentioningCurrentUser = () => {
+    if (!currentUser?.username || !message.user || message.isDeleted) {
+      return false;
+    }
+    
+    const username = currentUser.username.toLowerCase();
+    const isMentioned = (message.entities || []).some(entity => (
+      entity.type === 'mention' && entity.username?.toLowerCase() === username
+    ));
+    
+    return isMentioned || message.replyTo?.username?.toLowerCase() === username;
+  };
+  
+  // Use the user's chosen color; moderators and admins keep their role color
+  const getUsernameStyle = (userRole) => {
+    if (!message.user?.color || userRole === 'moderator' || userRole === 'admin') {
+      return undefined;
+    }
+    
+    return { color: message.user.color };
+  };
+  
   // Render user badges (subscription, moderator, etc)
   const renderBadges = (badges) => {
     return badges.map((badge, index) => (
@@ -229,15 +478,78 @@ const ChatMessage = ({
     return titleMap[badge] || badge;
   };
   
-  // Render message content with emotes
-  const renderMessageContent = (content, parsedContent, emotes) => {
+  // Render message content with emotes, links and mentions
+  const renderMessageContent = (content, parsedContent, emotes, entities = []) => {
     // If we have parsed content with emotes, use that
-    if (parsedContent && emotes && emotes.length > 0) {
-      return renderContentWithEmotes(parsedContent, emotes);
+    const parts = parsedContent && emotes && emotes.length > 0
+      ? renderContentWithEmotes(parsedContent, emotes)
+      : [content];
+    
+    // Only links and mentions the server parsed are rendered specially
+    const renderable = (entities || []).filter(entity => (
+      entity.text && (entity.type === 'mention' || (entity.type === 'link' && isSafeUrl(entity.url)))
+    ));
+    if (renderable.length === 0) {
+      return parts;
+    }
+    
+    return parts.flatMap((part, index) => (
+      typeof part === 'string' ? renderContentWithEntities(part, renderable, index) : part
+    ));
+  };
+  
+  // Allow only http(s) URLs as link targets
+  const isSafeUrl = (url) => {
+    try {
+      const { protocol } = new URL(url);
+      return protocol === 'http:' || protocol === 'https:';
+    } catch (error) {
+      return false;
     }
+  };
+  
+  // Render a text fragment with its links as anchors and mentions highlighted
+  const renderContentWithEntities = (text, entities, partIndex) => {
+    const pattern = [...new Set(entities.map(entity => entity.text))]
+      // Longest first so "@bobby" isn't split by "@bob"
+      .sort((a, b) => b.length - a.length)
+      .map(entityText => entityText.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('|');
     
-    // Otherwise just return the plain content
-    return content;
+    // Split on entity text; odd indices are the entities themselves
+    return text.split(new RegExp(`(${pattern})`, 'g')).map((segment, index) => {
+      if (index % 2 === 0) {
+        return segment;
+      }
+      
+      const entity = entities.find(e => e.text === segment);
+      
+      if (entity.type === 'mention') {
+        const isSelf = entity.username?.toLowerCase() === currentUser?.username?.toLowerCase();
+        
+        return (
+          <span
+            key={`mention-${partIndex}-${index}`}
+            className={`chat-mention${isSelf ? ' chat-mention-self' : ''}`}
+          >
+            {segment}
+          </span>
+        );
+      }
+      
+      return (
+        <a
+          key={`link-${partIndex}-${index}`}
+          className="chat-link"
+          href={entity.url}
+          target="_blank"
+          rel="noopener noreferrer nofollow ugc"
+          title={entity.url}
+        >
+          {segment}
+        </a>
+      );
+    });
   };
   
   // Render content with emotes
@@ -291,14 +603,42 @@ const ChatMessage = ({
     );
   };
   
+  // Pin duration menu for moderators
+  const renderPinMenu = () => {
+    if (!showPinMenu) return null;
+    
+    return (
+      <div 
+        ref={menuRef}
+        className="user-context-menu"
+        style={{ top: menuPosition.y, left: menuPosition.x }}
+      >
+        <div className="user-context-menu-item">Pin message</div>
+        <div className="user-context-menu-separator"></div>
+        {PIN_DURATIONS.map(option => (
+          <div
+            key={option.seconds}
+            className="user-context-menu-item"
+            onClick={() => handlePinClick(option.seconds)}
+          >
+            {option.label}
+          </div>
+        ))}
+      </div>
+    );
+  };
+  
   // Main render
   return (
     <div 
       ref={messageRef}
-      className={`chat-message message-${message.type || 'text'}`}
+      className={`chat-message message-${message.type || 'text'}${isMentioningCurrentUser() ? ' chat-message-mentioned' : ''}${message.status ? ` chat-message-${message.status}` : ''}`}
     >
       {renderMessage()}
+      {renderDeliveryStatus()}
+      {renderReactions()}
       {renderUserContextMenu()}
+      {renderPinMenu()}
     </div>
   );
 };
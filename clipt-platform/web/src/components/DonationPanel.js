@@ -2,6 +2,35 @@ import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import './StreamChat.css';
 
+// Shown until the channel's effect tiers have loaded (the server has the final say)
+const DEFAULT_EFFECTS = [
+  { id: 'regular', name: 'Regular', minAmount: 0, description: 'Standard chat message' },
+  { id: 'highlighted', name: 'Highlighted', minAmount: 20, description: 'Your message stands out in chat' },
+  { id: 'animated', name: 'Animated', minAmount: 50, description: 'Animated message, read out on stream' },
+  { id: 'super', name: 'Super Chat', minAmount: 100, description: 'Pinned at the top of chat for 2 minutes and read out on stream' }
+];
+
+/**
+ * Describe what a channel's effect tier does
+ * @param {Object} tier - Effect tier from the server ({ type, pinSeconds, tts })
+ * @returns {string} Description
+ */
+const describeEffect = (tier) => {
+  const perks = [tier.type === 'regular' ? 'Standard chat message' : 'Your message stands out in chat'];
+  
+  if (tier.pinSeconds > 0) {
+    perks.push(tier.pinSeconds >= 60 && tier.pinSeconds % 60 === 0
+      ? `pinned for ${tier.pinSeconds / 60} minute${tier.pinSeconds === 60 ? '' : 's'}`
+      : `pinned for ${tier.pinSeconds} seconds`);
+  }
+  
+  if (tier.tts) {
+    perks.push('read out on stream');
+  }
+  
+  return perks.join(', ');
+};
+
 /**
  * DonationPanel Component
  * 
@@ -11,9 +40,9 @@ import './StreamChat.css';
  * - Custom donation amount option
  * - Token balance display
  * - Donation message
- * - Special effects selection for higher donations
+ * - Special effects selection for higher donations (tiers set by the channel)
  */
-const DonationPanel = ({ onDonate, onClose, user }) => {
+const DonationPanel = ({ onDonate, onClose, user, effects }) => {
   // State
   const [selectedAmount, setSelectedAmount] = useState(null);
   const [customAmount, setCustomAmount] = useState('');
@@ -26,13 +55,20 @@ const DonationPanel = ({ onDonate, onClose, user }) => {
   // Preset donation amounts
   const donationAmounts = [10, 20, 50, 100];
   
-  // Special effects available based on donation amount
-  const specialEffects = [
-    { id: 'regular', name: 'Regular', minAmount: 0, description: 'Standard chat message' },
-    { id: 'highlighted', name: 'Highlighted', minAmount: 20, description: 'Your message stands out in chat' },
-    { id: 'animated', name: 'Animated', minAmount: 50, description: 'Animated message with special effect' },
-    { id: 'super', name: 'Super Chat', minAmount: 100, description: 'Pinned message at the top of chat for 2 minutes' }
-  ];
+  // Special effects available based on donation amount, cheapest first
+  const specialEffects = effects
+    ? effects
+      .filter(tier => tier.enabled)
+      .map(tier => ({
+        id: tier.type,
+        name: tier.name,
+        minAmount: tier.minAmount,
+        description: describeEffect(tier)
+      }))
+    : DEFAULT_EFFECTS;
+  
+  const currentAmount = selectedAmount || parseInt(customAmount, 10) || 0;
+  const affordableEffects = specialEffects.filter(effect => currentAmount >= effect.minAmount);
   
   // Fetch user's token balance
   useEffect(() => {
@@ -195,19 +231,15 @@ const DonationPanel = ({ onDonate, onClose, user }) => {
           />
         </div>
         
-        {/* Special effects (only show for amounts >= 20) */}
-        {(selectedAmount >= 20 || parseInt(customAmount, 10) >= 20) && (
+        {/* Special effects (only shown once the amount unlocks one) */}
+        {affordableEffects.some(effect => effect.id !== 'regular') && (
           <div className="donation-effects">
             <div className="donation-section-title" style={{ fontSize: '14px', marginBottom: '10px' }}>
               Special Effect
             </div>
             
             <div className="donation-effects-list" style={{ marginBottom: '15px' }}>
-              {specialEffects
-                .filter(effect => {
-                  const amount = selectedAmount || parseInt(customAmount, 10) || 0;
-                  return amount >= effect.minAmount;
-                })
+              {affordableEffects
                 .map(effect => (
                   <div 
                     key={effect.id}
@@ -10,6 +10,48 @@ import ChatMessage from './ChatMessage';
 import DonationPanel from './DonationPanel';
 import ChatHeader from './ChatHeader';
 import VirtualizedMessageList from './VirtualizedMessageList';
+import WhisperPane from './WhisperPane';
+import AutoModQueue from './AutoModQueue';
+import { GAP_SYNC_DELAY_MS, advanceSequence, mergeMessages, syncMessagesSince } from '../services/chatService';
+import MessageOutbox, { ACK_TIMEOUT_MS, getGuestClientId } from '../services/messageOutbox';
+import apiService from '../services/api';
+
+/**
+ * Show the delivery status of a queued message or donation in the message list
+ * @param {Array} messages - Current messages
+ * @param {Object} item - Outbox item
+ * @returns {Array} Updated messages
+ */
+const applyOutboxUpdate = (messages, item) => {
+  const index = messages.findIndex(msg => msg.status && msg.clientMessageId === item.clientMessageId);
+  
+  if (index === -1) {
+    // New items are shown straight away; sent items may already have been replaced by the real message
+    return item.status === 'pending' && item.preview
+      ? [...messages, { ...item.preview, id: `local-${item.clientMessageId}`, clientMessageId: item.clientMessageId, status: 'pending' }]
+      : messages;
+  }
+  
+  const local = messages[index];
+  let updated;
+  
+  if (item.status === 'sent') {
+    // Held and command messages are never broadcast, so their local copy is removed
+    if (!item.response.id || item.response.held || item.response.command) {
+      return messages.filter((msg, i) => i !== index);
+    }
+    
+    // Take the server's ID so the broadcast copy replaces this one
+    updated = { ...local, id: item.response.id, seq: item.response.seq, status: undefined, error: undefined };
+  } else {
+    updated = { ...local, status: item.status, error: item.error };
+  }
+  
+  return messages.map((msg, i) => (i === index ? updated : msg));
+};
+
+// Resend the typing indicator this often while the user keeps typing (the server expires it after 6s)
+const TYPING_REFRESH_MS = 2000;
 
 /**
  * Advanced Stream Chat Component
@@ -21,6 +63,13 @@ import VirtualizedMessageList from './VirtualizedMessageList';
  * - User badges and styles based on subscription tier
  * - Moderation tools
  * - Chat modes (subscriber-only, slow mode, etc)
+ * - AutoMod review queue for moderators
+ * - Replies and @mention highlights
+ * - Editing and deleting your own messages
+ * - Emote reactions
+ * - Pinned message bar and announcements
+ * - Typing indicator (names in small rooms, a count in large ones)
+ * - Offline queue: messages and donations show as pending and are sent after reconnecting
  */
 const StreamChat = ({ 
   channelId, 
@@ -41,11 +90,22 @@ const StreamChat = ({
   const [isTyping, setIsTyping] = useState(false);
   const [showEmotePicker, setShowEmotePicker] = useState(false);
   const [showDonationPanel, setShowDonationPanel] = useState(false);
+  const [showWhisperPane, setShowWhisperPane] = useState(false);
   const [chatMode, setChatMode] = useState('normal'); // normal, slow, subscribers, emote-only, followers
   const [channelInfo, setChannelInfo] = useState(null);
   const [slowModeDelay, setSlowModeDelay] = useState(0);
   const [nextMessageTime, setNextMessageTime] = useState(0);
-  const [userList, setUserList] = useState([]);
+  const [timeoutEndsAt, setTimeoutEndsAt] = useState(0);
+  const [timeoutRemaining, setTimeoutRemaining] = useState(0);
+  const [presenceCounts, setPresenceCounts] = useState({ viewers: 0, chatters: 0 });
+  const [typingSummary, setTypingSummary] = useState(null);
+  const [heldMessages, setHeldMessages] = useState([]);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [editingMessage, setEditingMessage] = useState(null);
+  const [reactingTo, setReactingTo] = useState(null);
+  const [pinnedMessage, setPinnedMessage] = useState(null);
+  const [donationGoal, setDonationGoal] = useState(null);
+  const [donationEffects, setDonationEffects] = useState(null);
   const [errorMessage, setErrorMessage] = useState('');
   const [showErrorMessage, setShowErrorMessage] = useState(false);
   
@@ -53,17 +113,71 @@ const StreamChat = ({
   const chatContainerRef = useRef(null);
   const inputRef = useRef(null);
   const typingTimeout = useRef(null);
+  const lastTypingSent = useRef(0);
+  const lastSeq = useRef(0);
+  const hasHistory = useRef(false);
+  const outbox = useRef(null);
+  
+  // History and sync pages come from the server's store, so the cursor moves to the newest message;
+  // live messages move it with advanceSequence, so one that is missed is fetched after a reconnect
+  const trackSequence = (list) => {
+    list.forEach(msg => {
+      if (typeof msg.seq === 'number' && msg.seq > lastSeq.current) {
+        lastSeq.current = msg.seq;
+      }
+    });
+  };
+  
+  // Load the channel's donation goal (kept current by goal events afterwards) and effect tiers
+  useEffect(() => {
+    if (!channelId) return;
+    
+    let cancelled = false;
+    setDonationGoal(null);
+    setDonationEffects(null);
+    
+    apiService.chat.getDonationGoal(channelId)
+      .then(response => {
+        if (!cancelled) {
+          setDonationGoal(response.data.goal);
+        }
+      })
+      .catch(error => console.error('Error loading donation goal:', error));
+    
+    apiService.chat.getDonationEffects(channelId)
+      .then(response => {
+        if (!cancelled) {
+          setDonationEffects(response.data.effects);
+        }
+      })
+      .catch(error => console.error('Error loading donation effects:', error));
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [channelId]);
   
   // Connect to chat server
   useEffect(() => {
     if (!channelId) return;
     
+    lastSeq.current = 0;
+    hasHistory.current = false;
+    let gapSyncTimer = null;
+    
+    // Messages and donations sent while offline wait here until the room is joined
+    const newOutbox = new MessageOutbox((item) => {
+      setMessages(prev => applyOutboxUpdate(prev, item));
+    });
+    outbox.current = newOutbox;
+    
     const socketUrl = process.env.REACT_APP_CHAT_URL || 'http://localhost:5000';
     
     // Create socket connection with auth
     const newSocket = io(socketUrl, {
       auth: {
-        token: localStorage.getItem('clipt_token')
+        token: localStorage.getItem('clipt_token'),
+        clientId: getGuestClientId()
       },
       transports: ['websocket'],
       reconnection: true,
@@ -71,18 +185,57 @@ const StreamChat = ({
       reconnectionDelay: 2000
     });
     
+    // Fetch missing messages shortly after a live message skips ahead of the cursor
+    const trackLiveSequence = (message) => {
+      const { lastSeq: next, gap } = advanceSequence(lastSeq.current, message);
+      lastSeq.current = next;
+      
+      if (!gap || gapSyncTimer) {
+        return;
+      }
+      
+      gapSyncTimer = setTimeout(() => {
+        syncMessagesSince(newSocket, channelId, lastSeq.current, (missed) => {
+          trackSequence(missed);
+          setMessages(prev => mergeMessages(prev, missed));
+        }).finally(() => {
+          gapSyncTimer = null;
+        });
+      }, GAP_SYNC_DELAY_MS);
+    };
+    
     // Socket event handlers
     newSocket.on('connect', () => {
       console.log('Socket connected');
       setConnected(true);
       
-      // Join the channel's chat room
-      newSocket.emit('joinRoom', channelId);
+      // The history sent on join moves lastSeq to the newest message, so remember where we were
+      const sinceSeq = lastSeq.current;
+      
+      // Join the channel's chat room, then fetch anything older than the history we missed
+      newSocket.timeout(ACK_TIMEOUT_MS).emit('joinRoom', channelId, (err, response) => {
+        if (err || !response.ok) {
+          return;
+        }
+        
+        // Send what was queued while disconnected
+        newOutbox.resume(newSocket);
+        
+        if (sinceSeq === 0) {
+          return;
+        }
+        
+        syncMessagesSince(newSocket, channelId, sinceSeq, (missed) => {
+          trackSequence(missed);
+          setMessages(prev => mergeMessages(prev, missed));
+        });
+      });
     });
     
     newSocket.on('disconnect', () => {
       console.log('Socket disconnected');
       setConnected(false);
+      newOutbox.pause();
     });
     
     newSocket.on('error', (error) => {
@@ -91,30 +244,67 @@ const StreamChat = ({
     });
     
     newSocket.on('chatHistory', (history) => {
-      setMessages(history);
+      trackSequence(history);
+      
+      // After a reconnect the history overlaps what's already shown
+      if (hasHistory.current) {
+        setMessages(prev => mergeMessages(prev, history));
+      } else {
+        hasHistory.current = true;
+        setMessages(history);
+      }
     });
     
     newSocket.on('chatMessage', (message) => {
-      setMessages(prev => [...prev, message]);
+      trackLiveSequence(message);
+      setMessages(prev => mergeMessages(prev, [message]));
+    });
+    
+    newSocket.on('messageUpdated', ({ id, content, parsedContent, emotes, entities, editedAt }) => {
+      setMessages(prev => prev.map(msg => (
+        (msg.id || msg._id) === id
+          ? { ...msg, content, parsedContent, emotes, entities, editedAt }
+          : msg
+      )));
+    });
+    
+    newSocket.on('reactionCounts', ({ messages: updates }) => {
+      const countsById = new Map(updates.map(update => [update.id, update.reactions]));
+      setMessages(prev => prev.map(msg => {
+        const reactions = countsById.get(msg.id || msg._id);
+        return reactions ? { ...msg, reactions } : msg;
+      }));
+    });
+    
+    newSocket.on('reactionToggled', ({ id, code, reacted }) => {
+      setMessages(prev => prev.map(msg => {
+        if ((msg.id || msg._id) !== id) {
+          return msg;
+        }
+        
+        const myReactions = (msg.myReactions || []).filter(c => c !== code);
+        return { ...msg, myReactions: reacted ? [...myReactions, code] : myReactions };
+      }));
+    });
+    
+    newSocket.on('messageDeleted', ({ id }) => {
+      setMessages(prev => prev.map(msg => (
+        (msg.id || msg._id) === id ? { ...msg, isDeleted: true } : msg
+      )));
+      setEditingMessage(prev => (prev && (prev.id || prev._id) === id ? null : prev));
     });
     
     newSocket.on('donation', (donation) => {
-      // Add donation message to chat
-      setMessages(prev => [...prev, donation]);
+      trackLiveSequence(donation);
+      
+      // Add donation message to chat (replacing our own pending copy)
+      setMessages(prev => mergeMessages(prev, [donation]));
       
       // Play donation animation/sound
       playDonationEffect(donation);
     });
     
     newSocket.on('userJoined', (userData) => {
-      // Add user to user list
-      setUserList(prev => {
-        if (prev.find(u => u.username === userData.username)) {
-          return prev;
-        }
-        return [...prev, userData];
-      });
-      
       // Optionally add system message about user joining
       if (channelInfo && channelInfo.showJoinMessages) {
         const joinMessage = {
@@ -128,9 +318,6 @@ const StreamChat = ({
     });
     
     newSocket.on('userLeft', (userData) => {
-      // Remove user from user list
-      setUserList(prev => prev.filter(u => u.username !== userData.username));
-      
       // Optionally add system message about user leaving
       if (channelInfo && channelInfo.showLeaveMessages) {
         const leaveMessage = {
@@ -143,20 +330,143 @@ const StreamChat = ({
       }
     });
     
+    newSocket.on('typingUpdate', (summary) => {
+      setTypingSummary(summary.count > 0 ? summary : null);
+    });
+    
     newSocket.on('roomState', (state) => {
       setChatMode(state.mode);
       setSlowModeDelay(state.slowModeDelay || 0);
-      setChannelInfo(state.channelInfo);
+      setPinnedMessage(state.pinnedMessage || null);
+      
+      // Mode-only updates don't carry channel info
+      if (state.channelInfo) {
+        setChannelInfo(state.channelInfo);
+      }
+      
+      // Counts come with the periodic presence updates
+      if (state.counts) {
+        setPresenceCounts(state.counts);
+      }
     });
     
     newSocket.on('timeout', (data) => {
       displayError(`You have been timed out for ${data.duration} seconds: ${data.reason}`);
     });
     
+    newSocket.on('timeoutCountdown', (data) => {
+      if (data.roomId === channelId) {
+        setTimeoutEndsAt(new Date(data.expiresAt).getTime());
+      }
+    });
+    
+    newSocket.on('timeoutEnded', (data) => {
+      if (data.roomId === channelId) {
+        setTimeoutEndsAt(0);
+      }
+    });
+    
     newSocket.on('banned', (data) => {
       displayError(`You have been banned from this chat: ${data.reason}`);
     });
     
+    newSocket.on('clearChat', ({ clearedAt }) => {
+      // Replace everything sent before the clear with tombstones
+      const clearedTime = new Date(clearedAt).getTime();
+      setMessages(prev => prev.map(msg => (
+        isChatLine(msg) && new Date(msg.createdAt).getTime() <= clearedTime
+          ? { ...msg, isDeleted: true }
+          : msg
+      )));
+    });
+    
+    newSocket.on('messagesPurged', ({ userId, username }) => {
+      // Guests are matched by name since they have no user ID
+      setMessages(prev => prev.map(msg => (
+        isChatLine(msg) && (userId ? msg.user?.userId === userId : msg.user?.username === username)
+          ? { ...msg, isDeleted: true }
+          : msg
+      )));
+    });
+    
+    newSocket.on('userColorChanged', ({ userId, color }) => {
+      // Re-render the user's past messages in their new color
+      setMessages(prev => prev.map(msg => (
+        msg.user?.userId === userId ? { ...msg, user: { ...msg.user, color } } : msg
+      )));
+    });
+    
+    newSocket.on('messageHeld', (data) => {
+      const heldNotice = {
+        id: `held-${data.heldId}`,
+        type: 'system',
+        content: data.reason,
+        createdAt: new Date()
+      };
+      setMessages(prev => [...prev, heldNotice]);
+    });
+    
+    newSocket.on('heldMessageResolved', (data) => {
+      // Approved messages arrive through chatMessage
+      if (data.status === 'denied') {
+        displayError('A moderator denied your message');
+      }
+    });
+    
+    newSocket.on('automodQueue', ({ messages: queue }) => {
+      setHeldMessages(queue);
+    });
+    
+    newSocket.on('automodHeld', (heldMessage) => {
+      setHeldMessages(prev => [...prev, heldMessage]);
+    });
+    
+    newSocket.on('automodResolved', ({ heldId }) => {
+      setHeldMessages(prev => prev.filter(held => held.heldId !== heldId));
+    });
+    
+    newSocket.on('donationRefunded', (data) => {
+      // Sent to moderators and to the donor
+      if (data.roomId !== channelId) {
+        return;
+      }
+      
+      const refundNotice = {
+        id: `refund-${data.donationId}`,
+        type: 'moderation',
+        content: `${data.username}'s donation of ${data.amount} tokens was refunded by ${data.refundedBy.username}`,
+        createdAt: new Date(data.refundedAt)
+      };
+      setMessages(prev => [...prev, refundNotice]);
+    });
+    
+    newSocket.on('goalProgress', ({ goal }) => {
+      setDonationGoal(goal);
+    });
+    
+    newSocket.on('goalUpdated', ({ goal }) => {
+      setDonationGoal(goal);
+    });
+    
+    newSocket.on('goalReached', ({ goal, donation }) => {
+      setDonationGoal(goal);
+      
+      const goalNotice = {
+        id: `goal-${goal.id}`,
+        type: 'system',
+        content: `Goal reached: ${goal.title}! ${donation.username} pushed it over the line with ${donation.amount} tokens`,
+        createdAt: new Date()
+      };
+      setMessages(prev => [...prev, goalNotice]);
+    });
+    
+    newSocket.on('mentioned', (data) => {
+      // Mentions in this chat are highlighted inline
+      if (data.roomId !== channelId) {
+        displayError(`${data.from.username} ${data.type === 'reply' ? 'replied to' : 'mentioned'} you in another chat`);
+      }
+    });
+    
     newSocket.on('moderation', (data) => {
       // Add moderation message to chat
       const modMessage = {
@@ -172,20 +482,43 @@ const StreamChat = ({
     
     // Cleanup on unmount
     return () => {
+      clearTimeout(gapSyncTimer);
+      
       if (newSocket) {
         newSocket.off('connect');
         newSocket.off('disconnect');
         newSocket.off('error');
         newSocket.off('chatHistory');
         newSocket.off('chatMessage');
+        newSocket.off('messageUpdated');
+        newSocket.off('messageDeleted');
+        newSocket.off('reactionCounts');
+        newSocket.off('reactionToggled');
         newSocket.off('donation');
         newSocket.off('userJoined');
         newSocket.off('userLeft');
+        newSocket.off('typingUpdate');
         newSocket.off('roomState');
         newSocket.off('timeout');
+        newSocket.off('timeoutCountdown');
+        newSocket.off('timeoutEnded');
         newSocket.off('banned');
         newSocket.off('moderation');
+        newSocket.off('userColorChanged');
+        newSocket.off('clearChat');
+        newSocket.off('messagesPurged');
+        newSocket.off('messageHeld');
+        newSocket.off('heldMessageResolved');
+        newSocket.off('automodQueue');
+        newSocket.off('automodHeld');
+        newSocket.off('automodResolved');
+        newSocket.off('donationRefunded');
+        newSocket.off('goalProgress');
+        newSocket.off('goalUpdated');
+        newSocket.off('goalReached');
+        newSocket.off('mentioned');
         
+        newOutbox.clear();
         newSocket.emit('leaveRoom', channelId);
         newSocket.disconnect();
       }
@@ -204,9 +537,55 @@ const StreamChat = ({
     }
   }, [messages]);
   
+  // Count down an active timeout
+  useEffect(() => {
+    if (!timeoutEndsAt) {
+      setTimeoutRemaining(0);
+      return;
+    }
+    
+    const updateRemaining = () => {
+      const remaining = Math.max(Math.ceil((timeoutEndsAt - Date.now()) / 1000), 0);
+      setTimeoutRemaining(remaining);
+      
+      if (remaining === 0) {
+        setTimeoutEndsAt(0);
+      }
+    };
+    
+    updateRemaining();
+    const interval = setInterval(updateRemaining, 1000);
+    
+    return () => clearInterval(interval);
+  }, [timeoutEndsAt]);
+  
   // Send message handler
   const sendMessage = useCallback(() => {
-    if (!socket || !connected || !input.trim() || isSubmitting) return;
+    // Messages can be written offline; they're queued and sent after reconnecting
+    if (!socket || !input.trim() || isSubmitting) return;
+    
+    if (timeoutRemaining > 0) {
+      displayError(`You are timed out for ${timeoutRemaining} more seconds`);
+      return;
+    }
+    
+    // Edits replace the message in place, so slow mode and reply state don't apply
+    if (editingMessage) {
+      if (!connected) {
+        displayError('You are offline. Try editing again once reconnected.');
+        return;
+      }
+      
+      socket.emit('editMessage', {
+        roomId: channelId,
+        messageId: editingMessage.id || editingMessage._id,
+        content: input
+      });
+      
+      setInput('');
+      setEditingMessage(null);
+      return;
+    }
     
     // Check if user is in timeout
     const now = Date.now();
@@ -236,15 +615,32 @@ const StreamChat = ({
     
     setIsSubmitting(true);
     
-    // Send message to server
-    socket.emit('chatMessage', {
+    // Queue the message; it's shown as pending until the server accepts or rejects it
+    outbox.current.enqueue('chatMessage', {
+      roomId: channelId,
+      content: input,
+      type: 'text',
+      replyTo: replyingTo ? (replyingTo.id || replyingTo._id) : undefined
+    }, {
       roomId: channelId,
+      type: 'text',
       content: input,
-      type: 'text'
+      user: {
+        userId: user.userId,
+        username: user.username,
+        tier: user.tier,
+        badges: user.badges,
+        color: user.color
+      },
+      replyTo: replyingTo
+        ? { messageId: replyingTo.id || replyingTo._id, username: replyingTo.user?.username, content: replyingTo.content }
+        : undefined,
+      createdAt: new Date()
     });
     
     // Clear input
     setInput('');
+    setReplyingTo(null);
     
     // Update next message time for slow mode
     if (chatMode === 'slow' && slowModeDelay > 0) {
@@ -257,18 +653,86 @@ const StreamChat = ({
     if (inputRef.current) {
       inputRef.current.focus();
     }
-  }, [socket, connected, input, isSubmitting, channelId, nextMessageTime, chatMode, slowModeDelay, user]);
+  }, [socket, connected, input, isSubmitting, channelId, nextMessageTime, chatMode, slowModeDelay, user, timeoutRemaining, replyingTo, editingMessage]);
+  
+  // Send a rejected message or donation again
+  const handleRetrySend = useCallback((message) => {
+    outbox.current.retry(message.clientMessageId);
+  }, []);
+  
+  // Remove a rejected message or donation
+  const handleDiscardSend = useCallback((message) => {
+    outbox.current.discard(message.clientMessageId);
+    setMessages(prev => prev.filter(msg => !(msg.status && msg.clientMessageId === message.clientMessageId)));
+  }, []);
+  
+  // Start a reply to a message
+  const handleReply = useCallback((message) => {
+    setEditingMessage(null);
+    setReplyingTo(message);
+    
+    if (inputRef.current) {
+      inputRef.current.focus();
+    }
+  }, []);
+  
+  // Start editing one of your own messages
+  const handleEdit = useCallback((message) => {
+    setReplyingTo(null);
+    setEditingMessage(message);
+    setInput(message.content);
+    
+    if (inputRef.current) {
+      inputRef.current.focus();
+    }
+  }, []);
+  
+  // Cancel an edit and restore the empty input
+  const cancelEdit = () => {
+    setEditingMessage(null);
+    setInput('');
+  };
+  
+  // Add or remove an emote reaction
+  const handleToggleReaction = useCallback((message, code) => {
+    if (!socket || !connected) return;
+    
+    socket.emit('toggleReaction', {
+      roomId: channelId,
+      messageId: message.id || message._id,
+      code
+    });
+  }, [socket, connected, channelId]);
+  
+  // Pick an emote to react to a message with
+  const handleReact = useCallback((message) => {
+    setReactingTo(message);
+    setShowEmotePicker(true);
+  }, []);
+  
+  // Delete one of your own messages
+  const handleDelete = useCallback((message) => {
+    if (!socket || !connected) return;
+    
+    // The message becomes a tombstone when the server confirms the delete
+    socket.emit('deleteMessage', {
+      roomId: channelId,
+      messageId: message.id || message._id
+    });
+  }, [socket, connected, channelId]);
   
   // Handle input change
   const handleInputChange = (e) => {
     setInput(e.target.value);
     
-    // Handle typing indicator
+    // Handle typing indicator, refreshing it while the user keeps typing so it doesn't expire
     if (!isTyping) {
       setIsTyping(true);
-      if (socket) {
-        socket.emit('typing', { roomId: channelId });
-      }
+    }
+    
+    if (socket && Date.now() - lastTypingSent.current >= TYPING_REFRESH_MS) {
+      lastTypingSent.current = Date.now();
+      socket.emit('typing', { roomId: channelId });
     }
     
     // Clear previous timeout
@@ -279,6 +743,7 @@ const StreamChat = ({
     // Set new timeout to stop typing indicator
     typingTimeout.current = setTimeout(() => {
       setIsTyping(false);
+      lastTypingSent.current = 0;
       if (socket) {
         socket.emit('stoppedTyping', { roomId: channelId });
       }
@@ -293,20 +758,49 @@ const StreamChat = ({
     }
   };
   
-  // Handle emote selection
+  // Handle emote selection (as a reaction if one was started)
   const handleEmoteSelect = (emote) => {
+    if (reactingTo) {
+      handleToggleReaction(reactingTo, emote.code);
+      setReactingTo(null);
+      setShowEmotePicker(false);
+      return;
+    }
+    
     setInput(prev => `${prev} ${emote.code} `);
     inputRef.current.focus();
   };
   
+  // Close the emote picker and drop any pending reaction
+  const closeEmotePicker = () => {
+    setShowEmotePicker(false);
+    setReactingTo(null);
+  };
+  
   // Donation handler
-  const handleDonation = (amount, message) => {
-    if (!socket || !connected || !isAuthenticated) return;
+  const handleDonation = (amount, message, effectType) => {
+    if (!socket || !isAuthenticated) return;
     
-    socket.emit('donation', {
+    // Queued like chat messages, so a donation made offline is sent (once) after reconnecting
+    outbox.current.enqueue('donation', {
       roomId: channelId,
       amount,
-      message
+      message,
+      effectType: effectType || 'regular'
+    }, {
+      roomId: channelId,
+      type: 'donation',
+      amount,
+      message,
+      effectType: effectType || 'regular',
+      user: {
+        userId: user.userId,
+        username: user.username,
+        tier: user.tier,
+        badges: user.badges,
+        color: user.color
+      },
+      createdAt: new Date()
     });
     
     // Close donation panel
@@ -340,12 +834,10 @@ const StreamChat = ({
   const handleClearChat = () => {
     if (!socket || !connected || !isModerator) return;
     
+    // Messages are replaced with tombstones when the server confirms the clear
     socket.emit('clearChat', {
       roomId: channelId
     });
-    
-    // Clear local messages
-    setMessages([]);
   };
   
   // Change chat mode (moderation)
@@ -359,6 +851,42 @@ const StreamChat = ({
     });
   };
   
+  // Pin a message above chat (moderation)
+  const handlePinMessage = (message, duration = 0) => {
+    if (!socket || !connected || !isModerator) return;
+    
+    // The pinned bar updates when the server broadcasts the new room state
+    socket.emit('pinMessage', {
+      roomId: channelId,
+      messageId: message.id || message._id,
+      duration
+    });
+  };
+  
+  // Remove the pinned message (moderation)
+  const handleUnpinMessage = () => {
+    if (!socket || !connected || !isModerator) return;
+    
+    socket.emit('unpinMessage', {
+      roomId: channelId
+    });
+  };
+  
+  // Approve or deny a message held by AutoMod (moderation)
+  const handleReviewHeldMessage = (heldId, approve) => {
+    if (!socket || !connected || !isModerator) return;
+    
+    // The queue entry is removed when the server confirms the review
+    socket.emit('reviewHeldMessage', {
+      roomId: channelId,
+      heldId,
+      approve
+    });
+  };
+  
+  // Messages typed by users (not donations or system and moderation notices)
+  const isChatLine = (msg) => (!msg.type || msg.type === 'text' || msg.type === 'action') && !!msg.user;
+  
   // Display error message
   const displayError = (message) => {
     setErrorMessage(message);
@@ -384,17 +912,54 @@ const StreamChat = ({
     // In a real implementation, this would trigger animations/sounds
   };
   
+  // Describe who else is typing: names in small rooms, a count in large ones
+  const getTypingText = () => {
+    if (!typingSummary) {
+      return '';
+    }
+    
+    const ownName = user?.username;
+    
+    if (!typingSummary.usernames) {
+      const others = typingSummary.count - (isTyping ? 1 : 0);
+      return others > 0 ? `${others} ${others === 1 ? 'person is' : 'people are'} typing...` : '';
+    }
+    
+    const names = typingSummary.usernames.filter(name => name !== ownName);
+    const unnamed = typingSummary.count - typingSummary.usernames.length;
+    
+    if (names.length === 0) {
+      return '';
+    }
+    
+    if (unnamed > 0) {
+      return `${names.join(', ')} and ${unnamed} ${unnamed === 1 ? 'other' : 'others'} are typing...`;
+    }
+    
+    if (names.length === 1) {
+      return `${names[0]} is typing...`;
+    }
+    
+    return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]} are typing...`;
+  };
+  
   // Format moderation message
   const getModerationMessage = (data) => {
     switch (data.type) {
       case 'timeout':
         return `${data.username} has been timed out for ${data.duration} seconds by ${data.moderator}`;
+      case 'untimeout':
+        return `${data.username}'s timeout was removed by ${data.moderator}`;
       case 'ban':
         return `${data.username} has been banned by ${data.moderator}`;
       case 'clear':
         return `Chat has been cleared by ${data.moderator}`;
       case 'mode':
         return `Chat mode changed to ${data.mode} by ${data.moderator}`;
+      case 'automod':
+        return `AutoMod level set to ${data.level} by ${data.moderator}`;
+      case 'permit':
+        return `${data.username} can post a link in the next ${data.duration} seconds (permitted by ${data.moderator})`;
       default:
         return '';
     }
@@ -407,10 +972,14 @@ const StreamChat = ({
         <ChatHeader 
           channelInfo={channelInfo}
           chatMode={chatMode}
-          userCount={userList.length}
+          userCount={presenceCounts.viewers}
+          chatterCount={presenceCounts.chatters}
           isModerator={isModerator}
+          pinnedMessage={pinnedMessage}
+          donationGoal={donationGoal}
           onChangeChatMode={handleChangeChatMode}
           onClearChat={handleClearChat}
+          onUnpin={handleUnpinMessage}
         />
       )}
       
@@ -422,9 +991,26 @@ const StreamChat = ({
           isModerator={isModerator}
           onTimeoutUser={handleTimeoutUser}
           onBanUser={handleBanUser}
+          onReply={isAuthenticated ? handleReply : undefined}
+          onEdit={isAuthenticated ? handleEdit : undefined}
+          onDelete={isAuthenticated ? handleDelete : undefined}
+          onReact={isAuthenticated ? handleReact : undefined}
+          onToggleReaction={isAuthenticated ? handleToggleReaction : undefined}
+          onPin={isModerator ? handlePinMessage : undefined}
+          onRetrySend={handleRetrySend}
+          onDiscardSend={handleDiscardSend}
         />
       </div>
       
+      {/* AutoMod review queue */}
+      {isModerator && (
+        <AutoModQueue
+          heldMessages={heldMessages}
+          onApprove={(heldId) => handleReviewHeldMessage(heldId, true)}
+          onDeny={(heldId) => handleReviewHeldMessage(heldId, false)}
+        />
+      )}
+      
       {/* Error message */}
       <AnimatePresence>
         {showErrorMessage && (
@@ -446,6 +1032,7 @@ const StreamChat = ({
           onDonate={handleDonation}
           onClose={() => setShowDonationPanel(false)}
           user={user}
+          effects={donationEffects}
         />
       )}
       
@@ -453,13 +1040,52 @@ const StreamChat = ({
       {showEmotePicker && (
         <EmotePicker 
           onSelectEmote={handleEmoteSelect}
-          onClose={() => setShowEmotePicker(false)}
+          onClose={closeEmotePicker}
           userTier={user?.tier || 'free'}
         />
       )}
       
+      {/* Whisper pane */}
+      <AnimatePresence>
+        {isAuthenticated && showWhisperPane && (
+          <WhisperPane onClose={() => setShowWhisperPane(false)} />
+        )}
+      </AnimatePresence>
+      
       {/* Chat input area */}
       <div className="chat-input-container">
+        {/* Message being replied to */}
+        {replyingTo && (
+          <div className="chat-reply-bar">
+            <span className="chat-reply-bar-preview">
+              Replying to <strong>@{replyingTo.user?.username}</strong>: {replyingTo.content}
+            </span>
+            <button
+              className="chat-reply-bar-cancel"
+              onClick={() => setReplyingTo(null)}
+              title="Cancel reply"
+            >
+              ✕
+            </button>
+          </div>
+        )}
+        
+        {/* Message being edited */}
+        {editingMessage && (
+          <div className="chat-reply-bar chat-edit-bar">
+            <span className="chat-reply-bar-preview">
+              Editing message: {editingMessage.content}
+            </span>
+            <button
+              className="chat-reply-bar-cancel"
+              onClick={cancelEdit}
+              title="Cancel edit"
+            >
+              ✕
+            </button>
+          </div>
+        )}
+        
         <div className="chat-input-wrapper">
           <textarea
             ref={inputRef}
@@ -468,7 +1094,11 @@ const StreamChat = ({
             onChange={handleInputChange}
             onKeyPress={handleKeyPress}
             placeholder={
-              chatMode === 'subscribers' && user.tier === 'free'
+              timeoutRemaining > 0
+                ? `Timed out (${timeoutRemaining}s)`
+                : !connected
+                ? 'Offline - messages will send when reconnected'
+                : chatMode === 'subscribers' && user.tier === 'free'
                 ? 'Subscriber-only mode'
                 : chatMode === 'emote-only'
                 ? 'Emote-only mode'
@@ -477,7 +1107,7 @@ const StreamChat = ({
                 : 'Send a message...'
             }
             disabled={
-              !connected || 
+              timeoutRemaining > 0 ||
               (chatMode === 'subscribers' && user.tier === 'free') ||
               (chatMode === 'followers' && !user.isFollowing)
             }
@@ -486,12 +1116,25 @@ const StreamChat = ({
           <div className="chat-controls">
             <button 
               className="emote-picker-button"
-              onClick={() => setShowEmotePicker(!showEmotePicker)}
+              onClick={() => {
+                setReactingTo(null);
+                setShowEmotePicker(!showEmotePicker);
+              }}
               title="Emote Picker"
             >
               <span role="img" aria-label="Emote">😀</span>
             </button>
             
+            {isAuthenticated && (
+              <button 
+                className="whisper-button"
+                onClick={() => setShowWhisperPane(!showWhisperPane)}
+                title="Whispers"
+              >
+                <span role="img" aria-label="Whispers">✉️</span>
+              </button>
+            )}
+            
             {showDonations && (
               <button 
                 className="donation-button"
@@ -506,9 +1149,9 @@ const StreamChat = ({
               className="send-button"
               onClick={sendMessage}
               disabled={
-                !connected || 
                 !input.trim() || 
                 isSubmitting ||
+                timeoutRemaining > 0 ||
                 (chatMode === 'subscribers' && user.tier === 'free') ||
                 (chatMode === 'followers' && !user.isFollowing)
               }
@@ -520,10 +1163,19 @@ const StreamChat = ({
         
         {/* Typing indicator or slow mode countdown */}
         <div className="chat-status">
-          {Date.now() < nextMessageTime && (
+          {Date.now() < nextMessageTime ? (
             <div className="slow-mode-timer">
               Can send in {Math.ceil((nextMessageTime - Date.now()) / 1000)}s
             </div>
+          ) : (
+            getTypingText() && (
+              <div className="typing-indicator">
+                <span className="typing-dot" />
+                <span className="typing-dot" />
+                <span className="typing-dot" />
+                <span className="typing-text">{getTypingText()}</span>
+              </div>
+            )
           )}
         </div>
       </div>
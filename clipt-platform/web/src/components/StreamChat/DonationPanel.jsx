@@ -72,7 +72,7 @@ const DonationPanel = ({
       const fetchTopDonors = async () => {
         try {
           const response = await api.get(`/api/chat/top-donors/${channelInfo._id}?limit=5`);
-          setTopDonors(response.data);
+          setTopDonors(response.data.donors);
         } catch (error) {
           console.error('Error fetching top donors:', error);
         }
@@ -393,12 +393,12 @@ const DonationPanel = ({
           <h4 className="donation-panel__donors-title">Top Donors</h4>
           {topDonors.length > 0 ? (
             <div className="donation-panel__donors-list">
-              {topDonors.map((donor, index) => (
-                <div key={donor.userId} className="donation-panel__donor">
-                  <span className="donation-panel__donor-rank">#{index + 1}</span>
+              {topDonors.map(donor => (
+                <div key={donor.rank} className="donation-panel__donor">
+                  <span className="donation-panel__donor-rank">#{donor.rank}</span>
                   <span className="donation-panel__donor-name">{donor.username}</span>
                   <span className="donation-panel__donor-amount">
-                    {formatTokens(donor.totalAmount)} tokens
+                    {formatTokens(donor.total)} tokens
                   </span>
                 </div>
               ))}
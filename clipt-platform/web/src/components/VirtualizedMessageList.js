@@ -5,6 +5,9 @@ import memoize from 'memoize-one';
 import ChatMessage from './ChatMessage';
 import './StreamChat.css';
 
+// Stable key for a message, so measured heights follow it when rows shift
+const getMessageKey = (message, index) => message.id || message._id || `index-${index}`;
+
 /**
  * VirtualizedMessageList Component
  * 
@@ -15,13 +18,25 @@ import './StreamChat.css';
  * - Auto-scrolling to bottom for new messages
  * - Smooth scrolling
  * - Memoized row rendering for performance
+ * - Reply and mention highlighting (rendered by ChatMessage)
+ * - Room for emote reactions below messages
+ * - Keeps measured heights when missed messages are inserted mid-list after a reconnect
+ * - Pending and failed states for messages sent while offline
  */
 const VirtualizedMessageList = ({
   messages,
   currentUser,
   isModerator,
   onTimeoutUser,
-  onBanUser
+  onBanUser,
+  onReply,
+  onEdit,
+  onDelete,
+  onReact,
+  onToggleReaction,
+  onPin,
+  onRetrySend,
+  onDiscardSend
 }) => {
   // Refs
   const listRef = useRef(null);
@@ -29,16 +44,20 @@ const VirtualizedMessageList = ({
   const lastMeasuredIndex = useRef(-1);
   const lastScrollOffset = useRef(0);
   const isAutoScrolling = useRef(true);
+  const previousKeys = useRef([]);
   
   // Initialize estimated row heights - these will be dynamically adjusted
   const defaultMessageHeight = 42; // Regular message
   const donationMessageHeight = 80; // Donation messages are larger
   const systemMessageHeight = 30; // System messages are smaller
+  const replyContextHeight = 18; // Quoted line above replies
+  const reactionsHeight = 26; // Reaction counts below the message
+  const deliveryStatusHeight = 18; // Pending or failed line below unsent messages
   
   // Get item size function (memoized)
   const getItemSize = (index) => {
     const item = messages[index];
-    const knownSize = sizeMap.current[index];
+    const knownSize = sizeMap.current[getMessageKey(item, index)];
     
     if (knownSize !== undefined) {
       return knownSize;
@@ -73,16 +92,37 @@ const VirtualizedMessageList = ({
       estimatedHeight += 10;
     }
     
+    // Replies show the quoted message above
+    if (item.replyTo) {
+      estimatedHeight += replyContextHeight;
+    }
+    
+    if (item.reactions && item.reactions.length > 0) {
+      estimatedHeight += reactionsHeight;
+    }
+    
+    if (item.status) {
+      estimatedHeight += deliveryStatusHeight;
+    }
+    
     return estimatedHeight;
   };
   
   // Create item data for memoization
-  const createItemData = memoize((messages, currentUser, isModerator, onTimeoutUser, onBanUser) => ({
+  const createItemData = memoize((messages, currentUser, isModerator, onTimeoutUser, onBanUser, onReply, onEdit, onDelete, onReact, onToggleReaction, onPin, onRetrySend, onDiscardSend) => ({
     messages,
     currentUser,
     isModerator,
     onTimeoutUser,
-    onBanUser
+    onBanUser,
+    onReply,
+    onEdit,
+    onDelete,
+    onReact,
+    onToggleReaction,
+    onPin,
+    onRetrySend,
+    onDiscardSend
   }));
   
   const itemData = createItemData(
@@ -90,11 +130,28 @@ const VirtualizedMessageList = ({
     currentUser,
     isModerator,
     onTimeoutUser,
-    onBanUser
+    onBanUser,
+    onReply,
+    onEdit,
+    onDelete,
+    onReact,
+    onToggleReaction,
+    onPin,
+    onRetrySend,
+    onDiscardSend
   );
   
   // Scroll to bottom when new messages arrive
   useEffect(() => {
+    // Messages inserted or removed before the end shift the rows after them
+    const keys = messages.map(getMessageKey);
+    const firstChanged = keys.findIndex((key, index) => key !== previousKeys.current[index]);
+    previousKeys.current = keys;
+    
+    if (listRef.current && firstChanged !== -1 && firstChanged < keys.length - 1) {
+      listRef.current.resetAfterIndex(firstChanged, false);
+    }
+    
     if (listRef.current && isAutoScrolling.current) {
       listRef.current.scrollToItem(messages.length - 1, 'end');
     }
@@ -129,9 +186,11 @@ const VirtualizedMessageList = ({
         const node = rowRef.current;
         const height = node.getBoundingClientRect().height;
         
+        const key = getMessageKey(message, index);
+        
         // If height has changed or isn't set yet
-        if (sizeMap.current[index] !== height) {
-          sizeMap.current[index] = height;
+        if (sizeMap.current[key] !== height) {
+          sizeMap.current[key] = height;
           
           // Only reset the List cache if this item's measurement changes
           // and it's already been measured before
@@ -154,6 +213,14 @@ const VirtualizedMessageList = ({
           isModerator={data.isModerator}
           onTimeoutUser={data.onTimeoutUser}
           onBanUser={data.onBanUser}
+          onReply={data.onReply}
+          onEdit={data.onEdit}
+          onDelete={data.onDelete}
+          onReact={data.onReact}
+          onToggleReaction={data.onToggleReaction}
+          onPin={data.onPin}
+          onRetrySend={data.onRetrySend}
+          onDiscardSend={data.onDiscardSend}
         />
       </div>
     );
@@ -168,6 +235,7 @@ const VirtualizedMessageList = ({
             height={height}
             width={width}
             itemCount={messages.length}
+            itemKey={(index, data) => getMessageKey(data.messages[index], index)}
             itemSize={getItemSize}
             itemData={itemData}
             onScroll={handleScroll}
@@ -0,0 +1,164 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { motion } from 'framer-motion';
+import chatService from '../services/chatService';
+import './StreamChat.css';
+
+/**
+ * WhisperPane Component
+ *
+ * Private message inbox backed by the chat service's whisper state
+ * Features:
+ * - Conversation list with unread counts
+ * - Conversation thread with history loaded from the API
+ * - Live delivery of incoming whispers on every open tab
+ * - Start a new conversation by username
+ */
+const WhisperPane = ({ onClose }) => {
+  // State
+  const [pane, setPane] = useState(chatService.getWhisperPane());
+  const [input, setInput] = useState('');
+  const [newRecipient, setNewRecipient] = useState('');
+
+  // Refs
+  const threadRef = useRef(null);
+
+  // Subscribe to whisper pane updates and load the inbox
+  useEffect(() => {
+    const handleUpdate = (updatedPane) => setPane(updatedPane);
+
+    chatService.on('whisperPaneUpdated', handleUpdate);
+    chatService.initializeSocket();
+    chatService.openWhisperPane();
+    chatService.loadWhisperInbox();
+
+    return () => {
+      chatService.off('whisperPaneUpdated', handleUpdate);
+    };
+  }, []);
+
+  const activeConversation = pane.conversations.find(
+    conversation => conversation.participant.userId === pane.activeUserId
+  );
+
+  // Keep the thread scrolled to the newest whisper
+  useEffect(() => {
+    if (threadRef.current) {
+      threadRef.current.scrollTop = threadRef.current.scrollHeight;
+    }
+  }, [activeConversation?.messages.length]);
+
+  // Send a whisper to the active conversation or a new recipient
+  const handleSend = () => {
+    const content = input.trim();
+    const recipient = activeConversation?.participant.username || newRecipient.trim();
+
+    if (!content || !recipient) return;
+
+    if (chatService.sendWhisper(recipient, content)) {
+      setInput('');
+      setNewRecipient('');
+    }
+  };
+
+  const handleKeyPress = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      handleSend();
+    }
+  };
+
+  const handleClose = () => {
+    chatService.closeWhisperPane();
+    if (onClose) onClose();
+  };
+
+  // Render the list of conversations
+  const renderConversationList = () => (
+    <div className="whisper-conversations">
+      {pane.conversations.length === 0 && (
+        <div className="whisper-empty">No whispers yet</div>
+      )}
+
+      {pane.conversations.map(conversation => (
+        <div
+          key={conversation.participant.userId}
+          className={`whisper-conversation ${conversation.participant.userId === pane.activeUserId ? 'active' : ''}`}
+          onClick={() => chatService.openWhisperConversation(conversation.participant)}
+        >
+          <span className="whisper-conversation-name">{conversation.participant.username}</span>
+          {conversation.unreadCount > 0 && (
+            <span className="whisper-unread-badge">{conversation.unreadCount}</span>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+
+  // Render the active conversation thread
+  const renderThread = () => {
+    if (!activeConversation) {
+      return (
+        <input
+          className="whisper-recipient-input"
+          value={newRecipient}
+          onChange={(e) => setNewRecipient(e.target.value)}
+          placeholder="Whisper to username..."
+        />
+      );
+    }
+
+    return (
+      <div className="whisper-thread" ref={threadRef}>
+        {activeConversation.messages.map(message => {
+          const isIncoming = message.from.userId.toString() === activeConversation.participant.userId;
+
+          return (
+            <div
+              key={message.id || message._id}
+              className={`whisper-message ${isIncoming ? 'incoming' : 'outgoing'}`}
+            >
+              <span className="whisper-message-author">{message.from.username}:</span>
+              {' '}
+              <span className="whisper-message-content">{message.content}</span>
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
+  return (
+    <motion.div
+      className="whisper-pane"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, y: 20 }}
+      transition={{ duration: 0.2 }}
+    >
+      <div className="whisper-pane-header">
+        <div className="whisper-pane-title">
+          {activeConversation ? activeConversation.participant.username : 'Whispers'}
+        </div>
+        <button className="whisper-pane-close" onClick={handleClose} title="Close">✕</button>
+      </div>
+
+      <div className="whisper-pane-content">
+        {renderConversationList()}
+        {renderThread()}
+      </div>
+
+      <div className="whisper-input-wrapper">
+        <textarea
+          className="whisper-input"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          onKeyPress={handleKeyPress}
+          placeholder="Send a whisper..."
+          maxLength={500}
+        />
+      </div>
+    </motion.div>
+  );
+};
+
+export default WhisperPane;
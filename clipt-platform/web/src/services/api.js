@@ -832,6 +832,95 @@ const apiService = {
       return await apiClient.post(`/subscriptions/${userId}/cancel`);
     },
   },
+  
+  // -------------- CHAT API --------------
+  chat: {
+    getWhisperInbox: async (limit = 20) => {
+      if (useMockResponses) {
+        // Mock empty inbox
+        await new Promise(resolve => setTimeout(resolve, 300));
+        
+        return { data: { conversations: [], unreadCount: 0 } };
+      }
+      
+      // Real implementation
+      return await withRetry(() => apiClient.get('/chat/whispers', { params: { limit } }));
+    },
+    
+    getWhisperConversation: async (userId, { limit = 50, before = null } = {}) => {
+      if (useMockResponses) {
+        // Mock empty conversation
+        await new Promise(resolve => setTimeout(resolve, 300));
+        
+        return { data: [] };
+      }
+      
+      // Real implementation
+      return await withRetry(() => apiClient.get(`/chat/whispers/${userId}`, {
+        params: { limit, ...(before ? { before } : {}) }
+      }));
+    },
+    
+    markWhispersRead: async (userId) => {
+      if (useMockResponses) {
+        return { data: { markedCount: 0 } };
+      }
+      
+      // Real implementation
+      return await apiClient.post(`/chat/whispers/${userId}/read`);
+    },
+    
+    blockUser: async (userId) => {
+      if (useMockResponses) {
+        return { data: { blockedUserId: userId } };
+      }
+      
+      // Real implementation
+      return await apiClient.post(`/chat/whispers/blocks/${userId}`);
+    },
+    
+    unblockUser: async (userId) => {
+      if (useMockResponses) {
+        return { data: { message: 'User unblocked successfully' } };
+      }
+      
+      // Real implementation
+      return await apiClient.delete(`/chat/whispers/blocks/${userId}`);
+    },
+    
+    getDonationEffects: async (channelId) => {
+      if (useMockResponses) {
+        // Mock the default tiers
+        await new Promise(resolve => setTimeout(resolve, 300));
+        
+        return {
+          data: {
+            effects: [
+              { type: 'regular', name: 'Regular', enabled: true, minAmount: 1, pinSeconds: 0, tts: false },
+              { type: 'highlighted', name: 'Highlighted', enabled: true, minAmount: 20, pinSeconds: 0, tts: false },
+              { type: 'animated', name: 'Animated', enabled: true, minAmount: 50, pinSeconds: 0, tts: true },
+              { type: 'super', name: 'Super Chat', enabled: true, minAmount: 100, pinSeconds: 120, tts: true }
+            ]
+          }
+        };
+      }
+      
+      // Real implementation
+      return await withRetry(() => apiClient.get(`/chat/donation-effects/${channelId}`));
+    },
+    
+    getDonationGoal: async (channelId) => {
+      if (useMockResponses) {
+        // Mock channel without a goal
+        await new Promise(resolve => setTimeout(resolve, 300));
+        
+        return { data: { goal: null } };
+      }
+      
+      // Real implementation
+      return await withRetry(() => apiClient.get(`/chat/goals/${channelId}`));
+    },
+  },
 };
 
 export default apiService;
@@ -5,6 +5,134 @@
 
 import { io } from 'socket.io-client';
 import { getToken } from './authService';
+import apiService from './api';
+import MessageOutbox, { ACK_TIMEOUT_MS } from './messageOutbox';
+
+const MAX_WHISPERS_PER_CONVERSATION = 200;
+
+// Message IDs remembered to drop duplicates delivered by both history and sync
+const MAX_DELIVERED_MESSAGE_IDS = 1000;
+
+// Safety limit on sync pages after a reconnect (200 messages each)
+const MAX_SYNC_PAGES = 25;
+
+// Wait before fetching a gap, so messages that were stored out of order can still arrive live
+export const GAP_SYNC_DELAY_MS = 1000;
+
+/**
+ * Merge incoming messages into a message list without duplicates, in sequence order
+ * Messages without a sequence number (system notices, local messages) keep their place
+ * @param {Array} current - Current messages
+ * @param {Array} incoming - New or updated messages
+ * @returns {Array} Merged messages
+ */
+export function mergeMessages(current, incoming) {
+  const merged = [...current];
+
+  incoming.forEach(message => {
+    const id = message.id || message._id;
+    const existingIndex = merged.findIndex(msg => (
+      (msg.id || msg._id) === id ||
+      // A pending copy sent by this client is replaced by the stored message
+      (message.clientMessageId && msg.clientMessageId === message.clientMessageId)
+    ));
+
+    if (existingIndex !== -1) {
+      // Local copies (with a delivery status) are replaced outright by the server's message
+      merged[existingIndex] = merged[existingIndex].status ? message : { ...merged[existingIndex], ...message };
+      return;
+    }
+
+    if (typeof message.seq !== 'number') {
+      merged.push(message);
+      return;
+    }
+
+    // Insert after the last message with a lower sequence number, or at the end
+    // when nothing newer is already in the list
+    let insertAt = merged.length;
+    for (let i = merged.length - 1; i >= 0; i--) {
+      if (typeof merged[i].seq !== 'number') {
+        continue;
+      }
+
+      if (merged[i].seq < message.seq) {
+        break;
+      }
+
+      insertAt = i;
+    }
+
+    merged.splice(insertAt, 0, message);
+  });
+
+  return merged;
+}
+
+/**
+ * Move the sequence cursor over a live message
+ * The cursor only moves to the next number in order, so a message that is stored late
+ * (or never reached this client) is still fetched by the next sync
+ * @param {number} lastSeq - Newest sequence number received with nothing missing before it
+ * @param {Object} message - Live message
+ * @returns {Object} Cursor ({ lastSeq, gap }); gap is true when earlier messages are missing
+ */
+export function advanceSequence(lastSeq, message) {
+  if (typeof message.seq !== 'number' || message.seq <= lastSeq) {
+    return { lastSeq, gap: false };
+  }
+
+  // Before the room's history has loaded there is nothing to compare against
+  if (lastSeq === 0 || message.seq === lastSeq + 1) {
+    return { lastSeq: message.seq, gap: false };
+  }
+
+  return { lastSeq, gap: true };
+}
+
+/**
+ * Fetch a room's messages after a sequence number, page by page
+ * @param {Object} socket - Connected socket that has joined the room
+ * @param {string} roomId - Room ID
+ * @param {number} sinceSeq - Last sequence number the client has
+ * @param {Function} onMessages - Called with each page of messages, oldest first
+ * @returns {Promise<boolean>} True if the client is caught up
+ */
+export async function syncMessagesSince(socket, roomId, sinceSeq, onMessages) {
+  let cursor = sinceSeq;
+
+  for (let page = 0; page < MAX_SYNC_PAGES; page++) {
+    if (!socket || !socket.connected) {
+      return false;
+    }
+
+    let response;
+    try {
+      response = await socket.timeout(ACK_TIMEOUT_MS).emitWithAck('syncMessages', {
+        roomId,
+        sinceSeq: cursor
+      });
+    } catch (error) {
+      console.error('Error syncing missed messages:', error);
+      return false;
+    }
+
+    if (!response.ok) {
+      return false;
+    }
+
+    response.messages.forEach(message => {
+      cursor = Math.max(cursor, message.seq);
+    });
+    onMessages(response.messages);
+
+    if (!response.hasMore) {
+      return true;
+    }
+  }
+
+  return false;
+}
 
 class ChatService {
   constructor() {
@@ -13,22 +141,59 @@ class ChatService {
     this.channelId = null;
     this.eventHandlers = {
       chatMessage: [],
+      messageUpdated: [],
+      messageDeleted: [],
+      reactionCounts: [],
+      reactionToggled: [],
       donation: [],
       userJoined: [],
       userLeft: [],
       roomState: [],
       timeout: [],
+      timeoutCountdown: [],
+      timeoutEnded: [],
       banned: [],
       moderation: [],
       error: [],
       clearChat: [],
-      userTyping: [],
-      userStoppedTyping: []
+      messagesPurged: [],
+      typingUpdate: [],
+      pollCreated: [],
+      pollResults: [],
+      pollClosed: [],
+      whisper: [],
+      whisperPaneUpdated: [],
+      userColorChanged: [],
+      messageHeld: [],
+      heldMessageResolved: [],
+      automodQueue: [],
+      automodHeld: [],
+      automodResolved: [],
+      donationRefunded: [],
+      donationTts: [],
+      goalProgress: [],
+      goalReached: [],
+      goalUpdated: [],
+      mentioned: [],
+      outboxUpdated: []
     };
     this.reconnectAttempts = 0;
     this.MAX_RECONNECT_ATTEMPTS = 10;
     this.reconnectTimer = null;
     this.typingTimeout = null;
+    // Newest sequence number received in the current room with nothing missing before it,
+    // used to catch up after a reconnect or a gap
+    this.lastSeq = 0;
+    this.gapSyncTimer = null;
+    this.deliveredMessageIds = new Set();
+    // Messages and donations waiting to be sent, kept while disconnected
+    this.outbox = new MessageOutbox(item => this.handleOutboxUpdated(item));
+    this.whisperPane = {
+      isOpen: false,
+      activeUserId: null,
+      conversations: {},
+      unreadCount: 0
+    };
   }
 
   /**
@@ -74,17 +239,40 @@ class ChatService {
       this.socket.on('disconnect', this.handleDisconnect.bind(this));
       this.socket.on('error', this.handleError.bind(this));
       this.socket.on('chatMessage', this.handleChatMessage.bind(this));
+      this.socket.on('messageUpdated', this.handleMessageUpdated.bind(this));
+      this.socket.on('messageDeleted', this.handleMessageDeleted.bind(this));
+      this.socket.on('reactionCounts', this.handleReactionCounts.bind(this));
+      this.socket.on('reactionToggled', this.handleReactionToggled.bind(this));
       this.socket.on('donation', this.handleDonation.bind(this));
       this.socket.on('userJoined', this.handleUserJoined.bind(this));
       this.socket.on('userLeft', this.handleUserLeft.bind(this));
       this.socket.on('roomState', this.handleRoomState.bind(this));
       this.socket.on('timeout', this.handleTimeout.bind(this));
+      this.socket.on('timeoutCountdown', this.handleTimeoutCountdown.bind(this));
+      this.socket.on('timeoutEnded', this.handleTimeoutEnded.bind(this));
       this.socket.on('banned', this.handleBanned.bind(this));
       this.socket.on('moderation', this.handleModeration.bind(this));
       this.socket.on('chatHistory', this.handleChatHistory.bind(this));
       this.socket.on('clearChat', this.handleClearChat.bind(this));
-      this.socket.on('userTyping', this.handleUserTyping.bind(this));
-      this.socket.on('userStoppedTyping', this.handleUserStoppedTyping.bind(this));
+      this.socket.on('messagesPurged', this.handleMessagesPurged.bind(this));
+      this.socket.on('typingUpdate', this.handleTypingUpdate.bind(this));
+      this.socket.on('pollCreated', this.handlePollCreated.bind(this));
+      this.socket.on('pollResults', this.handlePollResults.bind(this));
+      this.socket.on('pollClosed', this.handlePollClosed.bind(this));
+      this.socket.on('whisper', this.handleWhisper.bind(this));
+      this.socket.on('whisperSent', this.handleWhisperSent.bind(this));
+      this.socket.on('userColorChanged', this.handleUserColorChanged.bind(this));
+      this.socket.on('messageHeld', this.handleMessageHeld.bind(this));
+      this.socket.on('heldMessageResolved', this.handleHeldMessageResolved.bind(this));
+      this.socket.on('automodQueue', this.handleAutomodQueue.bind(this));
+      this.socket.on('automodHeld', this.handleAutomodHeld.bind(this));
+      this.socket.on('automodResolved', this.handleAutomodResolved.bind(this));
+      this.socket.on('donationRefunded', this.handleDonationRefunded.bind(this));
+      this.socket.on('donationTts', this.handleDonationTts.bind(this));
+      this.socket.on('goalProgress', this.handleGoalProgress.bind(this));
+      this.socket.on('goalReached', this.handleGoalReached.bind(this));
+      this.socket.on('goalUpdated', this.handleGoalUpdated.bind(this));
+      this.socket.on('mentioned', this.handleMentioned.bind(this));
 
       // Wait for connection
       return new Promise((resolve) => {
@@ -120,15 +308,103 @@ class ChatService {
       }
     }
 
+    if (this.channelId !== channelId) {
+      this.lastSeq = 0;
+      this.cancelGapSync();
+      this.deliveredMessageIds.clear();
+      this.outbox.clear();
+    }
+
     this.channelId = channelId;
-    this.socket.emit('joinRoom', channelId);
-    return true;
+
+    try {
+      const response = await this.socket.timeout(ACK_TIMEOUT_MS).emitWithAck('joinRoom', channelId);
+
+      // Messages queued before the join go out once the server has us in the room
+      if (response.ok) {
+        this.outbox.resume(this.socket);
+      }
+
+      return response.ok;
+    } catch (error) {
+      console.error('Error joining room:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Rejoin the current room after a reconnect, then fetch anything sent while disconnected
+   * @returns {Promise<void>}
+   */
+  async rejoinRoom() {
+    // The history sent on join moves lastSeq to the newest message, so remember where we were
+    const sinceSeq = this.lastSeq;
+
+    try {
+      const response = await this.socket.timeout(ACK_TIMEOUT_MS).emitWithAck('joinRoom', this.channelId);
+      if (!response.ok) {
+        return;
+      }
+
+      // Send what was queued while disconnected
+      this.outbox.resume(this.socket);
+
+      if (sinceSeq > 0) {
+        await this.syncMissedMessages(sinceSeq);
+      }
+    } catch (error) {
+      console.error('Error rejoining room:', error);
+    }
+  }
+
+  /**
+   * Fetch the messages missed while disconnected
+   * @param {number} sinceSeq - Last sequence number received before the disconnect
+   * @returns {Promise<boolean>} True if the room is caught up
+   */
+  async syncMissedMessages(sinceSeq) {
+    const channelId = this.channelId;
+
+    return syncMessagesSince(this.socket, channelId, sinceSeq, messages => {
+      // Drop pages that arrive after switching rooms
+      if (this.channelId === channelId) {
+        messages.forEach(message => this.deliverChatMessage(message));
+      }
+    });
+  }
+
+  /**
+   * Fetch missing messages shortly after a live message skips ahead of the cursor
+   */
+  scheduleGapSync() {
+    if (this.gapSyncTimer) {
+      return;
+    }
+
+    this.gapSyncTimer = setTimeout(() => {
+      this.syncMissedMessages(this.lastSeq)
+        .finally(() => {
+          this.gapSyncTimer = null;
+        });
+    }, GAP_SYNC_DELAY_MS);
+  }
+
+  /**
+   * Stop a scheduled gap sync
+   */
+  cancelGapSync() {
+    if (this.gapSyncTimer) {
+      clearTimeout(this.gapSyncTimer);
+      this.gapSyncTimer = null;
+    }
   }
 
   /**
    * Leave current chat room
    */
   leaveRoom() {
+    this.outbox.clear();
+
     if (this.socket && this.socket.connected && this.channelId) {
       this.socket.emit('leaveRoom', this.channelId);
       this.channelId = null;
@@ -136,44 +412,156 @@ class ChatService {
   }
 
   /**
-   * Send a chat message
+   * Send a chat message, queueing it while disconnected
+   * Progress is reported through 'outboxUpdated' (pending, sent or failed)
    * @param {string} content - Message content
+   * @param {string|null} replyTo - ID of the message being replied to
+   * @returns {Object|null} Queued item ({ clientMessageId, status }), or null if not in a room
+   */
+  sendMessage(content, replyTo = null) {
+    if (!this.channelId) {
+      return null;
+    }
+
+    return this.outbox.enqueue('chatMessage', {
+      roomId: this.channelId,
+      content,
+      type: 'text',
+      replyTo: replyTo || undefined
+    });
+  }
+
+  /**
+   * Send a rejected message or donation again
+   * @param {string} clientMessageId - Key of the failed item
+   * @returns {boolean} True if the item was queued
+   */
+  retrySend(clientMessageId) {
+    return this.outbox.retry(clientMessageId);
+  }
+
+  /**
+   * Give up on a rejected or queued message or donation
+   * @param {string} clientMessageId - Key of the item
+   */
+  discardSend(clientMessageId) {
+    this.outbox.discard(clientMessageId);
+  }
+
+  /**
+   * Edit one of your own messages
+   * @param {string} messageId - Message ID
+   * @param {string} content - New content
    * @returns {boolean} Send status
    */
-  sendMessage(content) {
+  editMessage(messageId, content) {
     if (!this.socket || !this.socket.connected || !this.channelId) {
       return false;
     }
 
-    this.socket.emit('chatMessage', {
+    this.socket.emit('editMessage', {
       roomId: this.channelId,
-      content,
-      type: 'text'
+      messageId,
+      content
     });
 
     return true;
   }
 
   /**
-   * Send a donation
-   * @param {number} amount - Token amount
-   * @param {string} message - Donation message
+   * Delete one of your own messages
+   * @param {string} messageId - Message ID
    * @returns {boolean} Send status
    */
-  sendDonation(amount, message = '') {
+  deleteMessage(messageId) {
     if (!this.socket || !this.socket.connected || !this.channelId) {
       return false;
     }
 
-    this.socket.emit('donation', {
+    this.socket.emit('deleteMessage', {
       roomId: this.channelId,
-      amount,
-      message
+      messageId
+    });
+
+    return true;
+  }
+
+  /**
+   * Add an emote reaction to a message, or remove it if already added
+   * @param {string} messageId - Message ID
+   * @param {string} code - Emote code
+   * @returns {boolean} Send status
+   */
+  toggleReaction(messageId, code) {
+    if (!this.socket || !this.socket.connected || !this.channelId) {
+      return false;
+    }
+
+    this.socket.emit('toggleReaction', {
+      roomId: this.channelId,
+      messageId,
+      code
+    });
+
+    return true;
+  }
+
+  /**
+   * Pin a message above chat (moderator only)
+   * @param {string} messageId - Message ID
+   * @param {number} duration - Seconds to keep the pin (0 until unpinned)
+   * @returns {boolean} Send status
+   */
+  pinMessage(messageId, duration = 0) {
+    if (!this.socket || !this.socket.connected || !this.channelId) {
+      return false;
+    }
+
+    this.socket.emit('pinMessage', {
+      roomId: this.channelId,
+      messageId,
+      duration
+    });
+
+    return true;
+  }
+
+  /**
+   * Remove the pinned message (moderator only)
+   * @returns {boolean} Send status
+   */
+  unpinMessage() {
+    if (!this.socket || !this.socket.connected || !this.channelId) {
+      return false;
+    }
+
+    this.socket.emit('unpinMessage', {
+      roomId: this.channelId
     });
 
     return true;
   }
 
+  /**
+   * Send a donation, queueing it while disconnected
+   * @param {number} amount - Token amount
+   * @param {string} message - Donation message
+   * @param {string} effectType - Donation effect (regular, highlighted, animated, super)
+   * @returns {Object|null} Queued item ({ clientMessageId, status }), or null if not in a room
+   */
+  sendDonation(amount, message = '', effectType = 'regular') {
+    if (!this.channelId) {
+      return null;
+    }
+
+    return this.outbox.enqueue('donation', {
+      roomId: this.channelId,
+      amount,
+      message,
+      effectType
+    });
+  }
+
   /**
    * Send typing indicator
    */
@@ -236,6 +624,24 @@ class ChatService {
     return true;
   }
 
+  /**
+   * Remove a user's timeout early (moderator only)
+   * @param {string} username - Username to untimeout
+   * @returns {boolean} Success status
+   */
+  untimeoutUser(username) {
+    if (!this.socket || !this.socket.connected || !this.channelId) {
+      return false;
+    }
+
+    this.socket.emit('untimeout', {
+      roomId: this.channelId,
+      username
+    });
+
+    return true;
+  }
+
   /**
    * Ban a user (moderator only)
    * @param {string} username - Username to ban
@@ -272,6 +678,26 @@ class ChatService {
     return true;
   }
 
+  /**
+   * Remove a user's messages without timing them out (moderator only)
+   * @param {string} username - Username to purge
+   * @param {string} reason - Purge reason
+   * @returns {boolean} Success status
+   */
+  purgeUser(username, reason = '') {
+    if (!this.socket || !this.socket.connected || !this.channelId) {
+      return false;
+    }
+
+    this.socket.emit('purgeUser', {
+      roomId: this.channelId,
+      username,
+      reason
+    });
+
+    return true;
+  }
+
   /**
    * Change chat mode (moderator only)
    * @param {string} mode - Chat mode (normal, subscribers, emote-only, followers, slow)
@@ -292,6 +718,250 @@ class ChatService {
     return true;
   }
 
+  /**
+   * Change how strictly AutoMod screens messages (moderator only)
+   * @param {string} level - AutoMod level (off, low, medium, high)
+   * @returns {boolean} Success status
+   */
+  setAutoModLevel(level) {
+    if (!this.socket || !this.socket.connected || !this.channelId) {
+      return false;
+    }
+
+    this.socket.emit('setAutoModLevel', {
+      roomId: this.channelId,
+      level
+    });
+
+    return true;
+  }
+
+  /**
+   * Approve or deny a message held by AutoMod (moderator only)
+   * @param {string} heldId - Held message ID
+   * @param {boolean} approve - True to approve, false to deny
+   * @returns {boolean} Success status
+   */
+  reviewHeldMessage(heldId, approve) {
+    if (!this.socket || !this.socket.connected || !this.channelId) {
+      return false;
+    }
+
+    this.socket.emit('reviewHeldMessage', {
+      roomId: this.channelId,
+      heldId,
+      approve
+    });
+
+    return true;
+  }
+
+  /**
+   * Send a whisper
+   * @param {string} targetUsername - Recipient username
+   * @param {string} content - Message content
+   * @returns {boolean} Send status
+   */
+  sendWhisper(targetUsername, content) {
+    if (!this.socket || !this.socket.connected) {
+      return false;
+    }
+
+    this.socket.emit('whisper', {
+      targetUsername,
+      content,
+      roomId: this.channelId
+    });
+
+    return true;
+  }
+
+  /**
+   * Load the whisper inbox into the whisper pane
+   * @returns {Promise<Object>} Whisper pane state
+   */
+  async loadWhisperInbox() {
+    try {
+      const { data } = await apiService.chat.getWhisperInbox();
+
+      data.conversations.forEach(({ participant, lastMessage, unreadCount }) => {
+        const conversation = this.getWhisperConversation(participant);
+        conversation.unreadCount = unreadCount;
+        conversation.lastMessageAt = lastMessage.createdAt;
+
+        if (conversation.messages.length === 0) {
+          conversation.messages = [lastMessage];
+        }
+      });
+
+      this.whisperPane.unreadCount = data.unreadCount;
+      this.emitWhisperPaneUpdate();
+    } catch (error) {
+      console.error('Error loading whisper inbox:', error);
+    }
+
+    return this.getWhisperPane();
+  }
+
+  /**
+   * Open a conversation in the whisper pane and mark it as read
+   * @param {Object} participant - Other user ({ userId, username })
+   * @returns {Promise<Object>} Whisper pane state
+   */
+  async openWhisperConversation(participant) {
+    const conversation = this.getWhisperConversation(participant);
+
+    this.whisperPane.isOpen = true;
+    this.whisperPane.activeUserId = conversation.participant.userId;
+    this.emitWhisperPaneUpdate();
+
+    try {
+      const { data } = await apiService.chat.getWhisperConversation(conversation.participant.userId);
+      conversation.messages = data;
+      conversation.loaded = true;
+
+      if (conversation.unreadCount > 0) {
+        await apiService.chat.markWhispersRead(conversation.participant.userId);
+        this.whisperPane.unreadCount = Math.max(0, this.whisperPane.unreadCount - conversation.unreadCount);
+        conversation.unreadCount = 0;
+      }
+
+      this.emitWhisperPaneUpdate();
+    } catch (error) {
+      console.error('Error loading whisper conversation:', error);
+    }
+
+    return this.getWhisperPane();
+  }
+
+  /**
+   * Open the whisper pane without selecting a conversation
+   */
+  openWhisperPane() {
+    this.whisperPane.isOpen = true;
+    this.emitWhisperPaneUpdate();
+  }
+
+  /**
+   * Close the whisper pane
+   */
+  closeWhisperPane() {
+    this.whisperPane.isOpen = false;
+    this.whisperPane.activeUserId = null;
+    this.emitWhisperPaneUpdate();
+  }
+
+  /**
+   * Get a snapshot of the whisper pane state
+   * @returns {Object} Whisper pane state with conversations sorted by recency
+   */
+  getWhisperPane() {
+    const conversations = Object.values(this.whisperPane.conversations)
+      .sort((a, b) => new Date(b.lastMessageAt || 0) - new Date(a.lastMessageAt || 0));
+
+    return {
+      isOpen: this.whisperPane.isOpen,
+      activeUserId: this.whisperPane.activeUserId,
+      unreadCount: this.whisperPane.unreadCount,
+      conversations
+    };
+  }
+
+  /**
+   * Get or create the local conversation entry for a participant
+   * @param {Object} participant - Other user ({ userId, username })
+   * @returns {Object} Conversation entry
+   */
+  getWhisperConversation(participant) {
+    const userId = participant.userId.toString();
+
+    if (!this.whisperPane.conversations[userId]) {
+      this.whisperPane.conversations[userId] = {
+        participant: { userId, username: participant.username },
+        messages: [],
+        unreadCount: 0,
+        lastMessageAt: null,
+        loaded: false
+      };
+    }
+
+    return this.whisperPane.conversations[userId];
+  }
+
+  /**
+   * Add a whisper to its conversation in the whisper pane
+   * @param {Object} whisper - Whisper payload
+   * @param {Object} participant - Other user in the conversation
+   * @param {boolean} incoming - Whether the current user received the whisper
+   */
+  addWhisperToPane(whisper, participant, incoming) {
+    const conversation = this.getWhisperConversation(participant);
+
+    // Ignore duplicates (e.g. the same whisper delivered to several tabs)
+    if (conversation.messages.some(message => (message.id || message._id) === whisper.id)) {
+      return;
+    }
+
+    conversation.messages = [...conversation.messages, whisper].slice(-MAX_WHISPERS_PER_CONVERSATION);
+    conversation.lastMessageAt = whisper.createdAt;
+
+    const isActive = this.whisperPane.isOpen &&
+      this.whisperPane.activeUserId === conversation.participant.userId;
+
+    if (incoming && isActive) {
+      apiService.chat.markWhispersRead(conversation.participant.userId)
+        .catch(error => console.error('Error marking whispers as read:', error));
+    } else if (incoming) {
+      conversation.unreadCount++;
+      this.whisperPane.unreadCount++;
+    }
+
+    this.emitWhisperPaneUpdate();
+  }
+
+  emitWhisperPaneUpdate() {
+    const pane = this.getWhisperPane();
+    this.eventHandlers.whisperPaneUpdated.forEach(handler => handler(pane));
+  }
+
+  /**
+   * Vote in a poll
+   * @param {string} pollId - Poll ID
+   * @param {number} optionIndex - Zero-based option index
+   * @returns {boolean} Send status
+   */
+  votePoll(pollId, optionIndex) {
+    if (!this.socket || !this.socket.connected || !this.channelId) {
+      return false;
+    }
+
+    this.socket.emit('pollVote', {
+      roomId: this.channelId,
+      pollId,
+      optionIndex
+    });
+
+    return true;
+  }
+
+  /**
+   * End a poll early (moderator only)
+   * @param {string} pollId - Poll ID
+   * @returns {boolean} Success status
+   */
+  closePoll(pollId) {
+    if (!this.socket || !this.socket.connected || !this.channelId) {
+      return false;
+    }
+
+    this.socket.emit('closePoll', {
+      roomId: this.channelId,
+      pollId
+    });
+
+    return true;
+  }
+
   /**
    * Disconnect socket
    */
@@ -311,6 +981,8 @@ class ChatService {
         clearTimeout(this.typingTimeout);
         this.typingTimeout = null;
       }
+
+      this.cancelGapSync();
     }
   }
 
@@ -343,13 +1015,16 @@ class ChatService {
 
     // Rejoin room if needed
     if (this.channelId) {
-      this.socket.emit('joinRoom', this.channelId);
+      this.rejoinRoom();
     }
   }
 
   handleDisconnect(reason) {
     console.log('Socket disconnected:', reason);
 
+    // Hold outgoing messages until the room is rejoined
+    this.outbox.pause();
+
     // Auto-reconnect if not intentionally disconnected
     if (reason === 'io server disconnect' && this.reconnectAttempts < this.MAX_RECONNECT_ATTEMPTS) {
       this.reconnectAttempts++;
@@ -368,18 +1043,85 @@ class ChatService {
     this.eventHandlers.error.forEach(handler => handler(error));
   }
 
+  handleOutboxUpdated(item) {
+    this.eventHandlers.outboxUpdated.forEach(handler => handler(item));
+  }
+
   handleChatMessage(message) {
+    this.trackLiveSequence(message);
+    this.emitChatMessage(message);
+  }
+
+  /**
+   * Deliver a message from the history or a sync page
+   * These come from the server's store, so the cursor moves straight to the newest one
+   * @param {Object} message - Stored message
+   */
+  deliverChatMessage(message) {
+    if (typeof message.seq === 'number' && message.seq > this.lastSeq) {
+      this.lastSeq = message.seq;
+    }
+
+    this.emitChatMessage(message);
+  }
+
+  /**
+   * Move the cursor over a live message, fetching what is missing if it skips ahead
+   * @param {Object} message - Live message or donation
+   */
+  trackLiveSequence(message) {
+    const { lastSeq, gap } = advanceSequence(this.lastSeq, message);
+    this.lastSeq = lastSeq;
+
+    if (gap) {
+      this.scheduleGapSync();
+    }
+  }
+
+  emitChatMessage(message) {
+    const id = message.id || message._id;
+
+    // History and sync can both deliver a message after a reconnect
+    if (id && this.deliveredMessageIds.has(id)) {
+      return;
+    }
+
+    if (id) {
+      this.deliveredMessageIds.add(id);
+
+      if (this.deliveredMessageIds.size > MAX_DELIVERED_MESSAGE_IDS) {
+        this.deliveredMessageIds.delete(this.deliveredMessageIds.values().next().value);
+      }
+    }
+
     this.eventHandlers.chatMessage.forEach(handler => handler(message));
   }
 
+  handleMessageUpdated(data) {
+    this.eventHandlers.messageUpdated.forEach(handler => handler(data));
+  }
+
+  handleMessageDeleted(data) {
+    this.eventHandlers.messageDeleted.forEach(handler => handler(data));
+  }
+
+  handleReactionCounts(data) {
+    this.eventHandlers.reactionCounts.forEach(handler => handler(data));
+  }
+
+  handleReactionToggled(data) {
+    this.eventHandlers.reactionToggled.forEach(handler => handler(data));
+  }
+
   handleChatHistory(history) {
     // Process each message in history
     history.forEach(message => {
-      this.handleChatMessage(message);
+      this.deliverChatMessage(message);
     });
   }
 
   handleDonation(donation) {
+    this.trackLiveSequence(donation);
     this.eventHandlers.donation.forEach(handler => handler(donation));
   }
 
@@ -399,6 +1141,14 @@ class ChatService {
     this.eventHandlers.timeout.forEach(handler => handler(data));
   }
 
+  handleTimeoutCountdown(data) {
+    this.eventHandlers.timeoutCountdown.forEach(handler => handler(data));
+  }
+
+  handleTimeoutEnded(data) {
+    this.eventHandlers.timeoutEnded.forEach(handler => handler(data));
+  }
+
   handleBanned(data) {
     this.eventHandlers.banned.forEach(handler => handler(data));
   }
@@ -407,16 +1157,85 @@ class ChatService {
     this.eventHandlers.moderation.forEach(handler => handler(data));
   }
 
-  handleClearChat() {
-    this.eventHandlers.clearChat.forEach(handler => handler());
+  handleClearChat(data) {
+    this.eventHandlers.clearChat.forEach(handler => handler(data));
+  }
+
+  handleMessagesPurged(data) {
+    this.eventHandlers.messagesPurged.forEach(handler => handler(data));
+  }
+
+  handleUserColorChanged(data) {
+    this.eventHandlers.userColorChanged.forEach(handler => handler(data));
+  }
+
+  handleMessageHeld(data) {
+    this.eventHandlers.messageHeld.forEach(handler => handler(data));
+  }
+
+  handleHeldMessageResolved(data) {
+    this.eventHandlers.heldMessageResolved.forEach(handler => handler(data));
+  }
+
+  handleAutomodQueue(data) {
+    this.eventHandlers.automodQueue.forEach(handler => handler(data));
+  }
+
+  handleAutomodHeld(heldMessage) {
+    this.eventHandlers.automodHeld.forEach(handler => handler(heldMessage));
+  }
+
+  handleAutomodResolved(data) {
+    this.eventHandlers.automodResolved.forEach(handler => handler(data));
+  }
+
+  handleDonationRefunded(data) {
+    this.eventHandlers.donationRefunded.forEach(handler => handler(data));
+  }
+
+  handleDonationTts(data) {
+    this.eventHandlers.donationTts.forEach(handler => handler(data));
+  }
+
+  handleGoalProgress(data) {
+    this.eventHandlers.goalProgress.forEach(handler => handler(data));
+  }
+
+  handleGoalReached(data) {
+    this.eventHandlers.goalReached.forEach(handler => handler(data));
+  }
+
+  handleGoalUpdated(data) {
+    this.eventHandlers.goalUpdated.forEach(handler => handler(data));
+  }
+
+  handleMentioned(data) {
+    this.eventHandlers.mentioned.forEach(handler => handler(data));
+  }
+
+  handleTypingUpdate(summary) {
+    this.eventHandlers.typingUpdate.forEach(handler => handler(summary));
+  }
+
+  handlePollCreated(poll) {
+    this.eventHandlers.pollCreated.forEach(handler => handler(poll));
+  }
+
+  handlePollResults(poll) {
+    this.eventHandlers.pollResults.forEach(handler => handler(poll));
+  }
+
+  handlePollClosed(poll) {
+    this.eventHandlers.pollClosed.forEach(handler => handler(poll));
   }
 
-  handleUserTyping(user) {
-    this.eventHandlers.userTyping.forEach(handler => handler(user));
+  handleWhisper(whisper) {
+    this.addWhisperToPane(whisper, whisper.from, true);
+    this.eventHandlers.whisper.forEach(handler => handler(whisper));
   }
 
-  handleUserStoppedTyping(user) {
-    this.eventHandlers.userStoppedTyping.forEach(handler => handler(user));
+  handleWhisperSent(whisper) {
+    this.addWhisperToPane(whisper, whisper.to, false);
   }
 }
 
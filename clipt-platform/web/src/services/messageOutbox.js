@@ -0,0 +1,225 @@
+/**
+ * Message Outbox
+ * Queues outgoing chat messages and donations while the socket is down and sends them
+ * in order once it's back. Each item keeps its idempotency key across resends, so the
+ * server posts it once even if an acknowledgement was lost.
+ */
+
+// How long to wait for the server to acknowledge a send or sync
+export const ACK_TIMEOUT_MS = 10000;
+
+// Wait before resending when the server didn't answer or is still handling the first send
+const RESEND_DELAY_MS = 3000;
+
+/**
+ * Generate an idempotency key for a message, so a resend is only posted once
+ * @returns {string} Client message ID
+ */
+export function generateClientMessageId() {
+  if (window.crypto && window.crypto.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+}
+
+/**
+ * Get this browser's guest key, so the server still recognises a guest's resends after a reconnect
+ * @returns {string} Guest client ID
+ */
+export function getGuestClientId() {
+  try {
+    let clientId = localStorage.getItem('clipt_guest_client_id');
+
+    if (!clientId) {
+      clientId = generateClientMessageId();
+      localStorage.setItem('clipt_guest_client_id', clientId);
+    }
+
+    return clientId;
+  } catch (error) {
+    // Storage can be unavailable (e.g. private browsing); resends then only dedupe per connection
+    return generateClientMessageId();
+  }
+}
+
+class MessageOutbox {
+  /**
+   * @param {Function} onUpdate - Called with an item whenever its status changes
+   *   (status is 'pending', 'sent' or 'failed'; sent items carry the server's response)
+   */
+  constructor(onUpdate) {
+    this.onUpdate = onUpdate;
+    this.queue = [];
+    this.failed = new Map();
+    this.socket = null;
+    this.isReady = false;
+    this.isFlushing = false;
+    this.resendTimer = null;
+  }
+
+  /**
+   * Start sending through a socket that has joined the room
+   * @param {Object} socket - Socket.io client
+   */
+  resume(socket) {
+    this.socket = socket;
+    this.isReady = true;
+    this.flush();
+  }
+
+  /**
+   * Hold items until the room is joined again (call on disconnect)
+   */
+  pause() {
+    this.isReady = false;
+  }
+
+  /**
+   * Queue an event for sending
+   * @param {string} event - Socket event ('chatMessage' or 'donation')
+   * @param {Object} payload - Event payload
+   * @param {Object} preview - Local copy to show while the item is pending
+   * @returns {Object} Queued item ({ clientMessageId, event, payload, preview, status })
+   */
+  enqueue(event, payload, preview = null) {
+    const item = {
+      clientMessageId: generateClientMessageId(),
+      event,
+      payload,
+      preview,
+      status: 'pending',
+      error: null
+    };
+
+    this.queue.push(item);
+    this.onUpdate(item);
+    this.flush();
+
+    return item;
+  }
+
+  /**
+   * Queue a failed item again with the same idempotency key
+   * @param {string} clientMessageId - Item key
+   * @returns {boolean} True if the item was queued
+   */
+  retry(clientMessageId) {
+    const item = this.failed.get(clientMessageId);
+    if (!item) {
+      return false;
+    }
+
+    const retried = { ...item, status: 'pending', error: null, response: undefined };
+
+    this.failed.delete(clientMessageId);
+    this.queue.push(retried);
+    this.onUpdate(retried);
+    this.flush();
+
+    return true;
+  }
+
+  /**
+   * Drop a failed item, or a queued one that hasn't been sent yet
+   * @param {string} clientMessageId - Item key
+   */
+  discard(clientMessageId) {
+    this.failed.delete(clientMessageId);
+    this.queue = this.queue.filter(item => item.clientMessageId !== clientMessageId);
+  }
+
+  /**
+   * Stop sending and forget all items (e.g. when leaving the room)
+   */
+  clear() {
+    clearTimeout(this.resendTimer);
+    this.resendTimer = null;
+    this.queue = [];
+    this.failed.clear();
+    this.socket = null;
+    this.isReady = false;
+  }
+
+  /**
+   * Try again later, while still connected
+   */
+  scheduleResend() {
+    if (this.resendTimer) {
+      return;
+    }
+
+    this.resendTimer = setTimeout(() => {
+      this.resendTimer = null;
+      this.flush();
+    }, RESEND_DELAY_MS);
+  }
+
+  /**
+   * Send queued items one at a time, in order
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this.isFlushing) {
+      return;
+    }
+
+    this.isFlushing = true;
+
+    try {
+      while (this.queue.length > 0) {
+        const socket = this.socket;
+
+        // Rejoining the room calls resume, which flushes again
+        if (!this.isReady || !socket || !socket.connected) {
+          return;
+        }
+
+        const item = this.queue[0];
+        let response;
+
+        try {
+          response = await socket.timeout(ACK_TIMEOUT_MS).emitWithAck(item.event, {
+            ...item.payload,
+            clientMessageId: item.clientMessageId
+          });
+        } catch (error) {
+          // No acknowledgement; resending with the same key is safe
+          this.scheduleResend();
+          return;
+        }
+
+        // The item may have been removed while waiting for the acknowledgement
+        if (this.queue[0] !== item) {
+          continue;
+        }
+
+        // The server is still handling an earlier send of this item
+        if (!response.ok && response.pending) {
+          this.scheduleResend();
+          return;
+        }
+
+        this.queue.shift();
+
+        const result = {
+          ...item,
+          status: response.ok ? 'sent' : 'failed',
+          response,
+          error: response.ok ? null : response.error
+        };
+
+        // Rejected items (filtered, rate limited, banned...) wait for a retry or discard
+        if (!response.ok) {
+          this.failed.set(item.clientMessageId, result);
+        }
+
+        this.onUpdate(result);
+      }
+    } finally {
+      this.isFlushing = false;
+    }
+  }
+}
+
+export default MessageOutbox;